@@ -20,24 +20,34 @@ async function ejemploCompletoIAtiva() {
         // 2. Proporcionar nombre
         { usuario: "María González", descripcion: "Proporcionar nombre de usuario" },
         
-        // 3. Datos de costos paso a paso
+        // 3. Tipo de negocio (adapta las preguntas a la industria), volumen y base de cada grupo de costos
+        { usuario: "Fábrica de bolsos artesanales en cuero", descripcion: "Tipo de negocio - manufactura" },
+        { usuario: "200", descripcion: "Volumen mensual - 200 unidades" },
+        { usuario: "unidad", descripcion: "Costos variables expresados por unidad" },
+        { usuario: "mes", descripcion: "Gastos fijos expresados por mes" },
+        
+        // 4. Datos de costos paso a paso
         { usuario: "5000", descripcion: "Materia prima - $5,000" },
         { usuario: "3000", descripcion: "Mano de obra - $3,000" },
         { usuario: "500", descripcion: "Empaque - $500" },
-        { usuario: "800", descripcion: "Servicios - $800" },
+        { usuario: "160000", descripcion: "Servicios - $160,000 al mes" },
         { usuario: "400", descripcion: "Transporte - $400" },
-        { usuario: "600", descripcion: "Marketing - $600" },
-        { usuario: "1200", descripcion: "Arriendo/sueldos - $1,200" },
-        { usuario: "300", descripcion: "Otros costos - $300" },
+        { usuario: "120000", descripcion: "Marketing - $120,000 al mes" },
+        { usuario: "240000", descripcion: "Arriendo/sueldos - $240,000 al mes" },
+        { usuario: "60000", descripcion: "Otros costos - $60,000 al mes" },
+        { usuario: "no responsable", descripcion: "Régimen tributario - no responsable de IVA" },
+        { usuario: "sobre el costo", descripcion: "Modo de precio - markup sobre el costo" },
         { usuario: "25", descripcion: "Margen de ganancia - 25%" },
+        { usuario: "15000", descripcion: "Precio de la competencia - $15,000" },
+        { usuario: "sí", descripcion: "Confirmar el resumen de respuestas y calcular" },
         
-        // 4. Solicitar recomendaciones
+        // 5. Solicitar recomendaciones
         { usuario: "recomendaciones", descripcion: "Solicitar consejos personalizados" },
         
-        // 5. Ver plan de acción
+        // 6. Ver plan de acción
         { usuario: "plan", descripcion: "Ver plan de acción de 30 días" },
         
-        // 6. Generar reporte
+        // 7. Generar reporte
         { usuario: "reporte", descripcion: "Solicitar generar reporte" },
         { usuario: "html", descripcion: "Elegir formato HTML" }
     ];
@@ -111,26 +121,42 @@ async function ejemploCalculosRapidos() {
     const agente = new AgenteIAtiva();
     agente.iniciar();
     
-    // Simular datos de ejemplo sin interacción
+    // Simular datos de ejemplo sin interacción: costos variables por unidad y gastos fijos por mes
     const datosDePrueba = {
         costos: {
             materia_prima: 5000,
             mano_obra: 3000,
             empaque: 500,
-            servicios: 800,
+            servicios: 160000,
             transporte: 400,
-            marketing: 600,
-            arriendo_sueldos: 1200,
-            otros_costos: 300
+            marketing: 120000,
+            arriendo_sueldos: 240000,
+            otros_costos: 60000
         },
         margen_ganancia: 25,
+        modo_precio: 'margen',
+        redondeo_precio: 'terminado_900',
+        precio_competencia: 15000,
+        volumen_mensual: 200,
+        base_costos: {
+            servicios: 'mes',
+            marketing: 'mes',
+            arriendo_sueldos: 'mes',
+            otros_costos: 'mes'
+        },
+        impuestos: {
+            regimen: 'responsable_iva',
+            categoria: 'general',
+            municipio: 'bogota'
+        },
         nombreUsuario: 'Demo User',
         timestamp: new Date().toISOString()
     };
     
     console.log('📊 Datos de entrada:');
     console.log(JSON.stringify(datosDePrueba.costos, null, 2));
-    console.log(`Margen de ganancia: ${datosDePrueba.margen_ganancia}%\n`);
+    console.log(`Margen de ganancia: ${datosDePrueba.margen_ganancia}% (${agente.calculadora.obtenerNombreModoPrecio(datosDePrueba.modo_precio)})`);
+    console.log(`Volumen mensual: ${datosDePrueba.volumen_mensual} unidades\n`);
     
     // Realizar cálculos directamente
     const resultados = agente.calculadora.calcularCompleto(datosDePrueba);
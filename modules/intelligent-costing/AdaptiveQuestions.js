@@ -1,96 +1,46 @@
 const BusinessClassifier = require('./BusinessClassifier');
+const FlujoPreguntas = require('../../src/flujo-preguntas');
+
+// Priority and whether each costing question is required. Question texts, help and the
+// per-industry wording come from flujo_costeo in config/settings.json, the flow the agent asks
+const QUESTION_META = {
+    materia_prima: { priority: 9, required: true },
+    mano_obra: { priority: 8, required: true },
+    empaque: { priority: 5, required: false },
+    servicios: { priority: 6, required: true },
+    transporte: { priority: 4, required: false },
+    marketing: { priority: 7, required: true },
+    arriendo_sueldos: { priority: 7, required: true },
+    otros_costos: { priority: 3, required: false },
+    margen_ganancia: { priority: 10, required: true }
+};
 
 class AdaptiveQuestions {
     constructor() {
         this.businessClassifier = new BusinessClassifier();
+        this.flujo = new FlujoPreguntas();
         this.defaultQuestions = this.getDefaultQuestions();
         this.questionHistory = new Map();
     }
 
-    getDefaultQuestions() {
-        return [
-            {
-                id: 'materia_prima',
-                question: '¿Cuánto gastaste en materia prima/insumos?',
-                category: 'materia_prima',
-                priority: 9,
-                example: '50000',
-                helpText: 'Incluye materiales directos usados en tu producto',
-                required: true
-            },
-            {
-                id: 'mano_obra',
-                question: '¿Cuánto gastaste en mano de obra directa?',
-                category: 'mano_obra',
-                priority: 8,
-                example: '80000',
-                helpText: 'Salarios y beneficios del personal que trabaja directamente en la producción',
-                required: true
-            },
-            {
-                id: 'empaque',
-                question: '¿Cuánto gastaste en empaque o presentación?',
-                category: 'empaque',
-                priority: 5,
-                example: '15000',
-                helpText: 'Cajas, bolsas, etiquetas y materiales de presentación',
-                required: false
-            },
-            {
-                id: 'servicios',
-                question: '¿Cuánto gastaste en servicios (luz, agua, internet)?',
-                category: 'servicios',
-                priority: 6,
-                example: '25000',
-                helpText: 'Servicios públicos y comunicaciones necesarios para operar',
-                required: true
-            },
-            {
-                id: 'transporte',
-                question: '¿Cuánto gastaste en transporte?',
-                category: 'transporte',
-                priority: 4,
-                example: '20000',
-                helpText: 'Combustible, delivery, transporte de materiales',
-                required: false
-            },
-            {
-                id: 'marketing',
-                question: '¿Cuánto gastaste en marketing?',
-                category: 'marketing',
-                priority: 7,
-                example: '30000',
-                helpText: 'Publicidad, redes sociales, promociones',
-                required: true
-            },
-            {
-                id: 'arriendo_sueldos',
-                question: '¿Cuánto gastaste en arriendo o sueldos?',
-                category: 'arriendo_sueldos',
-                priority: 7,
-                example: '40000',
-                helpText: 'Alquiler del local y sueldos administrativos',
-                required: true
-            },
-            {
-                id: 'otros_costos',
-                question: '¿Otros costos (préstamos, intereses)?',
-                category: 'otros_costos',
-                priority: 3,
-                example: '10000',
-                helpText: 'Seguros, intereses, gastos varios',
-                required: false
-            },
-            {
-                id: 'margen_ganancia',
-                question: '¿Qué margen de ganancia deseas (%)?',
-                category: 'margen_ganancia',
-                priority: 10,
-                example: '25',
-                helpText: 'Porcentaje de ganancia que quieres obtener sobre los costos',
-                required: true
-            }
-        ];
+    /**
+     * Cost and margin questions of the guided flow, worded for the industry when given
+     */
+    getDefaultQuestions(industry = null) {
+        return this.flujo.obtenerCamposIndustria(industry)
+            .filter(campo => campo.categoria === 'costo' || campo.tipo === 'porcentaje')
+            .map(campo => {
+                const meta = QUESTION_META[campo.nombre] || { priority: 3, required: false };
+                return {
+                    id: campo.nombre,
+                    question: campo.pregunta,
+                    category: campo.nombre,
+                    priority: meta.priority,
+                    example: campo.ejemplo || this.generateIndustryExample(campo.nombre, 20),
+                    helpText: campo.ayuda,
+                    required: meta.required
+                };
+            });
     }
 
     /**
@@ -156,7 +106,7 @@ class AdaptiveQuestions {
         }
 
         // Generate industry-specific questions
-        let adaptedQuestions = this.defaultQuestions;
+        let adaptedQuestions = this.getDefaultQuestions();
         if (classification && classification.confidence > 40) {
             adaptedQuestions = this.adaptQuestionsForIndustry(classification);
         }
@@ -186,16 +136,13 @@ class AdaptiveQuestions {
      */
     adaptQuestionsForIndustry(classification) {
         const { industry, profile } = classification;
-        const adaptedQuestions = [...this.defaultQuestions];
+        const adaptedQuestions = this.getDefaultQuestions(industry);
 
-        // Modify questions based on industry
+        // Adjust examples, help and priority with the industry cost profile
         adaptedQuestions.forEach(question => {
             const categoryProfile = profile.costProfiles[question.category];
 
             if (categoryProfile) {
-                // Update question text for industry context
-                question.question = this.adaptQuestionText(question, industry, categoryProfile);
-
                 // Update example amounts based on industry percentages
                 question.example = this.generateIndustryExample(question.category, categoryProfile.percentage);
 
@@ -210,47 +157,6 @@ class AdaptiveQuestions {
         return adaptedQuestions;
     }
 
-    adaptQuestionText(question, industry, categoryProfile) {
-        const industrySpecificTexts = {
-            restaurante: {
-                materia_prima: '¿Cuánto gastas en ingredientes y productos frescos?',
-                mano_obra: '¿Cuánto gastas en personal de cocina y servicio?',
-                empaque: '¿Cuánto gastas en envases para delivery y presentación?',
-                servicios: '¿Cuánto gastas en servicios (luz, gas, agua, internet)?',
-                transporte: '¿Cuánto gastas en delivery y transporte de suministros?',
-                marketing: '¿Cuánto gastas en publicidad y promociones?',
-                arriendo_sueldos: '¿Cuánto gastas en alquiler del restaurante?'
-            },
-            retail: {
-                materia_prima: '¿Cuánto gastas en inventario y productos para vender?',
-                mano_obra: '¿Cuánto gastas en personal de ventas y atención?',
-                empaque: '¿Cuánto gastas en bolsas, cajas y empaques?',
-                marketing: '¿Cuánto gastas en publicidad y promociones de productos?',
-                arriendo_sueldos: '¿Cuánto gastas en alquiler de la tienda?'
-            },
-            servicios: {
-                materia_prima: '¿Cuánto gastas en materiales y herramientas de trabajo?',
-                mano_obra: '¿Cuánto gastas en honorarios profesionales?',
-                transporte: '¿Cuánto gastas en movilización a clientes?',
-                marketing: '¿Cuánto gastas en marketing digital y networking?',
-                arriendo_sueldos: '¿Cuánto gastas en oficina (puede ser virtual)?'
-            },
-            tecnologia: {
-                materia_prima: '¿Cuánto gastas en licencias de software y herramientas?',
-                mano_obra: '¿Cuánto gastas en desarrolladores y personal técnico?',
-                servicios: '¿Cuánto gastas en hosting, cloud e infraestructura?',
-                marketing: '¿Cuánto gastas en marketing digital y adquisición de usuarios?'
-            }
-        };
-
-        const industryTexts = industrySpecificTexts[industry];
-        if (industryTexts && industryTexts[question.category]) {
-            return industryTexts[question.category];
-        }
-
-        return question.question;
-    }
-
     generateIndustryExample(category, percentage) {
         // Base examples adjusted by industry typical percentage
         const baseExamples = {
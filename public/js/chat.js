@@ -3160,27 +3160,7 @@ ${this.getBusinessTypeQuestions(businessType)}`;
         this.messageInput.value = '';
         this.messageInput.style.height = 'auto';
         this.setProcessing(true);
-
-        // 📦 NEW Package Detection System - Check if message should be processed as package
-        if (this.shouldProcessAsPackage(message)) {
-            let packageResponse;
-
-            if (this.packageMode) {
-                // Continue package conversation flow
-                packageResponse = this.processPackageResponse(message);
-            } else {
-                // Initial package detection
-                packageResponse = this.createPackageDetectionResponse(message);
-            }
-
-            this.addMessage({
-                type: 'assistant',
-                content: packageResponse,
-                timestamp: new Date()
-            });
-            this.setProcessing(false);
-            return;
-        }
+        this.removeQuickActions();
 
         // 💡 Intelligent Cost Validation Detection
         this.detectAndPerformIntelligentValidation(message);
@@ -3216,12 +3196,27 @@ ${this.getBusinessTypeQuestions(businessType)}`;
                 this.context = { ...this.context, ...data.context };
             }
 
-            // Mostrar respuesta del asistente
-            this.addMessage({
-                type: 'assistant',
-                content: data.respuesta || data.response || 'Lo siento, no pude procesar tu mensaje.',
-                timestamp: new Date()
-            });
+            const content = data.respuesta || data.response || 'Lo siento, no pude procesar tu mensaje.';
+
+            if (data.resumenDatos) {
+                // El resumen se muestra como tarjeta editable; solo se conserva el texto previo (ej. "Actualicé...")
+                const previo = content.split('📋 **RESUMEN')[0].trim();
+                if (previo) {
+                    this.addMessage({ type: 'assistant', content: previo, timestamp: new Date() });
+                }
+                this.addSummaryCard(data.resumenDatos, data.context && data.context.estado === 'confirmacion_datos');
+            } else {
+                // Mostrar respuesta del asistente
+                this.addMessage({
+                    type: 'assistant',
+                    content,
+                    timestamp: new Date()
+                });
+            }
+
+            if (data.acciones && data.acciones.length > 0) {
+                this.addQuickActions(data.acciones);
+            }
 
         } catch (error) {
             console.error('Error:', error);
@@ -3245,7 +3240,7 @@ ${this.getBusinessTypeQuestions(businessType)}`;
     }
 
     // Restore legacy package detection for compatibility
-    oldPackageDetection(message) {
+    async oldPackageDetection(message) {
         if (!this.packageDetected && this.detectPackageInMessage(message)) {
             this.packageDetected = true;
             this.context.packageDetected = true;
@@ -3370,6 +3365,87 @@ ${this.getBusinessTypeQuestions(businessType)}`;
         this.scrollToBottom();
     }
 
+    // Enviar un comando del flujo guiado como si el usuario lo hubiera escrito
+    sendCommand(command) {
+        this.messageInput.value = command;
+        this.sendMessage();
+    }
+
+    // Botones rápidos sugeridos por el agente ("Atrás", "Resumen", "Calcular")
+    addQuickActions(acciones) {
+        const container = document.createElement('div');
+        container.className = 'quick-actions flex flex-wrap gap-2 mb-4 ml-11';
+
+        acciones.forEach(accion => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'px-3 py-1 text-sm rounded-full border border-blue-300 text-blue-700 bg-blue-50 hover:bg-blue-100';
+            button.textContent = accion.etiqueta;
+            button.addEventListener('click', () => this.sendCommand(accion.mensaje));
+            container.appendChild(button);
+        });
+
+        this.chatMessages.appendChild(container);
+        this.scrollToBottom();
+    }
+
+    removeQuickActions() {
+        this.chatMessages.querySelectorAll('.quick-actions').forEach(container => container.remove());
+    }
+
+    // Tarjeta con las respuestas capturadas; "Editar" prepara el comando de corrección
+    addSummaryCard(resumenDatos, pedirConfirmacion) {
+        const card = document.createElement('div');
+        card.className = 'message assistant mb-4 ml-11 max-w-md bg-white border border-blue-200 rounded-lg shadow-sm';
+
+        const title = document.createElement('div');
+        title.className = 'px-4 py-2 border-b border-blue-100 font-semibold text-sm text-gray-800';
+        title.textContent = '📋 Resumen de tus respuestas';
+        card.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'divide-y divide-gray-100 text-sm';
+
+        resumenDatos.forEach(fila => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center justify-between px-4 py-2';
+
+            const text = document.createElement('span');
+            text.className = 'text-gray-700';
+            text.innerHTML = `<strong>${fila.numero}. ${this.escapeHtml(fila.etiqueta)}:</strong> ${this.escapeHtml(fila.valor)}`;
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'ml-3 text-xs text-blue-600 hover:underline';
+            edit.innerHTML = '<i class="fas fa-pen mr-1"></i>Editar';
+            edit.addEventListener('click', () => {
+                this.messageInput.value = `cambiar ${fila.etiqueta.toLowerCase()} a `;
+                this.messageInput.focus();
+            });
+
+            item.appendChild(text);
+            item.appendChild(edit);
+            list.appendChild(item);
+        });
+        card.appendChild(list);
+
+        if (pedirConfirmacion) {
+            const footer = document.createElement('div');
+            footer.className = 'px-4 py-2 border-t border-blue-100 text-sm text-gray-600';
+            footer.textContent = '¿Calculo tu análisis con estos datos?';
+            card.appendChild(footer);
+        }
+
+        this.chatMessages.appendChild(card);
+        this.scrollToBottom();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
     createMessageElement(message) {
         const div = document.createElement('div');
         div.className = `message ${message.type}`;
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Entrenar y evaluar el clasificador de intenciones
+ * Uso:
+ *   node scripts/entrenar-intenciones.js                  Reentrena con data/intenciones.json y guarda el modelo
+ *   node scripts/entrenar-intenciones.js --evaluar        Además mide la exactitud con validación cruzada
+ *   node scripts/entrenar-intenciones.js --pliegues 10    Número de pliegues de la validación (por defecto 5)
+ *   node scripts/entrenar-intenciones.js --probar "texto" Muestra los puntajes de una frase
+ */
+
+const ClasificadorIntenciones = require('../src/clasificador-intenciones');
+
+const args = process.argv.slice(2);
+const valorDe = (opcion) => {
+    const indice = args.indexOf(opcion);
+    return indice >= 0 ? args[indice + 1] : undefined;
+};
+
+const clasificador = new ClasificadorIntenciones();
+const ejemplos = clasificador.cargarEjemplos();
+
+// Probar una frase con el modelo actual
+const frase = valorDe('--probar');
+if (frase !== undefined) {
+    const resultado = clasificador.clasificar(frase);
+    console.log(`🔍 "${frase}" → ${resultado.intencion} (${resultado.confianza})`);
+    resultado.puntajes.forEach(({ intencion, confianza }) => {
+        console.log(`   ${intencion.padEnd(16)} ${confianza.toFixed(4)}`);
+    });
+    process.exit(0);
+}
+
+console.log(`🧠 Entrenando con ${ejemplos.length} frases de ${new Set(ejemplos.map(e => e.intencion)).size} intenciones...`);
+clasificador.entrenar(ejemplos);
+clasificador.guardarModelo();
+console.log(`✅ Modelo guardado en ${clasificador.parametros.modelo}`);
+
+if (args.includes('--evaluar')) {
+    const pliegues = parseInt(valorDe('--pliegues'), 10) || 5;
+    const evaluacion = clasificador.evaluar(ejemplos, pliegues);
+
+    console.log(`\n📊 Validación cruzada con ${evaluacion.pliegues} pliegues`);
+    console.log(`   Exactitud: ${(evaluacion.exactitud * 100).toFixed(1)}% de ${evaluacion.ejemplos} frases`);
+    console.log(`   Bajo el umbral (${clasificador.parametros.intencion_por_defecto}): ${evaluacion.sinClasificar}\n`);
+
+    console.log(`   ${'Intención'.padEnd(16)} Precisión  Exhaustividad`);
+    Object.entries(evaluacion.porIntencion).forEach(([intencion, metricas]) => {
+        console.log(`   ${intencion.padEnd(16)} ${(metricas.precision * 100).toFixed(0).padStart(8)}%  ${(metricas.exhaustividad * 100).toFixed(0).padStart(12)}%`);
+    });
+
+    if (evaluacion.errores.length > 0) {
+        console.log('\n❌ Frases mal clasificadas:');
+        evaluacion.errores.forEach(error => {
+            console.log(`   "${error.texto}": ${error.intencion} → ${error.predicha} (${error.confianza})`);
+        });
+    }
+
+    // Falla si la exactitud queda por debajo del mínimo configurado
+    if (evaluacion.exactitud < clasificador.parametros.exactitud_minima) {
+        console.log(`\n⚠️ La exactitud está por debajo del mínimo de ${clasificador.parametros.exactitud_minima * 100}%`);
+        process.exit(1);
+    }
+}
@@ -1,15 +1,27 @@
 const CalculadoraFinanciera = require('./calculadora-financiera');
+const CalculadoraImpuestos = require('./calculadora-impuestos');
+const CalculadoraObjetivos = require('./calculadora-objetivos');
 const RecopiladorDatos = require('./recopilador-datos');
+const FlujoPreguntas = require('./flujo-preguntas');
+const InterpreteMontos = require('./interprete-montos');
 const GeneradorReportes = require('./generador-reportes');
 const RecomendadorMarketing = require('./recomendador-marketing');
+const ClasificadorIntenciones = require('./clasificador-intenciones');
 
 // Importar módulo de costeo inteligente
 const { IntelligentCosting } = require('../modules/intelligent-costing');
 
+// Un solo clasificador para todas las conversaciones: el modelo se prepara una vez
+const clasificador = new ClasificadorIntenciones();
+
 class AgenteIAtiva {
     constructor(sessionId = null) {
         this.calculadora = new CalculadoraFinanciera();
+        this.calculadoraImpuestos = new CalculadoraImpuestos();
+        this.calculadoraObjetivos = new CalculadoraObjetivos();
         this.recopilador = new RecopiladorDatos();
+        this.flujo = new FlujoPreguntas();
+        this.interpreteMontos = new InterpreteMontos();
         this.generadorReportes = new GeneradorReportes();
         this.recomendador = new RecomendadorMarketing();
 
@@ -46,10 +58,15 @@ class AgenteIAtiva {
         });
     }
 
-    iniciar() {
+    // Poner el agente en marcha sin salida de consola (uso web)
+    activar() {
         this.activo = true;
         this.estadoActual = 'bienvenida';
         this.recopilador.reiniciarSesion();
+    }
+
+    iniciar() {
+        this.activar();
         
         console.clear();
         this.mostrarBanner();
@@ -79,6 +96,121 @@ class AgenteIAtiva {
         `);
     }
 
+    // Estado serializable de la conversación para guardarla y retomarla después
+    toJSON() {
+        const sesionInteligente = this.intelligentCosting.sessionData.get(this.sessionId);
+
+        return {
+            sessionId: this.sessionId,
+            activo: this.activo,
+            estadoActual: this.estadoActual,
+            nombre_usuario: this.nombre_usuario,
+            datosSimples: this.datosSimples || {},
+            indicePregunta: this.indicePregunta || 0,
+            campoEnEdicion: this.campoEnEdicion || null,
+            estadoPrevioEdicion: this.estadoPrevioEdicion || null,
+            valorPorConfirmar: this.valorPorConfirmar || null,
+            reinicioPorConfirmar: this.reinicioPorConfirmar || false,
+            ultimosResultados: this.ultimosResultados,
+            recopilador: this.recopilador.sesion,
+            costeoInteligente: sesionInteligente
+                ? { businessData: sesionInteligente.businessData, classification: sesionInteligente.classification }
+                : null,
+            metricas: this.metricas
+        };
+    }
+
+    // Reconstruir un agente a partir de un estado guardado con toJSON()
+    static fromJSON(estado) {
+        const agente = new AgenteIAtiva(estado.sessionId);
+
+        agente.activo = estado.activo;
+        agente.estadoActual = estado.estadoActual;
+        agente.nombre_usuario = estado.nombre_usuario || '';
+        agente.datosSimples = estado.datosSimples || {};
+        agente.indicePregunta = estado.indicePregunta || 0;
+        agente.campoEnEdicion = estado.campoEnEdicion || null;
+        agente.estadoPrevioEdicion = estado.estadoPrevioEdicion || null;
+        agente.valorPorConfirmar = estado.valorPorConfirmar || null;
+        agente.reinicioPorConfirmar = estado.reinicioPorConfirmar || false;
+        agente.ultimosResultados = estado.ultimosResultados || null;
+        if (estado.recopilador) agente.recopilador.sesion = estado.recopilador;
+        if (estado.metricas) agente.metricas = { ...agente.metricas, ...estado.metricas };
+
+        // La clasificación del costeo inteligente (análisis sectorial) vive en memoria; las
+        // conversaciones guardadas sin ella se reclasifican con la descripción del negocio
+        const sesionInteligente = agente.intelligentCosting.sessionData.get(agente.sessionId);
+        if (sesionInteligente && estado.costeoInteligente) {
+            Object.assign(sesionInteligente, estado.costeoInteligente);
+        } else if (agente.datosSimples.tipo_negocio) {
+            agente.clasificarNegocio(agente.datosSimples.tipo_negocio.descripcion);
+        }
+
+        return agente;
+    }
+
+    /**
+     * Procesar un mensaje del chat web
+     * @param {string} mensaje - Texto del usuario
+     * @returns {Promise<Object>} respuesta, estado y, si hay análisis, sus datos y resultados
+     */
+    async procesarMensaje(mensaje) {
+        // Una conversación nueva o terminada con "salir" arranca de nuevo
+        if (!this.activo) {
+            this.activar();
+        }
+
+        const resultadosPrevios = this.ultimosResultados;
+        this.resultadosEditados = false;
+        const respuesta = await this.procesarEntrada(mensaje || '');
+        const resultadosCambiaron = !!this.ultimosResultados && this.ultimosResultados !== resultadosPrevios;
+
+        const resultado = {
+            respuesta: respuesta || '👋 Sesión terminada. Escribe cualquier mensaje para comenzar un nuevo análisis.',
+            context: { estado: this.estadoActual },
+            analisisCompleto: !!this.ultimosResultados,
+            // Solo el mensaje que produjo los resultados marca un análisis nuevo; una corrección lo actualiza
+            analisisNuevo: resultadosCambiaron && !this.resultadosEditados,
+            analisisActualizado: resultadosCambiaron && this.resultadosEditados,
+            acciones: this.obtenerAccionesRapidas()
+        };
+
+        // Tarjeta de resumen para confirmar o corregir respuestas desde la interfaz
+        if (this.estadoActual === 'confirmacion_datos' || /^resumen$/i.test((mensaje || '').trim())) {
+            resultado.resumenDatos = this.obtenerResumenRespuestas();
+        }
+
+        if (this.ultimosResultados) {
+            resultado.datosRecopilados = this.ultimosResultados.datosOriginales || {};
+            resultado.resultados = this.ultimosResultados.calculos || {};
+        }
+
+        return resultado;
+    }
+
+    // Botones sugeridos para la interfaz según el punto del flujo
+    obtenerAccionesRapidas() {
+        if (this.estadoActual === 'recopilacion_datos' && this.indicePregunta > 0) {
+            return [
+                { etiqueta: '⬅️ Atrás', mensaje: 'atrás' },
+                { etiqueta: '📋 Resumen', mensaje: 'resumen' }
+            ];
+        }
+        if (this.estadoActual === 'confirmacion_datos') {
+            return [
+                { etiqueta: '✅ Calcular', mensaje: 'sí' },
+                { etiqueta: '⬅️ Atrás', mensaje: 'atrás' }
+            ];
+        }
+        if (this.estadoActual === 'completado') {
+            return [
+                { etiqueta: '📋 Resumen', mensaje: 'resumen' },
+                { etiqueta: '🔄 Nuevo análisis', mensaje: 'nuevo' }
+            ];
+        }
+        return [];
+    }
+
     // Método para detectar y extraer nombres de frases
     detectarNombre(texto) {
         const textoLimpio = texto.toLowerCase().trim();
@@ -132,14 +264,36 @@ class AgenteIAtiva {
             return this.personalizarRespuesta("❌ El agente no está activo. Usa el método iniciar() primero.");
         }
 
+        // Dentro del flujo guiado, "atrás", "resumen" o "cambiar <dato>" no pasan por los comandos globales
+        if (['recopilacion_datos', 'confirmacion_datos', 'completado'].includes(this.estadoActual) &&
+            this.interpretarComandoEdicion(entrada)) {
+            return this.procesarSegunEstado(entrada);
+        }
+
         const entradaLimpia = entrada.toLowerCase().trim();
+
+        // Respuesta a "¿Seguro que quieres reiniciar?"; cualquier otra cosa sigue el flujo normal
+        if (this.reinicioPorConfirmar) {
+            this.reinicioPorConfirmar = false;
+            if (this.esAfirmacion(entrada)) {
+                return this.reiniciarSesion();
+            }
+            if (/^no\b/.test(entradaLimpia)) {
+                return this.retomarFlujo('👍 Seguimos donde íbamos.');
+            }
+        }
+
+        // Mientras se responden las preguntas, una respuesta ("otro", "otra vez") no debe tomarse por
+        // un comando: ahí solo valen las palabras exactas y el reinicio se confirma antes de borrar
+        const enPreguntas = ['recopilacion_datos', 'confirmacion_datos'].includes(this.estadoActual);
+        const intencion = enPreguntas ? null : this.clasificarComando(entrada);
         
         // Comandos globales
-        if (this.esComandoSalida(entradaLimpia)) {
+        if (this.esComandoSalida(entradaLimpia, intencion)) {
             return this.detener();
         }
         
-        if (this.esComandoAyuda(entradaLimpia)) {
+        if (this.esComandoAyuda(entradaLimpia, intencion)) {
             return this.mostrarAyuda();
         }
         
@@ -148,7 +302,11 @@ class AgenteIAtiva {
             return "🧹 Pantalla limpiada. ¿En qué más puedo ayudarte?";
         }
 
-        if (this.esComandoReiniciar(entradaLimpia)) {
+        if (this.esComandoReiniciar(entradaLimpia, intencion)) {
+            if (enPreguntas) {
+                this.reinicioPorConfirmar = true;
+                return this.personalizarRespuesta('⚠️ ¿Seguro que quieres reiniciar? Se borrarán las respuestas que llevas. Responde "sí" para empezar de nuevo o "no" para seguir.');
+            }
             return this.reiniciarSesion();
         }
 
@@ -156,7 +314,7 @@ class AgenteIAtiva {
             return this.mostrarEstadisticas();
         }
 
-        if (this.esComandoReporte(entradaLimpia) && this.ultimosResultados) {
+        if (this.esComandoReporte(entradaLimpia, intencion) && this.ultimosResultados) {
             return this.manejarSolicitudReporte(entrada);
         }
 
@@ -174,6 +332,12 @@ class AgenteIAtiva {
             
             case 'recopilacion_datos':
                 return this.manejarRecopilacionDatos(entrada);
+
+            case 'confirmacion_datos':
+                return this.manejarConfirmacionDatos(entrada);
+
+            case 'editando_campo':
+                return this.manejarEdicionCampo(entrada);
             
             case 'presentacion_resultados':
                 return this.manejarPresentacionResultados(entrada);
@@ -210,7 +374,7 @@ class AgenteIAtiva {
 
         const baseMessage = `🧠 **¡Bienvenido al análisis de costeo IAtiva!**
 
-Antes de comenzar con las 9 preguntas para calcular el precio perfecto de tu producto, me gustaría conocerte mejor.
+Antes de comenzar con las ${this.obtenerPreguntasCosteo().length} preguntas para calcular el precio perfecto de tu producto, me gustaría conocerte mejor.
 
 **¿Cómo te llamas?**
 
@@ -246,11 +410,7 @@ Por favor compárteme tu nombre para personalizar tu experiencia de análisis.`;
 
 Ahora empecemos con el análisis de costos para tu producto 💪
 
-**Pregunta 1/9**
-
-¿Cuánto gastaste en materia prima/insumos?
-
-Ejemplo: 50000`);
+${this.formatearPregunta(0)}`);
         } else {
             // No se pudo detectar un nombre válido
             this.metricas.fallos_deteccion++;
@@ -267,31 +427,327 @@ Ejemplos:
         }
     }
 
+    // Preguntas del flujo guiado de costeo: las define config/settings.json (flujo_costeo)
+    // y cambian con las respuestas, p. ej. según la industria del negocio
+    obtenerPreguntasCosteo() {
+        return this.flujo.obtenerCampos(this.datosSimples || {});
+    }
+
+    // Primera pregunta vigente sin responder; si no hay, el total de preguntas
+    obtenerIndicePendiente() {
+        const preguntas = this.obtenerPreguntasCosteo();
+        const indice = preguntas.findIndex(pregunta => this.datosSimples[pregunta.nombre] === undefined);
+        return indice === -1 ? preguntas.length : indice;
+    }
+
+    formatearPregunta(indice) {
+        const preguntas = this.obtenerPreguntasCosteo();
+        const pregunta = preguntas[indice];
+        let texto = `**Pregunta ${indice + 1}/${preguntas.length}**\n\n${pregunta.pregunta}`;
+
+        // Recordar la base elegida para el grupo (variable o fijo) de cada costo
+        const base = this.flujo.obtenerBaseCampo(pregunta, this.datosSimples || {});
+        if (base) {
+            texto += base === 'unidad' ? ' _(por unidad)_' : ' _(en el mes)_';
+        }
+
+        // Recordar sobre qué se aplica el porcentaje de ganancia
+        if (pregunta.tipo === 'porcentaje' && this.datosSimples && this.datosSimples.modo_precio) {
+            texto += ` _(${this.calculadora.obtenerNombreModoPrecio(this.datosSimples.modo_precio).toLowerCase()})_`;
+        }
+
+        if (pregunta.ayuda) {
+            texto += `\n\n💡 ${pregunta.ayuda}`;
+        }
+
+        return `${texto}\n\nEjemplo: ${pregunta.ejemplo || '15000'}`;
+    }
+
+    // Valor de una respuesta en texto legible
+    formatearValor(pregunta, valor) {
+        if (pregunta.tipo === 'negocio') return `${valor.descripcion} (${valor.nombreIndustria})`;
+        if (pregunta.tipo === 'regimen') return this.calculadoraImpuestos.obtenerNombreRegimen(valor.regimen);
+        if (pregunta.tipo === 'modo_precio') return this.calculadora.obtenerNombreModoPrecio(valor);
+        if (pregunta.tipo === 'competencia') return valor ? `competencia a $${valor.toLocaleString()}` : 'sin precio de referencia';
+        if (pregunta.tipo === 'base') return `${pregunta.grupo === 'fijo' ? 'gastos fijos' : 'costos variables'} ${valor === 'unidad' ? 'por unidad' : 'por mes'}`;
+        if (pregunta.tipo === 'unidades') return `${valor.toLocaleString()} unidades/mes`;
+        if (pregunta.tipo === 'porcentaje') return `${valor}%`;
+        return `$${valor.toLocaleString()}`;
+    }
+
+    // Mensaje de confirmación para el valor guardado; las cifras escritas en palabras o
+    // con separadores llevan el eco de cómo se entendieron
+    formatearValorGuardado(pregunta, valor, { monto = null, entrada = '' } = {}) {
+        const eco = monto && !monto.literal
+            ? ` _(entendí "${entrada}"${monto.nota ? `, ${monto.nota}` : ''})_`
+            : '';
+        return `✅ Guardado: ${this.formatearValor(pregunta, valor)}${eco}`;
+    }
+
+    // Interpretar la respuesta a una pregunta del flujo: { valor } o { error }
+    interpretarRespuesta(pregunta, entrada) {
+        if (pregunta.tipo === 'negocio') {
+            const descripcion = entrada.trim();
+            return descripcion.length >= 3
+                ? { valor: this.clasificarNegocio(descripcion) }
+                : { error: '❌ Cuéntame en pocas palabras qué vendes. Ejemplo: Comidas rápidas a domicilio' };
+        }
+        if (pregunta.tipo === 'base') {
+            const valor = this.calculadora.normalizarBase(entrada);
+            return valor ? { valor } : { error: '❌ Por favor responde "unidad" o "mes".' };
+        }
+        if (pregunta.tipo === 'modo_precio') {
+            const valor = this.calculadora.normalizarModoPrecio(entrada);
+            return valor ? { valor } : { error: '❌ Por favor responde "sobre el costo" o "sobre el precio".' };
+        }
+        if (pregunta.tipo === 'regimen') {
+            const valor = this.calculadoraImpuestos.interpretarRespuesta(entrada);
+            return valor ? { valor } : { error: '❌ Por favor responde "responsable de IVA", "no responsable" o "régimen simple".' };
+        }
+
+        // Cifras como se escriben en conversación: "50 mil", "1,5 millones", "dos palos"
+        const tipoMonto = { unidades: 'cantidad', porcentaje: 'porcentaje' }[pregunta.tipo] || 'monto';
+        const monto = this.interpreteMontos.interpretar(entrada, tipoMonto);
+        console.log('🔢 Número procesado:', monto);
+
+        if (!monto) {
+            return { error: "❌ No entendí la cifra. Escríbela en números o en palabras. Ejemplo: 50000 o 50 mil" };
+        }
+        const valor = monto.valor;
+
+        const errorRango = this.flujo.validarRango(pregunta, valor);
+        if (errorRango) {
+            return { error: errorRango };
+        }
+
+        // Validate with intelligent costing if enabled
+        const validation = this.intelligentCosting.validateCostInput(
+            pregunta.nombre,
+            valor,
+            this.sessionId
+        );
+
+        // Show validation warnings (but don't block)
+        if (validation.type === 'warning' && validation.message) {
+            console.log(`⚠️ Validation warning for ${pregunta.nombre}: ${validation.message}`);
+        }
+
+        return { valor, monto, entrada: entrada.trim() };
+    }
+
+    esAfirmacion(entrada) {
+        return /^(si|sí|s|ok|dale|listo|correcto|exacto|confirmar|confirmo)\b/.test(entrada.toLowerCase().trim());
+    }
+
+    // Clasificar el negocio para adaptar las preguntas; con poca confianza se usa el flujo general
+    clasificarNegocio(descripcion) {
+        // Las palabras clave de los perfiles de industria no llevan tildes ("fabrica", "peluqueria")
+        const texto = descripcion.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        const clasificacion = this.intelligentCosting.businessClassifier.classifyBusiness({ producto: texto });
+        const confiable = clasificacion.confidence >= this.flujo.definicion.confianza_minima_industria;
+
+        this.intelligentCosting.processBusinessInfo({ producto: texto }, this.sessionId);
+
+        return {
+            descripcion,
+            industria: confiable ? clasificacion.industry : 'general',
+            nombreIndustria: confiable ? clasificacion.industryName : 'Negocio general',
+            confianza: clasificacion.confidence
+        };
+    }
+
+    // Comandos para navegar y corregir el flujo: "atrás", "resumen", "cambiar empaque a 3000"
+    interpretarComandoEdicion(entrada) {
+        const texto = entrada.toLowerCase().trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[¿?¡!.]/g, '');
+
+        if (/^(atras|volver|anterior|regresar|pregunta anterior)$/.test(texto)) {
+            return { tipo: 'atras' };
+        }
+        if (/^(resumen|revisar|ver respuestas|mis respuestas|mis datos)$/.test(texto)) {
+            return { tipo: 'resumen' };
+        }
+
+        // El valor se toma del texto original para conservar puntos y símbolos ("3.000", "$2,5")
+        const original = entrada.trim();
+        const cambio = original.match(/^(?:cambiar|corregir|modificar|editar)\s+(.+?)(?:\s+(?:a|por)\s+|\s*[:=]\s*)(.+)$/i)
+            || original.match(/^(?:cambiar|corregir|modificar|editar)\s+(.+)$/i);
+        if (!cambio) return null;
+
+        const campo = cambio[1].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        const pregunta = this.buscarPreguntaPorNombre(campo);
+        if (!pregunta) {
+            return { tipo: 'campo_desconocido', campo: cambio[1] };
+        }
+
+        return { tipo: 'cambiar', pregunta, valor: cambio[2] !== undefined ? cambio[2] : null };
+    }
+
+    // Pregunta cuyo alias coincide con el texto; gana el alias más largo ("otros costos" antes que "otros")
+    buscarPreguntaPorNombre(texto) {
+        let mejor = null;
+        let largoMejor = 0;
+
+        this.obtenerPreguntasCosteo().forEach(pregunta => {
+            [pregunta.nombre.replace(/_/g, ' '), ...(pregunta.alias || [])].forEach(alias => {
+                if (texto.includes(alias) && alias.length > largoMejor) {
+                    mejor = pregunta;
+                    largoMejor = alias.length;
+                }
+            });
+        });
+
+        return mejor;
+    }
+
+    // Respuestas capturadas hasta ahora, en el orden del flujo
+    obtenerResumenRespuestas() {
+        const datos = this.datosSimples || {};
+        return this.obtenerPreguntasCosteo()
+            .map((pregunta, indice) => ({ pregunta, indice }))
+            .filter(({ pregunta }) => datos[pregunta.nombre] !== undefined)
+            .map(({ pregunta, indice }) => ({
+                numero: indice + 1,
+                campo: pregunta.nombre,
+                etiqueta: pregunta.etiqueta,
+                valor: this.formatearValor(pregunta, datos[pregunta.nombre])
+            }));
+    }
+
+    generarResumenRespuestas() {
+        const filas = this.obtenerResumenRespuestas()
+            .map(fila => `${fila.numero}. **${fila.etiqueta}:** ${fila.valor}`);
+
+        return `📋 **RESUMEN DE TUS RESPUESTAS**\n\n${filas.length > 0 ? filas.join('\n') : 'Aún no hay respuestas guardadas.'}\n\n✏️ Para corregir escribe, por ejemplo: "cambiar empaque a 3000"`;
+    }
+
+    // Resumen antes de calcular: el usuario confirma o corrige
+    mostrarConfirmacion(prefijo = '') {
+        this.estadoActual = 'confirmacion_datos';
+        return this.personalizarRespuesta(`${prefijo ? `${prefijo}\n\n` : ''}${this.generarResumenRespuestas()}
+
+🧮 **¿Calculo tu análisis con estos datos?**
+• Escribe **"sí"** para calcular
+• Escribe **"atrás"** para volver a la última pregunta
+• O corrige un dato: "cambiar margen a 35"`);
+    }
+
+    // Aplicar una corrección según el punto del flujo en que esté el usuario
+    aplicarEdicion(comando) {
+        const preguntas = this.obtenerPreguntasCosteo();
+        const { pregunta } = comando;
+        const indice = preguntas.findIndex(p => p.nombre === pregunta.nombre);
+
+        if (this.estadoActual === 'recopilacion_datos' && this.datosSimples[pregunta.nombre] === undefined) {
+            return this.personalizarRespuesta(`🤔 Aún no llegamos a **${pregunta.etiqueta}**.\n\n${this.formatearPregunta(this.indicePregunta)}`);
+        }
+
+        // Sin valor: se vuelve a hacer esa pregunta y luego se regresa al punto actual
+        if (comando.valor === null) {
+            this.campoEnEdicion = pregunta.nombre;
+            this.estadoPrevioEdicion = this.estadoActual;
+            this.estadoActual = 'editando_campo';
+            return this.personalizarRespuesta(`✏️ Corrijamos **${pregunta.etiqueta}** (actual: ${this.formatearValor(pregunta, this.datosSimples[pregunta.nombre])}).\n\n${this.formatearPregunta(indice)}`);
+        }
+
+        const interpretacion = this.interpretarRespuesta(pregunta, comando.valor);
+        if (interpretacion.error) {
+            return this.personalizarRespuesta(interpretacion.error);
+        }
+
+        return this.guardarEdicion(pregunta, interpretacion.valor, this.estadoActual);
+    }
+
+    guardarEdicion(pregunta, valor, estado) {
+        this.datosSimples[pregunta.nombre] = valor;
+        const mensaje = `✏️ Actualicé **${pregunta.etiqueta}**: ${this.formatearValor(pregunta, valor)}`;
+
+        // El cambio puede abrir preguntas nuevas (p. ej. otra industria); se piden antes de seguir
+        const pendiente = this.obtenerIndicePendiente();
+        if (estado !== 'recopilacion_datos' && pendiente < this.obtenerPreguntasCosteo().length) {
+            this.estadoActual = 'recopilacion_datos';
+            this.indicePregunta = pendiente;
+            return this.personalizarRespuesta(`${mensaje}\n\nCon este cambio necesito un dato más:\n\n${this.formatearPregunta(pendiente)}`);
+        }
+
+        if (estado === 'completado') {
+            // Con el análisis ya hecho, una corrección recalcula los resultados
+            this.resultadosEditados = true;
+            return `${this.personalizarRespuesta(mensaje)}\n\n${this.calcularResultadosSimples()}`;
+        }
+        if (estado === 'confirmacion_datos') {
+            return this.mostrarConfirmacion(mensaje);
+        }
+
+        this.indicePregunta = pendiente;
+        if (pendiente >= this.obtenerPreguntasCosteo().length) {
+            return this.mostrarConfirmacion(mensaje);
+        }
+
+        this.estadoActual = 'recopilacion_datos';
+        return this.personalizarRespuesta(`${mensaje}\n\n${this.formatearPregunta(this.indicePregunta)}`);
+    }
+
+    // Respuesta a una pregunta que el usuario pidió corregir con "cambiar <dato>"
+    manejarEdicionCampo(entrada) {
+        const pregunta = this.obtenerPreguntasCosteo().find(p => p.nombre === this.campoEnEdicion);
+        const interpretacion = this.interpretarRespuesta(pregunta, entrada);
+        if (interpretacion.error) {
+            return this.personalizarRespuesta(interpretacion.error);
+        }
+
+        const estadoPrevio = this.estadoPrevioEdicion;
+        this.campoEnEdicion = null;
+        this.estadoPrevioEdicion = null;
+        return this.guardarEdicion(pregunta, interpretacion.valor, estadoPrevio);
+    }
+
+    manejarConfirmacionDatos(entrada) {
+        const comando = this.interpretarComandoEdicion(entrada);
+        if (comando) return this.manejarComandoEdicion(comando);
+
+        if (this.esAfirmacion(entrada) || /^calcula(r)?\b/.test(entrada.toLowerCase().trim())) {
+            return this.calcularResultadosSimples();
+        }
+
+        return this.mostrarConfirmacion('🤔 No entendí tu respuesta.');
+    }
+
+    manejarComandoEdicion(comando) {
+        if (comando.tipo === 'resumen') {
+            return this.personalizarRespuesta(this.generarResumenRespuestas());
+        }
+
+        if (comando.tipo === 'campo_desconocido') {
+            const campos = this.obtenerPreguntasCosteo().map(p => p.etiqueta.toLowerCase()).join(', ');
+            return this.personalizarRespuesta(`🤔 No reconozco el dato "${comando.campo}". Puedes cambiar: ${campos}.`);
+        }
+
+        if (comando.tipo === 'atras') {
+            if (this.estadoActual === 'completado') {
+                return this.personalizarRespuesta('🤔 Tu análisis ya está calculado. Para corregir un dato escribe, por ejemplo: "cambiar empaque a 3000".');
+            }
+            if (this.estadoActual === 'confirmacion_datos') {
+                this.estadoActual = 'recopilacion_datos';
+            }
+            if (this.indicePregunta === 0) {
+                return this.personalizarRespuesta(`☝️ Ya estás en la primera pregunta.\n\n${this.formatearPregunta(0)}`);
+            }
+
+            this.indicePregunta--;
+            const pregunta = this.obtenerPreguntasCosteo()[this.indicePregunta];
+            const actual = this.datosSimples[pregunta.nombre];
+            return this.personalizarRespuesta(`↩️ Volvamos a la pregunta anterior${actual !== undefined ? ` (respuesta actual: ${this.formatearValor(pregunta, actual)})` : ''}.\n\n${this.formatearPregunta(this.indicePregunta)}`);
+        }
+
+        return this.aplicarEdicion(comando);
+    }
+
     manejarRecopilacionDatos(entrada) {
         console.log('📝 manejarRecopilacionDatos - entrada:', entrada);
         console.log('📊 Estado actual - indicePregunta:', this.indicePregunta);
         console.log('📊 Estado actual - datosSimples:', this.datosSimples);
-        
-        // FLUJO SUPER SIMPLE
-        const numero = parseFloat(entrada.replace(/[^\d.-]/g, ''));
-        console.log('🔢 Número procesado:', numero);
-        
-        if (isNaN(numero) || numero < 0) {
-            return this.personalizarRespuesta("❌ Por favor ingresa solo números. Ejemplo: 50000");
-        }
-
-        // Lista simple de preguntas
-        const preguntas = [
-            { nombre: 'materia_prima', pregunta: '¿Cuánto gastaste en materia prima/insumos?' },
-            { nombre: 'mano_obra', pregunta: '¿Cuánto gastaste en mano de obra directa?' },
-            { nombre: 'empaque', pregunta: '¿Cuánto gastaste en empaque o presentación?' },
-            { nombre: 'servicios', pregunta: '¿Cuánto gastaste en servicios (luz, agua, internet)?' },
-            { nombre: 'transporte', pregunta: '¿Cuánto gastaste en transporte?' },
-            { nombre: 'marketing', pregunta: '¿Cuánto gastaste en marketing?' },
-            { nombre: 'arriendo_sueldos', pregunta: '¿Cuánto gastaste en arriendo o sueldos?' },
-            { nombre: 'otros_costos', pregunta: '¿Otros costos (préstamos, intereses)?' },
-            { nombre: 'margen_ganancia', pregunta: '¿Qué margen de ganancia deseas (%)?' }
-        ];
+
+        const preguntas = this.obtenerPreguntasCosteo();
 
         // ASEGURAR inicialización
         if (!this.datosSimples || this.indicePregunta === undefined) {
@@ -300,89 +756,190 @@ Ejemplos:
             this.indicePregunta = 0;
         }
 
+        // Navegar o corregir antes de tomar la entrada como respuesta
+        const comando = this.interpretarComandoEdicion(entrada);
+        if (comando) {
+            return this.manejarComandoEdicion(comando);
+        }
+
         // Guardar respuesta actual
         if (this.indicePregunta < preguntas.length) {
             const preguntaActual = preguntas[this.indicePregunta];
 
-            // Validate with intelligent costing if enabled
-            const validation = this.intelligentCosting.validateCostInput(
-                preguntaActual.nombre,
-                numero,
-                this.sessionId
-            );
+            // Respuesta a "¿Lo guardo así?" sobre una cifra dudosa; cualquier otra cosa es una respuesta nueva
+            const porConfirmar = this.valorPorConfirmar;
+            this.valorPorConfirmar = null;
+            const confirmada = porConfirmar && porConfirmar.nombre === preguntaActual.nombre && this.esAfirmacion(entrada);
 
-            // Show validation warnings (but don't block)
-            if (validation.type === 'warning' && validation.message) {
-                console.log(`⚠️ Validation warning for ${preguntaActual.nombre}: ${validation.message}`);
+            // Tras "atrás", un "sí" conserva la respuesta actual y sigue adelante
+            if (!porConfirmar && this.datosSimples[preguntaActual.nombre] !== undefined && this.esAfirmacion(entrada)) {
+                return this.conservarRespuesta();
             }
 
-            this.datosSimples[preguntaActual.nombre] = numero;
-            console.log('✅ Guardado:', preguntaActual.nombre, '=', numero);
-            this.indicePregunta++;
+            const interpretacion = confirmada
+                ? { valor: porConfirmar.valor }
+                : this.interpretarRespuesta(preguntaActual, entrada);
+
+            if (interpretacion.error) {
+                return this.personalizarRespuesta(interpretacion.error);
+            }
+
+            const { monto } = interpretacion;
+            if (monto && monto.confianza < this.interpreteMontos.parametros.confianza_minima) {
+                this.valorPorConfirmar = { nombre: preguntaActual.nombre, valor: monto.valor };
+                return this.personalizarRespuesta(`🤔 Entendí **${monto.eco}**${monto.nota ? ` (${monto.nota})` : ''}. ¿Lo guardo así? Responde "sí" o escribe la cifra de nuevo.`);
+            }
+
+            const valor = interpretacion.valor;
+            this.datosSimples[preguntaActual.nombre] = valor;
+            console.log('✅ Guardado:', preguntaActual.nombre, '=', valor);
+
+            // La respuesta puede cambiar las preguntas que siguen (industria, variantes)
+            this.indicePregunta = this.obtenerIndicePendiente();
             console.log('📈 Nuevo índice:', this.indicePregunta);
+
+            // ¿Hay más preguntas?
+            const siguientes = this.obtenerPreguntasCosteo();
+            if (this.indicePregunta < siguientes.length) {
+                console.log('➡️ Siguiente pregunta:', siguientes[this.indicePregunta].nombre);
+                return this.personalizarRespuesta(`${this.formatearValorGuardado(preguntaActual, valor, interpretacion)}\n\n${this.formatearPregunta(this.indicePregunta)}`);
+            }
+
+            console.log('🎉 Todas las preguntas completadas!');
+            return this.mostrarConfirmacion(this.formatearValorGuardado(preguntaActual, valor, interpretacion));
         }
 
-        // ¿Hay más preguntas?
-        if (this.indicePregunta < preguntas.length) {
-            const siguientePregunta = preguntas[this.indicePregunta];
-            console.log('➡️ Siguiente pregunta:', siguientePregunta.nombre);
-            return this.personalizarRespuesta(`✅ Guardado: $${numero.toLocaleString()}\n\n**Pregunta ${this.indicePregunta + 1}/9**\n\n${siguientePregunta.pregunta}\n\nEjemplo: ${siguientePregunta.nombre === 'margen_ganancia' ? '25' : '15000'}`);
+        // Todas las preguntas respondidas: confirmar antes de calcular
+        return this.mostrarConfirmacion();
+    }
+
+    // Pasar a la siguiente pregunta sin cambiar la actual; sin nada pendiente, "sí" confirma el cálculo
+    conservarRespuesta() {
+        const preguntas = this.obtenerPreguntasCosteo();
+        this.indicePregunta = Math.min(this.indicePregunta + 1, this.obtenerIndicePendiente());
+
+        if (this.indicePregunta >= preguntas.length) {
+            return this.calcularResultadosSimples();
         }
 
-        // ¡ANÁLISIS COMPLETO!
-        console.log('🎉 Todas las preguntas completadas!');
-        return this.calcularResultadosSimples();
+        const pregunta = preguntas[this.indicePregunta];
+        const actual = this.datosSimples[pregunta.nombre];
+        return this.personalizarRespuesta(`👍 Dejamos esa respuesta igual${actual !== undefined ? ` (siguiente respuesta actual: ${this.formatearValor(pregunta, actual)})` : ''}.\n\n${this.formatearPregunta(this.indicePregunta)}`);
+    }
+
+    // Separar respuestas del flujo simple en costos y parámetros del cálculo
+    construirDatosParaCalculos(datos) {
+        const { costos, volumen_mensual, base_costos, margen_ganancia, modo_precio, precio_competencia, regimen_tributario } = this.flujo.construirDatos(datos);
+
+        return {
+            costos,
+            margen_ganancia: margen_ganancia || 20,
+            modo_precio,
+            precio_competencia: precio_competencia || null,
+            volumen_mensual,
+            base_costos,
+            impuestos: regimen_tributario || null,
+            nombreUsuario: this.nombre_usuario || "Emprendedor",
+            timestamp: new Date().toISOString()
+        };
     }
 
     calcularResultadosSimples() {
         const datos = this.datosSimples;
-        
-        // Cálculos básicos
-        const costoTotal = 
-            (datos.materia_prima || 0) +
-            (datos.mano_obra || 0) +
-            (datos.empaque || 0) +
-            (datos.servicios || 0) +
-            (datos.transporte || 0) +
-            (datos.marketing || 0) +
-            (datos.arriendo_sueldos || 0) +
-            (datos.otros_costos || 0);
-            
-        const margen = datos.margen_ganancia || 20;
-        const precioVenta = Math.round(costoTotal * (1 + margen/100));
+        const datosParaCalculos = this.construirDatosParaCalculos(datos);
+        const resultados = this.calculadora.calcularCompleto(datosParaCalculos);
+
+        if (!resultados.exito) {
+            return this.personalizarRespuesta(`❌ Error en los cálculos: ${resultados.error}\n\nPuedes escribir "reiniciar" para comenzar de nuevo.`);
+        }
+
+        const { resumen, detalles } = resultados;
+        const costoTotal = Math.round(resumen.costoTotal);
+        const margen = resumen.margenUtilidad;
+        const precioVenta = Math.round(resumen.precioVentaSugerido);
         const ganancia = precioVenta - costoTotal;
-        const puntoEquilibrio = Math.ceil(costoTotal / ganancia) || 1;
+        const puntoEquilibrio = detalles.puntoEquilibrio.unidades;
         
+        // Respuestas vigentes del flujo, con los campos "suma_en" ya agrupados en su costo
+        const { costos: costosFlujo, ...parametrosFlujo } = this.flujo.construirDatos(datos);
+
         // GUARDAR RESULTADOS para persistencia
         this.ultimosResultados = {
             datosOriginales: {
-                costos: datos,
-                nombreUsuario: this.nombre_usuario || "Emprendedor",
-                timestamp: new Date().toISOString()
+                costos: { ...parametrosFlujo, ...costosFlujo },
+                volumen_mensual: datosParaCalculos.volumen_mensual,
+                base_costos: datosParaCalculos.base_costos,
+                modo_precio: datosParaCalculos.modo_precio,
+                precio_competencia: datosParaCalculos.precio_competencia,
+                impuestos: datosParaCalculos.impuestos,
+                nombreUsuario: datosParaCalculos.nombreUsuario,
+                timestamp: datosParaCalculos.timestamp
             },
             calculos: {
-                exito: true,
+                ...resultados,
                 costoUnitario: costoTotal,
                 precioVenta: precioVenta,
                 puntoEquilibrio: puntoEquilibrio,
                 margenGanancia: margen,
-                gananciaPorUnidad: ganancia
+                modoPrecio: resumen.modoPrecio,
+                nombreModoPrecio: resumen.nombreModoPrecio,
+                posicionamiento: resumen.posicionamiento,
+                gananciaPorUnidad: ganancia,
+                volumenMensual: resumen.volumenMensual,
+                baseCostos: datosParaCalculos.base_costos,
+                costoVariableUnitario: resumen.costoVariableUnitario,
+                costosFijosMensuales: resumen.costosFijosMensuales,
+                utilidadMensual: resumen.utilidadMensual,
+                impuestos: detalles.impuestos,
+                precioConImpuestos: resumen.precioConImpuestos,
+                margenNetoDespuesImpuestos: resumen.margenNetoDespuesImpuestos
             }
         };
         
         this.estadoActual = 'completado';
 
         // Analyze with intelligent costing
-        const analysis = this.intelligentCosting.analyzeCostStructure(datos, this.sessionId);
+        const analysis = this.intelligentCosting.analyzeCostStructure(datosParaCalculos.costos, this.sessionId);
 
         let baseMessage = `🎉 **¡ANÁLISIS COMPLETO!**
 
-📊 **RESULTADOS:**
-• **Costo total:** $${costoTotal.toLocaleString()}
+📊 **RESULTADOS:**`;
+
+        if (resumen.volumenMensual) {
+            baseMessage += `
+• **Volumen mensual:** ${resumen.volumenMensual.toLocaleString()} unidades
+• **Costo variable por unidad:** $${Math.round(resumen.costoVariableUnitario).toLocaleString()}
+• **Costos fijos del mes:** $${Math.round(resumen.costosFijosMensuales).toLocaleString()}`;
+        }
+
+        baseMessage += `
+• **Costo total por unidad:** $${costoTotal.toLocaleString()}
 • **Precio sugerido:** $${precioVenta.toLocaleString()}
 • **Ganancia por unidad:** $${ganancia.toLocaleString()}
-• **Margen:** ${margen}%
-• **Punto de equilibrio:** ${puntoEquilibrio} unidades`;
+• **Margen:** ${this.calculadora.describirMargen(resumen)}`;
+
+        if (resumen.posicionamiento) {
+            baseMessage += `\n• **Competencia:** $${Math.round(resumen.posicionamiento.precioCompetencia).toLocaleString()}. ${resumen.posicionamiento.mensaje}`;
+        }
+
+        // Precios psicológicos alternativos (terminados en 900/990 y múltiplos de 500)
+        const sugerencias = detalles.precio.sugerencias
+            .filter(s => ['terminado_900', 'terminado_990', 'multiplo_500'].includes(s.estrategia) && s.precio !== precioVenta);
+        if (sugerencias.length > 0) {
+            baseMessage += `\n• **Precios redondos:** ${sugerencias.map(s => `$${s.precio.toLocaleString()} (${s.margenSobrePrecio}% del precio)`).join(' · ')}`;
+        }
+
+        baseMessage += puntoEquilibrio
+            ? `\n• **Punto de equilibrio:** ${puntoEquilibrio.toLocaleString()} unidades al mes`
+            : `\n• **Punto de equilibrio:** no alcanzable, ${detalles.puntoEquilibrio.error}`;
+
+        if (resumen.utilidadMensual !== null) {
+            baseMessage += `\n• **Utilidad mensual estimada:** $${Math.round(resumen.utilidadMensual).toLocaleString()}`;
+        }
+
+        if (detalles.impuestos) {
+            baseMessage += `\n\n${this.calculadora.generarResumenImpuestos(detalles.impuestos).trim()}`;
+        }
 
         // Add intelligent insights if available
         if (analysis.industryComparison) {
@@ -398,14 +955,20 @@ Ejemplos:
             analysis.recommendations.slice(0, 4).forEach(rec => {
                 baseMessage += `\n✅ ${rec}`;
             });
-        } else {
+        } else if (puntoEquilibrio) {
             // Fallback to basic recommendations
-            baseMessage += `\n✅ Con estos números, necesitas vender ${puntoEquilibrio} unidades para cubrir costos`;
-            baseMessage += `\n✅ Cada unidad adicional te dará $${ganancia.toLocaleString()} de ganancia`;
+            baseMessage += `\n✅ Con estos números, necesitas vender ${puntoEquilibrio} unidades al mes para cubrir costos`;
+            if (resumen.volumenMensual && resumen.volumenMensual < puntoEquilibrio) {
+                baseMessage += `\n⚠️ Tu volumen esperado (${resumen.volumenMensual}) no alcanza el equilibrio: revisa precio o costos fijos`;
+            }
+            baseMessage += `\n✅ Cada unidad adicional te dará $${Math.round(detalles.puntoEquilibrio.margenContribucion).toLocaleString()} de margen de contribución`;
             baseMessage += `\n✅ Considera ajustar precios si el mercado lo permite`;
+        } else {
+            baseMessage += `\n⚠️ Tu precio no cubre el costo variable por unidad: sube el margen o reduce costos variables`;
         }
 
         baseMessage += `\n\n🚀 **¡Tu negocio tiene potencial! Sigue estos números para crecer.**`;
+        baseMessage += `\n\n🎯 ¿Tienes una meta? Pregúntame, por ejemplo: "quiero ganar 3 millones al mes, ¿qué precio necesito?"`;
 
         return this.personalizarRespuesta(baseMessage);
     }
@@ -440,6 +1003,10 @@ Ejemplos:
     manejarPresentacionResultados(entrada) {
         const entradaLimpia = entrada.toLowerCase().trim();
         
+        // Preguntas de meta antes que los comandos ("otros costos" contiene "otro")
+        const meta = this.responderPreguntaObjetivo(entrada);
+        if (meta) return meta;
+
         if (this.contienePatron(entradaLimpia, ['recomendaciones', 'consejos', 'sugerencias'])) {
             this.estadoActual = 'recomendaciones';
             return this.generarYMostrarRecomendaciones();
@@ -549,7 +1116,15 @@ Ejemplos:
 
     manejarSesionCompleta(entrada) {
         const entradaLimpia = entrada.toLowerCase().trim();
+
+        // Corregir un dato recalcula el análisis
+        const comando = this.interpretarComandoEdicion(entrada);
+        if (comando) return this.manejarComandoEdicion(comando);
         
+        // Preguntas de meta antes que los comandos ("otros costos" contiene "otro")
+        const meta = this.responderPreguntaObjetivo(entrada);
+        if (meta) return meta;
+
         if (this.contienePatron(entradaLimpia, ['nuevo', 'otro', 'reiniciar'])) {
             return this.reiniciarSesion();
         }
@@ -559,7 +1134,37 @@ Ejemplos:
             return "📄 **¿En qué formato quieres el reporte?**\n\n• Escribe \"html\" para reporte web\n• Escribe \"txt\" para texto plano";
         }
 
-        return `¡Gracias por usar IAtiva! 🧠✨\n\n🔍 **Opciones disponibles:**\n• **\"nuevo\"** - Hacer otro análisis de costeo\n• **\"reporte\"** - Generar otro reporte\n• **\"salir\"** - Terminar sesión\n\n💼 Para asesoría personalizada: ${this.config.agente.contacto}`;
+        return `¡Gracias por usar IAtiva! 🧠✨\n\n🔍 **Opciones disponibles:**\n• **\"nuevo\"** - Hacer otro análisis de costeo\n• **\"cambiar empaque a 3000\"** - Corregir un dato y recalcular\n• **\"resumen\"** - Ver tus respuestas\n• **\"reporte\"** - Generar otro reporte\n• **Una meta** - \"quiero ganar 3 millones, ¿cuántas unidades debo vender?\"\n• **\"salir\"** - Terminar sesión\n\n💼 Para asesoría personalizada: ${this.config.agente.contacto}`;
+    }
+
+    // Responder preguntas de meta sobre el último análisis (precio, volumen o costo máximo)
+    responderPreguntaObjetivo(entrada) {
+        if (!this.ultimosResultados) return null;
+
+        const pregunta = this.calculadoraObjetivos.interpretarPregunta(entrada);
+        if (!pregunta) return null;
+
+        const { datosOriginales, calculos } = this.ultimosResultados;
+        const solucion = this.calculadoraObjetivos.resolver(datosOriginales, {
+            ...pregunta,
+            precio: calculos.resumen.precioVentaSugerido
+        });
+
+        if (!solucion.exito) {
+            return this.personalizarRespuesta(`❌ No pude resolver tu meta: ${solucion.error}`);
+        }
+
+        let respuesta = `🎯 **META:** ${solucion.mensaje}`;
+        if (solucion.factible) {
+            respuesta += `\n\n• Ventas del mes: $${Math.round(solucion.resultado.ingresos).toLocaleString()}`;
+            respuesta += `\n• Costos del mes: $${Math.round(solucion.resultado.costosTotales).toLocaleString()}`;
+            respuesta += `\n• Utilidad: $${Math.round(solucion.resultado.utilidadMensual).toLocaleString()} (${solucion.resultado.margen}% sobre ventas)`;
+        }
+        solucion.advertencias.forEach(advertencia => {
+            respuesta += `\n⚠️ ${advertencia}`;
+        });
+
+        return this.personalizarRespuesta(respuesta);
     }
 
     async manejarSolicitudReporte(entrada) {
@@ -596,10 +1201,23 @@ Ejemplos:
         return `${despedida}\n\n🔍 **¿Qué más puedo hacer por ti?**\n• **\"nuevo\"** - Realizar otro análisis\n• **\"salir\"** - Terminar sesión`;
     }
 
+    // Volver a mostrar la pregunta pendiente o la confirmación, según el punto del flujo
+    retomarFlujo(prefijo) {
+        if (this.estadoActual === 'confirmacion_datos') {
+            return this.mostrarConfirmacion(prefijo);
+        }
+        return this.personalizarRespuesta(`${prefijo}\n\n${this.formatearPregunta(this.indicePregunta)}`);
+    }
+
     reiniciarSesion() {
+        this.reinicioPorConfirmar = false;
         this.recopilador.reiniciarSesion();
         this.estadoActual = 'bienvenida';
         this.ultimosResultados = null;
+        this.datosSimples = {};
+        this.indicePregunta = 0;
+        this.campoEnEdicion = null;
+        this.estadoPrevioEdicion = null;
         
         return "🔄 **Sesión reiniciada**\n\n¡Perfecto! Empecemos un nuevo análisis de costeo y proyecciones.\n\n" + this.manejarBienvenida();
     }
@@ -611,7 +1229,7 @@ Ejemplos:
 
     detener() {
         this.activo = false;
-        const stats = this.recopilador.obtenerEstadisticasSesion();
+        const stats = this.recopilador.obtenerEstadisticasSesion(this.datosSimples || {});
         
         console.log('\n=====================================');
         console.log(`¡Gracias por usar ${this.nombre}!`);
@@ -664,6 +1282,8 @@ Ejemplos:
         ayuda += `**💰 Comandos de Análisis:**\n`;
         ayuda += `• progreso - Ver avance de recopilación\n`;
         ayuda += `• resumen - Ver datos ingresados\n`;
+        ayuda += `• atrás - Volver a la pregunta anterior\n`;
+        ayuda += `• cambiar <dato> a <valor> - Corregir una respuesta (ej: cambiar empaque a 3000)\n`;
         ayuda += `• recomendaciones - Consejos personalizados\n`;
         ayuda += `• plan - Plan de acción de 30 días\n`;
         ayuda += `• reporte - Generar documento descargable\n\n`;
@@ -689,7 +1309,7 @@ Ejemplos:
     }
 
     mostrarEstadisticas() {
-        const stats = this.recopilador.obtenerEstadisticasSesion();
+        const stats = this.recopilador.obtenerEstadisticasSesion(this.datosSimples || {});
         
         let mensaje = `\n📊 **ESTADÍSTICAS DE LA SESIÓN**\n\n`;
         
@@ -713,20 +1333,27 @@ Ejemplos:
             mensaje += `📄 Reportes: Disponibles para generar\n`;
         }
         
-        mensaje += `\n${this.recopilador.mostrarProgreso()}`;
+        mensaje += `\n${this.recopilador.mostrarProgreso(this.datosSimples || {})}`;
         
         return mensaje;
     }
 
     // Métodos de utilidad
-    esComandoSalida(entrada) {
+    // Intención del mensaje según el clasificador, solo si alcanza la confianza exigida a los
+    // comandos: una respuesta al flujo no debe confundirse con "reiniciar" o "salir"
+    clasificarComando(entrada) {
+        const resultado = clasificador.clasificar(entrada);
+        return resultado.confianza >= clasificador.parametros.umbral_comandos ? resultado.intencion : null;
+    }
+
+    esComandoSalida(entrada, intencion = null) {
         const comandos = ['salir', 'exit', 'quit', 'adios', 'bye', 'chao', 'gracias'];
-        return comandos.includes(entrada);
+        return comandos.includes(entrada) || intencion === 'despedida';
     }
 
-    esComandoAyuda(entrada) {
+    esComandoAyuda(entrada, intencion = null) {
         const comandos = ['ayuda', 'help', '?', 'comandos'];
-        return comandos.includes(entrada);
+        return comandos.includes(entrada) || intencion === 'ayuda';
     }
 
     esComandoLimpiar(entrada) {
@@ -734,9 +1361,9 @@ Ejemplos:
         return comandos.includes(entrada);
     }
 
-    esComandoReiniciar(entrada) {
+    esComandoReiniciar(entrada, intencion = null) {
         const comandos = ['reiniciar', 'nuevo', 'empezar', 'reset'];
-        return comandos.includes(entrada);
+        return comandos.includes(entrada) || intencion === 'reiniciar';
     }
 
     esComandoEstadisticas(entrada) {
@@ -744,9 +1371,9 @@ Ejemplos:
         return comandos.includes(entrada);
     }
 
-    esComandoReporte(entrada) {
+    esComandoReporte(entrada, intencion = null) {
         const comandos = ['reporte', 'informe', 'documento', 'pdf', 'excel', 'descargar'];
-        return comandos.some(cmd => entrada.includes(cmd));
+        return comandos.some(cmd => entrada.includes(cmd)) || intencion === 'reporte';
     }
 
     contienePatron(texto, patrones) {
@@ -754,7 +1381,7 @@ Ejemplos:
     }
 
     obtenerInformacion() {
-        const stats = this.recopilador.obtenerEstadisticasSesion();
+        const stats = this.recopilador.obtenerEstadisticasSesion(this.datosSimples || {});
         
         return {
             nombre: this.nombre,
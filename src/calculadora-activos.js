@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Calculadora de Activos Fijos
+ * Lleva el registro de equipos, vehículos y demás activos del negocio, calcula su
+ * depreciación mensual (línea recta o unidades de producción) y la reserva de
+ * mantenimiento, y las incorpora a la bolsa de costos fijos
+ */
+
+class CalculadoraActivos {
+    constructor(datos = {}) {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.activos_fijos;
+        this.activos = { ...(datos.activos || {}) };
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    procesarNumero(valor) {
+        const numero = parseFloat(valor);
+        return isNaN(numero) ? null : numero;
+    }
+
+    // Generar identificador a partir del nombre
+    generarId(nombre) {
+        return nombre.toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+    }
+
+    // Normalizar el método de depreciación: 'linea_recta' (por defecto) o 'unidades_produccion'
+    normalizarMetodo(metodo) {
+        const texto = (metodo || '').toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (!texto || /linea|recta|lineal/.test(texto)) return 'linea_recta';
+        if (/unidad|produccion|uso/.test(texto)) return 'unidades_produccion';
+        throw new Error(`Método de depreciación no reconocido: "${metodo}"`);
+    }
+
+    // Fecha en formato AAAA-MM-DD; por defecto hoy
+    procesarFecha(fecha) {
+        if (!fecha) return new Date().toISOString().slice(0, 10);
+
+        const coincidencia = fecha.toString().match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const valida = coincidencia && !isNaN(new Date(fecha).getTime());
+        if (!valida) {
+            throw new Error(`Fecha no válida: "${fecha}" (usa el formato AAAA-MM-DD)`);
+        }
+        return `${coincidencia[1]}-${coincidencia[2].padStart(2, '0')}-${coincidencia[3].padStart(2, '0')}`;
+    }
+
+    // Meses completos entre la fecha de compra y la fecha de corte
+    mesesTranscurridos(desde, hasta) {
+        const [anioDesde, mesDesde, diaDesde] = desde.split('-').map(Number);
+        const [anioHasta, mesHasta, diaHasta] = hasta.split('-').map(Number);
+        const meses = (anioHasta - anioDesde) * 12 + (mesHasta - mesDesde) - (diaHasta < diaDesde ? 1 : 0);
+        return Math.max(0, meses);
+    }
+
+    // Registrar o actualizar un activo del negocio
+    registrarActivo(datos) {
+        if (!datos || !datos.nombre) {
+            throw new Error('El activo necesita un nombre');
+        }
+
+        const costoCompra = this.procesarNumero(datos.costo_compra);
+        if (costoCompra === null || costoCompra <= 0) {
+            throw new Error(`El activo "${datos.nombre}" necesita un costo de compra mayor a cero`);
+        }
+
+        const tipo = this.parametros.tipos[datos.tipo] ? datos.tipo : 'otros';
+        const configTipo = this.parametros.tipos[tipo];
+        const metodo = this.normalizarMetodo(datos.metodo);
+        const vidaUtil = this.procesarNumero(datos.vida_util_anios) || configTipo.vida_util_anios;
+        const valorResidual = this.procesarNumero(datos.valor_residual) !== null
+            ? this.procesarNumero(datos.valor_residual)
+            : this.redondear(costoCompra * this.parametros.valor_residual_porcentaje_por_defecto / 100);
+        const mantenimiento = this.procesarNumero(datos.mantenimiento_anual_porcentaje) !== null
+            ? this.procesarNumero(datos.mantenimiento_anual_porcentaje)
+            : configTipo.mantenimiento_anual_porcentaje;
+        const unidadesTotales = this.procesarNumero(datos.unidades_totales);
+
+        if (vidaUtil <= 0) {
+            throw new Error(`La vida útil de "${datos.nombre}" debe ser mayor a cero`);
+        }
+        if (valorResidual < 0 || valorResidual >= costoCompra) {
+            throw new Error(`El valor residual de "${datos.nombre}" debe ser menor que su costo de compra`);
+        }
+        if (mantenimiento < 0) {
+            throw new Error(`La reserva de mantenimiento de "${datos.nombre}" no puede ser negativa`);
+        }
+        if (metodo === 'unidades_produccion' && !(unidadesTotales > 0)) {
+            throw new Error(`Indica cuántas unidades producirá "${datos.nombre}" en toda su vida útil`);
+        }
+
+        const id = datos.id || this.generarId(datos.nombre);
+        this.activos[id] = {
+            id,
+            nombre: datos.nombre,
+            tipo,
+            costo_compra: costoCompra,
+            fecha_compra: this.procesarFecha(datos.fecha_compra),
+            vida_util_anios: vidaUtil,
+            valor_residual: valorResidual,
+            metodo,
+            unidades_totales: metodo === 'unidades_produccion' ? unidadesTotales : null,
+            unidades_mes: this.procesarNumero(datos.unidades_mes),
+            unidades_acumuladas: this.procesarNumero(datos.unidades_acumuladas),
+            mantenimiento_anual_porcentaje: mantenimiento
+        };
+
+        return this.activos[id];
+    }
+
+    // Dar de baja un activo del registro
+    eliminarActivo(id) {
+        if (!this.activos[id]) {
+            throw new Error(`Activo no encontrado: "${id}"`);
+        }
+        const activo = this.activos[id];
+        delete this.activos[id];
+        return activo;
+    }
+
+    // Depreciación del mes, acumulada, valor en libros y reserva de mantenimiento de un activo
+    // Por unidades de producción se usan las unidades del activo o, si no las tiene, el volumen mensual
+    calcularActivo(id, opciones = {}) {
+        const activo = this.activos[id];
+        if (!activo) {
+            throw new Error(`Activo no encontrado: "${id}"`);
+        }
+
+        const fechaCorte = this.procesarFecha(opciones.fecha_corte);
+        const meses = this.mesesTranscurridos(activo.fecha_compra, fechaCorte);
+        const valorDepreciable = activo.costo_compra - activo.valor_residual;
+        let depreciacionAcumulada;
+        let depreciacionMensual;
+        let vidaRestanteMeses;
+        let advertencia = null;
+
+        if (activo.metodo === 'unidades_produccion') {
+            const unidadesMes = activo.unidades_mes || this.procesarNumero(opciones.volumen_mensual) || 0;
+            const porUnidad = valorDepreciable / activo.unidades_totales;
+            const unidadesUsadas = activo.unidades_acumuladas !== null && activo.unidades_acumuladas !== undefined
+                ? activo.unidades_acumuladas
+                : unidadesMes * meses;
+
+            depreciacionAcumulada = Math.min(valorDepreciable, porUnidad * unidadesUsadas);
+            depreciacionMensual = Math.min(porUnidad * unidadesMes, valorDepreciable - depreciacionAcumulada);
+            vidaRestanteMeses = unidadesMes > 0
+                ? Math.ceil((valorDepreciable - depreciacionAcumulada) / (porUnidad * unidadesMes))
+                : null;
+            if (!unidadesMes) {
+                advertencia = `Sin unidades por mes no se puede depreciar "${activo.nombre}" por unidades de producción`;
+            }
+        } else {
+            const vidaMeses = activo.vida_util_anios * 12;
+            const cuotaMensual = valorDepreciable / vidaMeses;
+
+            depreciacionAcumulada = Math.min(valorDepreciable, cuotaMensual * meses);
+            depreciacionMensual = Math.min(cuotaMensual, valorDepreciable - depreciacionAcumulada);
+            vidaRestanteMeses = Math.max(0, vidaMeses - meses);
+        }
+
+        const totalmenteDepreciado = depreciacionAcumulada >= valorDepreciable;
+
+        return {
+            id: activo.id,
+            nombre: activo.nombre,
+            tipo: activo.tipo,
+            nombreTipo: this.parametros.tipos[activo.tipo].nombre,
+            metodo: activo.metodo,
+            nombreMetodo: this.parametros.metodos[activo.metodo],
+            costoCompra: activo.costo_compra,
+            fechaCompra: activo.fecha_compra,
+            valorResidual: activo.valor_residual,
+            mesesTranscurridos: meses,
+            vidaRestanteMeses,
+            depreciacionMensual: this.redondear(depreciacionMensual),
+            depreciacionAcumulada: this.redondear(depreciacionAcumulada),
+            valorEnLibros: this.redondear(activo.costo_compra - depreciacionAcumulada),
+            totalmenteDepreciado,
+            // La reserva de mantenimiento sigue mientras el activo esté en uso
+            mantenimientoMensual: this.redondear(activo.costo_compra * activo.mantenimiento_anual_porcentaje / 100 / 12),
+            advertencia
+        };
+    }
+
+    // Método principal: calcular el registro completo a una fecha de corte
+    calcularRegistro(opciones = {}) {
+        try {
+            const activos = Object.keys(this.activos).map(id => this.calcularActivo(id, opciones));
+            const sumar = campo => this.redondear(activos.reduce((sum, activo) => sum + activo[campo], 0));
+            const depreciacionMensual = sumar('depreciacionMensual');
+            const mantenimientoMensual = sumar('mantenimientoMensual');
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                fechaCorte: this.procesarFecha(opciones.fecha_corte),
+                activos,
+                resumen: {
+                    cantidad: activos.length,
+                    costoCompraTotal: sumar('costoCompra'),
+                    valorEnLibros: sumar('valorEnLibros'),
+                    depreciacionAcumulada: sumar('depreciacionAcumulada'),
+                    depreciacionMensual,
+                    mantenimientoMensual,
+                    totalMensual: this.redondear(depreciacionMensual + mantenimientoMensual),
+                    totalmenteDepreciados: activos.filter(activo => activo.totalmenteDepreciado).length
+                },
+                advertencias: activos.filter(activo => activo.advertencia).map(activo => activo.advertencia)
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    // Llevar el registro a los costos: depreciación y mantenimiento como costos fijos mensuales
+    aplicarACostos(costos = {}, registro) {
+        return {
+            costos: {
+                ...costos,
+                depreciacion: registro.resumen.depreciacionMensual,
+                mantenimiento: registro.resumen.mantenimientoMensual
+            },
+            base_costos: {
+                depreciacion: 'mes',
+                mantenimiento: 'mes'
+            }
+        };
+    }
+
+    toJSON() {
+        return {
+            activos: this.activos
+        };
+    }
+}
+
+module.exports = CalculadoraActivos;
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const CalculadoraMezclaProductos = require('./calculadora-mezcla-productos');
+
+const { COSTOS_FIJOS } = require('./calculadora-financiera');
+
+/**
+ * Calculadora de Costeo Basado en Actividades (ABC)
+ * Reparte los costos indirectos de cada categoría fija entre los productos según un
+ * conductor (horas máquina, horas de mano de obra, metros cuadrados, unidades o
+ * participación en ingresos) y entrega el costo unitario completo de cada producto
+ * junto a su costo variable de contribución
+ */
+
+const NOMBRES_CATEGORIA = {
+    servicios: 'Servicios',
+    marketing: 'Marketing',
+    arriendo_sueldos: 'Arriendo y sueldos',
+    otros_costos: 'Otros costos',
+    depreciacion: 'Depreciación de activos',
+    mantenimiento: 'Mantenimiento de activos',
+    nomina_administrativa: 'Nómina administrativa'
+};
+
+class CalculadoraCosteoABC {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.costeo_indirectos;
+        this.mezcla = new CalculadoraMezclaProductos();
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    // Conductor de cada categoría: el enviado, el configurado o el de por defecto
+    resolverConductores(conductoresPorCategoria = {}) {
+        const conductores = this.parametros.conductores;
+
+        return COSTOS_FIJOS.reduce((obj, categoria) => {
+            const conductor = conductoresPorCategoria[categoria]
+                || this.parametros.conductores_por_categoria[categoria]
+                || this.parametros.conductor_por_defecto;
+            if (!conductores[conductor]) {
+                throw new Error(`Conductor no válido para ${NOMBRES_CATEGORIA[categoria].toLowerCase()}: "${conductor}"`);
+            }
+            obj[categoria] = conductor;
+            return obj;
+        }, {});
+    }
+
+    // Consumo mensual de un conductor por producto; unidades e ingresos salen del volumen y el precio
+    medirConductor(producto, conductor) {
+        if (conductor === 'unidades') return producto.volumenMensual;
+        if (conductor === 'participacion_ingresos') return producto.precio * producto.volumenMensual;
+        return Math.max(0, parseFloat((producto.conductores || {})[conductor]) || 0);
+    }
+
+    // Método principal: asignar los costos indirectos del mes a cada producto
+    calcularAsignacion(datos) {
+        try {
+            const productos = Array.isArray(datos.productos) ? datos.productos : [];
+
+            if (productos.length === 0) {
+                throw new Error('Debes registrar al menos un producto para asignar costos indirectos');
+            }
+
+            const indirectos = this.mezcla.calcularCostosFijos(datos.costos_indirectos);
+            if (indirectos.total <= 0 || Object.keys(indirectos.detalle).length === 0) {
+                throw new Error('Indica los costos indirectos del mes por categoría (servicios, arriendo, etc.)');
+            }
+
+            const conductoresPorCategoria = this.resolverConductores(datos.conductores_por_categoria);
+            const advertencias = [];
+
+            const detalleProductos = productos.map((producto, i) => {
+                const nombre = producto.nombre || `Producto ${i + 1}`;
+                const precio = this.mezcla.calculadora.procesarValorNumerico(producto.precio);
+                const volumenMensual = this.mezcla.calculadora.procesarVolumen(producto.volumen_mensual);
+
+                if (precio <= 0) {
+                    throw new Error(`El producto "${nombre}" necesita un precio de venta mayor a cero`);
+                }
+                if (!volumenMensual) {
+                    throw new Error(`El producto "${nombre}" necesita su volumen mensual para repartir los costos indirectos`);
+                }
+
+                const variable = this.mezcla.calcularCostoVariableProducto(producto);
+                advertencias.push(...variable.advertencias);
+
+                return {
+                    nombre,
+                    precio,
+                    volumenMensual,
+                    conductores: producto.conductores,
+                    costoVariableUnitario: variable.costoVariableUnitario
+                };
+            });
+
+            // Tasa por unidad de conductor de cada categoría
+            const tasas = Object.entries(indirectos.detalle)
+                .filter(([, costo]) => costo > 0)
+                .map(([categoria, costo]) => {
+                    let conductor = conductoresPorCategoria[categoria];
+                    let consumos = detalleProductos.map(p => this.medirConductor(p, conductor));
+
+                    // Si nadie reporta el conductor se reparte por el de por defecto
+                    if (consumos.every(consumo => consumo === 0)) {
+                        const porDefecto = this.parametros.conductor_por_defecto;
+                        advertencias.push(`Ningún producto reporta ${this.parametros.conductores[conductor].nombre.toLowerCase()}; ${NOMBRES_CATEGORIA[categoria].toLowerCase()} se reparte por ${this.parametros.conductores[porDefecto].nombre.toLowerCase()}.`);
+                        conductor = porDefecto;
+                        consumos = detalleProductos.map(p => this.medirConductor(p, conductor));
+                    }
+
+                    const totalConductor = consumos.reduce((sum, consumo) => sum + consumo, 0);
+
+                    return {
+                        categoria,
+                        nombre: NOMBRES_CATEGORIA[categoria],
+                        costo,
+                        conductor,
+                        nombreConductor: this.parametros.conductores[conductor].nombre,
+                        unidadConductor: this.parametros.conductores[conductor].unidad,
+                        totalConductor: this.redondear(totalConductor),
+                        tasa: this.redondear(costo / totalConductor),
+                        consumos
+                    };
+                });
+
+            const resultadoProductos = detalleProductos.map((producto, i) => {
+                const asignados = tasas.reduce((obj, tasa) => {
+                    obj[tasa.categoria] = this.redondear(tasa.costo * tasa.consumos[i] / tasa.totalConductor);
+                    return obj;
+                }, {});
+                const indirectosMensuales = Object.values(asignados).reduce((sum, valor) => sum + valor, 0);
+                const indirectoUnitario = indirectosMensuales / producto.volumenMensual;
+                const costoUnitarioCompleto = producto.costoVariableUnitario + indirectoUnitario;
+                const utilidadUnitaria = producto.precio - costoUnitarioCompleto;
+
+                return {
+                    nombre: producto.nombre,
+                    precio: producto.precio,
+                    volumenMensual: producto.volumenMensual,
+                    costoVariableUnitario: producto.costoVariableUnitario,
+                    margenContribucion: this.redondear(producto.precio - producto.costoVariableUnitario),
+                    indirectosAsignados: asignados,
+                    indirectosMensuales: this.redondear(indirectosMensuales),
+                    indirectoUnitario: this.redondear(indirectoUnitario),
+                    costoUnitarioCompleto: this.redondear(costoUnitarioCompleto),
+                    utilidadUnitaria: this.redondear(utilidadUnitaria),
+                    margenSobrePrecio: this.redondear((utilidadUnitaria / producto.precio) * 100),
+                    utilidadMensual: this.redondear(utilidadUnitaria * producto.volumenMensual),
+                    rentable: utilidadUnitaria > 0
+                };
+            });
+
+            const conPerdida = resultadoProductos.filter(p => !p.rentable);
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                resumen: {
+                    cantidadProductos: resultadoProductos.length,
+                    costosIndirectosTotales: indirectos.total,
+                    utilidadMensual: this.redondear(resultadoProductos.reduce((sum, p) => sum + p.utilidadMensual, 0)),
+                    productosConPerdida: conPerdida.map(p => p.nombre)
+                },
+                tasas: tasas.map(({ consumos, ...tasa }) => tasa),
+                productos: resultadoProductos,
+                advertencias,
+                conclusion: conPerdida.length > 0
+                    ? `Con los costos indirectos repartidos, ${conPerdida.map(p => p.nombre).join(', ')} no cubre su costo completo: revisa su precio o cuánto consume de cada actividad`
+                    : 'Todos los productos cubren su costo completo, incluidos los costos indirectos'
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+}
+
+module.exports = CalculadoraCosteoABC;
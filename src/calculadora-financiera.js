@@ -1,5 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const CalculadoraImpuestos = require('./calculadora-impuestos');
+
+// Categorías de costo según su comportamiento frente al volumen
+const COSTOS_VARIABLES = ['materia_prima', 'mano_obra', 'empaque', 'transporte'];
+const COSTOS_FIJOS = ['servicios', 'marketing', 'arriendo_sueldos', 'otros_costos', 'depreciacion', 'mantenimiento', 'nomina_administrativa'];
+
+// Bases en las que el usuario puede declarar cada costo
+const BASE_UNIDAD = 'unidad';
+const BASE_MES = 'mes';
 
 class CalculadoraFinanciera {
     constructor() {
@@ -27,10 +36,89 @@ class CalculadoraFinanciera {
         return isNaN(numero) ? 0 : Math.max(0, numero);
     }
 
-    // Validar porcentaje
+    // Validar porcentaje de ganancia: los mismos límites que acepta el flujo guiado (1% a 300% de markup)
     procesarPorcentaje(valor) {
+        const { margen_minimo, markup_maximo } = this.config.precios;
         const numero = this.procesarValorNumerico(valor);
-        return Math.max(5, Math.min(100, numero));
+        return Math.max(margen_minimo, Math.min(markup_maximo, numero));
+    }
+
+    // Validar volumen mensual esperado (unidades producidas/vendidas)
+    procesarVolumen(valor) {
+        const numero = Math.floor(this.procesarValorNumerico(valor));
+        return numero > 0 ? numero : null;
+    }
+
+    // Normalizar la base declarada de un costo ('unidad' o 'mes')
+    normalizarBase(base) {
+        if (!base) return null;
+        const texto = base.toString().toLowerCase().trim();
+        if (['unidad', 'unitario', 'por unidad', 'u'].includes(texto)) return BASE_UNIDAD;
+        if (['mes', 'mensual', 'por mes', 'm'].includes(texto)) return BASE_MES;
+        return null;
+    }
+
+    // Obtener la base de un costo: la declarada o la natural de su categoría
+    obtenerBaseCosto(tipo, baseCostos) {
+        const declarada = typeof baseCostos === 'string'
+            ? this.normalizarBase(baseCostos)
+            : this.normalizarBase((baseCostos || {})[tipo]);
+
+        if (declarada) return declarada;
+        return COSTOS_VARIABLES.includes(tipo) ? BASE_UNIDAD : BASE_MES;
+    }
+
+    // Derivar costo variable unitario y bolsa de costos fijos mensuales
+    calcularEstructuraCostos(costos, opciones = {}) {
+        const volumenMensual = this.procesarVolumen(opciones.volumen_mensual);
+        const advertencias = [];
+        const detalle = {};
+
+        let costoVariableUnitario = 0;
+        let costosFijosMensuales = 0;
+
+        [...COSTOS_VARIABLES, ...COSTOS_FIJOS].forEach(tipo => {
+            const valor = this.procesarValorNumerico(costos[tipo]);
+            const base = this.obtenerBaseCosto(tipo, opciones.base_costos);
+            const esVariable = COSTOS_VARIABLES.includes(tipo);
+            let unitario = valor;
+            let mensual = valor;
+
+            if (volumenMensual) {
+                unitario = base === BASE_UNIDAD ? valor : valor / volumenMensual;
+                mensual = base === BASE_MES ? valor : valor * volumenMensual;
+            } else if (valor > 0 && base !== (esVariable ? BASE_UNIDAD : BASE_MES)) {
+                // Sin volumen no hay forma de convertir entre bases
+                advertencias.push(`No se pudo convertir ${tipo} de "${base}" sin volumen mensual; se usa el valor tal cual.`);
+            }
+
+            if (esVariable) {
+                costoVariableUnitario += unitario;
+            } else {
+                costosFijosMensuales += mensual;
+            }
+
+            detalle[tipo] = {
+                valor,
+                base,
+                tipo: esVariable ? 'variable' : 'fijo',
+                unitario: Math.round(unitario * 100) / 100,
+                mensual: Math.round(mensual * 100) / 100
+            };
+        });
+
+        const costoUnitarioTotal = volumenMensual
+            ? costoVariableUnitario + costosFijosMensuales / volumenMensual
+            : costoVariableUnitario + costosFijosMensuales;
+
+        return {
+            volumenMensual,
+            costoVariableUnitario: Math.round(costoVariableUnitario * 100) / 100,
+            costosFijosMensuales: Math.round(costosFijosMensuales * 100) / 100,
+            costoUnitarioTotal: Math.round(costoUnitarioTotal * 100) / 100,
+            detalle,
+            advertencias
+        };
     }
 
     // Calcular costo total
@@ -43,7 +131,10 @@ class CalculadoraFinanciera {
             transporte: this.procesarValorNumerico(costos.transporte),
             marketing: this.procesarValorNumerico(costos.marketing),
             arriendo_sueldos: this.procesarValorNumerico(costos.arriendo_sueldos),
-            otros_costos: this.procesarValorNumerico(costos.otros_costos)
+            otros_costos: this.procesarValorNumerico(costos.otros_costos),
+            depreciacion: this.procesarValorNumerico(costos.depreciacion),
+            mantenimiento: this.procesarValorNumerico(costos.mantenimiento),
+            nomina_administrativa: this.procesarValorNumerico(costos.nomina_administrativa)
         };
 
         const total = Object.values(costosProcesados).reduce((sum, valor) => sum + valor, 0);
@@ -54,63 +145,138 @@ class CalculadoraFinanciera {
         };
     }
 
+    // Normalizar el modo de precio: 'markup' (sobre el costo) o 'margen' (sobre el precio)
+    normalizarModoPrecio(modo) {
+        const texto = (modo || '').toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (/markup|recargo|sobre\s*(el\s*)?costo|^costo$/.test(texto)) return 'markup';
+        if (/margen|sobre\s*(el\s*)?precio|^precio$|bruto/.test(texto)) return 'margen';
+        return null;
+    }
+
+    obtenerNombreModoPrecio(modo) {
+        const precios = this.config.precios;
+        return precios.modos[this.normalizarModoPrecio(modo) || precios.modo_por_defecto];
+    }
+
+    // Redondear un precio con una estrategia comercial sin quedar por debajo de `minimo`
+    redondearPrecio(precio, estrategia, minimo = 0) {
+        const terminado = estrategia && estrategia.match(/^terminado_(\d+)$/);
+        const multiplo = estrategia && estrategia.match(/^multiplo_(\d+)$/);
+
+        if (terminado) {
+            // Siguiente precio que termina en la cifra indicada (7.410 -> 7.900)
+            const final = parseInt(terminado[1]);
+            const paso = Math.pow(10, terminado[1].length);
+            return Math.max(final, Math.ceil((precio - final) / paso) * paso + final);
+        }
+
+        if (multiplo) {
+            const paso = parseInt(multiplo[1]);
+            const cercano = Math.round(precio / paso) * paso;
+            return cercano >= minimo ? cercano : Math.ceil(minimo / paso) * paso;
+        }
+
+        return precio;
+    }
+
+    // Ubicar el precio frente al de la competencia (por debajo, en el mercado o por encima)
+    calcularPosicionamiento(precio, precioCompetencia) {
+        const competencia = this.procesarValorNumerico(precioCompetencia);
+        if (!competencia) return null;
+
+        const tolerancia = this.config.precios.tolerancia_mercado_porcentaje;
+        const diferencia = ((precio - competencia) / competencia) * 100;
+        const posicion = diferencia < -tolerancia ? 'por_debajo' : (diferencia > tolerancia ? 'por_encima' : 'en_mercado');
+        const mensajes = {
+            por_debajo: 'Tu precio está por debajo del mercado: tienes espacio para subirlo sin perder competitividad',
+            en_mercado: 'Tu precio está alineado con el mercado',
+            por_encima: 'Tu precio está por encima del mercado: justifícalo con calidad, servicio o marca'
+        };
+
+        return {
+            precioCompetencia: competencia,
+            diferenciaPorcentaje: Math.round(diferencia * 100) / 100,
+            posicion,
+            mensaje: mensajes[posicion]
+        };
+    }
+
     // Calcular precio de venta sugerido
-    calcularPrecioVenta(costoTotal, margenGanancia) {
-        const margen = this.procesarPorcentaje(margenGanancia);
-        const precioVenta = costoTotal * (1 + margen / 100);
-        
+    // opciones.modo_precio: 'markup' aplica el % sobre el costo (costo × (1 + m)),
+    // 'margen' lo aplica sobre el precio (costo / (1 - m)); opciones.redondeo y
+    // opciones.precio_competencia ajustan y ubican el precio resultante
+    calcularPrecioVenta(costoTotal, margenGanancia, opciones = {}) {
+        const config = this.config.precios;
+        const modo = this.normalizarModoPrecio(opciones.modo_precio) || config.modo_por_defecto;
+        const redondeo = config.estrategias_redondeo[opciones.redondeo] ? opciones.redondeo : config.redondeo_por_defecto;
+        let margen = this.procesarPorcentaje(margenGanancia);
+        if (modo === 'margen') {
+            margen = Math.min(margen, config.margen_maximo_sobre_precio);
+        }
+
+        const precioBase = modo === 'margen'
+            ? costoTotal / (1 - margen / 100)
+            : costoTotal * (1 + margen / 100);
+        const precioVenta = this.redondearPrecio(precioBase, redondeo, costoTotal);
+        const utilidad = precioVenta - costoTotal;
+
+        // Precios psicológicos alternativos para el mismo costo
+        const sugerencias = Object.keys(config.estrategias_redondeo)
+            .filter(estrategia => estrategia !== 'ninguno')
+            .map(estrategia => {
+                const precio = this.redondearPrecio(precioBase, estrategia, costoTotal);
+                return {
+                    estrategia,
+                    nombre: config.estrategias_redondeo[estrategia],
+                    precio,
+                    margenSobrePrecio: precio > 0 ? Math.round(((precio - costoTotal) / precio) * 10000) / 100 : 0
+                };
+            });
+
         return {
             precio: Math.round(precioVenta * 100) / 100,
             margenAplicado: margen,
-            utilidadUnitaria: Math.round((precioVenta - costoTotal) * 100) / 100
+            modo,
+            nombreModo: config.modos[modo],
+            precioSinRedondear: Math.round(precioBase * 100) / 100,
+            redondeo,
+            utilidadUnitaria: Math.round(utilidad * 100) / 100,
+            // Equivalencias para que markup y margen no se confundan
+            markupSobreCosto: costoTotal > 0 ? Math.round((utilidad / costoTotal) * 10000) / 100 : null,
+            margenSobrePrecio: precioVenta > 0 ? Math.round((utilidad / precioVenta) * 10000) / 100 : 0,
+            posicionamiento: this.calcularPosicionamiento(precioVenta, opciones.precio_competencia),
+            sugerencias
         };
     }
 
     // Clasificar costos en fijos y variables
-    clasificarCostos(costos) {
-        const costosVariables = [
-            'materia_prima',
-            'mano_obra',
-            'empaque',
-            'transporte'
-        ];
-        
-        const costosFijos = [
-            'servicios',
-            'marketing',
-            'arriendo_sueldos',
-            'otros_costos'
-        ];
-
-        let totalVariables = 0;
-        let totalFijos = 0;
-
-        Object.entries(costos).forEach(([tipo, valor]) => {
-            const valorProcesado = this.procesarValorNumerico(valor);
-            if (costosVariables.includes(tipo)) {
-                totalVariables += valorProcesado;
-            } else if (costosFijos.includes(tipo)) {
-                totalFijos += valorProcesado;
-            }
-        });
+    // Los variables quedan por unidad y los fijos por mes, según la base declarada
+    clasificarCostos(costos, opciones = {}) {
+        const estructura = this.calcularEstructuraCostos(costos, opciones);
 
         return {
-            costosVariables: Math.round(totalVariables * 100) / 100,
-            costosFijos: Math.round(totalFijos * 100) / 100,
-            detalleVariables: costosVariables.reduce((obj, tipo) => {
-                obj[tipo] = this.procesarValorNumerico(costos[tipo]);
+            costosVariables: estructura.costoVariableUnitario,
+            costosFijos: estructura.costosFijosMensuales,
+            detalleVariables: COSTOS_VARIABLES.reduce((obj, tipo) => {
+                obj[tipo] = estructura.detalle[tipo].unitario;
                 return obj;
             }, {}),
-            detalleFijos: costosFijos.reduce((obj, tipo) => {
-                obj[tipo] = this.procesarValorNumerico(costos[tipo]);
+            detalleFijos: COSTOS_FIJOS.reduce((obj, tipo) => {
+                obj[tipo] = estructura.detalle[tipo].mensual;
+                return obj;
+            }, {}),
+            volumenMensual: estructura.volumenMensual,
+            bases: Object.entries(estructura.detalle).reduce((obj, [tipo, item]) => {
+                obj[tipo] = item.base;
                 return obj;
             }, {})
         };
     }
 
     // Calcular punto de equilibrio
-    calcularPuntoEquilibrio(costos, precioVenta) {
-        const clasificacion = this.clasificarCostos(costos);
+    calcularPuntoEquilibrio(costos, precioVenta, opciones = {}) {
+        const clasificacion = this.clasificarCostos(costos, opciones);
         const { costosFijos, costosVariables } = clasificacion;
         
         // Punto de equilibrio en unidades = Costos Fijos / (Precio de Venta - Costo Variable Unitario)
@@ -128,41 +294,49 @@ class CalculadoraFinanciera {
         
         const unidadesEquilibrio = Math.ceil(costosFijos / margenContribucion);
         const ventasEquilibrio = Math.round(unidadesEquilibrio * precioVenta * 100) / 100;
+        const { volumenMensual } = clasificacion;
         
         return {
             unidades: unidadesEquilibrio,
             ventasEnPesos: ventasEquilibrio,
             margenContribucion: Math.round(margenContribucion * 100) / 100,
             costosFijos: costosFijos,
-            costosVariables: costoVariableUnitario
+            costosVariables: costoVariableUnitario,
+            volumenMensual: volumenMensual,
+            // Porcentaje del volumen esperado que queda por encima del equilibrio
+            margenSeguridad: volumenMensual
+                ? Math.round(((volumenMensual - unidadesEquilibrio) / volumenMensual) * 10000) / 100
+                : null
         };
     }
 
     // Generar proyecciones de escenarios
-    generarProyecciones(puntoEquilibrio, precioVenta, costos) {
+    // Con volumen mensual los escenarios giran alrededor de él; si no, del equilibrio
+    generarProyecciones(puntoEquilibrio, precioVenta, costos, opciones = {}) {
         if (!puntoEquilibrio.unidades) {
             return {
                 error: "No se pueden generar proyecciones sin punto de equilibrio válido"
             };
         }
 
-        const { unidades: equilibrio, margenContribucion } = puntoEquilibrio;
-        const clasificacion = this.clasificarCostos(costos);
+        const clasificacion = this.clasificarCostos(costos, opciones);
+        const base = clasificacion.volumenMensual || puntoEquilibrio.unidades;
+        const etiquetaBase = clasificacion.volumenMensual ? 'Volumen esperado' : 'Equilibrio';
         
         const escenarios = {
             pesimista: {
                 nombre: "Pesimista (-20%)",
-                unidadesVendidas: Math.floor(equilibrio * 0.8),
+                unidadesVendidas: Math.floor(base * 0.8),
                 porcentaje: -20
             },
             realista: {
-                nombre: "Realista (Equilibrio)",
-                unidadesVendidas: equilibrio,
+                nombre: `Realista (${etiquetaBase})`,
+                unidadesVendidas: base,
                 porcentaje: 0
             },
             optimista: {
                 nombre: "Optimista (+20%)",
-                unidadesVendidas: Math.ceil(equilibrio * 1.2),
+                unidadesVendidas: Math.ceil(base * 1.2),
                 porcentaje: 20
             }
         };
@@ -189,6 +363,7 @@ class CalculadoraFinanciera {
     }
 
     // Generar análisis de sensibilidad
+    // costoTotal es el costo unitario completo; con volumen se reporta también la utilidad mensual
     analizarSensibilidad(costoTotal, precioVenta, puntoEquilibrio) {
         const analisis = {
             incrementosCosto: [],
@@ -196,6 +371,11 @@ class CalculadoraFinanciera {
             impactoEquilibrio: []
         };
 
+        const volumen = puntoEquilibrio && puntoEquilibrio.volumenMensual;
+        const utilidadMensual = (utilidadUnitaria) => volumen
+            ? Math.round(utilidadUnitaria * volumen * 100) / 100
+            : null;
+
         // Analizar impacto de incrementos en costos
         const incrementosCosto = [-10, -5, 5, 10, 15, 20];
         incrementosCosto.forEach(porcentaje => {
@@ -206,7 +386,8 @@ class CalculadoraFinanciera {
                 incrementoPorcentaje: porcentaje,
                 nuevoCostoTotal: Math.round(nuevoCosto * 100) / 100,
                 nuevoMargenUtilidad: Math.round(nuevoMargen * 100) / 100,
-                utilidadUnitaria: Math.round((precioVenta - nuevoCosto) * 100) / 100
+                utilidadUnitaria: Math.round((precioVenta - nuevoCosto) * 100) / 100,
+                utilidadMensual: utilidadMensual(precioVenta - nuevoCosto)
             });
         });
 
@@ -220,64 +401,122 @@ class CalculadoraFinanciera {
                 incrementoPorcentaje: porcentaje,
                 nuevoPrecioVenta: Math.round(nuevoPrecio * 100) / 100,
                 nuevoMargenUtilidad: Math.round(nuevoMargen * 100) / 100,
-                utilidadUnitaria: Math.round((nuevoPrecio - costoTotal) * 100) / 100
+                utilidadUnitaria: Math.round((nuevoPrecio - costoTotal) * 100) / 100,
+                utilidadMensual: utilidadMensual(nuevoPrecio - costoTotal)
             });
         });
 
+        // Analizar cómo se mueve el equilibrio con cambios de precio
+        if (puntoEquilibrio && puntoEquilibrio.unidades) {
+            incrementosPrecio.forEach(porcentaje => {
+                const nuevoPrecio = precioVenta * (1 + porcentaje / 100);
+                const nuevoMargenContribucion = nuevoPrecio - puntoEquilibrio.costosVariables;
+
+                analisis.impactoEquilibrio.push({
+                    incrementoPrecioPorcentaje: porcentaje,
+                    unidadesEquilibrio: nuevoMargenContribucion > 0
+                        ? Math.ceil(puntoEquilibrio.costosFijos / nuevoMargenContribucion)
+                        : null
+                });
+            });
+        }
+
         return analisis;
     }
 
     // Método principal para realizar todos los cálculos
+    // datosCostos.volumen_mensual y datosCostos.base_costos son opcionales; sin ellos
+    // los costos variables se toman por unidad y los fijos por mes
     calcularCompleto(datosCostos) {
         try {
+            const opciones = {
+                volumen_mensual: datosCostos.volumen_mensual,
+                base_costos: datosCostos.base_costos
+            };
+
             // 1. Calcular costo total
             const resultadoCostos = this.calcularCostoTotal(datosCostos.costos);
             
-            // 2. Calcular precio de venta
+            // 2. Clasificar costos y derivar el costo unitario real
+            const clasificacion = this.clasificarCostos(datosCostos.costos, opciones);
+            const estructura = this.calcularEstructuraCostos(datosCostos.costos, opciones);
+            const costoUnitario = estructura.volumenMensual
+                ? estructura.costoUnitarioTotal
+                : resultadoCostos.total;
+            
+            // 3. Calcular precio de venta
             const resultadoPrecio = this.calcularPrecioVenta(
-                resultadoCostos.total,
-                datosCostos.margen_ganancia
+                costoUnitario,
+                datosCostos.margen_ganancia,
+                {
+                    modo_precio: datosCostos.modo_precio,
+                    redondeo: datosCostos.redondeo_precio,
+                    precio_competencia: datosCostos.precio_competencia
+                }
             );
             
-            // 3. Clasificar costos
-            const clasificacion = this.clasificarCostos(datosCostos.costos);
-            
             // 4. Calcular punto de equilibrio
             const puntoEquilibrio = this.calcularPuntoEquilibrio(
                 datosCostos.costos,
-                resultadoPrecio.precio
+                resultadoPrecio.precio,
+                opciones
             );
             
             // 5. Generar proyecciones
             const proyecciones = this.generarProyecciones(
                 puntoEquilibrio,
                 resultadoPrecio.precio,
-                datosCostos.costos
+                datosCostos.costos,
+                opciones
             );
             
             // 6. Análisis de sensibilidad
             const sensibilidad = this.analizarSensibilidad(
-                resultadoCostos.total,
+                costoUnitario,
                 resultadoPrecio.precio,
                 puntoEquilibrio
             );
 
+            // 7. Capa tributaria (opcional): IVA/impoconsumo, ICA, retenciones y margen neto
+            const impuestos = datosCostos.impuestos
+                ? new CalculadoraImpuestos(datosCostos.impuestos.anio).calcularImpuestos(
+                    resultadoPrecio.precio,
+                    costoUnitario,
+                    datosCostos.impuestos
+                )
+                : null;
+
             return {
                 exito: true,
                 timestamp: new Date().toISOString(),
                 resumen: {
-                    costoTotal: resultadoCostos.total,
+                    costoTotal: costoUnitario,
                     precioVentaSugerido: resultadoPrecio.precio,
                     margenUtilidad: resultadoPrecio.margenAplicado,
-                    utilidadUnitaria: resultadoPrecio.utilidadUnitaria
+                    modoPrecio: resultadoPrecio.modo,
+                    nombreModoPrecio: resultadoPrecio.nombreModo,
+                    markupSobreCosto: resultadoPrecio.markupSobreCosto,
+                    margenSobrePrecio: resultadoPrecio.margenSobrePrecio,
+                    posicionamiento: resultadoPrecio.posicionamiento,
+                    utilidadUnitaria: resultadoPrecio.utilidadUnitaria,
+                    volumenMensual: estructura.volumenMensual,
+                    costoVariableUnitario: estructura.costoVariableUnitario,
+                    costosFijosMensuales: estructura.costosFijosMensuales,
+                    utilidadMensual: estructura.volumenMensual
+                        ? Math.round(((resultadoPrecio.precio - estructura.costoVariableUnitario) * estructura.volumenMensual - estructura.costosFijosMensuales) * 100) / 100
+                        : null,
+                    precioConImpuestos: impuestos ? impuestos.precioConImpuestos : null,
+                    margenNetoDespuesImpuestos: impuestos ? impuestos.margenNeto : null
                 },
                 detalles: {
                     costos: resultadoCostos.costosProcesados,
+                    estructura: estructura,
                     clasificacion: clasificacion,
                     precio: resultadoPrecio,
                     puntoEquilibrio: puntoEquilibrio,
                     proyecciones: proyecciones,
-                    sensibilidad: sensibilidad
+                    sensibilidad: sensibilidad,
+                    impuestos: impuestos
                 }
             };
             
@@ -318,10 +557,22 @@ class CalculadoraFinanciera {
         
         // Resumen principal
         texto += `💰 **RESUMEN PRINCIPAL**\n`;
+        if (resumen.volumenMensual) {
+            texto += `• Volumen mensual esperado: ${resumen.volumenMensual} unidades\n`;
+            texto += `• Costo variable por unidad: ${this.formatearMoneda(resumen.costoVariableUnitario)}\n`;
+            texto += `• Costos fijos del mes: ${this.formatearMoneda(resumen.costosFijosMensuales)}\n`;
+        }
         texto += `• Tu costo total es: ${this.formatearMoneda(resumen.costoTotal)}\n`;
         texto += `• Tu precio de venta sugerido es: ${this.formatearMoneda(resumen.precioVentaSugerido)}\n`;
         texto += `• Tu utilidad por unidad será: ${this.formatearMoneda(resumen.utilidadUnitaria)}\n`;
-        texto += `• Margen de ganancia aplicado: ${this.formatearPorcentaje(resumen.margenUtilidad)}\n\n`;
+        texto += `• ${this.describirMargen(resumen)}\n`;
+        if (resumen.posicionamiento) {
+            texto += `• Competencia: ${this.formatearMoneda(resumen.posicionamiento.precioCompetencia)} (${resumen.posicionamiento.diferenciaPorcentaje > 0 ? '+' : ''}${this.formatearPorcentaje(resumen.posicionamiento.diferenciaPorcentaje)}). ${resumen.posicionamiento.mensaje}\n`;
+        }
+        if (resumen.utilidadMensual !== null && resumen.utilidadMensual !== undefined) {
+            texto += `• Utilidad mensual estimada: ${this.formatearMoneda(resumen.utilidadMensual)}\n`;
+        }
+        texto += `\n`;
 
         // Punto de equilibrio
         if (detalles.puntoEquilibrio.unidades) {
@@ -331,6 +582,11 @@ class CalculadoraFinanciera {
             texto += `• Margen de contribución: ${this.formatearMoneda(detalles.puntoEquilibrio.margenContribucion)} por unidad\n\n`;
         }
 
+        // Impuestos
+        if (detalles.impuestos) {
+            texto += this.generarResumenImpuestos(detalles.impuestos);
+        }
+
         // Proyecciones
         if (detalles.proyecciones && !detalles.proyecciones.error) {
             texto += `🎯 **PROYECCIONES DE ESCENARIOS**\n`;
@@ -348,6 +604,48 @@ class CalculadoraFinanciera {
 
         return texto;
     }
+
+    // Margen aplicado indicando el modo y su equivalente en el otro modo
+    describirMargen(resumen) {
+        const modo = resumen.modoPrecio || this.config.precios.modo_por_defecto;
+        const texto = `${this.config.precios.modos[modo]}: ${this.formatearPorcentaje(resumen.margenUtilidad)}`;
+
+        if (modo === 'margen' && resumen.markupSobreCosto !== null && resumen.markupSobreCosto !== undefined) {
+            return `${texto} (equivale a ${this.formatearPorcentaje(resumen.markupSobreCosto)} sobre el costo)`;
+        }
+        if (modo === 'markup' && resumen.margenSobrePrecio !== undefined) {
+            return `${texto} (equivale a ${this.formatearPorcentaje(resumen.margenSobrePrecio)} del precio)`;
+        }
+        return texto;
+    }
+
+    // Texto de la capa tributaria para el chat y los reportes de texto
+    generarResumenImpuestos(impuestos) {
+        let texto = `🧾 **IMPUESTOS (${impuestos.nombreRegimen})**\n`;
+        texto += `• Precio antes de impuestos: ${this.formatearMoneda(impuestos.precioAntesImpuestos)}\n`;
+        if (impuestos.iva.valor > 0) {
+            texto += `• IVA ${impuestos.iva.tarifa}%: ${this.formatearMoneda(impuestos.iva.valor)}\n`;
+        }
+        if (impuestos.impoconsumo.valor > 0) {
+            texto += `• Impoconsumo ${impuestos.impoconsumo.tarifa}%: ${this.formatearMoneda(impuestos.impoconsumo.valor)}\n`;
+        }
+        texto += `• Precio al cliente: ${this.formatearMoneda(impuestos.precioConImpuestos)}\n`;
+        if (impuestos.regimenSimple) {
+            texto += `• Impuesto SIMPLE ${impuestos.regimenSimple.tarifa}%: ${this.formatearMoneda(impuestos.regimenSimple.valor)} por unidad\n`;
+        } else {
+            texto += `• ICA (${impuestos.ica.tarifaPorMil} por mil): ${this.formatearMoneda(impuestos.ica.valor)} por unidad\n`;
+        }
+        if (impuestos.renta.valor > 0) {
+            texto += `• Renta estimada ${impuestos.renta.tarifa}%: ${this.formatearMoneda(impuestos.renta.valor)} por unidad\n`;
+        }
+        if (impuestos.retenciones.fuente.aplica) {
+            texto += `• Retención en la fuente esperada: ${this.formatearMoneda(impuestos.retenciones.fuente.valor)} por unidad (anticipo de renta)\n`;
+        }
+        texto += `• Margen neto después de impuestos: ${this.formatearPorcentaje(impuestos.margenNeto)}\n\n`;
+        return texto;
+    }
 }
 
-module.exports = CalculadoraFinanciera;
\ No newline at end of file
+module.exports = CalculadoraFinanciera;
+module.exports.COSTOS_VARIABLES = COSTOS_VARIABLES;
+module.exports.COSTOS_FIJOS = COSTOS_FIJOS;
\ No newline at end of file
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Calculadora de Flujo de Caja
+ * Proyecta mes a mes (12 a 36 meses) ventas, costos y utilidad con estacionalidad,
+ * inflación de costos (IPC), incrementos de precio y el mes de recuperación de la inversión
+ */
+
+class CalculadoraFlujoCaja {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.proyeccion_flujo_caja;
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    procesarNumero(valor, porDefecto = 0) {
+        const numero = parseFloat(valor);
+        return isNaN(numero) ? porDefecto : numero;
+    }
+
+    // Mes de inicio en formato {anio, mes}; por defecto el mes siguiente al actual
+    procesarMesInicio(mesInicio) {
+        const coincidencia = (mesInicio || '').toString().match(/^(\d{4})-(\d{1,2})$/);
+        if (coincidencia && parseInt(coincidencia[2]) >= 1 && parseInt(coincidencia[2]) <= 12) {
+            return { anio: parseInt(coincidencia[1]), mes: parseInt(coincidencia[2]) };
+        }
+
+        const hoy = new Date();
+        const siguiente = new Date(hoy.getFullYear(), hoy.getMonth() + 1, 1);
+        return { anio: siguiente.getFullYear(), mes: siguiente.getMonth() + 1 };
+    }
+
+    // Factores de estacionalidad por mes calendario (arreglo de 12 u objeto por número/nombre de mes)
+    procesarEstacionalidad(estacionalidad) {
+        const factores = [...this.parametros.estacionalidad_por_defecto];
+        if (!estacionalidad) return factores;
+
+        if (Array.isArray(estacionalidad)) {
+            estacionalidad.slice(0, 12).forEach((factor, i) => {
+                factores[i] = Math.max(0, this.procesarNumero(factor, 1));
+            });
+            return factores;
+        }
+
+        const nombres = this.parametros.nombres_meses.map(n => n.toLowerCase());
+        Object.entries(estacionalidad).forEach(([clave, factor]) => {
+            const indice = isNaN(parseInt(clave))
+                ? nombres.indexOf(clave.toLowerCase())
+                : parseInt(clave) - 1;
+            if (indice >= 0 && indice < 12) {
+                factores[indice] = Math.max(0, this.procesarNumero(factor, 1));
+            }
+        });
+
+        return factores;
+    }
+
+    // Calendario de incrementos de precio {mesProyeccion: porcentaje}
+    procesarIncrementosPrecio(datos, meses) {
+        const calendario = {};
+
+        (Array.isArray(datos.incrementos_precio) ? datos.incrementos_precio : []).forEach(incremento => {
+            const mes = parseInt(incremento.mes);
+            if (mes >= 1 && mes <= meses) {
+                calendario[mes] = (calendario[mes] || 0) + this.procesarNumero(incremento.porcentaje);
+            }
+        });
+
+        // Incremento anual: se aplica cada 12 meses desde el inicio
+        const anual = this.procesarNumero(datos.incremento_precio_anual);
+        if (anual) {
+            for (let mes = 13; mes <= meses; mes += 12) {
+                calendario[mes] = (calendario[mes] || 0) + anual;
+            }
+        }
+
+        return calendario;
+    }
+
+    // Tomar precio, costos y volumen de un resultado de CalculadoraFinanciera.calcularCompleto
+    datosDesdeResultados(resultados, datos = {}) {
+        const resumen = resultados.resumen || resultados;
+        const equilibrio = resultados.detalles ? resultados.detalles.puntoEquilibrio.unidades : resultados.puntoEquilibrio;
+        const proyeccion = {
+            precio_venta: resumen.precioVentaSugerido || resumen.precioVenta,
+            costo_variable_unitario: resumen.costoVariableUnitario,
+            costos_fijos_mensuales: resumen.costosFijosMensuales,
+            volumen_mensual: resumen.volumenMensual || equilibrio,
+            ...datos
+        };
+
+        // Los análisis guardados antes de separar costos variables y fijos no traen la estructura:
+        // proyectarlos daría costos en cero
+        if (proyeccion.costo_variable_unitario === undefined || proyeccion.costos_fijos_mensuales === undefined) {
+            throw new Error('Este análisis se guardó con una versión anterior del costeo. Recalcúlalo para proyectar su flujo de caja');
+        }
+
+        return proyeccion;
+    }
+
+    // Proyección de un análisis guardado, con el mismo formato de respuesta que proyectar
+    proyectarDesdeResultados(resultados, datos = {}) {
+        try {
+            return this.proyectar(this.datosDesdeResultados(resultados, datos));
+        } catch (error) {
+            return { exito: false, error: error.message };
+        }
+    }
+
+    // Método principal: proyección mensual de flujo de caja
+    proyectar(datos) {
+        try {
+            const p = this.parametros;
+            const meses = parseInt(datos.meses) || p.meses_por_defecto;
+
+            if (meses < p.meses_minimos || meses > p.meses_maximos) {
+                throw new Error(`La proyección debe ser de ${p.meses_minimos} a ${p.meses_maximos} meses`);
+            }
+
+            const precioInicial = this.procesarNumero(datos.precio_venta);
+            const volumenBase = this.procesarNumero(datos.volumen_mensual);
+            const costoVariableInicial = this.procesarNumero(datos.costo_variable_unitario);
+            const costosFijosIniciales = this.procesarNumero(datos.costos_fijos_mensuales);
+
+            if (precioInicial <= 0) {
+                throw new Error('El precio de venta debe ser mayor a cero');
+            }
+            if (volumenBase <= 0) {
+                throw new Error('El volumen mensual debe ser mayor a cero');
+            }
+
+            const inflacionAnual = this.procesarNumero(datos.inflacion_anual, p.inflacion_anual_ipc);
+            const crecimientoMensual = this.procesarNumero(datos.crecimiento_mensual);
+            const inversionInicial = this.procesarNumero(datos.inversion_inicial);
+            const inicio = this.procesarMesInicio(datos.mes_inicio);
+            const estacionalidad = this.procesarEstacionalidad(datos.estacionalidad);
+            const incrementos = this.procesarIncrementosPrecio(datos, meses);
+
+            let precio = precioInicial;
+            let flujoAcumulado = -inversionInicial;
+            let mesRecuperacion = null;
+            const detalle = [];
+
+            for (let m = 1; m <= meses; m++) {
+                const indiceCalendario = (inicio.mes - 1 + m - 1) % 12;
+                const anio = inicio.anio + Math.floor((inicio.mes - 1 + m - 1) / 12);
+
+                if (incrementos[m]) {
+                    precio = precio * (1 + incrementos[m] / 100);
+                }
+
+                // Inflación compuesta mensual sobre los costos
+                const factorInflacion = Math.pow(1 + inflacionAnual / 100, (m - 1) / 12);
+                const factorCrecimiento = Math.pow(1 + crecimientoMensual / 100, m - 1);
+                const unidades = Math.round(volumenBase * factorCrecimiento * estacionalidad[indiceCalendario]);
+
+                const costoVariableUnitario = costoVariableInicial * factorInflacion;
+                const ingresos = unidades * precio;
+                const costosVariables = unidades * costoVariableUnitario;
+                const costosFijos = costosFijosIniciales * factorInflacion;
+                const utilidad = ingresos - costosVariables - costosFijos;
+                flujoAcumulado += utilidad;
+
+                if (mesRecuperacion === null && flujoAcumulado >= 0) {
+                    mesRecuperacion = m;
+                }
+
+                detalle.push({
+                    mes: m,
+                    periodo: `${anio}-${String(indiceCalendario + 1).padStart(2, '0')}`,
+                    nombreMes: `${p.nombres_meses[indiceCalendario]} ${anio}`,
+                    factorEstacional: estacionalidad[indiceCalendario],
+                    unidades,
+                    precio: this.redondear(precio),
+                    costoVariableUnitario: this.redondear(costoVariableUnitario),
+                    ingresos: this.redondear(ingresos),
+                    costosVariables: this.redondear(costosVariables),
+                    costosFijos: this.redondear(costosFijos),
+                    costosTotales: this.redondear(costosVariables + costosFijos),
+                    utilidad: this.redondear(utilidad),
+                    flujoAcumulado: this.redondear(flujoAcumulado)
+                });
+            }
+
+            const sumar = campo => this.redondear(detalle.reduce((sum, mes) => sum + mes[campo], 0));
+            const ordenados = [...detalle].sort((a, b) => b.utilidad - a.utilidad);
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                parametros: {
+                    meses,
+                    mesInicio: detalle[0].periodo,
+                    precioInicial,
+                    volumenBase,
+                    inflacionAnual,
+                    crecimientoMensual,
+                    inversionInicial,
+                    estacionalidad,
+                    incrementosPrecio: incrementos
+                },
+                meses: detalle,
+                resumen: {
+                    ingresosTotales: sumar('ingresos'),
+                    costosTotales: sumar('costosTotales'),
+                    utilidadTotal: sumar('utilidad'),
+                    flujoFinal: detalle[detalle.length - 1].flujoAcumulado,
+                    mesRecuperacion,
+                    periodoRecuperacion: mesRecuperacion ? detalle[mesRecuperacion - 1].nombreMes : null,
+                    mesesConPerdida: detalle.filter(mes => mes.utilidad < 0).length,
+                    mejorMes: ordenados[0].nombreMes,
+                    peorMes: ordenados[ordenados.length - 1].nombreMes
+                }
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+}
+
+module.exports = CalculadoraFlujoCaja;
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Calculadora de Impuestos
+ * Capa tributaria colombiana sobre el precio sugerido: IVA o impoconsumo, ICA municipal,
+ * impuesto unificado del Régimen Simple, retenciones esperadas y margen neto después de impuestos
+ */
+
+const REGIMENES = {
+    responsable_iva: 'responsable_iva',
+    responsable: 'responsable_iva',
+    comun: 'responsable_iva',
+    ordinario: 'responsable_iva',
+    no_responsable: 'no_responsable',
+    no_responsable_iva: 'no_responsable',
+    simplificado: 'no_responsable',
+    simple: 'simple',
+    regimen_simple: 'simple',
+    rst: 'simple'
+};
+
+const NOMBRES_REGIMEN = {
+    responsable_iva: 'Responsable de IVA',
+    no_responsable: 'No responsable de IVA',
+    simple: 'Régimen Simple de Tributación'
+};
+
+const CATEGORIAS = ['general', 'reducido', 'exento', 'excluido', 'impoconsumo'];
+
+class CalculadoraImpuestos {
+    constructor(anio) {
+        this.config = this.cargarConfiguracion();
+        this.anio = this.resolverAnio(anio);
+        this.parametros = this.config.anios[this.anio];
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/parametros-tributarios.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    // Usar el año pedido o el más reciente configurado que no lo supere
+    resolverAnio(anio) {
+        const disponibles = Object.keys(this.config.anios).sort();
+        const pedido = (anio || new Date().getFullYear()).toString();
+        if (this.config.anios[pedido]) return pedido;
+
+        const anteriores = disponibles.filter(a => a <= pedido);
+        return anteriores.length > 0 ? anteriores[anteriores.length - 1] : disponibles[0];
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    limpiarTexto(texto) {
+        return (texto || '').toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    normalizarRegimen(regimen) {
+        const clave = this.limpiarTexto(regimen).replace(/\s+/g, '_');
+        return REGIMENES[clave] || null;
+    }
+
+    obtenerNombreRegimen(regimen) {
+        return NOMBRES_REGIMEN[this.normalizarRegimen(regimen)] || NOMBRES_REGIMEN.no_responsable;
+    }
+
+    normalizarCategoria(categoria) {
+        const clave = this.limpiarTexto(categoria);
+        return CATEGORIAS.includes(clave) ? clave : 'general';
+    }
+
+    // Interpretar una respuesta libre del chat ("no responsable", "simple grupo 4", "responsable 5%")
+    interpretarRespuesta(texto) {
+        const limpio = this.limpiarTexto(texto);
+        let regimen = null;
+
+        // La negación puede venir separada por un par de palabras: "no soy responsable", "no cobro el iva"
+        if (/\bno\b(\s+\w+){0,2}\s+(responsable|cobr[oa]\w*)\b|\bsimplificado\b/.test(limpio)) {
+            regimen = 'no_responsable';
+        } else if (/\bsimple\b|\brst\b/.test(limpio)) {
+            regimen = 'simple';
+        } else if (/\bresponsable\b|\bcomun\b|\biva\b/.test(limpio)) {
+            regimen = 'responsable_iva';
+        }
+
+        if (!regimen) return null;
+
+        let categoria = 'general';
+        if (/impoconsumo|\binc\b|restaurante|comidas/.test(limpio)) categoria = 'impoconsumo';
+        else if (/excluid/.test(limpio)) categoria = 'excluido';
+        else if (/exent/.test(limpio)) categoria = 'exento';
+        else if (/\b5\s*%|reducid/.test(limpio)) categoria = 'reducido';
+
+        const grupo = limpio.match(/grupo\s*([1-5])/);
+
+        return {
+            regimen,
+            categoria,
+            grupo_simple: grupo ? grupo[1] : null
+        };
+    }
+
+    // Tarifa de ICA por mil según municipio y actividad, o la indicada explícitamente
+    obtenerTarifaICA(opciones = {}) {
+        if (opciones.tarifa_ica !== undefined && opciones.tarifa_ica !== null) {
+            return {
+                municipio: opciones.municipio || 'personalizado',
+                actividad: opciones.actividad || 'comercial',
+                tarifaPorMil: parseFloat(opciones.tarifa_ica) || 0
+            };
+        }
+
+        const tablas = this.parametros.ica_por_mil;
+        const municipio = this.limpiarTexto(opciones.municipio).replace(/\s+/g, '_');
+        const tabla = tablas[municipio] || tablas.general;
+        const actividad = tabla[opciones.actividad] !== undefined ? opciones.actividad : 'comercial';
+
+        return {
+            municipio: tablas[municipio] ? municipio : 'general',
+            actividad,
+            tarifaPorMil: tabla[actividad]
+        };
+    }
+
+    // Tarifas de IVA e impoconsumo que el negocio debe cobrar
+    obtenerTarifasVenta(regimen, categoria) {
+        if (regimen === 'no_responsable') {
+            return { iva: 0, impoconsumo: 0 };
+        }
+        if (categoria === 'impoconsumo') {
+            return { iva: 0, impoconsumo: this.parametros.impoconsumo };
+        }
+        return { iva: this.parametros.iva[categoria] || 0, impoconsumo: 0 };
+    }
+
+    // Calcular la capa de impuestos sobre un precio antes de impuestos
+    calcularImpuestos(precioBase, costoUnitario, opciones = {}) {
+        const p = this.parametros;
+        const regimen = this.normalizarRegimen(opciones.regimen) || 'no_responsable';
+        const categoria = this.normalizarCategoria(opciones.categoria);
+        const advertencias = [];
+
+        const tarifas = this.obtenerTarifasVenta(regimen, categoria);
+        const iva = precioBase * tarifas.iva;
+        const impoconsumo = precioBase * tarifas.impoconsumo;
+
+        if (regimen === 'no_responsable' && categoria !== 'excluido') {
+            advertencias.push('Como no responsable no puedes cobrar IVA: el IVA que pagas en tus compras es parte de tu costo');
+        }
+
+        // ICA municipal, o impuesto unificado si está en el Régimen Simple (ya incluye el ICA)
+        const ica = this.obtenerTarifaICA(opciones);
+        let valorICA = 0;
+        let regimenSimple = null;
+
+        if (regimen === 'simple') {
+            const grupo = p.regimen_simple[opciones.grupo_simple] ? opciones.grupo_simple.toString() : '2';
+            const tarifa = opciones.tarifa_simple !== undefined
+                ? parseFloat(opciones.tarifa_simple) / 100
+                : p.regimen_simple[grupo].tarifa;
+            regimenSimple = {
+                grupo,
+                descripcion: p.regimen_simple[grupo].descripcion,
+                tarifa: this.redondear(tarifa * 100),
+                valor: this.redondear(precioBase * tarifa)
+            };
+        } else {
+            valorICA = precioBase * ica.tarifaPorMil / 1000;
+        }
+
+        // Retenciones que aplicaría un cliente agente retenedor (anticipos, no costo)
+        const concepto = p.retencion_fuente[opciones.concepto_retencion]
+            ? opciones.concepto_retencion
+            : (ica.actividad === 'servicios' ? 'servicios' : 'compras');
+        const reglaRetencion = p.retencion_fuente[concepto];
+        const aplicaRetencion = !!opciones.cliente_retenedor && regimen !== 'simple';
+        const retenciones = {
+            fuente: {
+                concepto,
+                tarifa: this.redondear(reglaRetencion.tarifa * 100),
+                baseMinima: reglaRetencion.base_minima_uvt * p.uvt,
+                aplica: aplicaRetencion,
+                valor: aplicaRetencion ? this.redondear(precioBase * reglaRetencion.tarifa) : 0
+            },
+            iva: {
+                tarifa: this.redondear(p.rete_iva * 100),
+                aplica: !!opciones.cliente_gran_contribuyente && iva > 0,
+                valor: opciones.cliente_gran_contribuyente ? this.redondear(iva * p.rete_iva) : 0
+            }
+        };
+
+        if (aplicaRetencion) {
+            advertencias.push(`Tus clientes retenedores te descontarán ${retenciones.fuente.tarifa}% de retención en la fuente en facturas desde ${this.formatearMoneda(retenciones.fuente.baseMinima)}`);
+        }
+
+        // Impuesto de renta estimado sobre la utilidad (solo régimen ordinario)
+        const utilidadAntesImpuestos = precioBase - costoUnitario;
+        const impuestosOperativos = valorICA + (regimenSimple ? regimenSimple.valor : 0);
+        const tarifaRenta = regimen === 'simple'
+            ? 0
+            : (opciones.tarifa_renta !== undefined
+                ? parseFloat(opciones.tarifa_renta) / 100
+                : (opciones.tipo_persona === 'juridica' ? p.renta_personas_juridicas : 0));
+        const renta = Math.max(0, utilidadAntesImpuestos - impuestosOperativos) * tarifaRenta;
+        const utilidadDespuesImpuestos = utilidadAntesImpuestos - impuestosOperativos - renta;
+
+        return {
+            anio: this.anio,
+            regimen,
+            nombreRegimen: NOMBRES_REGIMEN[regimen],
+            categoria,
+            precioAntesImpuestos: this.redondear(precioBase),
+            iva: { tarifa: this.redondear(tarifas.iva * 100), valor: this.redondear(iva) },
+            impoconsumo: { tarifa: this.redondear(tarifas.impoconsumo * 100), valor: this.redondear(impoconsumo) },
+            precioConImpuestos: this.redondear(precioBase + iva + impoconsumo),
+            ica: {
+                municipio: ica.municipio,
+                actividad: ica.actividad,
+                tarifaPorMil: regimenSimple ? 0 : ica.tarifaPorMil,
+                valor: this.redondear(valorICA)
+            },
+            regimenSimple,
+            retenciones,
+            renta: { tarifa: this.redondear(tarifaRenta * 100), valor: this.redondear(renta) },
+            utilidadAntesImpuestos: this.redondear(utilidadAntesImpuestos),
+            utilidadDespuesImpuestos: this.redondear(utilidadDespuesImpuestos),
+            margenBruto: precioBase > 0 ? this.redondear((utilidadAntesImpuestos / precioBase) * 100) : 0,
+            margenNeto: precioBase > 0 ? this.redondear((utilidadDespuesImpuestos / precioBase) * 100) : 0,
+            advertencias
+        };
+    }
+
+    // Precio antes de impuestos a partir de un precio final al consumidor
+    precioAntesDeImpuestos(precioFinal, opciones = {}) {
+        const regimen = this.normalizarRegimen(opciones.regimen) || 'no_responsable';
+        const tarifas = this.obtenerTarifasVenta(regimen, this.normalizarCategoria(opciones.categoria));
+        return this.redondear(precioFinal / (1 + tarifas.iva + tarifas.impoconsumo));
+    }
+
+    formatearMoneda(valor) {
+        return new Intl.NumberFormat('es-CO', {
+            style: 'currency',
+            currency: 'COP',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(valor);
+    }
+}
+
+module.exports = CalculadoraImpuestos;
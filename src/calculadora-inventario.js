@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+
+// Las cantidades pueden ser fraccionarias (kilos, litros): 0,3 − 0,1 − 0,2 no da cero exacto en coma flotante
+const TOLERANCIA_CANTIDAD = 1e-9;
+
+/**
+ * Calculadora de Inventario y Ciclo de Caja
+ * Valora el inventario con lotes de compra y venta (PEPS o promedio ponderado) y mide
+ * rotación, días de inventario, cobro y pago, el ciclo de conversión de efectivo y el
+ * capital de trabajo que el negocio necesita para sostenerlo
+ */
+
+class CalculadoraInventario {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.inventario;
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    procesarNumero(valor, porDefecto = 0) {
+        const numero = parseFloat(valor);
+        return isNaN(numero) ? porDefecto : numero;
+    }
+
+    // Normalizar el método de valoración: 'peps' o 'promedio_ponderado'
+    normalizarMetodo(metodo) {
+        const texto = (metodo || '').toString().toLowerCase().trim();
+        if (!texto) return this.parametros.metodo_por_defecto;
+        if (/peps|fifo|primeras/.test(texto)) return 'peps';
+        if (/promedio|ponderado|average/.test(texto)) return 'promedio_ponderado';
+        throw new Error(`Método de valoración no reconocido: "${metodo}"`);
+    }
+
+    // Normalizar compras y ventas en orden cronológico (los que no tienen fecha conservan su orden)
+    procesarMovimientos(movimientos) {
+        return movimientos
+            .map((movimiento, i) => {
+                const tipo = /venta|salida/i.test(movimiento.tipo) ? 'venta' : (/compra|entrada/i.test(movimiento.tipo) ? 'compra' : null);
+                const cantidad = this.procesarNumero(movimiento.cantidad);
+
+                if (!tipo) {
+                    throw new Error(`Movimiento ${i + 1}: el tipo debe ser "compra" o "venta"`);
+                }
+                if (cantidad <= 0) {
+                    throw new Error(`Movimiento ${i + 1}: la cantidad debe ser mayor a cero`);
+                }
+                if (tipo === 'compra' && this.procesarNumero(movimiento.costo_unitario, -1) < 0) {
+                    throw new Error(`Movimiento ${i + 1}: la compra necesita su costo unitario`);
+                }
+
+                return {
+                    orden: i,
+                    tipo,
+                    fecha: movimiento.fecha || null,
+                    cantidad,
+                    costoUnitario: this.procesarNumero(movimiento.costo_unitario),
+                    precioUnitario: this.procesarNumero(movimiento.precio_unitario)
+                };
+            })
+            .sort((a, b) => (a.fecha && b.fecha && a.fecha !== b.fecha ? (a.fecha < b.fecha ? -1 : 1) : a.orden - b.orden));
+    }
+
+    // Valorar el inventario y el costo de ventas recorriendo el kárdex
+    // Con promedio ponderado todas las existencias forman un solo lote a costo promedio
+    valorar(movimientos, metodo, inventarioInicial = {}) {
+        const lotes = [];
+        const kardex = [];
+        const cantidadInicial = this.procesarNumero(inventarioInicial.cantidad);
+        const costoInicial = this.procesarNumero(inventarioInicial.costo_unitario);
+        let costoVentas = 0;
+        let ingresos = 0;
+        let unidadesVendidas = 0;
+        let valorCompras = 0;
+
+        if (cantidadInicial > 0) {
+            lotes.push({ fecha: null, cantidad: cantidadInicial, costoUnitario: costoInicial });
+        }
+
+        const existencias = () => lotes.reduce((sum, lote) => sum + lote.cantidad, 0);
+        const valorInventario = () => lotes.reduce((sum, lote) => sum + lote.cantidad * lote.costoUnitario, 0);
+
+        movimientos.forEach(movimiento => {
+            if (movimiento.tipo === 'compra') {
+                valorCompras += movimiento.cantidad * movimiento.costoUnitario;
+
+                if (metodo === 'promedio_ponderado' && lotes.length > 0) {
+                    const cantidad = existencias() + movimiento.cantidad;
+                    const valor = valorInventario() + movimiento.cantidad * movimiento.costoUnitario;
+                    lotes.splice(0, lotes.length, { fecha: movimiento.fecha, cantidad, costoUnitario: valor / cantidad });
+                } else {
+                    lotes.push({ fecha: movimiento.fecha, cantidad: movimiento.cantidad, costoUnitario: movimiento.costoUnitario });
+                }
+
+                kardex.push({
+                    fecha: movimiento.fecha,
+                    tipo: 'compra',
+                    cantidad: movimiento.cantidad,
+                    costoUnitario: this.redondear(movimiento.costoUnitario),
+                    costoTotal: this.redondear(movimiento.cantidad * movimiento.costoUnitario),
+                    existencias: existencias(),
+                    valorInventario: this.redondear(valorInventario())
+                });
+                return;
+            }
+
+            if (movimiento.cantidad > existencias() + TOLERANCIA_CANTIDAD) {
+                throw new Error(`La venta${movimiento.fecha ? ` del ${movimiento.fecha}` : ''} de ${movimiento.cantidad} unidades supera las existencias (${existencias()})`);
+            }
+
+            // Las unidades salen de los lotes más antiguos primero
+            let pendiente = movimiento.cantidad;
+            let costoSalida = 0;
+            while (pendiente > TOLERANCIA_CANTIDAD && lotes.length > 0) {
+                const lote = lotes[0];
+                const tomadas = Math.min(pendiente, lote.cantidad);
+                costoSalida += tomadas * lote.costoUnitario;
+                lote.cantidad -= tomadas;
+                pendiente -= tomadas;
+                if (lote.cantidad <= TOLERANCIA_CANTIDAD) lotes.shift();
+            }
+
+            costoVentas += costoSalida;
+            ingresos += movimiento.cantidad * movimiento.precioUnitario;
+            unidadesVendidas += movimiento.cantidad;
+
+            kardex.push({
+                fecha: movimiento.fecha,
+                tipo: 'venta',
+                cantidad: movimiento.cantidad,
+                costoUnitario: this.redondear(costoSalida / movimiento.cantidad),
+                costoTotal: this.redondear(costoSalida),
+                existencias: existencias(),
+                valorInventario: this.redondear(valorInventario())
+            });
+        });
+
+        const cantidadFinal = existencias();
+        const valorFinal = valorInventario();
+
+        return {
+            metodo,
+            nombreMetodo: this.parametros.metodos[metodo],
+            inventarioInicial: {
+                cantidad: cantidadInicial,
+                valor: this.redondear(cantidadInicial * costoInicial)
+            },
+            inventarioFinal: {
+                cantidad: cantidadFinal,
+                valor: this.redondear(valorFinal),
+                costoPromedio: cantidadFinal > 0 ? this.redondear(valorFinal / cantidadFinal) : 0
+            },
+            valorCompras: this.redondear(valorCompras),
+            costoVentas: this.redondear(costoVentas),
+            ingresos: this.redondear(ingresos),
+            unidadesVendidas,
+            utilidadBruta: this.redondear(ingresos - costoVentas),
+            lotes: lotes.map(lote => ({
+                fecha: lote.fecha,
+                cantidad: lote.cantidad,
+                costoUnitario: this.redondear(lote.costoUnitario)
+            })),
+            kardex
+        };
+    }
+
+    // Días del periodo: los indicados, los que cubren las fechas de los movimientos o el valor por defecto
+    calcularDiasPeriodo(datos, movimientos) {
+        const indicados = parseInt(datos.dias_periodo);
+        if (indicados > 0) return indicados;
+
+        const fechas = movimientos.map(m => m.fecha).filter(Boolean).sort();
+        if (fechas.length > 1) {
+            const dias = Math.round((new Date(fechas[fechas.length - 1]) - new Date(fechas[0])) / 86400000) + 1;
+            if (dias > 1) return dias;
+        }
+
+        return this.parametros.dias_periodo_por_defecto;
+    }
+
+    // Método principal: valorar el inventario y medir el ciclo de conversión de efectivo
+    // Sin movimientos se pueden enviar directamente costo_ventas, inventario_promedio y compras
+    analizar(datos) {
+        try {
+            const movimientos = this.procesarMovimientos(Array.isArray(datos.movimientos) ? datos.movimientos : []);
+            const metodo = this.normalizarMetodo(datos.metodo);
+            const diasPeriodo = this.calcularDiasPeriodo(datos, movimientos);
+            const perfil = this.parametros.referencias_por_perfil[datos.perfil] ? datos.perfil : 'general';
+            const referencia = this.parametros.referencias_por_perfil[perfil];
+
+            let valoracion = null;
+            let comparacion = null;
+            let costoVentas = this.procesarNumero(datos.costo_ventas);
+            let inventarioPromedio = this.procesarNumero(datos.inventario_promedio);
+            let compras = this.procesarNumero(datos.compras);
+            let ventas = this.procesarNumero(datos.ventas);
+
+            if (movimientos.length > 0) {
+                valoracion = this.valorar(movimientos, metodo, datos.inventario_inicial);
+                const alterno = this.valorar(movimientos, metodo === 'peps' ? 'promedio_ponderado' : 'peps', datos.inventario_inicial);
+                comparacion = [valoracion, alterno].reduce((obj, v) => {
+                    obj[v.metodo] = { costoVentas: v.costoVentas, inventarioFinal: v.inventarioFinal.valor, utilidadBruta: v.utilidadBruta };
+                    return obj;
+                }, {});
+
+                costoVentas = valoracion.costoVentas;
+                inventarioPromedio = (valoracion.inventarioInicial.valor + valoracion.inventarioFinal.valor) / 2;
+                compras = compras || valoracion.valorCompras;
+                ventas = ventas || valoracion.ingresos;
+            }
+
+            if (costoVentas <= 0) {
+                throw new Error('Se necesitan ventas en el periodo (o el costo de ventas) para medir la rotación del inventario');
+            }
+
+            // Rotación y días de inventario
+            const rotacion = inventarioPromedio > 0 ? costoVentas / inventarioPromedio : null;
+            const diasInventario = rotacion ? diasPeriodo / rotacion : 0;
+
+            // Días de cobro y de pago: por saldos de cartera y proveedores, o declarados
+            const cuentasPorCobrar = this.procesarNumero(datos.cuentas_por_cobrar, null);
+            const cuentasPorPagar = this.procesarNumero(datos.cuentas_por_pagar, null);
+            const diasCobro = cuentasPorCobrar !== null && ventas > 0
+                ? (cuentasPorCobrar / ventas) * diasPeriodo
+                : this.procesarNumero(datos.dias_cobro);
+            const diasPago = cuentasPorPagar !== null && compras > 0
+                ? (cuentasPorPagar / compras) * diasPeriodo
+                : this.procesarNumero(datos.dias_pago);
+
+            const ciclo = diasInventario + diasCobro - diasPago;
+
+            // Capital de trabajo: lo que cuesta operar cada día por los días que el efectivo está atrapado
+            const costoDiario = (costoVentas + this.procesarNumero(datos.gastos_operativos)) / diasPeriodo;
+            const requerimiento = Math.max(0, costoDiario * ciclo);
+
+            const indicadores = {
+                inventarioPromedio: this.redondear(inventarioPromedio),
+                rotacion: rotacion !== null ? this.redondear(rotacion) : null,
+                rotacionAnual: rotacion !== null ? this.redondear(rotacion * 365 / diasPeriodo) : null,
+                diasInventario: this.redondear(diasInventario),
+                diasCobro: this.redondear(diasCobro),
+                diasPago: this.redondear(diasPago),
+                cicloConversionEfectivo: this.redondear(ciclo)
+            };
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                perfil,
+                diasPeriodo,
+                valoracion,
+                comparacion,
+                indicadores,
+                capitalTrabajo: {
+                    costoDiario: this.redondear(costoDiario),
+                    requerimiento: this.redondear(requerimiento),
+                    efectivoEnInventario: valoracion ? valoracion.inventarioFinal.valor : this.redondear(inventarioPromedio)
+                },
+                referencia,
+                recomendaciones: this.generarRecomendaciones(indicadores, referencia, costoDiario)
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    generarRecomendaciones(indicadores, referencia, costoDiario) {
+        const recomendaciones = [];
+        const f = valor => this.formatearMoneda(valor);
+
+        if (indicadores.diasInventario > referencia.dias_inventario) {
+            recomendaciones.push(`Tu inventario tarda ${Math.round(indicadores.diasInventario)} días en venderse, más que los ${referencia.dias_inventario} de referencia: cada día que recortes libera cerca de ${f(costoDiario)} de caja`);
+        }
+        if (indicadores.diasCobro > referencia.dias_cobro) {
+            recomendaciones.push(`Cobras a ${Math.round(indicadores.diasCobro)} días: acorta plazos o incentiva el pago de contado`);
+        }
+        if (indicadores.diasPago < referencia.dias_pago) {
+            recomendaciones.push(`Pagas a tus proveedores en ${Math.round(indicadores.diasPago)} días: negociar hasta ${referencia.dias_pago} días reduce el capital de trabajo que necesitas`);
+        }
+        if (indicadores.cicloConversionEfectivo <= 0) {
+            recomendaciones.push('Tus proveedores financian la operación: cobras antes de pagar, así que no necesitas crédito de capital de trabajo');
+        }
+
+        return recomendaciones;
+    }
+
+    formatearMoneda(valor) {
+        return new Intl.NumberFormat('es-CO', {
+            style: 'currency',
+            currency: 'COP',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(valor);
+    }
+}
+
+module.exports = CalculadoraInventario;
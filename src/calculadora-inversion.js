@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Calculadora de Inversión
+ * Evalúa la inversión inicial de un negocio contra sus flujos proyectados:
+ * VPN, TIR, periodo de recuperación simple y descontado, y ROI
+ */
+
+class CalculadoraInversion {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.evaluacion_inversion;
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    // Normalizar inversiones: arreglo [{concepto, tipo, valor}] u objeto {tipo: valor}
+    procesarInversiones(inversiones) {
+        const tipos = this.parametros.tipos_inversion;
+        const lista = Array.isArray(inversiones)
+            ? inversiones
+            : Object.entries(inversiones || {}).map(([tipo, valor]) => ({ tipo, valor }));
+
+        const detalle = lista
+            .map(inversion => {
+                const tipo = tipos[inversion.tipo] ? inversion.tipo : 'otros';
+                return {
+                    concepto: inversion.concepto || tipos[tipo],
+                    tipo,
+                    valor: Math.max(0, parseFloat(inversion.valor) || 0)
+                };
+            })
+            .filter(inversion => inversion.valor > 0);
+
+        const porTipo = Object.keys(tipos).reduce((obj, tipo) => {
+            obj[tipo] = detalle.filter(i => i.tipo === tipo).reduce((sum, i) => sum + i.valor, 0);
+            return obj;
+        }, {});
+
+        return {
+            detalle,
+            porTipo,
+            total: detalle.reduce((sum, i) => sum + i.valor, 0)
+        };
+    }
+
+    // Convertir tasa efectiva anual a tasa mensual equivalente
+    tasaMensual(tasaAnual) {
+        return Math.pow(1 + tasaAnual / 100, 1 / 12) - 1;
+    }
+
+    // Valor presente neto de una serie [flujo0, flujo1, ...] a una tasa periódica
+    calcularVPN(flujos, tasa) {
+        return flujos.reduce((sum, flujo, t) => sum + flujo / Math.pow(1 + tasa, t), 0);
+    }
+
+    // Tasa interna de retorno periódica por bisección; null si no hay cambio de signo
+    calcularTIR(flujos) {
+        let bajo = -0.99;
+        let alto = 1;
+        let vpnBajo = this.calcularVPN(flujos, bajo);
+        let vpnAlto = this.calcularVPN(flujos, alto);
+
+        // Ampliar el rango superior para proyectos muy rentables
+        while (vpnBajo * vpnAlto > 0 && alto < 100) {
+            alto *= 2;
+            vpnAlto = this.calcularVPN(flujos, alto);
+        }
+        if (vpnBajo * vpnAlto > 0) return null;
+
+        for (let i = 0; i < 200; i++) {
+            const medio = (bajo + alto) / 2;
+            const vpnMedio = this.calcularVPN(flujos, medio);
+            if (Math.abs(vpnMedio) < 0.01) return medio;
+            if (vpnBajo * vpnMedio < 0) {
+                alto = medio;
+            } else {
+                bajo = medio;
+                vpnBajo = vpnMedio;
+            }
+        }
+
+        return (bajo + alto) / 2;
+    }
+
+    // Periodo (con fracción) en que el acumulado deja de ser negativo; null si no ocurre
+    calcularRecuperacion(flujos) {
+        let acumulado = flujos[0];
+        if (acumulado >= 0) return 0;
+
+        for (let t = 1; t < flujos.length; t++) {
+            const anterior = acumulado;
+            acumulado += flujos[t];
+            if (acumulado >= 0) {
+                return this.redondear(t - 1 + (-anterior / flujos[t]));
+            }
+        }
+
+        return null;
+    }
+
+    // Método principal: evaluar la inversión contra flujos mensuales
+    evaluar(datos) {
+        try {
+            const inversiones = this.procesarInversiones(datos.inversiones);
+            const flujosMensuales = (Array.isArray(datos.flujos) ? datos.flujos : []).map(f => parseFloat(f) || 0);
+
+            if (inversiones.total <= 0) {
+                throw new Error('Debes registrar al menos una inversión inicial mayor a cero');
+            }
+            if (flujosMensuales.length === 0) {
+                throw new Error('Se necesitan los flujos de caja proyectados para evaluar la inversión');
+            }
+
+            const tasaAnual = datos.tasa_descuento !== undefined
+                ? parseFloat(datos.tasa_descuento)
+                : this.parametros.tasa_descuento_anual;
+            const tasa = this.tasaMensual(tasaAnual);
+
+            // El capital de trabajo y el valor residual se recuperan en el último mes
+            const recuperarCapital = datos.recuperar_capital_trabajo !== undefined
+                ? !!datos.recuperar_capital_trabajo
+                : this.parametros.recuperar_capital_trabajo;
+            const valorRecuperado = (recuperarCapital ? inversiones.porTipo.capital_trabajo : 0)
+                + (parseFloat(datos.valor_residual) || 0);
+
+            const flujos = [-inversiones.total, ...flujosMensuales];
+            flujos[flujos.length - 1] += valorRecuperado;
+
+            const vpn = this.calcularVPN(flujos, tasa);
+            const tirMensual = this.calcularTIR(flujos);
+            const tirAnual = tirMensual !== null ? Math.pow(1 + tirMensual, 12) - 1 : null;
+            const flujosDescontados = flujos.map((flujo, t) => flujo / Math.pow(1 + tasa, t));
+            const paybackSimple = this.calcularRecuperacion(flujos);
+            const paybackDescontado = this.calcularRecuperacion(flujosDescontados);
+            const gananciaTotal = flujos.reduce((sum, flujo) => sum + flujo, 0);
+            const roi = (gananciaTotal / inversiones.total) * 100;
+            const anios = flujosMensuales.length / 12;
+
+            const viable = vpn > 0 && tirAnual !== null && tirAnual * 100 > tasaAnual;
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                inversiones,
+                parametros: {
+                    tasaDescuentoAnual: tasaAnual,
+                    tasaDescuentoMensual: this.redondear(tasa * 100),
+                    meses: flujosMensuales.length,
+                    valorRecuperado: this.redondear(valorRecuperado)
+                },
+                indicadores: {
+                    vpn: this.redondear(vpn),
+                    tirMensual: tirMensual !== null ? this.redondear(tirMensual * 100) : null,
+                    tirAnual: tirAnual !== null ? this.redondear(tirAnual * 100) : null,
+                    paybackSimpleMeses: paybackSimple,
+                    paybackDescontadoMeses: paybackDescontado,
+                    roi: this.redondear(roi),
+                    roiAnualizado: anios > 0 && gananciaTotal > -inversiones.total
+                        ? this.redondear((Math.pow(1 + roi / 100, 1 / anios) - 1) * 100)
+                        : null
+                },
+                flujos: flujos.map((flujo, t) => ({
+                    mes: t,
+                    flujo: this.redondear(flujo),
+                    flujoDescontado: this.redondear(flujosDescontados[t])
+                })),
+                viable,
+                conclusion: viable
+                    ? `La inversión es atractiva: genera ${this.formatearMoneda(vpn)} por encima de una rentabilidad del ${tasaAnual}% anual`
+                    : `Con estos flujos la inversión no supera una rentabilidad del ${tasaAnual}% anual; revisa precio, volumen o monto a invertir`
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    formatearMoneda(valor) {
+        return new Intl.NumberFormat('es-CO', {
+            style: 'currency',
+            currency: 'COP',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(valor);
+    }
+}
+
+module.exports = CalculadoraInversion;
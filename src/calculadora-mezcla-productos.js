@@ -0,0 +1,206 @@
+const CalculadoraFinanciera = require('./calculadora-financiera');
+
+const { COSTOS_VARIABLES, COSTOS_FIJOS } = CalculadoraFinanciera;
+
+/**
+ * Calculadora de Mezcla de Productos
+ * Analiza un catálogo de productos que comparten una misma bolsa de costos fijos:
+ * margen de contribución ponderado, punto de equilibrio por mezcla y ranking de rentabilidad
+ */
+
+class CalculadoraMezclaProductos {
+    constructor() {
+        this.calculadora = new CalculadoraFinanciera();
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    // Sumar la bolsa de costos fijos mensuales (número o desglose por categoría)
+    calcularCostosFijos(costosFijos) {
+        if (costosFijos === null || costosFijos === undefined) {
+            return { total: 0, detalle: {} };
+        }
+
+        if (typeof costosFijos !== 'object') {
+            return { total: this.calculadora.procesarValorNumerico(costosFijos), detalle: {} };
+        }
+
+        const detalle = {};
+        let total = 0;
+        COSTOS_FIJOS.forEach(tipo => {
+            const valor = this.calculadora.procesarValorNumerico(costosFijos[tipo]);
+            detalle[tipo] = valor;
+            total += valor;
+        });
+
+        return { total: this.redondear(total), detalle };
+    }
+
+    // Costo variable unitario de un producto, respetando su base y volumen
+    calcularCostoVariableProducto(producto) {
+        const costos = producto.costos || {};
+        const soloVariables = COSTOS_VARIABLES.reduce((obj, tipo) => {
+            obj[tipo] = costos[tipo];
+            return obj;
+        }, {});
+
+        const estructura = this.calculadora.calcularEstructuraCostos(soloVariables, {
+            volumen_mensual: producto.volumen_mensual,
+            base_costos: producto.base_costos
+        });
+
+        return {
+            costoVariableUnitario: estructura.costoVariableUnitario,
+            detalle: COSTOS_VARIABLES.reduce((obj, tipo) => {
+                obj[tipo] = estructura.detalle[tipo].unitario;
+                return obj;
+            }, {}),
+            advertencias: estructura.advertencias
+        };
+    }
+
+    // Normalizar participaciones: declaradas, por volumen o en partes iguales
+    calcularParticipaciones(productos) {
+        const declaradas = productos.map(p => this.calculadora.procesarValorNumerico(p.participacion));
+        const totalDeclarado = declaradas.reduce((sum, v) => sum + v, 0);
+
+        if (totalDeclarado > 0) {
+            return { origen: 'declarada', valores: declaradas.map(v => v / totalDeclarado) };
+        }
+
+        const volumenes = productos.map(p => this.calculadora.procesarVolumen(p.volumen_mensual) || 0);
+        const totalVolumen = volumenes.reduce((sum, v) => sum + v, 0);
+
+        if (totalVolumen > 0) {
+            return { origen: 'volumen', valores: volumenes.map(v => v / totalVolumen) };
+        }
+
+        return { origen: 'igual', valores: productos.map(() => 1 / productos.length) };
+    }
+
+    // Método principal: analizar el catálogo completo
+    calcularMezcla(datos) {
+        try {
+            const productos = Array.isArray(datos.productos) ? datos.productos : [];
+
+            if (productos.length === 0) {
+                throw new Error('Debes registrar al menos un producto en el catálogo');
+            }
+
+            const costosFijos = this.calcularCostosFijos(datos.costos_fijos);
+            const participaciones = this.calcularParticipaciones(productos);
+
+            const detalleProductos = productos.map((producto, i) => {
+                const nombre = producto.nombre || `Producto ${i + 1}`;
+                const precio = this.calculadora.procesarValorNumerico(producto.precio);
+
+                if (precio <= 0) {
+                    throw new Error(`El producto "${nombre}" necesita un precio de venta mayor a cero`);
+                }
+
+                const variable = this.calcularCostoVariableProducto(producto);
+                const margenContribucion = precio - variable.costoVariableUnitario;
+
+                return {
+                    nombre,
+                    precio,
+                    costoVariableUnitario: variable.costoVariableUnitario,
+                    detalleCostos: variable.detalle,
+                    margenContribucion: this.redondear(margenContribucion),
+                    razonContribucion: this.redondear((margenContribucion / precio) * 100),
+                    participacion: this.redondear(participaciones.valores[i] * 100),
+                    volumenMensual: this.calculadora.procesarVolumen(producto.volumen_mensual),
+                    advertencias: variable.advertencias
+                };
+            });
+
+            // Margen de contribución ponderado por unidad de mezcla
+            const margenPonderado = detalleProductos.reduce(
+                (sum, p, i) => sum + p.margenContribucion * participaciones.valores[i], 0
+            );
+            const precioPonderado = detalleProductos.reduce(
+                (sum, p, i) => sum + p.precio * participaciones.valores[i], 0
+            );
+
+            let puntoEquilibrio;
+            if (margenPonderado <= 0) {
+                puntoEquilibrio = {
+                    unidadesTotales: null,
+                    ventasEnPesos: null,
+                    porProducto: [],
+                    error: 'El margen de contribución ponderado es negativo. Revisa precios y costos variables de tu catálogo.'
+                };
+            } else {
+                const unidadesTotales = costosFijos.total / margenPonderado;
+                const porProducto = detalleProductos.map((p, i) => {
+                    const unidades = Math.ceil(unidadesTotales * participaciones.valores[i]);
+                    return {
+                        nombre: p.nombre,
+                        unidades,
+                        ventasEnPesos: this.redondear(unidades * p.precio)
+                    };
+                });
+
+                puntoEquilibrio = {
+                    unidadesTotales: porProducto.reduce((sum, p) => sum + p.unidades, 0),
+                    ventasEnPesos: this.redondear(porProducto.reduce((sum, p) => sum + p.ventasEnPesos, 0)),
+                    porProducto
+                };
+            }
+
+            // Ranking por contribución aportada a la mezcla
+            const contribucionMezcla = detalleProductos.map((p, i) => p.margenContribucion * participaciones.valores[i]);
+            const totalContribucion = contribucionMezcla.reduce((sum, v) => sum + v, 0);
+            const ranking = detalleProductos
+                .map((p, i) => ({
+                    nombre: p.nombre,
+                    margenContribucion: p.margenContribucion,
+                    razonContribucion: p.razonContribucion,
+                    aporteContribucion: totalContribucion > 0
+                        ? this.redondear((contribucionMezcla[i] / totalContribucion) * 100)
+                        : 0,
+                    contribucionMensual: p.volumenMensual
+                        ? this.redondear(p.margenContribucion * p.volumenMensual)
+                        : null
+                }))
+                .sort((a, b) => b.aporteContribucion - a.aporteContribucion || b.razonContribucion - a.razonContribucion)
+                .map((p, i) => ({ posicion: i + 1, ...p }));
+
+            // Utilidad mensual si todos los productos declaran volumen
+            const conVolumen = detalleProductos.every(p => p.volumenMensual);
+            const utilidadMensual = conVolumen
+                ? this.redondear(detalleProductos.reduce((sum, p) => sum + p.margenContribucion * p.volumenMensual, 0) - costosFijos.total)
+                : null;
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                resumen: {
+                    cantidadProductos: detalleProductos.length,
+                    costosFijosMensuales: costosFijos.total,
+                    margenContribucionPonderado: this.redondear(margenPonderado),
+                    razonContribucionPonderada: precioPonderado > 0
+                        ? this.redondear((margenPonderado / precioPonderado) * 100)
+                        : 0,
+                    origenParticipacion: participaciones.origen,
+                    utilidadMensual
+                },
+                productos: detalleProductos,
+                costosFijos: costosFijos.detalle,
+                puntoEquilibrio,
+                ranking
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+}
+
+module.exports = CalculadoraMezclaProductos;
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Calculadora de Nómina Colombiana
+ * Calcula el costo real de cada empleado (aportes, prestaciones sociales y auxilio de transporte)
+ * y separa la mano de obra directa de la nómina administrativa
+ */
+
+const CONTRATOS = {
+    laboral: 'laboral',
+    indefinido: 'laboral',
+    fijo: 'laboral',
+    termino_fijo: 'laboral',
+    obra_labor: 'laboral',
+    integral: 'integral',
+    salario_integral: 'integral',
+    prestacion_servicios: 'prestacion_servicios',
+    prestacion_de_servicios: 'prestacion_servicios',
+    servicios: 'prestacion_servicios',
+    aprendiz: 'aprendiz',
+    sena: 'aprendiz'
+};
+
+const AREAS = {
+    directa: 'directa',
+    produccion: 'directa',
+    operativa: 'directa',
+    administrativa: 'administrativa',
+    admin: 'administrativa',
+    administracion: 'administrativa'
+};
+
+class CalculadoraNomina {
+    constructor(anio) {
+        this.config = this.cargarConfiguracion();
+        this.anio = this.resolverAnio(anio);
+        this.parametros = this.config.anios[this.anio];
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/parametros-laborales.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    // Usar el año pedido o el más reciente configurado que no lo supere
+    resolverAnio(anio) {
+        const disponibles = Object.keys(this.config.anios).sort();
+        const pedido = (anio || new Date().getFullYear()).toString();
+        if (this.config.anios[pedido]) return pedido;
+
+        const anteriores = disponibles.filter(a => a <= pedido);
+        return anteriores.length > 0 ? anteriores[anteriores.length - 1] : disponibles[0];
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    normalizarContrato(tipo) {
+        const clave = (tipo || 'laboral').toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, '_');
+        if (!CONTRATOS[clave]) {
+            throw new Error(`Tipo de contrato no reconocido: "${tipo}" (usa laboral, integral, prestación de servicios o aprendiz)`);
+        }
+        return CONTRATOS[clave];
+    }
+
+    normalizarArea(area) {
+        const clave = (area || 'directa').toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (!AREAS[clave]) {
+            throw new Error(`Área no reconocida: "${area}" (usa directa o administrativa)`);
+        }
+        return AREAS[clave];
+    }
+
+    // Calcular el costo mensual y por hora de un empleado
+    calcularEmpleado(empleado, opciones = {}) {
+        const p = this.parametros;
+        const nombre = empleado.nombre || 'Empleado';
+        const salario = parseFloat(empleado.salario);
+        const tipoContrato = this.normalizarContrato(empleado.tipo_contrato);
+        const claseRiesgo = Math.min(5, Math.max(1, parseInt(empleado.clase_riesgo) || 1));
+        const horasSemanales = parseFloat(empleado.horas_semanales) || p.jornada_semanal;
+        const advertencias = [];
+
+        if (isNaN(salario) || salario <= 0) {
+            throw new Error(`El empleado "${nombre}" necesita un salario mayor a cero`);
+        }
+
+        if (tipoContrato === 'integral' && salario < p.smmlv * p.salario_integral_minimo_smmlv) {
+            throw new Error(`El salario integral de "${nombre}" debe ser de al menos ${p.salario_integral_minimo_smmlv} SMMLV`);
+        }
+
+        if (tipoContrato === 'laboral' && horasSemanales >= p.jornada_semanal && salario < p.smmlv) {
+            advertencias.push(`El salario de "${nombre}" está por debajo del SMMLV ${this.anio}`);
+        }
+
+        const aportes = { salud: 0, pension: 0, arl: 0, caja_compensacion: 0, sena: 0, icbf: 0 };
+        const prestaciones = { prima: 0, cesantias: 0, intereses_cesantias: 0, vacaciones: 0 };
+        let auxilioTransporte = 0;
+
+        if (tipoContrato === 'laboral' || tipoContrato === 'integral') {
+            const baseAportes = tipoContrato === 'integral' ? salario * p.base_aportes_integral : salario;
+
+            // Exoneración de salud, SENA e ICBF para empleadores que la aplican (art. 114-1 E.T.)
+            const exonerado = opciones.exoneracion_aportes && salario < p.smmlv * p.tope_exoneracion_smmlv;
+
+            aportes.salud = exonerado ? 0 : baseAportes * p.aportes.salud;
+            aportes.pension = baseAportes * p.aportes.pension;
+            aportes.arl = baseAportes * p.arl[claseRiesgo];
+            aportes.caja_compensacion = baseAportes * p.aportes.caja_compensacion;
+            aportes.sena = exonerado ? 0 : baseAportes * p.aportes.sena;
+            aportes.icbf = exonerado ? 0 : baseAportes * p.aportes.icbf;
+
+            if (tipoContrato === 'laboral') {
+                if (salario <= p.smmlv * p.tope_auxilio_transporte_smmlv) {
+                    auxilioTransporte = p.auxilio_transporte;
+                }
+
+                // El auxilio de transporte hace parte de la base de prima y cesantías
+                const basePrestaciones = salario + auxilioTransporte;
+                prestaciones.prima = basePrestaciones * p.prestaciones.prima;
+                prestaciones.cesantias = basePrestaciones * p.prestaciones.cesantias;
+                prestaciones.intereses_cesantias = basePrestaciones * p.prestaciones.intereses_cesantias;
+            }
+
+            prestaciones.vacaciones = salario * p.prestaciones.vacaciones;
+
+        } else if (tipoContrato === 'aprendiz') {
+            aportes.salud = salario * p.aportes.salud_aprendiz;
+            aportes.arl = salario * p.arl[claseRiesgo];
+        }
+
+        const totalAportes = Object.values(aportes).reduce((sum, v) => sum + v, 0);
+        const totalPrestaciones = Object.values(prestaciones).reduce((sum, v) => sum + v, 0);
+        const costoMensual = salario + auxilioTransporte + totalAportes + totalPrestaciones;
+        const horasMensuales = horasSemanales * 5;
+
+        return {
+            nombre,
+            cargo: empleado.cargo || null,
+            area: this.normalizarArea(empleado.area),
+            tipoContrato,
+            claseRiesgo,
+            salario,
+            auxilioTransporte,
+            aportes: Object.fromEntries(Object.entries(aportes).map(([k, v]) => [k, this.redondear(v)])),
+            prestaciones: Object.fromEntries(Object.entries(prestaciones).map(([k, v]) => [k, this.redondear(v)])),
+            totalAportes: this.redondear(totalAportes),
+            totalPrestaciones: this.redondear(totalPrestaciones),
+            costoMensual: this.redondear(costoMensual),
+            horasMensuales,
+            costoHora: this.redondear(costoMensual / horasMensuales),
+            factorPrestacional: this.redondear(costoMensual / salario),
+            advertencias
+        };
+    }
+
+    // Método principal: calcular la nómina completa
+    calcularNomina(empleados, opciones = {}) {
+        try {
+            if (!Array.isArray(empleados) || empleados.length === 0) {
+                throw new Error('Debes registrar al menos un empleado');
+            }
+
+            const detalle = empleados.map(empleado => this.calcularEmpleado(empleado, opciones));
+            const directos = detalle.filter(e => e.area === 'directa');
+            const administrativos = detalle.filter(e => e.area === 'administrativa');
+
+            const manoObraDirecta = directos.reduce((sum, e) => sum + e.costoMensual, 0);
+            const nominaAdministrativa = administrativos.reduce((sum, e) => sum + e.costoMensual, 0);
+            const volumenMensual = Math.floor(parseFloat(opciones.volumen_mensual)) || null;
+
+            return {
+                exito: true,
+                anio: this.anio,
+                parametros: {
+                    smmlv: this.parametros.smmlv,
+                    auxilioTransporte: this.parametros.auxilio_transporte,
+                    jornadaSemanal: this.parametros.jornada_semanal,
+                    exoneracionAportes: !!opciones.exoneracion_aportes
+                },
+                empleados: detalle,
+                resumen: {
+                    empleadosDirectos: directos.length,
+                    empleadosAdministrativos: administrativos.length,
+                    manoObraDirecta: this.redondear(manoObraDirecta),
+                    nominaAdministrativa: this.redondear(nominaAdministrativa),
+                    totalNomina: this.redondear(manoObraDirecta + nominaAdministrativa),
+                    manoObraPorUnidad: volumenMensual ? this.redondear(manoObraDirecta / volumenMensual) : null
+                },
+                advertencias: detalle.flatMap(e => e.advertencias),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    // Llevar la nómina a los costos: directa a mano_obra y administrativa a su propia categoría fija,
+    // para que aplicarla de nuevo reemplace el valor en lugar de sumarlo al arriendo
+    aplicarACostos(costos = {}, nomina) {
+        return {
+            costos: {
+                ...costos,
+                mano_obra: nomina.resumen.manoObraDirecta,
+                nomina_administrativa: nomina.resumen.nominaAdministrativa
+            },
+            base_costos: {
+                mano_obra: 'mes',
+                nomina_administrativa: 'mes'
+            }
+        };
+    }
+}
+
+module.exports = CalculadoraNomina;
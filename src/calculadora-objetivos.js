@@ -0,0 +1,306 @@
+const CalculadoraFinanciera = require('./calculadora-financiera');
+const InterpreteMontos = require('./interprete-montos');
+
+/**
+ * Calculadora de Objetivos (búsqueda de meta)
+ * Resuelve el camino inverso del costeo: dada una utilidad mensual o un margen objetivo,
+ * calcula el precio, el volumen o el costo máximo de una categoría que se necesita
+ */
+
+const VARIABLES = {
+    precio: 'precio',
+    volumen: 'volumen',
+    unidades: 'volumen',
+    costo: 'costo',
+    costo_maximo: 'costo'
+};
+
+const NOMBRES_CATEGORIA = {
+    materia_prima: 'materia prima',
+    mano_obra: 'mano de obra',
+    empaque: 'empaque',
+    servicios: 'servicios',
+    transporte: 'transporte',
+    marketing: 'marketing',
+    arriendo_sueldos: 'arriendo y sueldos',
+    otros_costos: 'otros costos',
+    depreciacion: 'depreciación de activos',
+    mantenimiento: 'mantenimiento de activos',
+    nomina_administrativa: 'nómina administrativa'
+};
+
+// Palabras con las que el usuario suele nombrar cada categoría en el chat
+const SINONIMOS_CATEGORIA = {
+    materia_prima: ['materia prima', 'insumo', 'ingrediente', 'material'],
+    mano_obra: ['mano de obra', 'operario', 'trabajador'],
+    empaque: ['empaque', 'envase', 'bolsa', 'caja'],
+    servicios: ['servicio', 'luz', 'agua', 'internet'],
+    transporte: ['transporte', 'envio', 'domicilio', 'flete'],
+    marketing: ['marketing', 'publicidad', 'pauta'],
+    nomina_administrativa: ['nomina administrativa', 'administrativ'],
+    arriendo_sueldos: ['arriendo', 'sueldo', 'local', 'nomina'],
+    otros_costos: ['otros costos', 'prestamo', 'interes'],
+    depreciacion: ['depreciacion', 'maquina', 'equipo', 'horno'],
+    mantenimiento: ['mantenimiento', 'reparacion', 'repuesto']
+};
+
+class CalculadoraObjetivos {
+    constructor() {
+        this.calculadora = new CalculadoraFinanciera();
+        this.interpreteMontos = new InterpreteMontos();
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    limpiarTexto(texto) {
+        return (texto || '').toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    // Costo variable por unidad y costos fijos del mes, con la misma estructura que usa el costeo:
+    // un costo variable declarado por mes se reparte en el volumen declarado y luego crece con las unidades
+    separarCostos(datosCostos) {
+        const estructura = this.calculadora.calcularEstructuraCostos(datosCostos.costos || {}, {
+            volumen_mensual: datosCostos.volumen_mensual,
+            base_costos: datosCostos.base_costos
+        });
+
+        return {
+            estructura,
+            porUnidad: estructura.costoVariableUnitario,
+            porMes: estructura.costosFijosMensuales
+        };
+    }
+
+    // Pasar el monto mensual permitido de una categoría a la base en que se declaró: un costo variable
+    // se reparte en el volumen evaluado y uno fijo en el volumen declarado, como en calcularEstructuraCostos
+    convertirABaseDeclarada(item, montoMes, volumenActual, volumenDeclarado) {
+        const volumenBase = volumenDeclarado || volumenActual;
+
+        if (item.tipo === 'variable') {
+            const unitario = montoMes / volumenActual;
+            return item.base === 'unidad' ? unitario : unitario * volumenBase;
+        }
+        return item.base === 'mes' ? montoMes : montoMes / volumenBase;
+    }
+
+    // Objetivo: {utilidad_mensual} en pesos o {margen} como % de utilidad sobre ventas
+    procesarObjetivo(objetivo) {
+        if (objetivo.margen !== undefined && objetivo.margen !== null && objetivo.margen !== '') {
+            const margen = parseFloat(objetivo.margen);
+            if (isNaN(margen) || margen >= 100) {
+                throw new Error('El margen objetivo debe ser un porcentaje menor a 100');
+            }
+            return { tipo: 'margen', valor: margen };
+        }
+
+        const utilidad = parseFloat(objetivo.utilidad_mensual);
+        if (isNaN(utilidad)) {
+            throw new Error('Indica la utilidad mensual o el margen que quieres alcanzar');
+        }
+        return { tipo: 'utilidad', valor: utilidad };
+    }
+
+    // Resultado mensual con un precio, un volumen y los costos separados
+    evaluarEscenario(precio, volumen, porUnidad, porMes) {
+        const ingresos = precio * volumen;
+        const costosTotales = porUnidad * volumen + porMes;
+        const utilidad = ingresos - costosTotales;
+
+        return {
+            precio: this.redondear(precio),
+            volumen,
+            ingresos: this.redondear(ingresos),
+            costosTotales: this.redondear(costosTotales),
+            utilidadMensual: this.redondear(utilidad),
+            margen: ingresos > 0 ? this.redondear((utilidad / ingresos) * 100) : 0
+        };
+    }
+
+    // Método principal: resolver precio, volumen o costo máximo para llegar al objetivo
+    // datosCostos tiene la misma forma que CalculadoraFinanciera.calcularCompleto
+    resolver(datosCostos, parametros = {}) {
+        try {
+            const variable = VARIABLES[this.limpiarTexto(parametros.variable)];
+            if (!variable) {
+                throw new Error('La variable a resolver debe ser "precio", "volumen" o "costo"');
+            }
+
+            const objetivo = this.procesarObjetivo(parametros);
+            const m = objetivo.valor / 100;
+
+            // Precio y volumen actuales: los indicados o los del costeo
+            const precioActual = parseFloat(parametros.precio)
+                || this.calculadora.calcularCompleto(datosCostos).resumen.precioVentaSugerido;
+            const { estructura, porUnidad, porMes } = this.separarCostos(datosCostos);
+            const advertencias = [...estructura.advertencias];
+            const volumenActual = Math.floor(parseFloat(parametros.volumen)) || estructura.volumenMensual;
+
+            if (variable !== 'volumen' && !volumenActual) {
+                throw new Error('Se necesita el volumen mensual para resolver el precio o el costo máximo');
+            }
+
+            let valorActual;
+            let valorRequerido = null;
+            let factible = true;
+            let motivo = null;
+            let resultado = null;
+            let categoria = null;
+
+            if (variable === 'precio') {
+                valorActual = precioActual;
+                const costoUnitario = porUnidad + porMes / volumenActual;
+                valorRequerido = objetivo.tipo === 'utilidad'
+                    ? costoUnitario + objetivo.valor / volumenActual
+                    : costoUnitario / (1 - m);
+
+                resultado = this.evaluarEscenario(valorRequerido, volumenActual, porUnidad, porMes);
+                valorRequerido = resultado.precio;
+
+            } else if (variable === 'volumen') {
+                valorActual = volumenActual;
+                const contribucion = objetivo.tipo === 'utilidad'
+                    ? precioActual - porUnidad
+                    : precioActual * (1 - m) - porUnidad;
+                const necesario = objetivo.tipo === 'utilidad' ? objetivo.valor + porMes : porMes;
+
+                if (contribucion <= 0) {
+                    factible = false;
+                    motivo = objetivo.tipo === 'utilidad'
+                        ? `el precio de ${this.calculadora.formatearMoneda(precioActual)} no cubre el costo por unidad; ningún volumen alcanza la meta`
+                        : `con un precio de ${this.calculadora.formatearMoneda(precioActual)} el margen del ${objetivo.valor}% no es alcanzable a ningún volumen`;
+                } else {
+                    valorRequerido = Math.max(1, Math.ceil(necesario / contribucion));
+                    resultado = this.evaluarEscenario(precioActual, valorRequerido, porUnidad, porMes);
+                }
+
+                const capacidad = Math.floor(parseFloat(parametros.capacidad_maxima));
+                if (factible && capacidad > 0 && valorRequerido > capacidad) {
+                    factible = false;
+                    motivo = `se necesitan ${valorRequerido.toLocaleString('es-CO')} unidades y tu capacidad es de ${capacidad.toLocaleString('es-CO')} al mes`;
+                }
+
+            } else {
+                categoria = estructura.detalle[parametros.categoria] ? parametros.categoria : null;
+                if (!categoria) {
+                    throw new Error(`Categoría no válida; usa una de: ${Object.keys(NOMBRES_CATEGORIA).join(', ')}`);
+                }
+
+                const item = estructura.detalle[categoria];
+                valorActual = item.valor;
+
+                // Costo total permitido en el mes menos lo que ya consumen las demás categorías
+                const ingresos = precioActual * volumenActual;
+                const utilidadObjetivo = objetivo.tipo === 'utilidad' ? objetivo.valor : ingresos * m;
+                const costoCategoriaMes = item.tipo === 'variable' ? item.unitario * volumenActual : item.mensual;
+                const otrosCostos = porUnidad * volumenActual + porMes - costoCategoriaMes;
+                const disponibleMes = ingresos - utilidadObjetivo - otrosCostos;
+
+                if (disponibleMes < 0) {
+                    factible = false;
+                    motivo = `aun con ${NOMBRES_CATEGORIA[categoria]} en cero faltan ${this.calculadora.formatearMoneda(-disponibleMes)} al mes para la meta`;
+                } else {
+                    // El valor requerido se expresa en la base en que se declaró la categoría
+                    valorRequerido = this.redondear(this.convertirABaseDeclarada(item, disponibleMes, volumenActual, estructura.volumenMensual));
+                    resultado = this.evaluarEscenario(precioActual, volumenActual, porUnidad, porMes + disponibleMes - costoCategoriaMes);
+                }
+            }
+
+            if (factible && variable === 'volumen' && volumenActual && valorRequerido > volumenActual * 2) {
+                advertencias.push('La meta exige más del doble de tu volumen actual: valida que el mercado y tu capacidad lo soporten');
+            }
+            if (factible && variable === 'precio' && valorRequerido > precioActual * 1.3) {
+                advertencias.push('El precio requerido supera en más de 30% el actual: compáralo con tu competencia antes de subirlo');
+            }
+
+            const respuesta = {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                variable,
+                categoria,
+                base: categoria ? estructura.detalle[categoria].base : null,
+                objetivo,
+                valorActual: this.redondear(valorActual || 0),
+                valorRequerido,
+                variacion: factible && valorActual
+                    ? this.redondear(((valorRequerido - valorActual) / valorActual) * 100)
+                    : null,
+                factible,
+                motivo,
+                resultado,
+                advertencias
+            };
+            respuesta.mensaje = this.generarMensaje(respuesta);
+
+            return respuesta;
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    // Interpretar una pregunta libre del chat ("quiero ganar 3 millones, ¿qué precio necesito?")
+    interpretarPregunta(texto) {
+        const limpio = this.limpiarTexto(texto);
+
+        let variable = null;
+        let categoria = null;
+        if (/cuant[ao]s?\s+(unidades|productos|ventas)|\bvolumen\b|cuanto\s+(tengo|debo|necesito)\s+vender/.test(limpio)) {
+            variable = 'volumen';
+        } else if (/\bprecio\b|a\s+como\s+(vendo|debo vender)|cuanto\s+(cobro|debo cobrar)/.test(limpio)) {
+            variable = 'precio';
+        } else if (/(maximo|cuanto\s+puedo\s+(pagar|gastar))/.test(limpio)) {
+            categoria = Object.keys(SINONIMOS_CATEGORIA)
+                .find(clave => SINONIMOS_CATEGORIA[clave].some(palabra => limpio.includes(palabra)));
+            if (categoria) variable = 'costo';
+        }
+
+        if (!variable) return null;
+
+        const margen = limpio.match(/margen\s+(?:de(?:l)?\s+)?(\d+(?:[.,]\d+)?)\s*%?|(\d+(?:[.,]\d+)?)\s*%\s+de\s+margen/);
+        if (margen) {
+            return { variable, categoria, margen: parseFloat((margen[1] || margen[2]).replace(',', '.')) };
+        }
+
+        // El monto de la meta va después de "ganar", "utilidad", etc.
+        const indice = limpio.search(/ganar|utilidad|ganancia|quedar/);
+        if (indice < 0) return null;
+        const utilidad = this.extraerMonto(limpio.slice(indice));
+        return utilidad !== null ? { variable, categoria, utilidad_mensual: utilidad } : null;
+    }
+
+    // Monto en pesos escrito como "3 millones", "3M", "500 mil", "3.000.000" o "tres palos"
+    extraerMonto(texto) {
+        const monto = this.interpreteMontos.interpretar(texto);
+        return monto ? Math.round(monto.valor) : null;
+    }
+
+    generarMensaje(respuesta) {
+        const f = valor => this.calculadora.formatearMoneda(valor);
+        const meta = respuesta.objetivo.tipo === 'utilidad'
+            ? `ganar ${f(respuesta.objetivo.valor)} al mes`
+            : `un margen del ${respuesta.objetivo.valor}% sobre ventas`;
+
+        if (!respuesta.factible) {
+            return `No es posible ${meta}: ${respuesta.motivo}.`;
+        }
+
+        if (respuesta.variable === 'precio') {
+            return `Para ${meta} vendiendo ${respuesta.resultado.volumen.toLocaleString('es-CO')} unidades necesitas un precio de ${f(respuesta.valorRequerido)} (hoy ${f(respuesta.valorActual)}).`;
+        }
+        if (respuesta.variable === 'volumen') {
+            return `Para ${meta} a ${f(respuesta.resultado.precio)} necesitas vender ${respuesta.valorRequerido.toLocaleString('es-CO')} unidades al mes${respuesta.valorActual ? ` (hoy ${respuesta.valorActual.toLocaleString('es-CO')})` : ''}.`;
+        }
+
+        const base = respuesta.base === 'unidad' ? 'por unidad' : 'al mes';
+        return `Para ${meta} puedes gastar como máximo ${f(respuesta.valorRequerido)} ${base} en ${NOMBRES_CATEGORIA[respuesta.categoria]} (hoy ${f(respuesta.valorActual)}).`;
+    }
+}
+
+module.exports = CalculadoraObjetivos;
@@ -0,0 +1,339 @@
+/**
+ * Calculadora de Recetas (lista de materiales)
+ * Costea productos a partir de insumos con unidad de compra, precio y merma,
+ * recetas con sub-recetas anidadas y calcula la materia prima por unidad
+ */
+
+// Factores de conversión a la unidad base de cada familia
+const UNIDADES = {
+    g: { familia: 'masa', factor: 1 },
+    kg: { familia: 'masa', factor: 1000 },
+    lb: { familia: 'masa', factor: 453.592 },
+    ml: { familia: 'volumen', factor: 1 },
+    l: { familia: 'volumen', factor: 1000 },
+    unidad: { familia: 'conteo', factor: 1 },
+    docena: { familia: 'conteo', factor: 12 }
+};
+
+const ALIAS_UNIDADES = {
+    gr: 'g', gramo: 'g', gramos: 'g',
+    kilo: 'kg', kilos: 'kg', kilogramo: 'kg', kilogramos: 'kg',
+    libra: 'lb', libras: 'lb',
+    litro: 'l', litros: 'l', lt: 'l',
+    mililitro: 'ml', mililitros: 'ml', cc: 'ml',
+    u: 'unidad', und: 'unidad', unidades: 'unidad', porcion: 'unidad', porciones: 'unidad',
+    docenas: 'docena'
+};
+
+class CalculadoraRecetas {
+    constructor(datos = {}) {
+        this.insumos = { ...(datos.insumos || {}) };
+        this.recetas = { ...(datos.recetas || {}) };
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    // Normalizar el nombre de una unidad de medida
+    normalizarUnidad(unidad) {
+        const texto = (unidad || 'unidad').toString().toLowerCase().trim();
+        const normalizada = ALIAS_UNIDADES[texto] || texto;
+        if (!UNIDADES[normalizada]) {
+            throw new Error(`Unidad de medida no reconocida: "${unidad}"`);
+        }
+        return normalizada;
+    }
+
+    // Convertir una cantidad entre unidades de la misma familia
+    convertirCantidad(cantidad, desde, hacia) {
+        const origen = UNIDADES[this.normalizarUnidad(desde)];
+        const destino = UNIDADES[this.normalizarUnidad(hacia)];
+
+        if (origen.familia !== destino.familia) {
+            throw new Error(`No se puede convertir de ${desde} a ${hacia}`);
+        }
+
+        return cantidad * origen.factor / destino.factor;
+    }
+
+    // Generar identificador a partir del nombre
+    generarId(nombre) {
+        return nombre.toString().toLowerCase().trim()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+    }
+
+    procesarNumero(valor) {
+        const numero = parseFloat(valor);
+        return isNaN(numero) ? null : numero;
+    }
+
+    // Registrar o actualizar un insumo del catálogo
+    registrarInsumo(datos) {
+        if (!datos || !datos.nombre) {
+            throw new Error('El insumo necesita un nombre');
+        }
+
+        const precioCompra = this.procesarNumero(datos.precio_compra);
+        const cantidadCompra = this.procesarNumero(datos.cantidad_compra) || 1;
+        const merma = this.procesarNumero(datos.merma) || 0;
+
+        if (precioCompra === null || precioCompra < 0) {
+            throw new Error(`El insumo "${datos.nombre}" necesita un precio de compra válido`);
+        }
+        if (cantidadCompra <= 0) {
+            throw new Error(`La cantidad de compra de "${datos.nombre}" debe ser mayor a cero`);
+        }
+        if (merma < 0 || merma >= 100) {
+            throw new Error(`La merma de "${datos.nombre}" debe estar entre 0% y 99%`);
+        }
+
+        const id = datos.id || this.generarId(datos.nombre);
+        const unidadCompra = this.normalizarUnidad(datos.unidad_compra);
+
+        // Las recetas guardan la cantidad del insumo en su propia unidad: cambiar de familia las dejaría sin costeo
+        Object.values(this.recetas).forEach(receta => {
+            const ingrediente = receta.ingredientes.find(item => item.insumo === id);
+            if (ingrediente && UNIDADES[ingrediente.unidad].familia !== UNIDADES[unidadCompra].familia) {
+                throw new Error(`No se puede comprar "${datos.nombre}" en ${unidadCompra}: la receta "${receta.nombre}" lo usa en ${ingrediente.unidad}`);
+            }
+        });
+
+        this.insumos[id] = {
+            id,
+            nombre: datos.nombre,
+            unidad_compra: unidadCompra,
+            cantidad_compra: cantidadCompra,
+            precio_compra: precioCompra,
+            merma
+        };
+
+        return this.insumos[id];
+    }
+
+    // Costo de una unidad aprovechable del insumo, descontando la merma
+    calcularCostoInsumo(id, cantidad = 1, unidad) {
+        const insumo = this.insumos[id];
+        if (!insumo) {
+            throw new Error(`Insumo no encontrado: "${id}"`);
+        }
+
+        const cantidadUtil = insumo.cantidad_compra * (1 - insumo.merma / 100);
+        const costoPorUnidadCompra = insumo.precio_compra / cantidadUtil;
+        const cantidadEnUnidadCompra = this.convertirCantidad(cantidad, unidad || insumo.unidad_compra, insumo.unidad_compra);
+
+        return costoPorUnidadCompra * cantidadEnUnidadCompra;
+    }
+
+    // Registrar o actualizar una receta con sus ingredientes y sub-recetas
+    registrarReceta(datos) {
+        if (!datos || !datos.nombre) {
+            throw new Error('La receta necesita un nombre');
+        }
+        if (!Array.isArray(datos.ingredientes) || datos.ingredientes.length === 0) {
+            throw new Error(`La receta "${datos.nombre}" necesita al menos un ingrediente`);
+        }
+
+        const rendimiento = this.procesarNumero(datos.rendimiento) || 1;
+        if (rendimiento <= 0) {
+            throw new Error(`El rendimiento de "${datos.nombre}" debe ser mayor a cero`);
+        }
+
+        const id = datos.id || this.generarId(datos.nombre);
+        const ingredientes = datos.ingredientes.map(ingrediente => {
+            const cantidad = this.procesarNumero(ingrediente.cantidad);
+            if (cantidad === null || cantidad <= 0) {
+                throw new Error(`Cantidad inválida en la receta "${datos.nombre}"`);
+            }
+
+            if (ingrediente.receta) {
+                if (!this.recetas[ingrediente.receta] && ingrediente.receta !== id) {
+                    throw new Error(`Sub-receta no encontrada: "${ingrediente.receta}"`);
+                }
+                return { receta: ingrediente.receta, cantidad, unidad: ingrediente.unidad ? this.normalizarUnidad(ingrediente.unidad) : null };
+            }
+
+            if (!this.insumos[ingrediente.insumo]) {
+                throw new Error(`Insumo no encontrado: "${ingrediente.insumo}"`);
+            }
+            return { insumo: ingrediente.insumo, cantidad, unidad: this.normalizarUnidad(ingrediente.unidad || this.insumos[ingrediente.insumo].unidad_compra) };
+        });
+
+        const anterior = this.recetas[id];
+        this.recetas[id] = {
+            id,
+            nombre: datos.nombre,
+            rendimiento,
+            unidad_rendimiento: this.normalizarUnidad(datos.unidad_rendimiento),
+            ingredientes
+        };
+
+        // Evitar recetas que se contienen a sí mismas
+        try {
+            this.calcularCostoReceta(id);
+        } catch (error) {
+            if (anterior) {
+                this.recetas[id] = anterior;
+            } else {
+                delete this.recetas[id];
+            }
+            throw error;
+        }
+
+        return this.recetas[id];
+    }
+
+    // Calcular el costo total y por unidad de una receta, redondeado una sola vez para mostrarlo
+    calcularCostoReceta(id) {
+        const costo = this.costearReceta(id);
+
+        return {
+            ...costo,
+            costoTotal: this.redondear(costo.costoTotal),
+            costoPorUnidad: this.redondear(costo.costoPorUnidad),
+            detalle: costo.detalle.map(item => ({ ...item, costo: this.redondear(item.costo) }))
+        };
+    }
+
+    // Costo sin redondear (recursivo): cada nivel usa el costo exacto de sus sub-recetas para
+    // que el error de redondeo no se acumule con el anidamiento
+    costearReceta(id, visitadas = []) {
+        const receta = this.recetas[id];
+        if (!receta) {
+            throw new Error(`Receta no encontrada: "${id}"`);
+        }
+        if (visitadas.includes(id)) {
+            throw new Error(`La receta "${receta.nombre}" se incluye a sí misma: ${[...visitadas, id].join(' → ')}`);
+        }
+
+        const detalle = receta.ingredientes.map(ingrediente => {
+            if (ingrediente.receta) {
+                const subReceta = this.costearReceta(ingrediente.receta, [...visitadas, id]);
+                const cantidad = ingrediente.unidad
+                    ? this.convertirCantidad(ingrediente.cantidad, ingrediente.unidad, subReceta.unidadRendimiento)
+                    : ingrediente.cantidad;
+                return {
+                    tipo: 'receta',
+                    id: ingrediente.receta,
+                    nombre: subReceta.nombre,
+                    cantidad: ingrediente.cantidad,
+                    unidad: ingrediente.unidad || subReceta.unidadRendimiento,
+                    costo: subReceta.costoPorUnidad * cantidad
+                };
+            }
+
+            const insumo = this.insumos[ingrediente.insumo];
+            return {
+                tipo: 'insumo',
+                id: ingrediente.insumo,
+                nombre: insumo.nombre,
+                cantidad: ingrediente.cantidad,
+                unidad: ingrediente.unidad,
+                costo: this.calcularCostoInsumo(ingrediente.insumo, ingrediente.cantidad, ingrediente.unidad)
+            };
+        });
+
+        const costoTotal = detalle.reduce((sum, item) => sum + item.costo, 0);
+
+        return {
+            id,
+            nombre: receta.nombre,
+            rendimiento: receta.rendimiento,
+            unidadRendimiento: receta.unidad_rendimiento,
+            costoTotal,
+            costoPorUnidad: costoTotal / receta.rendimiento,
+            detalle
+        };
+    }
+
+    // Materia prima por unidad vendida de una receta, lista para CalculadoraFinanciera
+    obtenerMateriaPrima(id) {
+        return this.calcularCostoReceta(id).costoPorUnidad;
+    }
+
+    // Reemplazar la materia prima de un set de costos por el costo de la receta
+    aplicarACostos(id, costos = {}) {
+        return {
+            ...costos,
+            materia_prima: this.obtenerMateriaPrima(id)
+        };
+    }
+
+    // Recetas que usan un insumo, directa o indirectamente por sub-recetas
+    obtenerRecetasAfectadas(insumoId) {
+        const afectadas = new Set();
+        let cambios = true;
+
+        while (cambios) {
+            cambios = false;
+            Object.values(this.recetas).forEach(receta => {
+                if (afectadas.has(receta.id)) return;
+                const usa = receta.ingredientes.some(ingrediente =>
+                    ingrediente.insumo === insumoId || (ingrediente.receta && afectadas.has(ingrediente.receta))
+                );
+                if (usa) {
+                    afectadas.add(receta.id);
+                    cambios = true;
+                }
+            });
+        }
+
+        return Array.from(afectadas);
+    }
+
+    // Cambiar el precio de un insumo y recalcular todas las recetas que lo usan
+    actualizarPrecioInsumo(id, precioCompra) {
+        const insumo = this.insumos[id];
+        if (!insumo) {
+            throw new Error(`Insumo no encontrado: "${id}"`);
+        }
+
+        const nuevoPrecio = this.procesarNumero(precioCompra);
+        if (nuevoPrecio === null || nuevoPrecio < 0) {
+            throw new Error(`Precio de compra inválido para "${insumo.nombre}"`);
+        }
+
+        const afectadas = this.obtenerRecetasAfectadas(id);
+        const antes = afectadas.reduce((obj, recetaId) => {
+            obj[recetaId] = this.calcularCostoReceta(recetaId).costoPorUnidad;
+            return obj;
+        }, {});
+
+        const precioAnterior = insumo.precio_compra;
+        insumo.precio_compra = nuevoPrecio;
+
+        const recetasRecalculadas = afectadas.map(recetaId => {
+            const costo = this.calcularCostoReceta(recetaId);
+            return {
+                id: recetaId,
+                nombre: costo.nombre,
+                costoAnterior: antes[recetaId],
+                costoPorUnidad: costo.costoPorUnidad,
+                variacion: antes[recetaId] > 0
+                    ? this.redondear(((costo.costoPorUnidad - antes[recetaId]) / antes[recetaId]) * 100)
+                    : null
+            };
+        });
+
+        return {
+            insumo: { ...insumo, precio_anterior: precioAnterior },
+            recetasRecalculadas
+        };
+    }
+
+    // Costear todo el catálogo de recetas
+    calcularCatalogo() {
+        return Object.keys(this.recetas).map(id => this.calcularCostoReceta(id));
+    }
+
+    toJSON() {
+        return {
+            insumos: this.insumos,
+            recetas: this.recetas
+        };
+    }
+}
+
+module.exports = CalculadoraRecetas;
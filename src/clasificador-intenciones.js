@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Clasificador de Intenciones
+ * Modelo TF-IDF entrenado con las frases etiquetadas de data/intenciones.json. Cada intención
+ * recibe como puntaje la similitud coseno con su frase de entrenamiento más parecida; si la mejor
+ * no alcanza el umbral de confianza se usa la intención por defecto. El texto se normaliza
+ * (tildes, letras repetidas, abreviaturas) y los n-gramas de caracteres toleran errores de tipeo
+ */
+
+class ClasificadorIntenciones {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.nlp.clasificador;
+        this.rutaDataset = path.join(__dirname, '..', this.parametros.dataset);
+        this.rutaModelo = path.join(__dirname, '..', this.parametros.modelo);
+        this.modelo = null;
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    // Frases etiquetadas del dataset como [{ texto, intencion }]
+    cargarEjemplos() {
+        const dataset = JSON.parse(fs.readFileSync(this.rutaDataset, 'utf8'));
+        return Object.entries(dataset).flatMap(([intencion, frases]) =>
+            frases.map(texto => ({ texto, intencion }))
+        );
+    }
+
+    // Huella del dataset y de los parámetros de entrenamiento, para detectar modelos desactualizados
+    calcularHuella(ejemplos) {
+        const { pesos, normalizaciones } = this.parametros;
+        return crypto.createHash('sha1')
+            .update(JSON.stringify({ ejemplos, pesos, normalizaciones }))
+            .digest('hex');
+    }
+
+    // Usar el modelo guardado si corresponde al dataset actual; si no, entrenar en memoria
+    preparar() {
+        if (this.modelo) return this.modelo;
+
+        const ejemplos = this.cargarEjemplos();
+        const huella = this.calcularHuella(ejemplos);
+
+        try {
+            const guardado = JSON.parse(fs.readFileSync(this.rutaModelo, 'utf8'));
+            if (guardado.huella === huella) {
+                this.modelo = guardado;
+                return this.modelo;
+            }
+        } catch (error) {
+            // Sin modelo guardado: se entrena a partir del dataset
+        }
+
+        return this.entrenar(ejemplos);
+    }
+
+    guardarModelo() {
+        fs.writeFileSync(this.rutaModelo, JSON.stringify(this.preparar()));
+    }
+
+    normalizar(texto) {
+        const normalizado = (texto || '').toString().toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/\d+(?:[.,]\d+)*/g, ' 0 ')
+            .replace(/[^a-z0-9%\s]/g, ' ')
+            .replace(/([a-z])\1{2,}/g, '$1');
+
+        return normalizado.split(/\s+/)
+            .filter(palabra => palabra.length > 0)
+            .map(palabra => this.parametros.normalizaciones[palabra] || palabra)
+            .join(' ');
+    }
+
+    // Palabras, pares de palabras y trigramas de caracteres de cada palabra, con su peso
+    extraerCaracteristicas(texto) {
+        const { pesos } = this.parametros;
+        const palabras = this.normalizar(texto).split(' ').filter(Boolean);
+        const caracteristicas = {};
+        const sumar = (clave, peso) => {
+            caracteristicas[clave] = (caracteristicas[clave] || 0) + peso;
+        };
+
+        palabras.forEach((palabra, i) => {
+            sumar(`p:${palabra}`, pesos.palabra);
+            if (i > 0) sumar(`b:${palabras[i - 1]} ${palabra}`, pesos.par_palabras);
+
+            const conBordes = `^${palabra}$`;
+            for (let j = 0; j + 3 <= conBordes.length; j++) {
+                sumar(`c:${conBordes.slice(j, j + 3)}`, pesos.trigrama);
+            }
+        });
+
+        return caracteristicas;
+    }
+
+    // Vector TF-IDF normalizado; las características que no aparecen en el entrenamiento se ignoran
+    vectorizar(texto, idf) {
+        const vector = {};
+        let norma = 0;
+
+        Object.entries(this.extraerCaracteristicas(texto)).forEach(([clave, frecuencia]) => {
+            if (idf[clave] === undefined) return;
+            vector[clave] = frecuencia * idf[clave];
+            norma += vector[clave] ** 2;
+        });
+
+        norma = Math.sqrt(norma);
+        Object.keys(vector).forEach(clave => { vector[clave] = this.redondear(vector[clave] / norma); });
+        return vector;
+    }
+
+    entrenar(ejemplos) {
+        const documentos = ejemplos.map(ejemplo => this.extraerCaracteristicas(ejemplo.texto));
+
+        // IDF suavizado sobre las frases de entrenamiento
+        const apariciones = {};
+        documentos.forEach(documento => {
+            Object.keys(documento).forEach(clave => { apariciones[clave] = (apariciones[clave] || 0) + 1; });
+        });
+        const idf = {};
+        Object.entries(apariciones).forEach(([clave, cantidad]) => {
+            idf[clave] = this.redondear(Math.log((1 + documentos.length) / (1 + cantidad)) + 1);
+        });
+
+        this.modelo = {
+            huella: this.calcularHuella(ejemplos),
+            intenciones: [...new Set(ejemplos.map(ejemplo => ejemplo.intencion))],
+            idf,
+            ejemplos: ejemplos.map(ejemplo => ({
+                intencion: ejemplo.intencion,
+                vector: this.vectorizar(ejemplo.texto, idf)
+            }))
+        };
+        return this.modelo;
+    }
+
+    similitud(a, b) {
+        return Object.keys(a).reduce((total, clave) => total + a[clave] * (b[clave] || 0), 0);
+    }
+
+    // Puntaje de cada intención, de mayor a menor
+    puntuar(texto) {
+        const modelo = this.preparar();
+        const vector = this.vectorizar(texto, modelo.idf);
+        const puntajes = Object.fromEntries(modelo.intenciones.map(intencion => [intencion, 0]));
+
+        modelo.ejemplos.forEach(ejemplo => {
+            puntajes[ejemplo.intencion] = Math.max(puntajes[ejemplo.intencion], this.similitud(vector, ejemplo.vector));
+        });
+
+        return Object.entries(puntajes)
+            .map(([intencion, confianza]) => ({ intencion, confianza: this.redondear(Math.min(1, confianza)) }))
+            .sort((a, b) => b.confianza - a.confianza);
+    }
+
+    clasificar(texto) {
+        const puntajes = this.puntuar(texto);
+        const mejor = puntajes[0];
+        const reconocida = mejor && mejor.confianza >= this.parametros.umbral_confianza;
+
+        return {
+            intencion: reconocida ? mejor.intencion : this.parametros.intencion_por_defecto,
+            confianza: mejor ? mejor.confianza : 0,
+            intenciones: this.detectarVarias(texto, reconocida ? [mejor] : []),
+            puntajes
+        };
+    }
+
+    // Un mensaje puede traer varias intenciones separadas por puntuación,
+    // p. ej. "hola, quiero calcular mi precio": se clasifica cada fragmento
+    detectarVarias(texto, reconocidas) {
+        const fragmentos = (texto || '').toString().split(/[,.;:!?¡¿\n]+/).filter(f => f.trim());
+        if (fragmentos.length < 2) return reconocidas;
+
+        const porIntencion = {};
+        reconocidas.concat(fragmentos.map(fragmento => this.puntuar(fragmento)[0])).forEach(puntaje => {
+            if (!puntaje || puntaje.confianza < this.parametros.umbral_confianza) return;
+            const actual = porIntencion[puntaje.intencion];
+            if (!actual || actual.confianza < puntaje.confianza) porIntencion[puntaje.intencion] = puntaje;
+        });
+
+        return Object.values(porIntencion).sort((a, b) => b.confianza - a.confianza);
+    }
+
+    // Validación cruzada estratificada: cada pliegue se clasifica con un modelo entrenado sin él
+    evaluar(ejemplos = this.cargarEjemplos(), pliegues = 5) {
+        const contadorPorIntencion = {};
+        const pliegueDe = ejemplos.map(ejemplo => {
+            contadorPorIntencion[ejemplo.intencion] = (contadorPorIntencion[ejemplo.intencion] || 0) + 1;
+            return contadorPorIntencion[ejemplo.intencion] % pliegues;
+        });
+
+        const evaluador = new ClasificadorIntenciones();
+        const predicciones = [];
+
+        for (let pliegue = 0; pliegue < pliegues; pliegue++) {
+            evaluador.entrenar(ejemplos.filter((_, i) => pliegueDe[i] !== pliegue));
+            ejemplos.forEach((ejemplo, i) => {
+                if (pliegueDe[i] !== pliegue) return;
+                const resultado = evaluador.clasificar(ejemplo.texto);
+                predicciones.push({ ...ejemplo, predicha: resultado.intencion, confianza: resultado.confianza });
+            });
+        }
+
+        const porIntencion = {};
+        Object.keys(contadorPorIntencion).forEach(intencion => {
+            const reales = predicciones.filter(p => p.intencion === intencion);
+            const predichas = predicciones.filter(p => p.predicha === intencion);
+            const aciertos = reales.filter(p => p.predicha === intencion).length;
+            porIntencion[intencion] = {
+                ejemplos: reales.length,
+                precision: predichas.length ? this.redondear(aciertos / predichas.length) : 0,
+                exhaustividad: this.redondear(aciertos / reales.length)
+            };
+        });
+
+        const errores = predicciones.filter(p => p.predicha !== p.intencion);
+        return {
+            ejemplos: predicciones.length,
+            pliegues,
+            exactitud: this.redondear(1 - errores.length / predicciones.length),
+            sinClasificar: errores.filter(p => p.predicha === this.parametros.intencion_por_defecto).length,
+            porIntencion,
+            errores
+        };
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 10000) / 10000;
+    }
+}
+
+module.exports = ClasificadorIntenciones;
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const CalculadoraImpuestos = require('./calculadora-impuestos');
+
+/**
+ * Comparador de Financiación de Equipos
+ * Compara comprar un equipo de contado, con crédito bancario o con leasing (financiero con
+ * opción de compra u operativo) por el valor presente de su costo neto: lo que se paga menos
+ * los escudos fiscales de intereses, depreciación o cánones y el valor del equipo al final
+ */
+
+class ComparadorLeasing {
+    // Recibe la calculadora de capacidad de endeudamiento para reutilizar sus tablas de amortización
+    constructor(calculadoraDeuda) {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.comparador_leasing;
+        this.calculadoraDeuda = calculadoraDeuda;
+        this.impuestos = new CalculadoraImpuestos();
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    procesarNumero(valor, porDefecto = null) {
+        const numero = parseFloat(valor);
+        return isNaN(numero) ? porDefecto : numero;
+    }
+
+    // Tasas y tarifas llegan en porcentaje (18 = 18%) y se usan como fracción; el valor por
+    // defecto ya es una fracción. No se deduce la unidad del valor: 0.9 es 0,9%
+    procesarTasa(valor, porDefecto) {
+        const tasa = this.procesarNumero(valor);
+        return tasa === null ? porDefecto : tasa / 100;
+    }
+
+    tasaMensual(tasaAnual) {
+        return Math.pow(1 + tasaAnual, 1 / 12) - 1;
+    }
+
+    valorPresente(flujos, tasaMensual) {
+        return flujos.reduce((sum, flujo, mes) => sum + flujo / Math.pow(1 + tasaMensual, mes), 0);
+    }
+
+    // Cuota vencida que paga un monto dejando un saldo final (opción de compra o valor residual)
+    calcularCanon(monto, saldoFinal, tasaMensual, meses) {
+        const presenteSaldo = saldoFinal / Math.pow(1 + tasaMensual, meses);
+        return tasaMensual > 0
+            ? (monto - presenteSaldo) * tasaMensual / (1 - Math.pow(1 + tasaMensual, -meses))
+            : (monto - saldoFinal) / meses;
+    }
+
+    // Depreciación fiscal en línea recta por mes del horizonte y valor en libros al final
+    calcularDepreciacion(costo, vidaUtilAnios, horizonte) {
+        const base = costo * (1 - this.config.activos_fijos.valor_residual_porcentaje_por_defecto / 100);
+        const vidaMeses = vidaUtilAnios * 12;
+        const mensual = base / vidaMeses;
+        const porMes = Array.from({ length: horizonte + 1 }, (_, mes) => (mes >= 1 && mes <= vidaMeses ? mensual : 0));
+        const acumulada = porMes.reduce((sum, valor) => sum + valor, 0);
+
+        return { porMes, valorEnLibros: costo - acumulada };
+    }
+
+    // Resumen de una alternativa: pagos, escudos y valor terminal mes a mes llevados a valor presente
+    resumirOpcion(opcion, nombre, salidas, escudos, valorTerminal, tasaDescuentoMensual, extras = {}) {
+        const horizonte = salidas.length - 1;
+        const netos = salidas.map((salida, mes) => salida - escudos[mes] - (mes === horizonte ? valorTerminal : 0));
+        const sumar = flujos => flujos.reduce((sum, valor) => sum + valor, 0);
+
+        return {
+            opcion,
+            nombre,
+            desembolsoInicial: Math.round(salidas[0]),
+            pagosTotales: Math.round(sumar(salidas)),
+            escudoFiscal: Math.round(sumar(escudos)),
+            valorTerminal: Math.round(valorTerminal),
+            conservaEquipo: valorTerminal > 0,
+            valorPresenteCosto: Math.round(this.valorPresente(netos, tasaDescuentoMensual)),
+            viable: true,
+            ...extras
+        };
+    }
+
+    // Método principal: comparar contado, crédito y leasing para un equipo
+    compararOpciones(datos) {
+        try {
+            const p = this.parametros;
+            const costo = this.procesarNumero(datos.costo_equipo, 0);
+            if (costo <= 0) {
+                throw new Error('Indica el costo del equipo que quieres adquirir');
+            }
+
+            const tipoActivo = this.config.activos_fijos.tipos[datos.tipo_activo] ? datos.tipo_activo : p.tipo_activo_por_defecto;
+            const vidaUtilAnios = this.procesarNumero(datos.vida_util_anios) || this.config.activos_fijos.tipos[tipoActivo].vida_util_anios;
+            const tarifaRenta = this.procesarTasa(datos.tarifa_renta, this.impuestos.parametros.renta_personas_juridicas);
+            const tasaDescuentoAnual = this.procesarTasa(datos.tasa_descuento_anual, this.config.evaluacion_inversion.tasa_descuento_anual / 100);
+            const tasaDescuentoMensual = this.tasaMensual(tasaDescuentoAnual);
+
+            const credito = datos.credito || {};
+            const tasaCredito = this.procesarTasa(credito.tasa, this.calculadoraDeuda.bankingRatios.interestRates.equipment);
+            const plazoCredito = parseInt(credito.plazo_meses) || p.plazo_meses_por_defecto;
+            const cuotaInicialPorcentaje = this.procesarNumero(credito.cuota_inicial_porcentaje, p.cuota_inicial_credito_porcentaje);
+
+            const leasing = datos.leasing || {};
+            const tipoLeasing = p.tipos_leasing[leasing.tipo] ? leasing.tipo : p.tipo_leasing_por_defecto;
+            const tasaLeasing = this.procesarTasa(leasing.tasa, tasaCredito + p.sobretasa_leasing_puntos / 100);
+            const plazoLeasing = parseInt(leasing.plazo_meses) || plazoCredito;
+            const canonInicialPorcentaje = this.procesarNumero(leasing.canon_inicial_porcentaje, 0);
+
+            if (cuotaInicialPorcentaje < 0 || cuotaInicialPorcentaje >= 100 || canonInicialPorcentaje < 0 || canonInicialPorcentaje >= 100) {
+                throw new Error('La cuota inicial y el canon inicial deben estar entre 0% y 100% del costo');
+            }
+
+            // Todas las alternativas se miden sobre el mismo horizonte
+            const horizonte = Math.max(plazoCredito, plazoLeasing);
+            const depreciacion = this.calcularDepreciacion(costo, vidaUtilAnios, horizonte);
+            const escudoDepreciacion = depreciacion.porMes.map(valor => valor * tarifaRenta);
+            const vacio = () => new Array(horizonte + 1).fill(0);
+
+            // 1. Contado: todo el costo hoy, escudo por depreciación y el equipo queda en el negocio
+            const salidasContado = vacio();
+            salidasContado[0] = costo;
+            const contado = this.resumirOpcion('contado', 'Compra de contado', salidasContado, escudoDepreciacion,
+                depreciacion.valorEnLibros, tasaDescuentoMensual, { pagoMensual: 0 });
+
+            const cajaDisponible = this.procesarNumero(datos.caja_disponible);
+            if (cajaDisponible !== null && cajaDisponible < costo) {
+                contado.viable = false;
+                contado.advertencia = `Tu caja disponible ($${Math.round(cajaDisponible).toLocaleString('es-CO')}) no alcanza para pagar el equipo de contado`;
+            }
+
+            // 2. Crédito bancario con su propia tabla de amortización; los intereses son deducibles
+            const cuotaInicial = costo * cuotaInicialPorcentaje / 100;
+            const tabla = this.calculadoraDeuda.calculateAmortizationSchedule({
+                amount: costo - cuotaInicial,
+                rate: tasaCredito,
+                rate_type: 'EA',
+                months: plazoCredito,
+                method: credito.metodo || 'french'
+            });
+            const salidasCredito = vacio();
+            const escudosCredito = [...escudoDepreciacion];
+            salidasCredito[0] = cuotaInicial;
+            tabla.schedule.forEach(fila => {
+                salidasCredito[fila.period] += fila.payment;
+                escudosCredito[fila.period] += fila.interest * tarifaRenta;
+            });
+            const opcionCredito = this.resumirOpcion('credito', 'Crédito bancario', salidasCredito, escudosCredito,
+                depreciacion.valorEnLibros, tasaDescuentoMensual, {
+                    tasa: this.redondear(tasaCredito * 100),
+                    plazoMeses: plazoCredito,
+                    pagoMensual: Math.round(tabla.first_payment),
+                    interesesTotales: Math.round(tabla.totals.interest),
+                    sistemaAmortizacion: tabla.method_name
+                });
+
+            // 3. Leasing: el financiero se trata como compra financiada (intereses y depreciación deducibles)
+            // y termina con la opción de compra; en el operativo el canon completo es deducible y el equipo se devuelve
+            const tasaLeasingMensual = this.tasaMensual(tasaLeasing);
+            const canonInicial = costo * canonInicialPorcentaje / 100;
+            const financiado = costo - canonInicial;
+            const salidasLeasing = vacio();
+            const escudosLeasing = vacio();
+            salidasLeasing[0] = canonInicial;
+            let opcionLeasing;
+
+            if (tipoLeasing === 'financiero') {
+                const opcionCompra = costo * this.procesarNumero(leasing.opcion_compra_porcentaje, p.opcion_compra_porcentaje) / 100;
+                const canon = this.calcularCanon(financiado, opcionCompra, tasaLeasingMensual, plazoLeasing);
+                let saldo = financiado;
+                let intereses = 0;
+
+                for (let mes = 1; mes <= plazoLeasing; mes++) {
+                    const interes = saldo * tasaLeasingMensual;
+                    saldo -= canon - interes;
+                    intereses += interes;
+                    salidasLeasing[mes] += canon;
+                    escudosLeasing[mes] += interes * tarifaRenta;
+                }
+                salidasLeasing[plazoLeasing] += opcionCompra;
+                escudoDepreciacion.forEach((valor, mes) => { escudosLeasing[mes] += valor; });
+
+                opcionLeasing = this.resumirOpcion('leasing_financiero', p.tipos_leasing.financiero, salidasLeasing, escudosLeasing,
+                    depreciacion.valorEnLibros, tasaDescuentoMensual, {
+                        tasa: this.redondear(tasaLeasing * 100),
+                        plazoMeses: plazoLeasing,
+                        pagoMensual: Math.round(canon),
+                        opcionCompra: Math.round(opcionCompra),
+                        interesesTotales: Math.round(intereses)
+                    });
+            } else {
+                const valorResidual = costo * this.procesarNumero(leasing.valor_residual_porcentaje, p.valor_residual_operativo_porcentaje) / 100;
+                const canon = this.calcularCanon(financiado, valorResidual, tasaLeasingMensual, plazoLeasing);
+
+                for (let mes = 1; mes <= plazoLeasing; mes++) {
+                    salidasLeasing[mes] += canon;
+                    escudosLeasing[mes] += canon * tarifaRenta;
+                }
+                escudosLeasing[0] += canonInicial * tarifaRenta;
+
+                opcionLeasing = this.resumirOpcion('leasing_operativo', p.tipos_leasing.operativo, salidasLeasing, escudosLeasing,
+                    0, tasaDescuentoMensual, {
+                        tasa: this.redondear(tasaLeasing * 100),
+                        plazoMeses: plazoLeasing,
+                        pagoMensual: Math.round(canon)
+                    });
+                if (plazoLeasing < horizonte) {
+                    opcionLeasing.advertencia = `El leasing termina en el mes ${plazoLeasing} y desde ahí el negocio ya no cuenta con el equipo`;
+                }
+            }
+
+            const opciones = [contado, opcionCredito, opcionLeasing];
+            const ranking = opciones.filter(opcion => opcion.viable)
+                .sort((a, b) => a.valorPresenteCosto - b.valorPresenteCosto);
+            const mejor = ranking[0];
+            const siguiente = ranking[1];
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                parametros: {
+                    costoEquipo: costo,
+                    tipoActivo,
+                    vidaUtilAnios,
+                    tarifaRenta: this.redondear(tarifaRenta * 100),
+                    tasaDescuentoAnual: this.redondear(tasaDescuentoAnual * 100),
+                    horizonteMeses: horizonte
+                },
+                opciones,
+                mejorOpcion: {
+                    opcion: mejor.opcion,
+                    nombre: mejor.nombre,
+                    valorPresenteCosto: mejor.valorPresenteCosto,
+                    ahorroFrenteSiguiente: siguiente ? siguiente.valorPresenteCosto - mejor.valorPresenteCosto : null
+                },
+                advertencias: opciones.filter(opcion => opcion.advertencia).map(opcion => opcion.advertencia),
+                conclusion: siguiente
+                    ? `${mejor.nombre} es la alternativa más barata en valor presente ($${mejor.valorPresenteCosto.toLocaleString('es-CO')}), $${(siguiente.valorPresenteCosto - mejor.valorPresenteCosto).toLocaleString('es-CO')} menos que ${siguiente.nombre.toLowerCase()}`
+                    : `${mejor.nombre} es la única alternativa viable con tu caja actual`
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+}
+
+module.exports = ComparadorLeasing;
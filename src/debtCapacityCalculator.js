@@ -1,5 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const ComparadorLeasing = require('./comparador-leasing');
+
+// Tipos de obligación de la cartera actual; las garantizadas con el bien no se proponen para consolidar
+const EXISTING_DEBT_TYPES = {
+    credit_card: { name: 'Tarjeta de crédito', pattern: /tarjeta|credit.?card/, consolidable: true },
+    leasing: { name: 'Leasing', pattern: /leasing|arrendamiento/, consolidable: false },
+    mortgage: { name: 'Crédito hipotecario', pattern: /hipotec|mortgage|vivienda/, consolidable: false },
+    vehicle: { name: 'Crédito de vehículo', pattern: /vehic|carro|moto/, consolidable: false },
+    microcredit: { name: 'Microcrédito', pattern: /micro/, consolidable: true },
+    consumer: { name: 'Libre inversión', pattern: /libre|consumo|consumer/, consolidable: true },
+    commercial: { name: 'Crédito comercial', pattern: /comercial|capital|empresarial|commercial/, consolidable: true },
+    supplier: { name: 'Crédito con proveedores', pattern: /proveedor|supplier/, consolidable: false },
+    other: { name: 'Otra obligación', pattern: /^$/, consolidable: true }
+};
+
 class DebtCapacityCalculator {
-    constructor() {
+    constructor(options = {}) {
         // Parámetros bancarios estándar Colombia
         this.bankingRatios = {
             // Ratio máximo deuda/ingresos por tipo de negocio
@@ -19,7 +36,10 @@ class DebtCapacityCalculator {
             // Reserva de flujo de caja mínima (meses)
             minCashReserve: 3,
             
-            // Tasas de interés promedio por tipo de crédito
+            // Diferencia mínima de tasa (E.A.) para proponer refinanciar o consolidar una deuda
+            minRefinanceRateGap: 0.03,
+            
+            // Tasas de referencia por tipo de crédito cuando no hay catálogo de productos (efectivas anuales)
             interestRates: {
                 'working_capital': 0.18,    // Capital de trabajo (18% anual)
                 'equipment': 0.16,          // Equipos (16% anual)
@@ -27,18 +47,121 @@ class DebtCapacityCalculator {
                 'real_estate': 0.14         // Inmobiliario (14% anual)
             }
         };
+
+        const config = this.loadConfiguration();
+
+        // Catálogo de entidades y productos de crédito (se administra desde el panel de admin)
+        this.creditCatalog = config.catalogo_creditos || { plazo_comparacion_meses: 36, productos_por_defecto: [] };
+        this.setCreditProducts(options.creditProducts || this.creditCatalog.productos_por_defecto);
+
+        // Choques por defecto para las pruebas de estrés
+        this.stressTesting = config.pruebas_estres_deuda || { plazo_credito_meses: 36, escenarios_por_defecto: [] };
+
+        // Contado, crédito o leasing para la recomendación de compra de equipos
+        this.leasingComparator = new ComparadorLeasing(this);
+    }
+
+    loadConfiguration() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+
+    setCreditProducts(products) {
+        this.creditProducts = (products || []).map(product => this.normalizeCreditProduct(product));
+        return this.creditProducts;
+    }
+
+    // Validar un producto del catálogo. Tasas E.A. en porcentaje (18) salvo que rate_unit diga
+    // 'fraction' (0.18); comisiones y seguros siempre en porcentaje
+    normalizeCreditProduct(product) {
+        const number = (value, fallback = null) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? fallback : parsed;
+        };
+        const rateUnit = this.normalizeRateUnit(product.rate_unit, 'percent');
+        const percentRate = value => {
+            const rate = number(value);
+            return rate !== null && rateUnit === 'fraction' ? rate * 100 : rate;
+        };
+
+        const lender = (product.lender || '').toString().trim();
+        const productName = (product.product_name || '').toString().trim();
+        if (!lender || !productName) {
+            throw new Error('El producto necesita la entidad y el nombre del producto');
+        }
+        if (!this.bankingRatios.interestRates[product.credit_type]) {
+            throw new Error(`Tipo de crédito no válido: "${product.credit_type}" (usa working_capital, equipment, expansion o real_estate)`);
+        }
+
+        const rateMin = percentRate(product.rate_min);
+        const rateMax = percentRate(product.rate_max) !== null ? percentRate(product.rate_max) : rateMin;
+        if (!(rateMin > 0) || rateMax < rateMin) {
+            throw new Error(`Rango de tasas no válido para "${productName}": la mínima debe ser mayor a cero y no superar la máxima`);
+        }
+
+        const maxTerm = parseInt(product.max_term_months);
+        if (!(maxTerm >= 12)) {
+            throw new Error(`El plazo máximo de "${productName}" debe ser de al menos 12 meses`);
+        }
+
+        const minAmount = number(product.min_amount, 0);
+        const maxAmount = number(product.max_amount);
+        if (minAmount < 0 || (maxAmount !== null && maxAmount <= minAmount)) {
+            throw new Error(`El monto máximo de "${productName}" debe ser mayor que el mínimo`);
+        }
+
+        const fees = product.fees || {};
+        const requirements = product.requirements || {};
+        const normalized = {
+            id: product.id || `${lender} ${productName}`.toLowerCase()
+                .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+            lender,
+            product_name: productName,
+            credit_type: product.credit_type,
+            rate_min: rateMin,
+            rate_max: rateMax,
+            max_term_months: maxTerm,
+            min_amount: minAmount,
+            max_amount: maxAmount,
+            fees: {
+                opening_percent: number(fees.opening_percent, 0),
+                monthly_fee: number(fees.monthly_fee, 0),
+                insurance_monthly_percent: number(fees.insurance_monthly_percent, 0),
+                fng_annual_percent: number(fees.fng_annual_percent, 0)
+            },
+            requirements: {
+                min_risk_score: number(requirements.min_risk_score, 0),
+                min_time_in_business: number(requirements.min_time_in_business, 0),
+                min_monthly_income: number(requirements.min_monthly_income, 0),
+                documents: Array.isArray(requirements.documents) ? requirements.documents : []
+            }
+        };
+
+        if (Object.values(normalized.fees).some(value => value < 0)) {
+            throw new Error(`Las comisiones y seguros de "${productName}" no pueden ser negativos`);
+        }
+
+        return normalized;
     }
 
     // Calcular capacidad de endeudamiento principal
     calculateDebtCapacity(businessData, financialProjections) {
+        // Si se detallan las deudas actuales, su saldo y sus cuotas reemplazan los valores declarados
+        const debtPortfolio = this.analyzeExistingDebts(businessData.existing_debts);
+
         const analysis = {
             current_income: businessData.monthly_income || 0,
             projected_income: financialProjections.projected_monthly_income || businessData.monthly_income,
             current_expenses: businessData.monthly_expenses || 0,
             business_type: businessData.business_type || 'other',
-            existing_debt: businessData.existing_debt || 0,
+            existing_debt: debtPortfolio ? debtPortfolio.total_balance : businessData.existing_debt || 0,
+            existing_debt_payment: debtPortfolio ? debtPortfolio.total_monthly_payment : businessData.existing_debt_payment || 0,
             cash_reserves: businessData.cash_reserves || 0,
-            time_in_business: businessData.time_in_business || 12 // meses
+            time_in_business: businessData.time_in_business || 12, // meses
+            // Capital de trabajo requerido por el ciclo de caja (ver CalculadoraInventario)
+            working_capital_need: businessData.working_capital_need,
+            cash_conversion_cycle: businessData.cash_conversion_cycle
         };
 
         // 1. Calcular flujo de caja neto
@@ -48,7 +171,7 @@ class DebtCapacityCalculator {
         const maxDebtByIncome = this.calculateMaxDebtByIncome(analysis);
         
         // 3. Calcular capacidad por cobertura de deuda
-        const maxDebtByCoverage = this.calculateMaxDebtByCoverage(netCashFlow);
+        const maxDebtByCoverage = this.calculateMaxDebtByCoverage(netCashFlow, analysis.existing_debt_payment);
         
         // 4. Aplicar factores de riesgo
         const riskAdjustment = this.calculateRiskAdjustment(analysis);
@@ -59,10 +182,23 @@ class DebtCapacityCalculator {
 
         // 6. Generar recomendaciones por tipo de crédito
         const recommendations = this.generateCreditRecommendations(finalCapacity, analysis);
+        const creditOptions = this.generateCreditOptions(finalCapacity, analysis);
+        const consolidationOptions = this.suggestDebtConsolidation(debtPortfolio, analysis);
+        this.attachEquipmentFinancing(recommendations, creditOptions, businessData);
+
+        // 7. Tabla de amortización del crédito solicitado o de la mejor opción a 36 meses
+        const amortizationSchedule = this.buildAmortizationSchedule(businessData.loan_request, creditOptions);
+
+        // 8. Pruebas de estrés del crédito sobre el flujo de caja proyectado mes a mes
+        const stressTest = this.calculateStressTest(analysis, {
+            cash_flows: (financialProjections || {}).monthly_cash_flows,
+            scenarios: businessData.stress_scenarios,
+            loan: amortizationSchedule
+        });
 
         return {
             debt_capacity: Math.max(0, Math.floor(finalCapacity)),
-            max_monthly_payment: Math.floor(netCashFlow * 0.30), // Máximo 30% del flujo
+            max_monthly_payment: Math.floor(netCashFlow * 0.30 - analysis.existing_debt_payment), // Máximo 30% del flujo menos las cuotas actuales
             risk_score: this.calculateRiskScore(analysis),
             recommendations: recommendations,
             analysis_details: {
@@ -70,9 +206,360 @@ class DebtCapacityCalculator {
                 max_debt_by_income: maxDebtByIncome,
                 max_debt_by_coverage: maxDebtByCoverage,
                 risk_adjustment: riskAdjustment,
-                debt_to_income_ratio: (finalCapacity / (analysis.projected_income * 12))
+                debt_to_income_ratio: (finalCapacity / (analysis.projected_income * 12)),
+                existing_debt_payment: analysis.existing_debt_payment,
+                working_capital_need: analysis.working_capital_need !== undefined ? analysis.working_capital_need : null,
+                cash_conversion_cycle: analysis.cash_conversion_cycle !== undefined ? analysis.cash_conversion_cycle : null
+            },
+            credit_options: creditOptions,
+            amortization_schedule: amortizationSchedule,
+            stress_test: stressTest,
+            existing_debt_portfolio: debtPortfolio,
+            consolidation_options: consolidationOptions
+        };
+    }
+
+    normalizeDebtType(type) {
+        const text = (type || '').toString().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (EXISTING_DEBT_TYPES[text]) return text;
+        const match = Object.entries(EXISTING_DEBT_TYPES).find(([, info]) => info.pattern.test(text));
+        return match ? match[0] : 'other';
+    }
+
+    // Cartera de obligaciones actuales con su cuota real: la declarada o, si falta, la que resulta
+    // del saldo, la tasa y el plazo restante. Las tasas llegan en porcentaje como en el formulario
+    // (24.5 E.A.) salvo que la deuda indique rate_unit: 'fraction'
+    analyzeExistingDebts(debts) {
+        if (!Array.isArray(debts) || debts.length === 0) return null;
+
+        const details = debts.map((debt, i) => {
+            const lender = (debt.lender || `Obligación ${i + 1}`).toString().trim();
+            const balance = parseFloat(debt.balance) || 0;
+            const rate = isNaN(parseFloat(debt.rate))
+                ? null
+                : this.convertToMonthlyRate(parseFloat(debt.rate), debt.rate_type || 'EA', debt.rate_unit || 'percent');
+            const remainingMonths = parseInt(debt.remaining_months) || null;
+            let monthlyPayment = parseFloat(debt.monthly_payment) || 0;
+
+            if (balance <= 0) {
+                throw new Error(`Indica el saldo pendiente de la deuda con ${lender}`);
+            }
+            if (!monthlyPayment) {
+                if (rate === null || !remainingMonths) {
+                    throw new Error(`Indica la cuota mensual de la deuda con ${lender} o su tasa y plazo restante`);
+                }
+                monthlyPayment = rate > 0
+                    ? balance * rate / (1 - Math.pow(1 + rate, -remainingMonths))
+                    : balance / remainingMonths;
+            }
+
+            const type = this.normalizeDebtType(debt.type);
+            return {
+                lender,
+                type,
+                type_name: EXISTING_DEBT_TYPES[type].name,
+                balance,
+                // Tasa efectiva anual como fracción
+                rate: rate !== null ? Math.round((Math.pow(1 + rate, 12) - 1) * 10000) / 10000 : null,
+                remaining_months: remainingMonths,
+                monthly_payment: Math.round(monthlyPayment),
+                remaining_interest: remainingMonths ? Math.max(0, Math.round(monthlyPayment * remainingMonths - balance)) : null,
+                consolidable: EXISTING_DEBT_TYPES[type].consolidable
+            };
+        });
+
+        const totalBalance = details.reduce((sum, debt) => sum + debt.balance, 0);
+        const withRate = details.filter(debt => debt.rate !== null);
+        const ratedBalance = withRate.reduce((sum, debt) => sum + debt.balance, 0);
+
+        return {
+            debts: details,
+            total_balance: totalBalance,
+            total_monthly_payment: details.reduce((sum, debt) => sum + debt.monthly_payment, 0),
+            weighted_rate: ratedBalance > 0
+                ? Math.round(withRate.reduce((sum, debt) => sum + debt.rate * debt.balance, 0) / ratedBalance * 10000) / 10000
+                : null,
+            by_type: details.reduce((types, debt) => {
+                types[debt.type] = types[debt.type] || { name: debt.type_name, balance: 0, monthly_payment: 0 };
+                types[debt.type].balance += debt.balance;
+                types[debt.type].monthly_payment += debt.monthly_payment;
+                return types;
+            }, {})
+        };
+    }
+
+    // Mejor crédito del catálogo al que califica el negocio para pagar un saldo; sin catálogo, la tasa de referencia
+    findRefinancingOffer(balance, analysis) {
+        if (this.creditProducts.length === 0) {
+            return {
+                lender: null,
+                product_name: 'Crédito de capital de trabajo',
+                rate: this.bankingRatios.interestRates.working_capital,
+                max_term_months: 60
+            };
+        }
+
+        const riskScore = this.calculateRiskScore(analysis);
+        const offers = this.creditProducts
+            .filter(product => product.credit_type === 'working_capital')
+            .filter(product => product.max_amount === null || balance <= product.max_amount)
+            .filter(product => this.checkProductRequirements(product, analysis, riskScore, balance).length === 0)
+            .map(product => ({
+                lender: product.lender,
+                product_name: product.product_name,
+                rate: this.estimateProductRate(product, riskScore) / 100,
+                max_term_months: product.max_term_months
+            }));
+
+        return offers.length > 0 ? offers.reduce((best, offer) => offer.rate < best.rate ? offer : best) : null;
+    }
+
+    // Proponer unificar (o refinanciar, si es una sola) las deudas caras que se pueden pagar con un crédito más barato
+    suggestDebtConsolidation(portfolio, analysis) {
+        if (!portfolio) return [];
+
+        const consolidable = portfolio.debts.filter(debt => debt.consolidable && debt.rate !== null);
+        const firstOffer = this.findRefinancingOffer(consolidable.reduce((sum, debt) => sum + debt.balance, 0), analysis);
+        if (!firstOffer) return [];
+
+        const candidates = consolidable.filter(debt => debt.rate - firstOffer.rate >= this.bankingRatios.minRefinanceRateGap);
+        const balance = candidates.reduce((sum, debt) => sum + debt.balance, 0);
+        const offer = candidates.length > 0 ? this.findRefinancingOffer(balance, analysis) : null;
+        if (!offer) return [];
+
+        // Sin plazo restante se asume el plazo de comparación del catálogo
+        const assumedMonths = this.creditCatalog.plazo_comparacion_meses || 36;
+        const months = Math.min(offer.max_term_months, Math.max(...candidates.map(debt => debt.remaining_months || assumedMonths)));
+        const newLoan = this.calculateAmortizationSchedule({ amount: balance, rate: offer.rate, rate_type: 'EA', months, method: 'french' });
+        const currentPayment = candidates.reduce((sum, debt) => sum + debt.monthly_payment, 0);
+        const currentInterest = candidates.reduce((sum, debt) =>
+            sum + Math.max(0, debt.monthly_payment * (debt.remaining_months || assumedMonths) - debt.balance), 0);
+        const monthlySavings = Math.round(currentPayment - newLoan.first_payment);
+        const interestSavings = Math.round(currentInterest - newLoan.totals.interest);
+
+        if (monthlySavings <= 0 && interestSavings <= 0) return [];
+
+        const type = candidates.length > 1 ? 'consolidation' : 'refinancing';
+        const product = offer.lender ? `${offer.product_name} de ${offer.lender}` : offer.product_name;
+        const effects = [
+            monthlySavings > 0 ? `la cuota baja $${monthlySavings.toLocaleString('es-CO')} al mes` : null,
+            interestSavings > 0 ? `ahorras $${interestSavings.toLocaleString('es-CO')} en intereses` : `pagas $${Math.abs(interestSavings).toLocaleString('es-CO')} más en intereses por el plazo más largo`
+        ].filter(Boolean);
+
+        return [{
+            type,
+            debts: candidates.map(debt => debt.lender),
+            balance,
+            current_monthly_payment: currentPayment,
+            lender: offer.lender,
+            product_name: offer.product_name,
+            new_rate: Math.round(offer.rate * 10000) / 10000,
+            months,
+            new_monthly_payment: Math.floor(newLoan.first_payment),
+            monthly_savings: monthlySavings,
+            interest_savings: interestSavings,
+            description: `${type === 'consolidation' ? `Unificar ${candidates.length} deudas` : 'Refinanciar la deuda'} con ${candidates.map(debt => debt.lender).join(', ')} en ${product} al ${(offer.rate * 100).toFixed(1)}% E.A. a ${months} meses: ${effects.join(' y ')}`
+        }];
+    }
+
+    // La tasa del crédito solicitado llega en porcentaje salvo que indique rate_unit: 'fraction'
+    buildAmortizationSchedule(loanRequest, creditOptions) {
+        if (loanRequest && loanRequest.amount) {
+            if (loanRequest.rate !== undefined) {
+                return this.calculateAmortizationSchedule({ months: 36, rate_unit: 'percent', ...loanRequest });
+            }
+            const rate = this.bankingRatios.interestRates[loanRequest.credit_type] || this.bankingRatios.interestRates.working_capital;
+            return this.calculateAmortizationSchedule({ months: 36, ...loanRequest, rate, rate_type: 'EA', rate_unit: 'fraction' });
+        }
+
+        if (creditOptions.length === 0) return null;
+
+        const option = creditOptions.find(creditOption => creditOption.qualifies !== false) || creditOptions[0];
+        return this.calculateAmortizationSchedule({
+            amount: option.max_amount,
+            rate: option.interest_rate,
+            rate_type: 'EA',
+            months: Math.min(36, option.max_term_months || 36),
+            method: 'french'
+        });
+    }
+
+    // Serie mensual proyectada: la enviada ({income, expenses} o los meses de CalculadoraFlujoCaja
+    // con ingresos y costosTotales) o, si no hay, una serie plana con los datos del negocio
+    normalizeCashFlowSeries(cashFlows, analysis, months) {
+        if (Array.isArray(cashFlows) && cashFlows.length > 0) {
+            return cashFlows.map((flow, i) => this.normalizeCashFlowMonth(flow, i));
+        }
+
+        return Array.from({ length: months }, (_, i) => ({
+            month: i + 1,
+            label: `Mes ${i + 1}`,
+            income: analysis.projected_income,
+            expenses: analysis.current_expenses
+        }));
+    }
+
+    // Un mes de la proyección con ingresos y egresos numéricos; "12abc" o un mes vacío no se aceptan
+    normalizeCashFlowMonth(flow, index) {
+        const toNumber = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')
+            ? Number(value)
+            : NaN;
+        const month = flow && typeof flow === 'object' ? flow : {};
+        const income = toNumber(month.income !== undefined ? month.income : month.ingresos);
+        const expenses = toNumber(month.expenses !== undefined ? month.expenses : month.costosTotales);
+
+        if (!Number.isFinite(income) || !Number.isFinite(expenses)) {
+            throw new Error(`El mes ${index + 1} de la proyección necesita ingresos y egresos numéricos`);
+        }
+        return { month: index + 1, label: month.label || month.nombreMes || `Mes ${index + 1}`, income, expenses };
+    }
+
+    // Validar la proyección mensual enviada antes de calcular: si viene, debe ser una lista de meses válidos
+    validateCashFlowSeries(cashFlows) {
+        if (cashFlows === undefined || cashFlows === null) return;
+        if (!Array.isArray(cashFlows) || cashFlows.length === 0) {
+            throw new Error('La proyección mensual (monthly_cash_flows) debe ser una lista con al menos un mes');
+        }
+        cashFlows.forEach((flow, i) => this.normalizeCashFlowMonth(flow, i));
+    }
+
+    // Pruebas de estrés: DSCR mes a mes del crédito bajo cada choque (caída de ventas, alza de tasa
+    // en puntos básicos, inflación de costos) y la deuda máxima que mantiene la cobertura mínima
+    calculateStressTest(analysis, options = {}) {
+        const minCoverage = this.bankingRatios.minDebtCoverage;
+        const loan = options.loan && options.loan.amount > 0
+            ? {
+                amount: options.loan.amount,
+                rate: options.loan.effective_annual_rate !== undefined ? options.loan.effective_annual_rate / 100 : options.loan.rate,
+                months: options.loan.months,
+                method: options.loan.method,
+                grace_months: options.loan.grace_months,
+                grace_type: options.loan.grace_type
+            }
+            : null;
+        const loanMonths = loan ? loan.months : this.stressTesting.plazo_credito_meses;
+        const series = this.normalizeCashFlowSeries(options.cash_flows, analysis, loanMonths);
+        const scenarios = Array.isArray(options.scenarios) && options.scenarios.length > 0
+            ? options.scenarios
+            : this.stressTesting.escenarios_por_defecto;
+        const warnings = [];
+
+        if (series.length < loanMonths) {
+            warnings.push(`La proyección cubre ${series.length} de los ${loanMonths} meses del crédito; los meses restantes no se evaluaron`);
+        }
+        if (!loan) {
+            warnings.push('Sin un crédito para evaluar solo se calcula la deuda máxima que resiste cada escenario');
+        }
+
+        const results = scenarios.map((scenario, i) => this.runStressScenario(scenario, i, series, loan, loanMonths, analysis.existing_debt_payment));
+        const withDscr = results.filter(result => result.min_dscr !== null);
+        const worst = withDscr.length > 0
+            ? withDscr.reduce((min, result) => result.min_dscr < min.min_dscr ? result : min)
+            : null;
+        const maxDebts = results.map(result => result.max_debt).filter(value => value !== null);
+        const maxDebtUnderStress = maxDebts.length > 0 ? Math.min(...maxDebts) : null;
+        const failing = results.filter(result => result.passes === false);
+
+        let conclusion;
+        if (!loan || !worst) {
+            conclusion = maxDebtUnderStress !== null
+                ? `Para mantener la cobertura sobre ${minCoverage}x en todos los escenarios la deuda no debería superar $${maxDebtUnderStress.toLocaleString('es-CO')}`
+                : 'No hay datos suficientes para calcular la deuda máxima bajo estrés';
+        } else if (failing.length === 0) {
+            conclusion = `El crédito de $${Math.round(loan.amount).toLocaleString('es-CO')} mantiene la cobertura sobre ${minCoverage}x en todos los escenarios; el más exigente es "${worst.name}" con ${worst.min_dscr}x en ${worst.worst_month.label}`;
+        } else {
+            conclusion = `En ${failing.map(result => `"${result.name}"`).join(', ')} la cobertura cae por debajo de ${minCoverage}x (peor mes: ${worst.worst_month.label}, ${worst.min_dscr}x). Para resistir todos los escenarios el crédito no debería superar $${(maxDebtUnderStress || 0).toLocaleString('es-CO')}`;
+        }
+
+        return {
+            min_debt_coverage: minCoverage,
+            loan: loan ? {
+                amount: loan.amount,
+                interest_rate: Math.round(loan.rate * 10000) / 10000,
+                months: loan.months,
+                method: this.normalizeAmortizationMethod(loan.method)
+            } : null,
+            months_evaluated: series.length,
+            scenarios: results,
+            worst_scenario: worst ? worst.name : null,
+            max_debt_under_stress: maxDebtUnderStress,
+            passes_all: loan ? failing.length === 0 : null,
+            warnings,
+            conclusion
+        };
+    }
+
+    runStressScenario(scenario, index, series, loan, loanMonths, existingPayment = 0) {
+        const minCoverage = this.bankingRatios.minDebtCoverage;
+        const round = value => Math.round(value * 100) / 100;
+        const salesDrop = parseFloat(scenario.sales_drop) || 0;
+        const rateIncrease = parseFloat(scenario.rate_increase_bps) || 0;
+        const costInflation = parseFloat(scenario.cost_inflation) || 0;
+        const baseRate = loan ? loan.rate : this.bankingRatios.interestRates.working_capital;
+        const rate = baseRate + rateIncrease / 10000;
+
+        // El servicio de deuda es proporcional al monto, así que la deuda máxima sale de la cuota por peso prestado
+        const testedAmount = loan ? loan.amount : 1000000;
+        const schedule = this.calculateAmortizationSchedule({
+            amount: testedAmount,
+            rate,
+            rate_type: 'EA',
+            months: loanMonths,
+            method: loan ? loan.method : 'french',
+            grace_months: loan ? loan.grace_months : 0,
+            grace_type: loan ? loan.grace_type : undefined
+        });
+
+        let maxDebt = null;
+        const months = series.map(flow => {
+            const row = schedule.schedule[flow.month - 1];
+            const loanPayment = row ? row.payment : 0;
+            const debtService = (loan ? loanPayment : 0) + existingPayment;
+            const cashFlow = flow.income * (1 - salesDrop / 100) - flow.expenses * (1 + costInflation / 100);
+
+            if (loanPayment > 0) {
+                const capacity = Math.max(0, (cashFlow / minCoverage - existingPayment) / (loanPayment / testedAmount));
+                maxDebt = maxDebt === null ? capacity : Math.min(maxDebt, capacity);
+            }
+
+            return {
+                month: flow.month,
+                label: flow.label,
+                income: round(flow.income * (1 - salesDrop / 100)),
+                expenses: round(flow.expenses * (1 + costInflation / 100)),
+                cash_flow: round(cashFlow),
+                debt_service: round(debtService),
+                dscr: debtService > 0 ? round(cashFlow / debtService) : null,
+                below_minimum: debtService > 0 && cashFlow / debtService < minCoverage
+            };
+        });
+
+        const rated = months.filter(month => month.dscr !== null);
+        const worstMonth = rated.length > 0
+            ? rated.reduce((min, month) => month.dscr < min.dscr ? month : min)
+            : months.reduce((min, month) => month.cash_flow < min.cash_flow ? month : min);
+        const minDscr = rated.length > 0 ? worstMonth.dscr : null;
+
+        return {
+            name: scenario.name || `Escenario ${index + 1}`,
+            sales_drop: salesDrop,
+            rate_increase_bps: rateIncrease,
+            cost_inflation: costInflation,
+            interest_rate: Math.round(rate * 10000) / 10000,
+            first_payment: loan ? Math.floor(schedule.first_payment) : null,
+            min_dscr: minDscr,
+            average_dscr: rated.length > 0 ? round(rated.reduce((sum, month) => sum + month.dscr, 0) / rated.length) : null,
+            months_below_minimum: months.filter(month => month.below_minimum).length,
+            worst_month: {
+                month: worstMonth.month,
+                label: worstMonth.label,
+                dscr: worstMonth.dscr,
+                cash_flow: worstMonth.cash_flow,
+                debt_service: worstMonth.debt_service
             },
-            credit_options: this.generateCreditOptions(finalCapacity, analysis)
+            max_debt: maxDebt !== null ? Math.floor(maxDebt) : null,
+            passes: minDscr !== null ? minDscr >= minCoverage : null,
+            months
         };
     }
 
@@ -89,8 +576,9 @@ class DebtCapacityCalculator {
         return annualIncome * maxRatio;
     }
 
-    calculateMaxDebtByCoverage(netCashFlow) {
-        const annualCashFlow = netCashFlow * 12;
+    calculateMaxDebtByCoverage(netCashFlow, existingPayment = 0) {
+        // Para deuda nueva solo queda el flujo que sobra después de cubrir las cuotas actuales
+        const annualCashFlow = (netCashFlow - existingPayment * this.bankingRatios.minDebtCoverage) * 12;
         return annualCashFlow / this.bankingRatios.minDebtCoverage;
     }
 
@@ -161,7 +649,21 @@ class DebtCapacityCalculator {
             });
         }
         
-        if (capacity > 5000000) { // >$5M
+        if (analysis.working_capital_need !== undefined && analysis.working_capital_need !== null) {
+            // Con el ciclo de caja medido se recomienda lo que el ciclo exige, sin pasar del tope del producto
+            const need = Math.max(0, analysis.working_capital_need);
+            const amount = Math.floor(Math.min(need, capacity * this.getCreditTypeFactor('working_capital')));
+
+            if (amount > 0) {
+                recommendations.push({
+                    type: 'working_capital',
+                    amount: amount,
+                    purpose: `Capital de trabajo para financiar un ciclo de caja de ${Math.round(analysis.cash_conversion_cycle || 0)} días`,
+                    priority: 'high',
+                    working_capital_need: Math.floor(need)
+                });
+            }
+        } else if (capacity > 5000000) { // >$5M
             recommendations.push({
                 type: 'working_capital',
                 amount: Math.floor(capacity * 0.3),
@@ -173,7 +675,38 @@ class DebtCapacityCalculator {
         return recommendations;
     }
 
+    // Comparar contado, crédito y leasing para la recomendación de compra de equipos; usa el equipo
+    // indicado en businessData.equipment_purchase o el monto recomendado y la tasa del mejor crédito de equipos.
+    // Las tasas del comparador van en porcentaje (tax_rate: 35)
+    attachEquipmentFinancing(recommendations, creditOptions, businessData) {
+        const equipment = recommendations.find(recommendation => recommendation.type === 'equipment');
+        if (!equipment) return null;
+
+        const purchase = businessData.equipment_purchase || {};
+        const creditOption = creditOptions.find(option => option.credit_type === 'equipment' && option.qualifies !== false);
+        const comparison = this.leasingComparator.compararOpciones({
+            costo_equipo: purchase.cost || equipment.amount,
+            tipo_activo: purchase.asset_type,
+            vida_util_anios: purchase.useful_life_years,
+            tarifa_renta: purchase.tax_rate,
+            caja_disponible: businessData.cash_reserves,
+            credito: {
+                tasa: creditOption ? creditOption.interest_rate * 100 : undefined,
+                plazo_meses: creditOption ? Math.min(60, creditOption.max_term_months) : undefined,
+                ...(purchase.credit || {})
+            },
+            leasing: purchase.leasing
+        });
+
+        equipment.financing_comparison = comparison.exito ? comparison : null;
+        return equipment.financing_comparison;
+    }
+
     generateCreditOptions(capacity, analysis) {
+        if (this.creditProducts.length > 0) {
+            return this.compareCreditProducts(capacity, analysis);
+        }
+
         const options = [];
         
         Object.entries(this.bankingRatios.interestRates).forEach(([type, rate]) => {
@@ -196,6 +729,127 @@ class DebtCapacityCalculator {
         return options.sort((a, b) => b.max_amount - a.max_amount);
     }
 
+    // Comparar los productos del catálogo por su costo total y marcar a cuáles califica el negocio
+    compareCreditProducts(capacity, analysis) {
+        const riskScore = this.calculateRiskScore(analysis);
+        const comparisonMonths = this.creditCatalog.plazo_comparacion_meses || 36;
+        const options = [];
+
+        this.creditProducts.forEach(product => {
+            const byCapacity = Math.floor(capacity * this.getCreditTypeFactor(product.credit_type));
+            const maxAmount = product.max_amount !== null ? Math.min(byCapacity, product.max_amount) : byCapacity;
+
+            if (maxAmount > 1000000) { // Mínimo $1M
+                const rate = this.estimateProductRate(product, riskScore) / 100;
+                const unmetRequirements = this.checkProductRequirements(product, analysis, riskScore, maxAmount);
+
+                options.push({
+                    credit_type: product.credit_type,
+                    product_id: product.id,
+                    lender: product.lender,
+                    product_name: product.product_name,
+                    max_amount: maxAmount,
+                    interest_rate: Math.round(rate * 10000) / 10000,
+                    rate_range: { min: product.rate_min / 100, max: product.rate_max / 100 },
+                    max_term_months: product.max_term_months,
+                    terms: this.calculateTermOptions(maxAmount, rate).filter(term => term.months <= product.max_term_months),
+                    cost_comparison: this.calculateProductCost(product, maxAmount, rate, Math.min(comparisonMonths, product.max_term_months)),
+                    qualifies: unmetRequirements.length === 0,
+                    unmet_requirements: unmetRequirements,
+                    documents: product.requirements.documents,
+                    description: `${product.product_name} - ${product.lender}`
+                });
+            }
+        });
+
+        // Primero los productos a los que califica; entre ellos, el de menor costo total expresado como tasa
+        // (así se comparan productos con montos distintos)
+        return options.sort((a, b) => (b.qualifies - a.qualifies) ||
+            (a.cost_comparison.all_in_rate - b.cost_comparison.all_in_rate));
+    }
+
+    // Tasa dentro del rango del producto: la mínima con score 100, la máxima con el score mínimo exigido
+    estimateProductRate(product, riskScore) {
+        const minScore = product.requirements.min_risk_score;
+        const position = minScore >= 100 ? 1 : Math.max(0, Math.min(1, (riskScore - minScore) / (100 - minScore)));
+        return product.rate_max - (product.rate_max - product.rate_min) * position;
+    }
+
+    checkProductRequirements(product, analysis, riskScore, amount) {
+        const requirements = product.requirements;
+        const unmet = [];
+
+        if (riskScore < requirements.min_risk_score) {
+            unmet.push(`Score de riesgo mínimo de ${requirements.min_risk_score} (el tuyo es ${riskScore})`);
+        }
+        if (analysis.time_in_business < requirements.min_time_in_business) {
+            unmet.push(`Al menos ${requirements.min_time_in_business} meses de operación (llevas ${analysis.time_in_business})`);
+        }
+        if (analysis.current_income < requirements.min_monthly_income) {
+            unmet.push(`Ingresos mensuales de al menos $${requirements.min_monthly_income.toLocaleString('es-CO')}`);
+        }
+        if (amount < product.min_amount) {
+            unmet.push(`Monto mínimo de $${product.min_amount.toLocaleString('es-CO')} (tu capacidad para este producto es $${amount.toLocaleString('es-CO')})`);
+        }
+
+        return unmet;
+    }
+
+    // Costo total del crédito a un plazo con cuota fija: intereses, comisión de apertura, cuota de manejo,
+    // seguro de vida deudor sobre el saldo y comisión anual anticipada del FNG sobre el saldo de cada año
+    calculateProductCost(product, amount, rate, months) {
+        const fees = product.fees;
+        const amortization = this.calculateAmortizationSchedule({ amount, rate, rate_type: 'EA', months, method: 'french' });
+        const opening = amount * fees.opening_percent / 100;
+        const firstYearFng = amount * fees.fng_annual_percent / 100;
+        let balance = amount;
+        let insurance = 0;
+        let fng = firstYearFng;
+
+        const outflows = amortization.schedule.map(row => {
+            const rowInsurance = balance * fees.insurance_monthly_percent / 100;
+            balance = row.balance;
+            const rowFng = row.period % 12 === 0 && balance > 0 ? balance * fees.fng_annual_percent / 100 : 0;
+            insurance += rowInsurance;
+            fng += rowFng;
+            return row.payment + fees.monthly_fee + rowInsurance + rowFng;
+        });
+
+        const monthlyFees = fees.monthly_fee * amortization.schedule.length;
+        const totalCost = amortization.totals.interest + opening + monthlyFees + insurance + fng;
+
+        return {
+            months,
+            monthly_payment: Math.floor(amortization.first_payment),
+            monthly_payment_with_fees: Math.floor(outflows[0]),
+            interest: Math.floor(amortization.totals.interest),
+            fees: {
+                opening: Math.floor(opening),
+                monthly_fees: Math.floor(monthlyFees),
+                insurance: Math.floor(insurance),
+                fng: Math.floor(fng)
+            },
+            total_cost: Math.floor(totalCost),
+            total_amount: Math.floor(amount + totalCost),
+            all_in_rate: this.calculateAllInRate(amount - opening - firstYearFng, outflows)
+        };
+    }
+
+    // Tasa efectiva anual con todos los costos: TIR mensual entre lo que se recibe neto y lo que se paga
+    calculateAllInRate(netDisbursed, outflows) {
+        const presentValue = monthlyRate => outflows.reduce((sum, outflow, i) => sum + outflow / Math.pow(1 + monthlyRate, i + 1), 0);
+        let low = 0;
+        let high = 1;
+
+        for (let i = 0; i < 100; i++) {
+            const middle = (low + high) / 2;
+            if (presentValue(middle) > netDisbursed) low = middle;
+            else high = middle;
+        }
+
+        return Math.round((Math.pow(1 + (low + high) / 2, 12) - 1) * 10000) / 10000;
+    }
+
     getCreditTypeFactor(type) {
         const factors = {
             'working_capital': 0.4,
@@ -220,7 +874,7 @@ class DebtCapacityCalculator {
         const terms = [12, 24, 36, 48, 60]; // meses
         
         return terms.map(months => {
-            const monthlyRate = rate / 12;
+            const monthlyRate = this.convertToMonthlyRate(rate, 'EA');
             const payment = (amount * monthlyRate * Math.pow(1 + monthlyRate, months)) / 
                            (Math.pow(1 + monthlyRate, months) - 1);
             
@@ -233,6 +887,178 @@ class DebtCapacityCalculator {
         });
     }
 
+    // Unidad en que viene una tasa: 'percent' (18) o 'fraction' (0.18). No se deduce del valor:
+    // 0.9 puede ser un 0,9% mensual o un 90% escrito como fracción
+    normalizeRateUnit(unit, fallback = 'fraction') {
+        if (unit === undefined || unit === null || unit === '') return fallback;
+        const text = unit.toString().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+        if (['percent', 'porcentaje', '%'].includes(text)) return 'percent';
+        if (['fraction', 'fraccion', 'decimal'].includes(text)) return 'fraction';
+        throw new Error(`Unidad de tasa no soportada: "${unit}" (usa percent o fraction)`);
+    }
+
+    // Convertir una tasa E.A. (efectiva anual), M.V. (nominal anual mes vencido) o E.M. (efectiva
+    // mensual) a tasa mensual en fracción. rateUnit indica si la tasa viene en fracción o en porcentaje
+    convertToMonthlyRate(rate, rateType = 'EA', rateUnit = 'fraction') {
+        const value = this.normalizeRateUnit(rateUnit) === 'percent' ? rate / 100 : rate;
+        const type = (rateType || 'EA').toString().toUpperCase().replace(/[^A-Z]/g, '');
+
+        if (type === 'EA') return Math.pow(1 + value, 1 / 12) - 1;
+        if (type === 'MV' || type === 'NMV') return value / 12;
+        if (type === 'EM' || type === 'MENSUAL') return value;
+        throw new Error(`Tipo de tasa no soportado: "${rateType}" (usa E.A., M.V. o E.M.)`);
+    }
+
+    normalizeAmortizationMethod(method) {
+        const text = (method || 'french').toString().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (/french|frances|cuota.?fija/.test(text)) return 'french';
+        if (/german|aleman|abono.?constante|capital.?constante/.test(text)) return 'german';
+        if (/bullet|bala|vencimiento/.test(text)) return 'bullet';
+        throw new Error(`Sistema de amortización no soportado: "${method}"`);
+    }
+
+    // Abonos extraordinarios por periodo: lista [{month, amount}] o periódicos {amount, every_months, start_month}
+    normalizeExtraPayments(extraPayments, months) {
+        const byPeriod = {};
+        if (!extraPayments) return byPeriod;
+
+        if (Array.isArray(extraPayments)) {
+            extraPayments.forEach(extra => {
+                const month = parseInt(extra.month);
+                const amount = parseFloat(extra.amount) || 0;
+                if (month >= 1 && month <= months && amount > 0) {
+                    byPeriod[month] = (byPeriod[month] || 0) + amount;
+                }
+            });
+            return byPeriod;
+        }
+
+        const amount = parseFloat(extraPayments.amount) || 0;
+        const every = parseInt(extraPayments.every_months) || 12;
+        const start = parseInt(extraPayments.start_month) || every;
+        if (amount > 0) {
+            for (let month = start; month <= months; month += every) {
+                byPeriod[month] = amount;
+            }
+        }
+        return byPeriod;
+    }
+
+    // Tabla de amortización completa: francés (cuota fija), alemán (abono constante a capital)
+    // o bullet (capital al vencimiento), con periodo de gracia y abonos extraordinarios.
+    // La tasa va en fracción salvo que options.rate_unit sea 'percent'.
+    // En gracia 'interest_only' se pagan solo intereses; en gracia 'total' los intereses se capitalizan.
+    // Los abonos extra mantienen la cuota (francés) o el abono (alemán) y acortan el plazo
+    calculateAmortizationSchedule(options) {
+        const amount = parseFloat(options.amount) || 0;
+        const months = parseInt(options.months) || 0;
+        const graceMonths = parseInt(options.grace_months) || 0;
+        const graceType = options.grace_type === 'total' ? 'total' : 'interest_only';
+        const method = this.normalizeAmortizationMethod(options.method);
+        const rateType = (options.rate_type || 'EA').toString().toUpperCase().replace(/[^A-Z]/g, '');
+        const monthlyRate = this.convertToMonthlyRate(parseFloat(options.rate) || 0, rateType, options.rate_unit);
+        const extraPayments = this.normalizeExtraPayments(options.extra_payments, months);
+
+        if (amount <= 0) {
+            throw new Error('El monto del crédito debe ser mayor a cero');
+        }
+        if (months <= 0) {
+            throw new Error('El plazo debe ser de al menos un mes');
+        }
+        if (graceMonths < 0 || graceMonths >= months) {
+            throw new Error('El periodo de gracia debe ser menor que el plazo');
+        }
+
+        const amortizationMonths = months - graceMonths;
+        const round = value => Math.round(value * 100) / 100;
+        const schedule = [];
+        let balance = amount;
+        let fixedPayment = null;
+        let fixedPrincipal = null;
+
+        for (let period = 1; period <= months && balance > 0.005; period++) {
+            const interest = balance * monthlyRate;
+            let payment;
+            let principal;
+
+            if (period <= graceMonths) {
+                principal = 0;
+                payment = graceType === 'total' ? 0 : interest;
+                if (graceType === 'total') balance += interest;
+            } else if (method === 'french') {
+                // La cuota se fija con el saldo que queda al terminar la gracia
+                if (fixedPayment === null) {
+                    fixedPayment = monthlyRate > 0
+                        ? (balance * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -amortizationMonths))
+                        : balance / amortizationMonths;
+                }
+                payment = Math.min(fixedPayment, balance + interest);
+                principal = payment - interest;
+            } else if (method === 'german') {
+                if (fixedPrincipal === null) {
+                    fixedPrincipal = balance / amortizationMonths;
+                }
+                principal = Math.min(fixedPrincipal, balance);
+                payment = principal + interest;
+            } else {
+                principal = period === months ? balance : 0;
+                payment = interest + principal;
+            }
+
+            balance -= principal;
+            const extraPayment = Math.min(extraPayments[period] || 0, balance);
+            balance -= extraPayment;
+
+            schedule.push({
+                period,
+                payment: round(payment),
+                interest: round(interest),
+                principal: round(principal),
+                extra_payment: round(extraPayment),
+                balance: round(Math.max(0, balance)),
+                grace: period <= graceMonths
+            });
+        }
+
+        const sum = field => round(schedule.reduce((total, row) => total + row[field], 0));
+        const totalPaid = sum('payment') + sum('extra_payment');
+        const firstPayment = schedule.find(row => !row.grace);
+
+        return {
+            method,
+            method_name: { french: 'Francés (cuota fija)', german: 'Alemán (abono constante a capital)', bullet: 'Bullet (capital al vencimiento)' }[method],
+            amount,
+            months,
+            months_paid: schedule.length,
+            rate_type: rateType,
+            monthly_rate: Math.round(monthlyRate * 1000000) / 10000,
+            effective_annual_rate: Math.round((Math.pow(1 + monthlyRate, 12) - 1) * 1000000) / 10000,
+            grace_months: graceMonths,
+            grace_type: graceType,
+            first_payment: firstPayment ? firstPayment.payment : null,
+            max_payment: Math.max(...schedule.map(row => row.payment)),
+            totals: {
+                payments: sum('payment'),
+                // Incluye los intereses capitalizados durante la gracia total
+                interest: round(totalPaid - amount),
+                extra_payments: sum('extra_payment'),
+                total_paid: round(totalPaid)
+            },
+            schedule
+        };
+    }
+
+    // Texto del usuario o del catálogo listo para insertar en el HTML de los reportes, que se muestran
+    // en el navegador y se renderizan a PDF en el servidor
+    escapeHtml(value) {
+        return (value === undefined || value === null ? '' : value).toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Generar reporte completo en formato HTML
     generateDebtCapacityReport(businessName, debtAnalysis) {
         const riskLevel = debtAnalysis.risk_score >= 80 ? 'Bajo' : 
@@ -273,20 +1099,40 @@ class DebtCapacityCalculator {
             <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1rem;">
                 <h4 style="color: #1E88E5; margin-bottom: 1rem;">💡 Opciones de Crédito Recomendadas</h4>
                 ${debtAnalysis.credit_options.map(option => `
-                    <div style="border-left: 4px solid #1E88E5; padding-left: 1rem; margin-bottom: 1rem;">
+                    <div style="border-left: 4px solid ${option.qualifies === false ? '#9ca3af' : '#1E88E5'}; padding-left: 1rem; margin-bottom: 1rem;">
                         <div style="font-weight: bold; color: #333;">
-                            ${option.description} - Hasta $${option.max_amount.toLocaleString('es-CO')}
+                            ${this.escapeHtml(option.description)} - Hasta $${option.max_amount.toLocaleString('es-CO')}
+                            ${option.qualifies === undefined ? '' : option.qualifies
+                                ? '<span style="color: #4CAF50; font-size: 0.8rem;">✔ Calificas</span>'
+                                : '<span style="color: #F44336; font-size: 0.8rem;">✖ Aún no calificas</span>'}
                         </div>
                         <div style="color: #666; font-size: 0.9rem;">
-                            Tasa: ${(option.interest_rate * 100).toFixed(1)}% anual
+                            Tasa: ${(option.interest_rate * 100).toFixed(1)}% E.A.
                         </div>
                         <div style="color: #666; font-size: 0.9rem;">
                             Cuota ejemplo (36 meses): $${option.terms.find(t => t.months === 36)?.monthly_payment.toLocaleString('es-CO') || 'N/A'}
                         </div>
+                        ${option.cost_comparison ? `
+                        <div style="color: #666; font-size: 0.9rem;">
+                            Costo total a ${option.cost_comparison.months} meses: $${option.cost_comparison.total_cost.toLocaleString('es-CO')}
+                            (intereses, comisiones, seguros y FNG) - ${(option.cost_comparison.all_in_rate * 100).toFixed(1)}% E.A. con todo incluido
+                        </div>
+                        ` : ''}
+                        ${option.unmet_requirements && option.unmet_requirements.length > 0 ? `
+                        <div style="color: #F44336; font-size: 0.85rem;">Te falta: ${option.unmet_requirements.map(requirement => this.escapeHtml(requirement)).join('; ')}</div>
+                        ` : ''}
                     </div>
                 `).join('')}
             </div>
             
+            ${this.generateEquipmentFinancingHTML(debtAnalysis.recommendations)}
+            
+            ${debtAnalysis.existing_debt_portfolio ? this.generateDebtPortfolioHTML(debtAnalysis.existing_debt_portfolio, debtAnalysis.consolidation_options || []) : ''}
+            
+            ${debtAnalysis.amortization_schedule ? this.generateAmortizationTableHTML(debtAnalysis.amortization_schedule) : ''}
+            
+            ${debtAnalysis.stress_test ? this.generateStressTestHTML(debtAnalysis.stress_test) : ''}
+            
             <div style="background: #e3f2fd; padding: 1rem; border-radius: 8px; border-left: 4px solid #1E88E5;">
                 <strong style="color: #1E88E5;">💼 Recomendación IAtiva:</strong>
                 <p style="margin: 0.5rem 0 0 0; color: #555;">
@@ -301,6 +1147,196 @@ class DebtCapacityCalculator {
         </div>
         `;
     }
+
+    // Tabla de amortización en HTML para el reporte
+    generateAmortizationTableHTML(amortization) {
+        const money = value => '$' + Math.round(value).toLocaleString('es-CO');
+        const cell = 'padding: 0.4rem; border-bottom: 1px solid #e5e7eb; text-align: right;';
+
+        return `
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1rem;">
+                <h4 style="color: #1E88E5; margin-bottom: 0.5rem;">📅 Tabla de Amortización - ${amortization.method_name}</h4>
+                <p style="color: #666; font-size: 0.9rem; margin-bottom: 1rem;">
+                    Monto ${money(amortization.amount)} a ${amortization.months} meses,
+                    tasa ${amortization.effective_annual_rate}% E.A. (${amortization.monthly_rate}% mensual)${amortization.grace_months > 0 ? `, ${amortization.grace_months} meses de gracia` : ''}.
+                    Intereses totales: ${money(amortization.totals.interest)}
+                </p>
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="background: #1E88E5; color: white;">
+                            <th style="padding: 0.4rem;">Periodo</th>
+                            <th style="padding: 0.4rem;">Cuota</th>
+                            <th style="padding: 0.4rem;">Interés</th>
+                            <th style="padding: 0.4rem;">Abono a capital</th>
+                            <th style="padding: 0.4rem;">Abono extra</th>
+                            <th style="padding: 0.4rem;">Saldo</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${amortization.schedule.map(row => `
+                            <tr${row.grace ? ' style="background: #fff7ed;"' : ''}>
+                                <td style="${cell} text-align: center;">${row.period}</td>
+                                <td style="${cell}">${money(row.payment)}</td>
+                                <td style="${cell}">${money(row.interest)}</td>
+                                <td style="${cell}">${money(row.principal)}</td>
+                                <td style="${cell}">${row.extra_payment > 0 ? money(row.extra_payment) : '-'}</td>
+                                <td style="${cell}">${money(row.balance)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Contado, crédito o leasing para la recomendación de equipos en HTML para el reporte
+    generateEquipmentFinancingHTML(recommendations = []) {
+        const equipment = recommendations.find(recommendation => recommendation.type === 'equipment');
+        if (!equipment || !equipment.financing_comparison) return '';
+
+        const comparison = equipment.financing_comparison;
+        const money = value => '$' + Math.round(value).toLocaleString('es-CO');
+        const cell = 'padding: 0.4rem; border-bottom: 1px solid #e5e7eb; text-align: right;';
+
+        return `
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1rem;">
+                <h4 style="color: #1E88E5; margin-bottom: 0.5rem;">🏭 ¿Contado, Crédito o Leasing? (equipo de ${money(comparison.parametros.costoEquipo)})</h4>
+                <p style="color: #666; font-size: 0.9rem; margin-bottom: 1rem;">
+                    ${comparison.conclusion}. Valor presente a ${comparison.parametros.horizonteMeses} meses descontado al ${comparison.parametros.tasaDescuentoAnual}% anual,
+                    con escudos fiscales de intereses y depreciación (renta ${comparison.parametros.tarifaRenta}%).
+                </p>
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="background: #1E88E5; color: white;">
+                            <th style="padding: 0.4rem; text-align: left;">Alternativa</th>
+                            <th style="padding: 0.4rem;">Pago inicial</th>
+                            <th style="padding: 0.4rem;">Pago mensual</th>
+                            <th style="padding: 0.4rem;">Escudo fiscal</th>
+                            <th style="padding: 0.4rem;">Costo en valor presente</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${comparison.opciones.map(option => `
+                            <tr${option.opcion === comparison.mejorOpcion.opcion ? ' style="background: #f0fdf4; font-weight: bold;"' : ''}>
+                                <td style="${cell} text-align: left;">${option.nombre}${option.viable ? '' : ' (no viable)'}</td>
+                                <td style="${cell}">${money(option.desembolsoInicial)}</td>
+                                <td style="${cell}">${option.pagoMensual ? money(option.pagoMensual) : '-'}</td>
+                                <td style="${cell}">${money(option.escudoFiscal)}</td>
+                                <td style="${cell}">${money(option.valorPresenteCosto)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${comparison.advertencias.map(warning => `<p style="color: #9a3412; font-size: 0.8rem; margin-top: 0.5rem;">⚠️ ${warning}</p>`).join('')}
+            </div>
+        `;
+    }
+
+    // Deudas actuales y propuestas de consolidación en HTML para el reporte
+    generateDebtPortfolioHTML(portfolio, consolidationOptions) {
+        const money = value => '$' + Math.round(value).toLocaleString('es-CO');
+        const cell = 'padding: 0.4rem; border-bottom: 1px solid #e5e7eb; text-align: right;';
+
+        return `
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1rem;">
+                <h4 style="color: #1E88E5; margin-bottom: 0.5rem;">📋 Deudas Actuales</h4>
+                <p style="color: #666; font-size: 0.9rem; margin-bottom: 1rem;">
+                    Saldo total ${money(portfolio.total_balance)}, cuotas por ${money(portfolio.total_monthly_payment)} al mes${portfolio.weighted_rate !== null ? `, tasa promedio ${(portfolio.weighted_rate * 100).toFixed(1)}% E.A.` : ''}.
+                    La capacidad de endeudamiento ya descuenta estas cuotas.
+                </p>
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="background: #1E88E5; color: white;">
+                            <th style="padding: 0.4rem; text-align: left;">Entidad</th>
+                            <th style="padding: 0.4rem; text-align: left;">Tipo</th>
+                            <th style="padding: 0.4rem;">Saldo</th>
+                            <th style="padding: 0.4rem;">Tasa E.A.</th>
+                            <th style="padding: 0.4rem;">Meses restantes</th>
+                            <th style="padding: 0.4rem;">Cuota</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${portfolio.debts.map(debt => `
+                            <tr>
+                                <td style="${cell} text-align: left;">${this.escapeHtml(debt.lender)}</td>
+                                <td style="${cell} text-align: left;">${this.escapeHtml(debt.type_name)}</td>
+                                <td style="${cell}">${money(debt.balance)}</td>
+                                <td style="${cell}">${debt.rate !== null ? (debt.rate * 100).toFixed(1) + '%' : 'N/A'}</td>
+                                <td style="${cell}">${debt.remaining_months || 'N/A'}</td>
+                                <td style="${cell}">${money(debt.monthly_payment)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${consolidationOptions.map(option => `
+                    <div style="margin-top: 1rem; padding: 0.75rem; background: #f0fdf4; border-left: 4px solid #4CAF50; border-radius: 4px; color: #555; font-size: 0.9rem;">
+                        🔄 ${this.escapeHtml(option.description)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Pruebas de estrés en HTML para el reporte
+    generateStressTestHTML(stressTest) {
+        const money = value => value === null ? 'N/A' : '$' + Math.round(value).toLocaleString('es-CO');
+        const cell = 'padding: 0.4rem; border-bottom: 1px solid #e5e7eb; text-align: right;';
+
+        return `
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1rem;">
+                <h4 style="color: #1E88E5; margin-bottom: 0.5rem;">🌪️ Pruebas de Estrés (DSCR mínimo ${stressTest.min_debt_coverage}x)</h4>
+                <p style="color: #666; font-size: 0.9rem; margin-bottom: 1rem;">${this.escapeHtml(stressTest.conclusion)}</p>
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="background: #1E88E5; color: white;">
+                            <th style="padding: 0.4rem; text-align: left;">Escenario</th>
+                            <th style="padding: 0.4rem;">DSCR mínimo</th>
+                            <th style="padding: 0.4rem;">Peor mes</th>
+                            <th style="padding: 0.4rem;">Meses bajo el mínimo</th>
+                            <th style="padding: 0.4rem;">Deuda máxima</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${stressTest.scenarios.map(scenario => `
+                            <tr${scenario.passes === false ? ' style="background: #fef2f2;"' : ''}>
+                                <td style="${cell} text-align: left;">${this.escapeHtml(scenario.name)}</td>
+                                <td style="${cell}">${scenario.min_dscr !== null ? scenario.min_dscr + 'x' : 'N/A'}</td>
+                                <td style="${cell}">${this.escapeHtml(scenario.worst_month.label)}</td>
+                                <td style="${cell}">${scenario.months_below_minimum}</td>
+                                <td style="${cell}">${money(scenario.max_debt)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${stressTest.warnings.map(warning => `<p style="color: #9a3412; font-size: 0.8rem; margin-top: 0.5rem;">⚠️ ${this.escapeHtml(warning)}</p>`).join('')}
+            </div>
+        `;
+    }
+
+    // Documento HTML completo de un análisis guardado, listo para convertir a PDF
+    generateDebtCapacityDocument(analysis) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <title>Capacidad de Endeudamiento - ${this.escapeHtml(analysis.business_name)}</title>
+            <style>
+                body { font-family: Arial, sans-serif; margin: 0; color: #333; }
+                .header { text-align: center; margin-bottom: 20px; }
+                table { width: 100%; border-collapse: collapse; }
+            </style>
+        </head>
+        <body>
+            <div class="header">
+                <h1>Reporte de Capacidad de Endeudamiento</h1>
+                <h2>${this.escapeHtml(analysis.business_name)}</h2>
+                <p>Calculado el: ${new Date(analysis.updated_at || analysis.created_at).toLocaleDateString('es-CO')}</p>
+            </div>
+            ${this.generateDebtCapacityReport(analysis.business_name, analysis.results)}
+        </body>
+        </html>`;
+    }
 }
 
 module.exports = DebtCapacityCalculator;
\ No newline at end of file
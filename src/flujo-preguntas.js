@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { COSTOS_VARIABLES } = require('./calculadora-financiera');
+
+/**
+ * Flujo de Preguntas de Costeo
+ * Interpreta la definición declarativa de config/settings.json (flujo_costeo): campos, tipos,
+ * rangos de validación, variantes condicionales y ajustes por industria (textos, campos que se
+ * omiten y campos adicionales). Agregar o adaptar una pregunta solo requiere editar la configuración
+ */
+
+class FlujoPreguntas {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.definicion = this.config.flujo_costeo;
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    // Industria del negocio según la respuesta al campo de tipo "negocio"
+    obtenerIndustria(respuestas = {}) {
+        const campoNegocio = this.definicion.campos.find(campo => campo.tipo === 'negocio');
+        const negocio = campoNegocio ? respuestas[campoNegocio.nombre] : null;
+        return negocio && this.definicion.industrias[negocio.industria] ? negocio.industria : null;
+    }
+
+    // Preguntas vigentes para las respuestas dadas, en orden
+    obtenerCampos(respuestas = {}) {
+        const ajustes = this.definicion.industrias[this.obtenerIndustria(respuestas)] || {};
+        const omitidos = ajustes.omitir || [];
+        const campos = this.definicion.campos.filter(campo => !omitidos.includes(campo.nombre));
+
+        // Campos propios de la industria, ubicados después del campo indicado
+        (ajustes.campos_extra || []).forEach(extra => {
+            const posicion = campos.findIndex(campo => campo.nombre === extra.despues_de);
+            campos.splice(posicion === -1 ? campos.length : posicion + 1, 0, extra);
+        });
+
+        return campos.map(campo => this.resolverCampo(campo, respuestas, ajustes));
+    }
+
+    // Preguntas vigentes para una industria antes de conocer las demás respuestas
+    obtenerCamposIndustria(industria) {
+        const campoNegocio = this.definicion.campos.find(campo => campo.tipo === 'negocio');
+        return this.obtenerCampos(campoNegocio && industria ? { [campoNegocio.nombre]: { industria } } : {});
+    }
+
+    // Aplicar textos de la industria y la primera variante cuya condición se cumpla
+    resolverCampo(campo, respuestas, ajustes) {
+        const { variantes = [], ...base } = campo;
+        const resuelto = {
+            tipo: 'dinero',
+            alias: [],
+            ...base,
+            ...((ajustes.campos || {})[campo.nombre] || {})
+        };
+
+        const variante = variantes.find(v => this.cumpleCondicion(v.si, respuestas));
+        if (variante) {
+            const { si, ...cambios } = variante;
+            Object.assign(resuelto, cambios);
+        }
+
+        return resuelto;
+    }
+
+    cumpleCondicion(condicion, respuestas) {
+        if (!condicion) return true;
+        return respuestas[condicion.campo] === condicion.igual;
+    }
+
+    // Mensaje de error si el valor sale del rango del campo, o null
+    validarRango(campo, valor) {
+        const fueraDeRango = (campo.min !== undefined && valor < campo.min)
+            || (campo.max !== undefined && valor > campo.max);
+        if (!fueraDeRango) return null;
+
+        if (campo.mensaje_rango) return campo.mensaje_rango;
+        if (campo.max === undefined) return `❌ El valor debe ser de al menos ${campo.min}.`;
+        return `❌ El valor debe estar entre ${campo.min || 0} y ${campo.max}.`;
+    }
+
+    // Base declarada ('unidad' o 'mes') para un campo de costo, según el grupo de su costo
+    // destino (variable o fijo); null si aún no se declaró y el motor usa la base natural
+    obtenerBaseCampo(campo, respuestas = {}) {
+        if (campo.categoria !== 'costo') return null;
+
+        const destino = campo.suma_en || campo.nombre;
+        const grupo = COSTOS_VARIABLES.includes(destino) ? 'variable' : 'fijo';
+        const campoBase = this.definicion.campos.find(c => c.tipo === 'base' && c.grupo === grupo);
+        return (campoBase && respuestas[campoBase.nombre]) || null;
+    }
+
+    // Separar costos del resto de parámetros; los campos con "suma_en" se acumulan en ese costo
+    // y cada costo lleva en base_costos la base declarada para su grupo
+    construirDatos(respuestas = {}) {
+        const datos = { costos: {}, base_costos: {} };
+
+        this.obtenerCampos(respuestas).forEach(campo => {
+            const valor = respuestas[campo.nombre];
+            if (valor === undefined || campo.tipo === 'base') return;
+
+            if (campo.categoria === 'costo') {
+                const destino = campo.suma_en || campo.nombre;
+                datos.costos[destino] = (datos.costos[destino] || 0) + valor;
+
+                const base = this.obtenerBaseCampo(campo, respuestas);
+                if (base) datos.base_costos[destino] = base;
+            } else {
+                datos[campo.nombre] = valor;
+            }
+        });
+
+        return datos;
+    }
+}
+
+module.exports = FlujoPreguntas;
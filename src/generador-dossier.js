@@ -0,0 +1,439 @@
+const fs = require('fs');
+const path = require('path');
+const GeneradorReportes = require('./generador-reportes');
+
+/**
+ * Generador de Dossier de Crédito
+ * Reúne en un solo documento para el banco el perfil del negocio, el costeo, las proyecciones,
+ * la capacidad de endeudamiento y la tabla de amortización, junto con la lista de documentos
+ * que suelen pedir las entidades colombianas y un puntaje de completitud del paquete
+ */
+
+class GeneradorDossier {
+    // Recibe la calculadora de capacidad de endeudamiento para reutilizar su reporte
+    constructor(calculadoraDeuda) {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.dossier_credito;
+        this.calculadoraDeuda = calculadoraDeuda;
+        this.reportes = new GeneradorReportes();
+    }
+
+    // El dossier mezcla datos del usuario con el reporte de la calculadora: se escapan igual
+    escapar(valor) {
+        return this.calculadoraDeuda.escapeHtml(valor);
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    /**
+     * Generar el dossier
+     * @param {Object} datos
+     * @param {Object} datos.analisisDeuda - Análisis de endeudamiento guardado ({ business_name, data, results })
+     * @param {Object} [datos.analisisCostos] - Análisis de costeo ({ datos, resultados }) ya deserializado
+     * @param {string[]} [datos.documentos] - Ids de los requisitos que el negocio ya tiene listos
+     */
+    generarDossier(datos = {}) {
+        try {
+            const { analisisDeuda, analisisCostos = null, documentos = [] } = datos;
+
+            if (!analisisDeuda || !analisisDeuda.results) {
+                throw new Error('Se requiere un análisis de capacidad de endeudamiento');
+            }
+
+            const contexto = {
+                nombre: analisisDeuda.business_name,
+                negocio: analisisDeuda.data.business_data || {},
+                proyecciones: analisisDeuda.data.financial_projections || {},
+                deuda: analisisDeuda.results,
+                costeo: analisisCostos ? analisisCostos.datos || {} : null,
+                resultadosCosteo: analisisCostos ? analisisCostos.resultados || {} : null
+            };
+
+            const secciones = this.evaluarSecciones(contexto);
+            const requisitos = this.evaluarRequisitos(documentos);
+            const completitud = this.calcularCompletitud(secciones, requisitos);
+            const documentosEntidad = this.documentosDeEntidad(contexto.deuda.credit_options || []);
+
+            const dossier = {
+                exito: true,
+                nombreNegocio: contexto.nombre,
+                completitud,
+                secciones,
+                requisitos,
+                documentosEntidad,
+                timestamp: new Date().toISOString()
+            };
+
+            dossier.html = this.generarHTML(contexto, dossier);
+            return dossier;
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    // Avance de cada sección según los datos disponibles (0 a 1)
+    evaluarSecciones(contexto) {
+        const { negocio, proyecciones, deuda, costeo, resultadosCosteo } = contexto;
+        const flujoCaja = resultadosCosteo && resultadosCosteo.flujoCaja && resultadosCosteo.flujoCaja.exito
+            ? resultadosCosteo.flujoCaja : null;
+
+        const evaluaciones = {
+            perfil: this.evaluarCampos({
+                'Nombre del negocio': contexto.nombre,
+                'Sector': negocio.sector || negocio.business_type || (costeo && costeo.tipoNegocio),
+                'Ubicación': costeo && costeo.ubicacion,
+                'Tiempo de operación': negocio.time_in_business,
+                'Ingresos mensuales': negocio.monthly_income,
+                'Gastos mensuales': negocio.monthly_expenses
+            }),
+            costeo: resultadosCosteo
+                ? this.evaluarCampos({
+                    'Costo unitario': resultadosCosteo.costoUnitario,
+                    'Precio de venta': resultadosCosteo.precioVenta,
+                    'Punto de equilibrio': resultadosCosteo.puntoEquilibrio
+                })
+                : { avance: 0, faltantes: ['Asociar un análisis de costeo'] },
+            proyecciones: flujoCaja || (proyecciones.monthly_cash_flows || []).length > 0
+                ? { avance: 1, faltantes: [] }
+                : proyecciones.projected_monthly_income
+                    ? { avance: 0.5, faltantes: ['Flujo de caja proyectado mes a mes'] }
+                    : { avance: 0, faltantes: ['Ingresos proyectados', 'Flujo de caja proyectado mes a mes'] },
+            capacidad: deuda.debt_capacity !== undefined
+                ? { avance: 1, faltantes: [] }
+                : { avance: 0, faltantes: ['Calcular la capacidad de endeudamiento'] },
+            amortizacion: deuda.amortization_schedule
+                ? { avance: 1, faltantes: [] }
+                : { avance: 0, faltantes: ['No hay un crédito para el que calificas todavía'] }
+        };
+
+        return this.parametros.secciones.map(seccion => ({
+            ...seccion,
+            ...evaluaciones[seccion.id],
+            completa: evaluaciones[seccion.id].avance === 1
+        }));
+    }
+
+    evaluarCampos(campos) {
+        const faltantes = Object.entries(campos)
+            .filter(([, valor]) => valor === undefined || valor === null || valor === '')
+            .map(([nombre]) => nombre);
+        const total = Object.keys(campos).length;
+
+        return {
+            avance: Math.round((total - faltantes.length) / total * 100) / 100,
+            faltantes
+        };
+    }
+
+    evaluarRequisitos(documentos) {
+        const entregados = new Set(documentos);
+        return this.parametros.requisitos.map(requisito => ({
+            ...requisito,
+            entregado: entregados.has(requisito.id)
+        }));
+    }
+
+    // Puntaje ponderado de secciones y documentos sobre 100
+    calcularCompletitud(secciones, requisitos) {
+        const pesoTotal = [...secciones, ...requisitos].reduce((sum, item) => sum + item.peso, 0);
+        const pesoLogrado = secciones.reduce((sum, s) => sum + s.peso * s.avance, 0)
+            + requisitos.filter(r => r.entregado).reduce((sum, r) => sum + r.peso, 0);
+
+        const puntaje = Math.round(pesoLogrado / pesoTotal * 100);
+        const obligatoriosPendientes = requisitos.filter(r => r.obligatorio && !r.entregado);
+
+        // Sin los documentos obligatorios el paquete no se considera listo, aunque el puntaje alcance
+        const niveles = this.parametros.niveles;
+        let indice = niveles.findIndex(nivel => puntaje >= nivel.minimo);
+        if (indice === 0 && obligatoriosPendientes.length > 0) indice = 1;
+
+        return {
+            puntaje,
+            nivel: niveles[indice].nombre,
+            obligatoriosPendientes: obligatoriosPendientes.map(r => r.nombre),
+            pendientes: [
+                ...secciones.filter(s => !s.completa).map(s => `${s.nombre}: ${s.faltantes.join(', ')}`),
+                ...requisitos.filter(r => !r.entregado).map(r => r.nombre)
+            ]
+        };
+    }
+
+    // Documentos propios de la entidad del primer crédito para el que califica
+    documentosDeEntidad(opciones) {
+        const opcion = opciones.find(o => o.qualifies && (o.documents || []).length > 0);
+        if (!opcion) return null;
+
+        return {
+            entidad: opcion.lender,
+            producto: opcion.product_name,
+            documentos: opcion.documents
+        };
+    }
+
+    generarHTML(contexto, dossier) {
+        const contenido = [
+            this.generarSeccionCompletitud(dossier),
+            this.generarSeccionPerfil(contexto),
+            this.generarSeccionCosteo(contexto.resultadosCosteo),
+            this.generarSeccionProyecciones(contexto),
+            this.generarSeccionCapacidad(contexto),
+            this.generarSeccionAmortizacion(contexto.deuda.amortization_schedule),
+            this.generarSeccionRequisitos(dossier)
+        ].join('');
+
+        return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>Dossier de Crédito - ${this.escapar(contexto.nombre)}</title>
+    ${this.reportes.obtenerEstilosCSS()}
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🏦 Dossier de Solicitud de Crédito</h1>
+            <div class="subtitle">${this.escapar(contexto.nombre)}</div>
+            <div class="meta">
+                <strong>Completitud:</strong> ${dossier.completitud.puntaje}/100 (${dossier.completitud.nivel}) |
+                <strong>Fecha:</strong> ${this.reportes.formatearFecha(dossier.timestamp)}
+            </div>
+        </div>
+
+        <div class="content">
+            ${contenido}
+        </div>
+
+        <div class="footer">
+            <div class="logo">IAtiva - Tu aliado en crecimiento financiero</div>
+            <p style="margin-top: 20px; font-size: 0.8em;">Este dossier fue generado automáticamente por el sistema IAtiva con la información suministrada por el negocio.</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    generarSeccionCompletitud(dossier) {
+        const { completitud, secciones } = dossier;
+        const clase = completitud.puntaje >= 85 ? 'highlight' : completitud.puntaje >= 60 ? 'warning' : 'danger';
+
+        return `
+            <div class="section">
+                <h2>✅ Completitud del Dossier</h2>
+                <div class="grid">
+                    <div class="card ${clase}">
+                        <div class="card-title">Puntaje</div>
+                        <div class="card-value">${completitud.puntaje}/100</div>
+                        <div class="card-subtitle">${completitud.nivel}</div>
+                    </div>
+                    <div class="card">
+                        <div class="card-title">Pendientes</div>
+                        <div class="card-value">${completitud.pendientes.length}</div>
+                        <div class="card-subtitle">${completitud.obligatoriosPendientes.length} documentos obligatorios</div>
+                    </div>
+                </div>
+                <table class="data-table">
+                    <thead><tr><th>Sección</th><th>Avance</th><th>Falta</th></tr></thead>
+                    <tbody>
+                        ${secciones.map(s => `
+                            <tr>
+                                <td><strong>${s.nombre}</strong></td>
+                                <td class="${s.completa ? 'text-green' : 'text-red'}">${Math.round(s.avance * 100)}%</td>
+                                <td>${s.faltantes.join(', ') || '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    generarSeccionPerfil(contexto) {
+        const { negocio, costeo } = contexto;
+        const moneda = valor => valor !== undefined && valor !== null ? this.reportes.formatearMoneda(valor) : 'No reportado';
+        const filas = [
+            ['Nombre', contexto.nombre],
+            ['Sector', negocio.sector || negocio.business_type || (costeo && costeo.tipoNegocio) || 'No reportado'],
+            ['Ubicación', (costeo && costeo.ubicacion) || 'No reportada'],
+            ['Producto principal', (costeo && costeo.producto) || 'No reportado'],
+            ['Tiempo de operación', negocio.time_in_business ? `${negocio.time_in_business} meses` : 'No reportado'],
+            ['Ingresos mensuales', moneda(negocio.monthly_income)],
+            ['Gastos mensuales', moneda(negocio.monthly_expenses)],
+            ['Deudas actuales', moneda(negocio.existing_debt || 0)]
+        ];
+
+        return `
+            <div class="section">
+                <h2>🏢 Perfil del Negocio</h2>
+                <table class="data-table">
+                    <tbody>
+                        ${filas.map(([campo, valor]) => `<tr><td><strong>${campo}</strong></td><td>${this.escapar(valor)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    generarSeccionCosteo(resultados) {
+        if (!resultados) {
+            return `
+                <div class="section">
+                    <h2>💰 Análisis de Costeo</h2>
+                    <div class="card warning">
+                        <div class="card-title">Sin análisis de costeo asociado</div>
+                        <div class="card-subtitle">Asocia un análisis de costeo para mostrar al banco cómo se forma tu precio.</div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const moneda = valor => typeof valor === 'number' ? this.reportes.formatearMoneda(valor) : this.escapar(valor || 'N/A');
+
+        return `
+            <div class="section">
+                <h2>💰 Análisis de Costeo</h2>
+                <div class="grid">
+                    <div class="card highlight">
+                        <div class="card-title">Costo Unitario</div>
+                        <div class="card-value">${moneda(resultados.costoUnitario)}</div>
+                    </div>
+                    <div class="card highlight">
+                        <div class="card-title">Precio de Venta</div>
+                        <div class="card-value">${moneda(resultados.precioVenta)}</div>
+                    </div>
+                    <div class="card">
+                        <div class="card-title">Ganancia por Unidad</div>
+                        <div class="card-value">${moneda(resultados.gananciaPorUnidad)}</div>
+                        <div class="card-subtitle">Margen: ${this.escapar(resultados.margenGanancia || 'N/A')}</div>
+                    </div>
+                    <div class="card">
+                        <div class="card-title">Punto de Equilibrio</div>
+                        <div class="card-value">${this.escapar(resultados.puntoEquilibrio || 'N/A')}</div>
+                        <div class="card-subtitle">unidades al mes</div>
+                    </div>
+                </div>
+                ${[['Costos Variables', resultados.costosVariables], ['Costos Fijos', resultados.costosFijos]]
+                    .filter(([, costos]) => costos && typeof costos === 'object')
+                    .map(([titulo, costos]) => `
+                        <h3>${titulo}</h3>
+                        <table class="data-table">
+                            <tbody>
+                                ${Object.entries(costos).map(([concepto, valor]) => `<tr><td>${this.escapar(concepto)}</td><td class="text-right">${moneda(valor)}</td></tr>`).join('')}
+                            </tbody>
+                        </table>
+                    `).join('')}
+            </div>
+        `;
+    }
+
+    generarSeccionProyecciones(contexto) {
+        const { proyecciones, resultadosCosteo } = contexto;
+        const flujoCaja = resultadosCosteo && resultadosCosteo.flujoCaja && resultadosCosteo.flujoCaja.exito
+            ? resultadosCosteo.flujoCaja : null;
+        const moneda = valor => this.reportes.formatearMoneda(valor);
+
+        if (flujoCaja) {
+            return `
+                <div class="section">
+                    <h2>📈 Proyecciones Financieras</h2>
+                    <div class="grid">
+                        <div class="card"><div class="card-title">Ingresos Proyectados</div><div class="card-value">${moneda(flujoCaja.resumen.ingresosTotales)}</div></div>
+                        <div class="card"><div class="card-title">Utilidad Proyectada</div><div class="card-value">${moneda(flujoCaja.resumen.utilidadTotal)}</div></div>
+                        <div class="card"><div class="card-title">Recuperación</div><div class="card-value">${flujoCaja.resumen.periodoRecuperacion || 'Fuera del horizonte'}</div></div>
+                    </div>
+                    <table class="data-table">
+                        <thead><tr><th>Mes</th><th>Ingresos</th><th>Costos</th><th>Utilidad</th><th>Flujo Acumulado</th></tr></thead>
+                        <tbody>
+                            ${flujoCaja.meses.map(mes => `
+                                <tr>
+                                    <td>${this.escapar(mes.nombreMes)}</td>
+                                    <td class="text-right">${moneda(mes.ingresos)}</td>
+                                    <td class="text-right">${moneda(mes.costosTotales)}</td>
+                                    <td class="text-right ${mes.utilidad >= 0 ? 'text-green' : 'text-red'}">${moneda(mes.utilidad)}</td>
+                                    <td class="text-right">${moneda(mes.flujoAcumulado)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="section">
+                <h2>📈 Proyecciones Financieras</h2>
+                <div class="grid">
+                    <div class="card">
+                        <div class="card-title">Ingresos Mensuales Proyectados</div>
+                        <div class="card-value">${proyecciones.projected_monthly_income ? moneda(proyecciones.projected_monthly_income) : 'No reportados'}</div>
+                        <div class="card-subtitle">Crecimiento esperado: ${this.escapar(proyecciones.projected_growth || 0)}%</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // La tabla de amortización va en su propia sección
+    generarSeccionCapacidad(contexto) {
+        const reporte = this.calculadoraDeuda.generateDebtCapacityReport(contexto.nombre, {
+            ...contexto.deuda,
+            amortization_schedule: null
+        });
+
+        return `
+            <div class="section">
+                <h2>🏦 Capacidad de Endeudamiento</h2>
+                ${reporte}
+            </div>
+        `;
+    }
+
+    generarSeccionAmortizacion(amortizacion) {
+        if (!amortizacion) return '';
+
+        return `
+            <div class="section">
+                <h2>📅 Tabla de Amortización</h2>
+                ${this.calculadoraDeuda.generateAmortizationTableHTML(amortizacion)}
+            </div>
+        `;
+    }
+
+    generarSeccionRequisitos(dossier) {
+        const { requisitos, documentosEntidad } = dossier;
+
+        return `
+            <div class="section">
+                <h2>📋 Documentos para el Banco</h2>
+                <table class="data-table">
+                    <thead><tr><th>Estado</th><th>Documento</th><th>Detalle</th></tr></thead>
+                    <tbody>
+                        ${requisitos.map(r => `
+                            <tr>
+                                <td class="${r.entregado ? 'text-green' : 'text-red'}">${r.entregado ? '✔ Listo' : '✖ Pendiente'}</td>
+                                <td><strong>${r.nombre}</strong>${r.obligatorio ? ' (obligatorio)' : ''}</td>
+                                <td>${r.descripcion}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${documentosEntidad ? `
+                    <div class="card" style="margin-top: 20px;">
+                        <div class="card-title">Requisitos de ${this.escapar(documentosEntidad.entidad)} - ${this.escapar(documentosEntidad.producto)}</div>
+                        <ul>${documentosEntidad.documentos.map(documento => `<li>${this.escapar(documento)}</li>`).join('')}</ul>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+}
+
+module.exports = GeneradorDossier;
@@ -130,6 +130,7 @@ class GeneradorReportes {
             this.generarSeccionResumen(resumen),
             this.generarSeccionCostos(detalles.costos, detalles.clasificacion),
             this.generarSeccionPuntoEquilibrio(detalles.puntoEquilibrio),
+            this.generarSeccionImpuestos(detalles.impuestos),
             this.generarSeccionProyecciones(detalles.proyecciones),
             this.generarSeccionRecomendaciones()
         ].join('');
@@ -196,13 +197,32 @@ class GeneradorReportes {
                     <div class="card highlight">
                         <div class="card-title">Margen de Utilidad</div>
                         <div class="card-value text-blue">${this.formatearPorcentaje(resumen.margenUtilidad)}</div>
-                        <div class="card-subtitle">Porcentaje de ganancia aplicado</div>
+                        <div class="card-subtitle">${this.describirModoPrecio(resumen)}</div>
                     </div>
+                    ${resumen.posicionamiento ? `
+                    <div class="card">
+                        <div class="card-title">Precio de la Competencia</div>
+                        <div class="card-value">${this.formatearMoneda(resumen.posicionamiento.precioCompetencia)}</div>
+                        <div class="card-subtitle">${resumen.posicionamiento.mensaje}</div>
+                    </div>` : ''}
                 </div>
             </div>
         `;
     }
 
+    // Modo de precio usado y su equivalente, para que markup y margen no se confundan
+    describirModoPrecio(resumen) {
+        const precios = this.config.precios;
+        const modo = resumen.modoPrecio || precios.modo_por_defecto;
+        const equivalente = modo === 'margen'
+            ? (resumen.markupSobreCosto !== null && resumen.markupSobreCosto !== undefined
+                ? `equivale a ${this.formatearPorcentaje(resumen.markupSobreCosto)} sobre el costo` : null)
+            : (resumen.margenSobrePrecio !== undefined
+                ? `equivale a ${this.formatearPorcentaje(resumen.margenSobrePrecio)} del precio` : null);
+
+        return equivalente ? `${precios.modos[modo]} (${equivalente})` : precios.modos[modo];
+    }
+
     // Generar sección de costos
     generarSeccionCostos(costos, clasificacion) {
         let tablaCostos = `
@@ -227,7 +247,10 @@ class GeneradorReportes {
             'servicios': { nombre: 'Servicios (Luz, Agua, Internet)', tipo: 'Fijo' },
             'marketing': { nombre: 'Marketing y Publicidad', tipo: 'Fijo' },
             'arriendo_sueldos': { nombre: 'Arriendo/Sueldos Admin.', tipo: 'Fijo' },
-            'otros_costos': { nombre: 'Otros Costos Fijos', tipo: 'Fijo' }
+            'otros_costos': { nombre: 'Otros Costos Fijos', tipo: 'Fijo' },
+            'depreciacion': { nombre: 'Depreciación de Activos', tipo: 'Fijo' },
+            'mantenimiento': { nombre: 'Mantenimiento de Activos', tipo: 'Fijo' },
+            'nomina_administrativa': { nombre: 'Nómina Administrativa', tipo: 'Fijo' }
         };
 
         Object.entries(costos).forEach(([clave, valor]) => {
@@ -313,6 +336,61 @@ class GeneradorReportes {
         `;
     }
 
+    // Generar sección de impuestos
+    generarSeccionImpuestos(impuestos) {
+        if (!impuestos) return '';
+
+        const filas = [
+            ['Precio antes de impuestos', this.formatearMoneda(impuestos.precioAntesImpuestos)],
+            [`IVA (${impuestos.iva.tarifa}%)`, this.formatearMoneda(impuestos.iva.valor)],
+            [`Impoconsumo (${impuestos.impoconsumo.tarifa}%)`, this.formatearMoneda(impuestos.impoconsumo.valor)],
+            ['Precio al cliente', this.formatearMoneda(impuestos.precioConImpuestos)],
+            impuestos.regimenSimple
+                ? [`Impuesto SIMPLE (${impuestos.regimenSimple.tarifa}%)`, this.formatearMoneda(impuestos.regimenSimple.valor)]
+                : [`ICA (${impuestos.ica.tarifaPorMil} por mil)`, this.formatearMoneda(impuestos.ica.valor)],
+            [`Renta estimada (${impuestos.renta.tarifa}%)`, this.formatearMoneda(impuestos.renta.valor)],
+            [`Retención en la fuente (${impuestos.retenciones.fuente.tarifa}%)`, impuestos.retenciones.fuente.aplica
+                ? this.formatearMoneda(impuestos.retenciones.fuente.valor)
+                : 'No aplica']
+        ];
+
+        return `
+            <div class="section">
+                <h2>🧾 Impuestos</h2>
+                <p>Régimen: <strong>${impuestos.nombreRegimen}</strong>. Valores por unidad vendida.</p>
+
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Concepto</th>
+                            <th class="text-right">Valor</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${filas.map(([concepto, valor]) => `
+                        <tr>
+                            <td>${concepto}</td>
+                            <td class="text-right">${valor}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+
+                <div class="grid">
+                    <div class="card">
+                        <div class="card-title">Margen Bruto</div>
+                        <div class="card-value text-blue">${this.formatearPorcentaje(impuestos.margenBruto)}</div>
+                        <div class="card-subtitle">Antes de impuestos</div>
+                    </div>
+                    <div class="card ${impuestos.margenNeto >= 0 ? 'highlight' : 'danger'}">
+                        <div class="card-title">Margen Neto</div>
+                        <div class="card-value ${impuestos.margenNeto >= 0 ? 'text-green' : 'text-red'}">${this.formatearPorcentaje(impuestos.margenNeto)}</div>
+                        <div class="card-subtitle">Después de impuestos</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     // Generar sección de proyecciones
     generarSeccionProyecciones(proyecciones) {
         if (!proyecciones || proyecciones.error) {
@@ -434,7 +512,10 @@ ${'='.repeat(50)}
         reporte += `• Costo Total: ${this.formatearMoneda(resumen.costoTotal)}\n`;
         reporte += `• Precio de Venta Sugerido: ${this.formatearMoneda(resumen.precioVentaSugerido)}\n`;
         reporte += `• Utilidad Unitaria: ${this.formatearMoneda(resumen.utilidadUnitaria)}\n`;
-        reporte += `• Margen de Utilidad: ${this.formatearPorcentaje(resumen.margenUtilidad)}\n`;
+        reporte += `• Margen de Utilidad: ${this.formatearPorcentaje(resumen.margenUtilidad)} - ${this.describirModoPrecio(resumen)}\n`;
+        if (resumen.posicionamiento) {
+            reporte += `• Precio de la competencia: ${this.formatearMoneda(resumen.posicionamiento.precioCompetencia)} - ${resumen.posicionamiento.mensaje}\n`;
+        }
 
         // Análisis de costos
         reporte += `\n💰 ANÁLISIS DE COSTOS\n${'='.repeat(50)}\n\n`;
@@ -450,7 +531,10 @@ ${'='.repeat(50)}
             'transporte': 'Transporte/Distribución',
             'marketing': 'Marketing y Publicidad',
             'arriendo_sueldos': 'Arriendo/Sueldos Admin.',
-            'otros_costos': 'Otros Costos Fijos'
+            'otros_costos': 'Otros Costos Fijos',
+            'depreciacion': 'Depreciación de Activos',
+            'mantenimiento': 'Mantenimiento de Activos',
+            'nomina_administrativa': 'Nómina Administrativa'
         };
 
         reporte += `Desglose detallado:\n`;
@@ -470,6 +554,26 @@ ${'='.repeat(50)}
             reporte += `• Error: ${detalles.puntoEquilibrio.error || 'No se pudo calcular'}\n`;
         }
 
+        // Impuestos
+        if (detalles.impuestos) {
+            const impuestos = detalles.impuestos;
+            reporte += `\n🧾 IMPUESTOS (${impuestos.nombreRegimen})\n${'='.repeat(50)}\n\n`;
+            reporte += `• Precio antes de impuestos: ${this.formatearMoneda(impuestos.precioAntesImpuestos)}\n`;
+            reporte += `• IVA ${impuestos.iva.tarifa}%: ${this.formatearMoneda(impuestos.iva.valor)}\n`;
+            reporte += `• Impoconsumo ${impuestos.impoconsumo.tarifa}%: ${this.formatearMoneda(impuestos.impoconsumo.valor)}\n`;
+            reporte += `• Precio al cliente: ${this.formatearMoneda(impuestos.precioConImpuestos)}\n`;
+            if (impuestos.regimenSimple) {
+                reporte += `• Impuesto SIMPLE ${impuestos.regimenSimple.tarifa}%: ${this.formatearMoneda(impuestos.regimenSimple.valor)}\n`;
+            } else {
+                reporte += `• ICA ${impuestos.ica.tarifaPorMil} por mil: ${this.formatearMoneda(impuestos.ica.valor)}\n`;
+            }
+            reporte += `• Renta estimada: ${this.formatearMoneda(impuestos.renta.valor)}\n`;
+            if (impuestos.retenciones.fuente.aplica) {
+                reporte += `• Retención en la fuente esperada: ${this.formatearMoneda(impuestos.retenciones.fuente.valor)}\n`;
+            }
+            reporte += `• Margen neto después de impuestos: ${this.formatearPorcentaje(impuestos.margenNeto)}\n`;
+        }
+
         // Proyecciones
         if (detalles.proyecciones && !detalles.proyecciones.error) {
             reporte += `\n🎯 PROYECCIONES DE ESCENARIOS\n${'='.repeat(50)}\n\n`;
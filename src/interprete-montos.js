@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Intérprete de Montos
+ * Convierte cifras escritas como en una conversación en Colombia ("50 mil", "2 millones y medio",
+ * "1.200.000", "$1,5M", "dos palos", "unos 300k", "entre 40 y 50 mil") en un valor con una confianza
+ * y un eco para confirmarlo con el usuario. Los multiplicadores coloquiales, las palabras de
+ * aproximación y las penalizaciones de confianza se configuran en settings.json (interprete_montos)
+ */
+
+const PALABRAS_NUMERO = {
+    cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+    diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17,
+    dieciocho: 18, diecinueve: 19, veinte: 20, veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22,
+    veintitres: 23, veinticuatro: 24, veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28,
+    veintinueve: 29, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+    cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300,
+    cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500, seiscientos: 600, seiscientas: 600,
+    setecientos: 700, setecientas: 700, ochocientos: 800, ochocientas: 800, novecientos: 900, novecientas: 900
+};
+
+// "treinta y cinco": la "y" solo une decenas con unidades
+const DECENAS = ['treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const UNIDADES = ['un', 'uno', 'una', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'];
+
+const MEDIOS = ['medio', 'media'];
+const ARTICULOS = ['un', 'una'];
+
+// Palabras entre dos cifras que las convierten en un rango; "y" solo cuenta después de "entre"
+const SEPARADORES_RANGO = ['a', 'o', '-', 'hasta', 'al'];
+
+class InterpreteMontos {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.interprete_montos;
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    // Primera cifra de una respuesta, o null si no hay ninguna; conserva el signo ("-5000")
+    // tipo: 'monto' (pesos), 'porcentaje' o 'cantidad' (unidades enteras); cambia el eco y el redondeo
+    interpretar(texto, tipo = 'monto') {
+        const montos = this.extraerMontos(texto, tipo);
+        if (montos.length === 0) return null;
+
+        const [monto] = montos;
+        if (montos.length > 1) {
+            // Varias cifras sueltas: no hay forma segura de saber cuál es la respuesta
+            monto.confianza = this.redondear(Math.max(0, monto.confianza - this.parametros.penalizaciones.varias_cifras));
+            monto.literal = false;
+            monto.nota = [monto.nota, `encontré ${montos.length} cifras y tomé la primera`].filter(Boolean).join('; ');
+        }
+
+        return monto;
+    }
+
+    // Todas las cifras de un texto, con su confianza, eco y nota
+    extraerMontos(texto, tipo = 'monto') {
+        const tokens = this.tokenizar(texto);
+        const piezas = this.segmentar(tokens);
+        const montos = [];
+
+        for (let i = 0; i < piezas.length; i++) {
+            const pieza = piezas[i];
+            if (!pieza.tokens) continue;
+
+            const separador = piezas[i + 1];
+            const siguiente = piezas[i + 2];
+            const anterior = piezas[i - 1];
+            const esRango = separador && siguiente && siguiente.tokens && !separador.tokens
+                && (SEPARADORES_RANGO.includes(separador.palabra)
+                    || (separador.palabra === 'y' && anterior && anterior.palabra === 'entre'));
+
+            if (esRango) {
+                montos.push(this.construirRango(pieza, siguiente, tokens, tipo));
+                i += 2;
+            } else {
+                const monto = this.construirMonto(pieza, tokens, tipo);
+                if (monto) montos.push(monto);
+            }
+        }
+
+        return montos;
+    }
+
+    tokenizar(texto) {
+        const normalizado = (texto || '').toString().toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/por\s*ciento/g, ' % ')
+            .replace(/%/g, ' % ')
+            .replace(/(\d)\s*-\s*(\d)/g, '$1 - $2')
+            .replace(/(\d)([a-z])/g, '$1 $2')
+            .replace(/([a-z])(\d)/g, '$1 $2')
+            .replace(/[^a-z0-9.,%\s-]/g, ' ');
+
+        return normalizado.split(/\s+/)
+            // El guion pegado a una cifra es su signo; los rangos ("40-50") ya quedaron separados
+            .map(token => token === '-' ? token : token.replace(/^[.,]+|[.,-]+$/g, '').replace(/^-+(?!\d)/, ''))
+            .filter(Boolean);
+    }
+
+    tipoToken(token) {
+        if (/^-?\d+(?:[.,]\d+)*$/.test(token)) return 'cifra';
+        if (PALABRAS_NUMERO[token] !== undefined) return 'palabra';
+        if (this.parametros.multiplicadores[token]) return 'multiplicador';
+        if (MEDIOS.includes(token)) return 'medio';
+        return null;
+    }
+
+    // Agrupar los tokens en segmentos numéricos y palabras sueltas, conservando sus posiciones
+    segmentar(tokens) {
+        const piezas = [];
+        let segmento = null;
+
+        const cerrar = () => {
+            if (segmento) piezas.push(segmento);
+            segmento = null;
+        };
+
+        tokens.forEach((token, indice) => {
+            const tipo = this.tipoToken(token);
+            const siguiente = tokens[indice + 1];
+            const tipoSiguiente = siguiente ? this.tipoToken(siguiente) : null;
+            const ultimo = segmento ? segmento.tokens[segmento.tokens.length - 1] : null;
+            const tipoUltimo = ultimo ? this.tipoToken(ultimo) : null;
+
+            // Multiplicadores y "medio" solo valen junto a una cifra ("medio millón", "300 k")
+            const suelto = !segmento && (
+                (tipo === 'multiplicador' && !['mil', 'millon', 'millones'].includes(token))
+                || (tipo === 'medio' && tipoSiguiente !== 'multiplicador')
+            );
+
+            if (tipo && !suelto) {
+                // Dos cifras seguidas sin multiplicador de por medio son cifras distintas ("200 300")
+                const continua = segmento && !(
+                    (tipo === 'cifra' && ['cifra', 'palabra'].includes(tipoUltimo))
+                    || (tipo === 'palabra' && tipoUltimo === 'cifra')
+                );
+                if (!continua) {
+                    cerrar();
+                    segmento = { tokens: [], inicio: indice };
+                }
+                segmento.tokens.push(token);
+                segmento.fin = indice;
+                return;
+            }
+
+            if (token === 'y' && segmento
+                && (MEDIOS.includes(siguiente) || (DECENAS.includes(ultimo) && UNIDADES.includes(siguiente)))) {
+                segmento.tokens.push(token);
+                return;
+            }
+
+            if (token === '%' && segmento) {
+                segmento.porcentaje = true;
+                cerrar();
+                return;
+            }
+
+            cerrar();
+            piezas.push({ palabra: token });
+        });
+        cerrar();
+
+        // "un"/"una" sin multiplicador son artículos ("una tienda"), no cifras
+        return piezas.filter(pieza => !pieza.tokens
+            || !(pieza.tokens.length === 1 && ARTICULOS.includes(pieza.tokens[0])));
+    }
+
+    // Sumar los tokens de un segmento: "dos millones quinientos mil", "1,5 m", "2 millones y medio"
+    evaluarSegmento(tokens) {
+        // "-50 mil": el signo de la primera cifra aplica a todo el segmento
+        const negativo = tokens[0].startsWith('-');
+        if (negativo) tokens = [tokens[0].slice(1), ...tokens.slice(1)];
+
+        let total = 0;
+        let actual = 0;
+        let ultimoMultiplicador = 0;
+        let ambiguo = false;
+        let coloquial = false;
+
+        tokens.forEach((token, indice) => {
+            const tipo = this.tipoToken(token);
+            const tipoSiguiente = tokens[indice + 1] ? this.tipoToken(tokens[indice + 1]) : null;
+
+            if (tipo === 'cifra') {
+                const cifra = this.interpretarCifra(token, tipoSiguiente === 'multiplicador');
+                ambiguo = ambiguo || cifra.ambiguo;
+                actual += cifra.valor;
+            } else if (tipo === 'palabra') {
+                actual += PALABRAS_NUMERO[token];
+            } else if (tipo === 'medio') {
+                if (tipoSiguiente === 'multiplicador' || !ultimoMultiplicador) {
+                    actual += 0.5;
+                } else {
+                    // "2 millones y medio": la mitad del último multiplicador
+                    total += ultimoMultiplicador / 2;
+                }
+            } else if (tipo === 'multiplicador') {
+                const multiplicador = this.parametros.multiplicadores[token];
+                coloquial = coloquial || this.parametros.coloquiales.includes(token);
+                if (multiplicador >= 1e6) {
+                    total = (total + (actual || 1)) * multiplicador;
+                    actual = 0;
+                } else {
+                    actual = (actual || 1) * multiplicador;
+                }
+                ultimoMultiplicador = multiplicador;
+            }
+        });
+
+        // "un millón doscientos": lo que sigue al millón sin multiplicador se lee en miles
+        const ultimoToken = tokens[tokens.length - 1];
+        if (total >= 1e6 && actual > 0 && actual < 1000 && this.tipoToken(ultimoToken) !== 'multiplicador') {
+            actual *= 1000;
+            ambiguo = true;
+        }
+
+        const multiplicadorFinal = this.tipoToken(ultimoToken) === 'multiplicador'
+            ? this.parametros.multiplicadores[ultimoToken]
+            : 0;
+
+        return { valor: (total + actual) * (negativo ? -1 : 1), ambiguo, coloquial, multiplicadorFinal };
+    }
+
+    // Separadores: con punto y coma el último es el decimal ("1.200,50"); con uno solo, tres dígitos
+    // después son miles ("1.200", "50.000") y menos son decimales ("1,5", "12.5")
+    interpretarCifra(cifra, conMultiplicador) {
+        const puntos = (cifra.match(/\./g) || []).length;
+        const comas = (cifra.match(/,/g) || []).length;
+
+        if (puntos && comas) {
+            const decimal = cifra.lastIndexOf(',') > cifra.lastIndexOf('.') ? ',' : '.';
+            const miles = decimal === ',' ? /\./g : /,/g;
+            return { valor: parseFloat(cifra.replace(miles, '').replace(decimal, '.')), ambiguo: false };
+        }
+
+        const separador = puntos ? '.' : comas ? ',' : null;
+        if (!separador) return { valor: parseFloat(cifra), ambiguo: false };
+
+        const partes = cifra.split(separador);
+        if (partes.length > 2) {
+            return { valor: parseFloat(partes.join('')), ambiguo: false };
+        }
+        if (partes[1].length === 3) {
+            // "50.000" no se escribe como decimal; "1.200" sí podría ser 1,2
+            return { valor: parseFloat(partes.join('')), ambiguo: partes[1] !== '000' || conMultiplicador };
+        }
+        return { valor: parseFloat(`${partes[0]}.${partes[1]}`), ambiguo: false };
+    }
+
+    construirMonto(segmento, tokens, tipo) {
+        const evaluado = this.evaluarSegmento(segmento.tokens);
+        if (isNaN(evaluado.valor)) return null;
+
+        const tipoMonto = segmento.porcentaje ? 'porcentaje' : tipo;
+        const aproximado = this.esAproximado(tokens, segmento.inicio, segmento.fin);
+        const penalizaciones = this.parametros.penalizaciones;
+
+        // Las unidades van enteras: "1.5" se redondea y se pide confirmarlo
+        const fraccionaria = tipoMonto === 'cantidad' && !Number.isInteger(evaluado.valor);
+
+        let confianza = 1;
+        if (aproximado) confianza -= penalizaciones.aproximado;
+        if (evaluado.coloquial) confianza -= penalizaciones.coloquial;
+        if (evaluado.ambiguo) confianza -= penalizaciones.separador_ambiguo;
+        if (fraccionaria) confianza -= penalizaciones.cantidad_fraccionaria;
+
+        const valor = this.redondearSegunTipo(evaluado.valor, tipoMonto);
+        const notas = [
+            aproximado ? 'valor aproximado' : null,
+            fraccionaria ? `redondeé ${this.formatear(evaluado.valor, tipoMonto)} a unidades enteras` : null
+        ].filter(Boolean);
+
+        return {
+            valor,
+            confianza: this.redondear(Math.max(0, confianza)),
+            eco: this.formatear(valor, tipoMonto),
+            nota: notas.length > 0 ? notas.join('; ') : null,
+            rango: null,
+            aproximado,
+            porcentaje: tipoMonto === 'porcentaje',
+            // Una cifra sin separadores ni palabras no necesita eco de confirmación
+            literal: segmento.tokens.length === 1 && /^-?\d+$/.test(segmento.tokens[0]) && !aproximado,
+            texto: segmento.tokens.join(' ')
+        };
+    }
+
+    // "entre 40 y 50 mil": el punto medio, con el multiplicador compartido por ambos extremos
+    construirRango(inicio, fin, tokens, tipo) {
+        const desde = this.evaluarSegmento(inicio.tokens);
+        const hasta = this.evaluarSegmento(fin.tokens);
+        const tipoMonto = inicio.porcentaje || fin.porcentaje ? 'porcentaje' : tipo;
+
+        let minimo = desde.valor;
+        if (!desde.multiplicadorFinal && hasta.multiplicadorFinal) {
+            // "entre 800 y 1 millón" se lee como 800 mil, no 800 millones
+            const heredado = [hasta.multiplicadorFinal, hasta.multiplicadorFinal / 1000]
+                .map(multiplicador => desde.valor * multiplicador)
+                .find(valor => valor <= hasta.valor);
+            if (heredado) minimo = heredado;
+        }
+
+        const maximo = hasta.valor;
+        const valor = this.redondearSegunTipo((minimo + maximo) / 2, tipoMonto);
+        const aproximado = this.esAproximado(tokens, inicio.inicio, fin.fin);
+        const penalizaciones = this.parametros.penalizaciones;
+
+        let confianza = 1 - penalizaciones.rango;
+        if (aproximado) confianza -= penalizaciones.aproximado;
+        if (desde.coloquial || hasta.coloquial) confianza -= penalizaciones.coloquial;
+        if (desde.ambiguo || hasta.ambiguo) confianza -= penalizaciones.separador_ambiguo;
+
+        return {
+            valor,
+            confianza: this.redondear(Math.max(0, confianza)),
+            eco: this.formatear(valor, tipoMonto),
+            nota: `punto medio entre ${this.formatear(minimo, tipoMonto)} y ${this.formatear(maximo, tipoMonto)}`,
+            rango: { minimo, maximo },
+            aproximado,
+            porcentaje: tipoMonto === 'porcentaje',
+            literal: false,
+            texto: tokens.slice(inicio.inicio, fin.fin + 1).join(' ')
+        };
+    }
+
+    // "unos 300k", "más o menos 2 millones", "50 mil y pico"
+    esAproximado(tokens, inicio, fin) {
+        const antes = tokens.slice(Math.max(0, inicio - 4), inicio).join(' ').replace(/\s+entre$/, '');
+        const despues = tokens.slice(fin + 1, fin + 3).join(' ');
+
+        return this.parametros.palabras_aproximacion.some(palabra =>
+            new RegExp(`(^|\\s)${palabra}$`).test(antes) || new RegExp(`^(y\\s+)?${palabra}(\\s|$)`).test(despues)
+        );
+    }
+
+    redondearSegunTipo(valor, tipo) {
+        return tipo === 'monto' || tipo === 'cantidad' ? Math.round(valor) : this.redondear(valor);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    formatear(valor, tipo) {
+        const numero = valor.toLocaleString('es-CO', { maximumFractionDigits: 2 });
+        if (tipo === 'porcentaje') return `${numero}%`;
+        if (tipo === 'cantidad') return numero;
+        return `$${numero}`;
+    }
+}
+
+module.exports = InterpreteMontos;
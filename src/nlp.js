@@ -1,11 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const InterpreteMontos = require('./interprete-montos');
+const ClasificadorIntenciones = require('./clasificador-intenciones');
 
 class NLP {
     constructor() {
         this.config = this.cargarConfiguracion();
         this.palabrasVacias = new Set(this.config.nlp.palabrasVacias);
-        this.patrones = this.config.nlp.patrones;
+        this.clasificador = new ClasificadorIntenciones();
+        this.interpreteMontos = new InterpreteMontos();
     }
 
     cargarConfiguracion() {
@@ -29,50 +32,33 @@ class NLP {
         );
     }
 
+    // Intención principal con su confianza, más las demás intenciones que superan el umbral
     detectarIntencion(texto) {
-        const tokens = this.tokenizar(texto);
-        const textoLimpio = this.limpiarTexto(texto);
-        
-        // Detectar patrones específicos
-        for (const [intencion, palabrasClave] of Object.entries(this.patrones)) {
-            for (const palabraClave of palabrasClave) {
-                if (textoLimpio.includes(palabraClave.toLowerCase())) {
-                    return {
-                        intencion: intencion,
-                        confianza: this.calcularConfianza(textoLimpio, palabraClave),
-                        tokens: tokens
-                    };
-                }
-            }
-        }
+        const resultado = this.clasificador.clasificar(texto);
 
-        // Si no se detecta una intención específica, clasificar como conversación
         return {
-            intencion: 'conversacion',
-            confianza: 0.3,
-            tokens: tokens
+            intencion: resultado.intencion,
+            confianza: resultado.confianza,
+            intenciones: resultado.intenciones,
+            puntajes: resultado.puntajes,
+            tokens: this.tokenizar(texto)
         };
     }
 
-    calcularConfianza(texto, palabraClave) {
-        const longitud = texto.length;
-        const longitudPalabra = palabraClave.length;
-        
-        if (texto === palabraClave.toLowerCase()) {
-            return 1.0;
-        }
-        
-        return Math.min(0.9, (longitudPalabra / longitud) * 2);
-    }
-
     extraerEntidades(texto) {
         const entidades = {};
         const tokens = this.tokenizar(texto);
         
-        // Detectar números
-        const numeros = texto.match(/\d+/g);
-        if (numeros) {
-            entidades.numeros = numeros.map(num => parseInt(num));
+        // Detectar cifras, también coloquiales ("50 mil", "2 millones y medio", "dos palos")
+        const montos = this.interpreteMontos.extraerMontos(texto);
+        if (montos.length > 0) {
+            entidades.montos = montos;
+            entidades.numeros = montos.map(monto => monto.valor);
+
+            const porcentajes = montos.filter(monto => monto.porcentaje);
+            if (porcentajes.length > 0) {
+                entidades.porcentajes = porcentajes.map(monto => monto.valor);
+            }
         }
         
         // Detectar fechas simples (día/mes/año)
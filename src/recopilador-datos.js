@@ -1,9 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const FlujoPreguntas = require('./flujo-preguntas');
 
 class RecopiladorDatos {
     constructor() {
         this.config = this.cargarConfiguracion();
+        this.flujo = new FlujoPreguntas();
         this.reiniciarSesion();
     }
 
@@ -84,214 +86,33 @@ class RecopiladorDatos {
         };
     }
 
-    // Obtener el siguiente dato a solicitar
-    obtenerSiguienteDato() {
-        const costosConfig = this.config.datos_requeridos.costos;
-        
-        for (let i = 0; i < costosConfig.length; i++) {
-            const campo = costosConfig[i];
-            if (!this.sesion.datosRecopilados.hasOwnProperty(campo.nombre)) {
-                return {
-                    encontrado: true,
-                    indice: i,
-                    campo: campo,
-                    progreso: `${i + 1}/${costosConfig.length}`,
-                    porcentaje: Math.round(((i + 1) / costosConfig.length) * 100)
-                };
-            }
-        }
-        
-        return {
-            encontrado: false,
-            mensaje: "¡Todos los datos han sido recopilados!"
-        };
-    }
-
-    // Generar pregunta para el siguiente dato
-    generarPregunta() {
-        const siguienteDato = this.obtenerSiguienteDato();
-        
-        if (!siguienteDato.encontrado) {
-            return siguienteDato.mensaje;
-        }
-
-        const { campo, progreso } = siguienteDato;
-        const nombreUsuario = this.sesion.nombreUsuario ? `${this.sesion.nombreUsuario}, ` : '';
-        
-        let pregunta = `💡 **Paso ${progreso}**\n\n`;
-        pregunta += `${nombreUsuario}${campo.pregunta}\n\n`;
-        
-        if (campo.tipo === 'porcentaje') {
-            pregunta += `📝 *Ingresa un porcentaje entre ${campo.min}% y ${campo.max}%*\n`;
-            pregunta += `Ejemplo: 25 (para 25% de ganancia)`;
-        } else {
-            pregunta += `📝 *Ingresa el valor en pesos. Si no aplica, escribe 0*\n`;
-            pregunta += `Ejemplo: 15000`;
-        }
-
-        if (!campo.requerido) {
-            pregunta += `\n\n⏭️ *Este campo es opcional. Puedes escribir "siguiente" para continuar.*`;
-        }
-
-        return pregunta;
+    // Preguntas del flujo de costeo (flujo_costeo) vigentes para las respuestas dadas
+    obtenerCampos(respuestas = this.sesion.datosRecopilados) {
+        return this.flujo.obtenerCampos(respuestas);
     }
 
-    // Validar y procesar respuesta del usuario
-    procesarRespuesta(respuesta) {
-        try {
-            const siguienteDato = this.obtenerSiguienteDato();
-            
-            if (!siguienteDato.encontrado) {
-                return {
-                    exito: false,
-                    mensaje: "Ya se han recopilado todos los datos necesarios."
-                };
-            }
-
-            const { campo } = siguienteDato;
-            
-            // Procesar valor numérico simple
-            let valor = parseFloat(respuesta.replace(/[^\d.-]/g, ''));
-            
-            if (isNaN(valor) || valor < 0) {
-                return {
-                    exito: false,
-                    mensaje: `❌ Por favor, ingresa un número válido. Ejemplo: 15000`
-                };
-            }
-
-            // Guardar el dato
-            this.sesion.datosRecopilados[campo.nombre] = valor;
-            
-            // Verificar si hay más datos por recopilar - RECALCULAR después de guardar
-            const siguienteDatoProximo = this.obtenerSiguienteDato();
-            const hayMas = siguienteDatoProximo.encontrado;
-            
-            let mensaje = `✅ Registrado: $${valor.toLocaleString()}`;
-            
-            if (hayMas) {
-                mensaje += `\n\n¡Perfecto! Siguiente pregunta...`;
-            } else {
-                mensaje += `\n\n🎉 ¡Datos completos! Procesando análisis...`;
-            }
-
-            return {
-                exito: true,
-                mensaje: mensaje,
-                campoCompletado: campo.nombre,
-                valor: valor,
-                todosCompletos: !hayMas
-            };
-            
-        } catch (error) {
-            console.error('Error en procesarRespuesta:', error);
-            return {
-                exito: false,
-                mensaje: "Error interno. Intenta de nuevo."
-            };
-        }
-    }
-
-    // Procesar valor numérico
-    procesarValorNumerico(valor) {
-        if (valor === null || valor === undefined || valor === '') {
-            return null;
-        }
-        
-        const valorLimpio = valor.toString()
-            .replace(/,/g, '.')
-            .replace(/[^\d.-]/g, '');
-        
-        const numero = parseFloat(valorLimpio);
-        
-        if (isNaN(numero) || numero < 0) {
-            return null;
-        }
-        
-        return Math.round(numero * 100) / 100;
-    }
-
-    // Procesar porcentaje
-    procesarPorcentaje(valor, min = 5, max = 100) {
-        const numero = this.procesarValorNumerico(valor);
-        
-        if (numero === null || numero < min || numero > max) {
-            return null;
-        }
-        
-        return numero;
-    }
-
-    // Formatear moneda
-    formatearMoneda(valor) {
-        return new Intl.NumberFormat('es-CO', {
-            style: 'currency',
-            currency: 'COP',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(valor);
-    }
-
-    // Verificar si la recopilación está completa
-    estaCompleto() {
-        const costosConfig = this.config.datos_requeridos.costos;
-        const camposRequeridos = costosConfig.filter(campo => campo.requerido);
-        
-        return camposRequeridos.every(campo => 
-            this.sesion.datosRecopilados.hasOwnProperty(campo.nombre) &&
-            this.sesion.datosRecopilados[campo.nombre] !== null &&
-            this.sesion.datosRecopilados[campo.nombre] !== undefined
+    // Verificar si la recopilación está completa: todas las preguntas vigentes respondidas
+    estaCompleto(respuestas = this.sesion.datosRecopilados) {
+        return this.obtenerCampos(respuestas).every(campo =>
+            respuestas[campo.nombre] !== null && respuestas[campo.nombre] !== undefined
         );
     }
 
-    // Generar resumen de datos recopilados
-    generarResumenDatos() {
-        const nombreUsuario = this.sesion.nombreUsuario ? `${this.sesion.nombreUsuario}, ` : '';
-        let resumen = `📋 **RESUMEN DE DATOS INGRESADOS**\n\n${nombreUsuario}estos son los datos que registraste:\n\n`;
-        
-        const costosConfig = this.config.datos_requeridos.costos;
-        
-        costosConfig.forEach((campo, index) => {
-            const valor = this.sesion.datosRecopilados[campo.nombre];
-            if (valor !== undefined && valor !== null) {
-                const valorFormateado = campo.tipo === 'porcentaje' ? `${valor}%` : this.formatearMoneda(valor);
-                const emoji = this.obtenerEmojiPorTipo(campo.nombre);
-                resumen += `${emoji} ${campo.pregunta}: **${valorFormateado}**\n`;
-            }
-        });
-
-        return resumen;
-    }
-
-    // Obtener emoji por tipo de costo
-    obtenerEmojiPorTipo(tipo) {
-        const emojis = {
-            'materia_prima': '🛒',
-            'mano_obra': '👷',
-            'empaque': '📦',
-            'servicios': '⚡',
-            'transporte': '🚚',
-            'marketing': '📱',
-            'arriendo_sueldos': '🏢',
-            'otros_costos': '💼',
-            'margen_ganancia': '💰'
-        };
-        
-        return emojis[tipo] || '📊';
-    }
-
     // Obtener datos para cálculos
     obtenerDatosParaCalculos() {
         const datos = {
             costos: {},
             margen_ganancia: this.sesion.datosRecopilados.margen_ganancia || 20,
+            volumen_mensual: this.sesion.datosRecopilados.volumen_mensual,
+            base_costos: this.sesion.datosRecopilados.base_costos,
             nombreUsuario: this.sesion.nombreUsuario,
             timestamp: this.sesion.timestamp
         };
 
-        // Copiar todos los datos excepto el margen de ganancia
+        // Copiar todos los datos excepto los parámetros del cálculo
+        const parametros = ['margen_ganancia', 'volumen_mensual', 'base_costos'];
         Object.entries(this.sesion.datosRecopilados).forEach(([clave, valor]) => {
-            if (clave !== 'margen_ganancia') {
+            if (!parametros.includes(clave)) {
                 datos.costos[clave] = valor;
             }
         });
@@ -299,24 +120,27 @@ class RecopiladorDatos {
         return datos;
     }
 
-    // Obtener estadísticas de la sesión
-    obtenerEstadisticasSesion() {
+    // Obtener estadísticas de la sesión; el agente pasa las respuestas de su flujo guiado
+    obtenerEstadisticasSesion(respuestas = this.sesion.datosRecopilados) {
+        const campos = this.obtenerCampos(respuestas);
+        const respondidos = campos.filter(campo => respuestas[campo.nombre] !== undefined).length;
+
         return {
             nombreUsuario: this.sesion.nombreUsuario,
             pasoActual: this.sesion.pasoActual,
             estadoFlujo: this.sesion.estadoFlujo,
-            datosRecopilados: Object.keys(this.sesion.datosRecopilados).length,
-            totalDatos: this.config.datos_requeridos.costos.length,
-            porcentajeCompletado: Math.round((Object.keys(this.sesion.datosRecopilados).length / this.config.datos_requeridos.costos.length) * 100),
-            completado: this.estaCompleto(),
+            datosRecopilados: respondidos,
+            totalDatos: campos.length,
+            porcentajeCompletado: Math.round((respondidos / campos.length) * 100),
+            completado: this.estaCompleto(respuestas),
             timestamp: this.sesion.timestamp,
             duracionSesion: new Date().getTime() - new Date(this.sesion.timestamp).getTime()
         };
     }
 
     // Mostrar progreso
-    mostrarProgreso() {
-        const stats = this.obtenerEstadisticasSesion();
+    mostrarProgreso(respuestas = this.sesion.datosRecopilados) {
+        const stats = this.obtenerEstadisticasSesion(respuestas);
         const barraProgreso = this.generarBarraProgreso(stats.porcentajeCompletado);
         
         return `📊 **Progreso: ${stats.porcentajeCompletado}%**\n${barraProgreso}\n${stats.datosRecopilados}/${stats.totalDatos} datos completados`;
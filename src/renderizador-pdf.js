@@ -0,0 +1,63 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * Renderizador de PDF
+ * Convierte un documento HTML en un PDF A4 con Chrome headless. Los errores distinguen un servidor
+ * sin navegador instalado (codigo 'sin_navegador') de una falla al renderizar el documento
+ * (codigo 'render') y conservan la causa original para el log. El mensaje se puede mostrar al
+ * usuario; cómo instalar el navegador va en error.instrucciones, solo para el log del servidor
+ */
+
+class RenderizadorPdf {
+    // opciones.lanzador reemplaza a puppeteer (debe exponer launch())
+    constructor(opciones = {}) {
+        this.lanzador = opciones.lanzador || puppeteer;
+    }
+
+    crearError(codigo, mensaje, causa, instrucciones = null) {
+        const error = new Error(mensaje);
+        error.codigo = codigo;
+        error.cause = causa;
+        error.instrucciones = instrucciones;
+        return error;
+    }
+
+    async renderizar(html) {
+        let navegador;
+        try {
+            navegador = await this.lanzador.launch({
+                headless: true,
+                args: ['--no-sandbox', '--disable-setuid-sandbox']
+            });
+        } catch (error) {
+            throw this.crearError(
+                'sin_navegador',
+                'El servidor no tiene un navegador disponible para generar PDF',
+                error,
+                'Instala Chrome con "npx puppeteer browsers install chrome" o define PUPPETEER_EXECUTABLE_PATH'
+            );
+        }
+
+        try {
+            const pagina = await navegador.newPage();
+            await pagina.setContent(html, { waitUntil: 'networkidle0' });
+
+            return await pagina.pdf({
+                format: 'A4',
+                printBackground: true,
+                margin: {
+                    top: '20mm',
+                    right: '15mm',
+                    bottom: '20mm',
+                    left: '15mm'
+                }
+            });
+        } catch (error) {
+            throw this.crearError('render', `No se pudo convertir el documento a PDF: ${error.message}`, error);
+        } finally {
+            await navegador.close();
+        }
+    }
+}
+
+module.exports = RenderizadorPdf;
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Repositorio de Conversaciones
+ * Guarda en disco el estado serializado del agente (toJSON) para que una conversación del chat
+ * continúe entre peticiones y después de reiniciar el servidor. Los usuarios registrados tienen
+ * una conversación por cuenta; las sesiones demo se identifican por la sesión del servidor (req.sessionID)
+ */
+
+class RepositorioConversaciones {
+    constructor(rutaArchivo = path.join(__dirname, '../data/conversaciones.json')) {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.conversaciones;
+        this.rutaArchivo = rutaArchivo;
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    // Clave de la conversación: por usuario si hay sesión iniciada, si no por la sesión del servidor
+    static clave({ userId = null, sessionId = null }) {
+        if (userId) return `usuario:${userId}`;
+        if (sessionId) return `sesion:${sessionId}`;
+        throw new Error('Se requiere un usuario o un sessionId para identificar la conversación');
+    }
+
+    leer() {
+        try {
+            return JSON.parse(fs.readFileSync(this.rutaArchivo, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    escribir(conversaciones) {
+        fs.writeFileSync(this.rutaArchivo, JSON.stringify(conversaciones, null, 2));
+    }
+
+    estaVencida(conversacion) {
+        const edadDias = (Date.now() - new Date(conversacion.actualizada).getTime()) / (1000 * 60 * 60 * 24);
+        return edadDias > this.parametros.dias_expiracion;
+    }
+
+    // Estado guardado de la conversación, o null si no existe o venció
+    obtener(clave) {
+        const conversacion = this.leer()[clave];
+        if (!conversacion || this.estaVencida(conversacion)) return null;
+        return conversacion.estado;
+    }
+
+    guardar(clave, estado) {
+        const conversaciones = this.leer();
+
+        // Aprovechar cada escritura para descartar conversaciones vencidas
+        Object.keys(conversaciones).forEach(otraClave => {
+            if (this.estaVencida(conversaciones[otraClave])) delete conversaciones[otraClave];
+        });
+
+        conversaciones[clave] = {
+            estado,
+            creada: conversaciones[clave] ? conversaciones[clave].creada : new Date().toISOString(),
+            actualizada: new Date().toISOString()
+        };
+        this.escribir(conversaciones);
+    }
+
+    eliminar(clave) {
+        const conversaciones = this.leer();
+        if (!conversaciones[clave]) return false;
+
+        delete conversaciones[clave];
+        this.escribir(conversaciones);
+        return true;
+    }
+}
+
+module.exports = RepositorioConversaciones;
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const CalculadoraFinanciera = require('./calculadora-financiera');
+
+/**
+ * Simulador de Riesgo (Monte Carlo)
+ * Da a cada entrada del costeo (costos, volumen y precio) un rango o distribución,
+ * simula miles de meses posibles y reporta probabilidad de pérdida, percentiles de
+ * utilidad mensual y un diagrama de tornado con las entradas que más mueven el resultado
+ */
+
+const NOMBRES_VARIABLE = {
+    precio: 'Precio de venta',
+    volumen: 'Volumen mensual',
+    materia_prima: 'Materia prima',
+    mano_obra: 'Mano de obra',
+    empaque: 'Empaque',
+    servicios: 'Servicios',
+    transporte: 'Transporte',
+    marketing: 'Marketing',
+    arriendo_sueldos: 'Arriendo y sueldos',
+    otros_costos: 'Otros costos',
+    depreciacion: 'Depreciación de activos',
+    mantenimiento: 'Mantenimiento de activos',
+    nomina_administrativa: 'Nómina administrativa'
+};
+
+class SimuladorRiesgo {
+    constructor() {
+        this.config = this.cargarConfiguracion();
+        this.parametros = this.config.simulacion_riesgo;
+        this.calculadora = new CalculadoraFinanciera();
+    }
+
+    cargarConfiguracion() {
+        const configPath = path.join(__dirname, '../config/settings.json');
+        const configData = fs.readFileSync(configPath, 'utf8');
+        return JSON.parse(configData);
+    }
+
+    redondear(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    // Generador pseudoaleatorio con semilla (mulberry32) para simulaciones reproducibles
+    crearAleatorio(semilla) {
+        let estado = semilla >>> 0;
+        return () => {
+            estado = (estado + 0x6D2B79F5) >>> 0;
+            let t = estado;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Normalizar la distribución de una entrada a {tipo, min, moda, max} o {tipo, media, desviacion}
+    // Acepta {tipo, ...}, {min, max}, {min, moda, max}, {variacion: %} o un número (variación %)
+    procesarDistribucion(definicion, valorBase) {
+        const d = typeof definicion === 'number' ? { variacion: definicion } : (definicion || {});
+        const numero = (valor, porDefecto) => {
+            const n = parseFloat(valor);
+            return isNaN(n) ? porDefecto : n;
+        };
+
+        if (d.tipo === 'normal') {
+            const media = numero(d.media, valorBase);
+            return { tipo: 'normal', media, desviacion: Math.max(0, numero(d.desviacion, media * 0.1)) };
+        }
+
+        if (d.min !== undefined && d.max !== undefined) {
+            const min = numero(d.min, valorBase);
+            const max = numero(d.max, valorBase);
+            if (min > max) {
+                throw new Error('El mínimo de un rango no puede ser mayor que el máximo');
+            }
+            const tipo = d.tipo === 'uniforme' || d.moda === undefined ? 'uniforme' : 'triangular';
+            const moda = Math.min(max, Math.max(min, numero(d.moda, valorBase)));
+            return tipo === 'uniforme' ? { tipo, min, max } : { tipo, min, moda, max };
+        }
+
+        // Variación porcentual simétrica alrededor del valor del costeo
+        const variacion = Math.abs(numero(d.variacion, this.parametros.variacion_por_defecto)) / 100;
+        return {
+            tipo: 'triangular',
+            min: this.redondear(valorBase * (1 - variacion)),
+            moda: valorBase,
+            max: this.redondear(valorBase * (1 + variacion))
+        };
+    }
+
+    // Tomar una muestra de la distribución (nunca negativa)
+    muestrear(distribucion, aleatorio) {
+        const u = aleatorio();
+
+        if (distribucion.tipo === 'uniforme') {
+            return distribucion.min + u * (distribucion.max - distribucion.min);
+        }
+
+        if (distribucion.tipo === 'normal') {
+            // Box-Muller
+            const z = Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * aleatorio());
+            return Math.max(0, distribucion.media + z * distribucion.desviacion);
+        }
+
+        const { min, moda, max } = distribucion;
+        if (max === min) return min;
+        const corte = (moda - min) / (max - min);
+        return u < corte
+            ? min + Math.sqrt(u * (max - min) * (moda - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - moda));
+    }
+
+    percentil(ordenados, p) {
+        const indice = Math.min(ordenados.length - 1, Math.max(0, Math.ceil((p / 100) * ordenados.length) - 1));
+        return ordenados[indice];
+    }
+
+    // Utilidad de un mes simulado. Un costo variable declarado por mes corresponde al volumen del
+    // costeo: se pasa a valor por unidad y se multiplica por el volumen muestreado, para que un mes
+    // con más ventas también consuma más insumos. Los costos fijos no cambian con el volumen
+    calcularUtilidad(valores, categorias, volumenDeclarado) {
+        const volumen = valores.volumen;
+        let costos = 0;
+        Object.entries(categorias).forEach(([tipo, { base, variable }]) => {
+            const valor = valores[tipo];
+            if (variable) {
+                costos += (base === 'unidad' ? valor : valor / volumenDeclarado) * volumen;
+            } else {
+                costos += base === 'mes' ? valor : valor * volumenDeclarado;
+            }
+        });
+        return valores.precio * volumen - costos;
+    }
+
+    // Método principal: simular la utilidad mensual
+    // datosCostos tiene la forma de CalculadoraFinanciera.calcularCompleto; opciones.distribuciones
+    // define las entradas inciertas (sin ellas, costos con valor y volumen varían ±opciones.variacion
+    // o ±variacion_por_defecto, y el precio ±opciones.variacion_precio si se indica)
+    simular(datosCostos, opciones = {}) {
+        try {
+            const p = this.parametros;
+            const iteraciones = Math.min(
+                p.iteraciones_maximas,
+                Math.max(100, parseInt(opciones.iteraciones) || p.iteraciones_por_defecto)
+            );
+            const semilla = parseInt(opciones.semilla) || Math.floor(Math.random() * 2147483647);
+
+            const calculo = this.calculadora.calcularCompleto(datosCostos);
+            if (!calculo.exito) {
+                throw new Error(calculo.error);
+            }
+
+            const estructura = calculo.detalles.estructura;
+            if (!estructura.volumenMensual && !(opciones.distribuciones || {}).volumen) {
+                throw new Error('Se necesita el volumen mensual para simular la utilidad del mes');
+            }
+
+            // Valores del costeo como escenario base
+            const categorias = {};
+            const valoresBase = {
+                precio: parseFloat(opciones.precio) || calculo.resumen.precioVentaSugerido,
+                volumen: estructura.volumenMensual
+            };
+            Object.entries(estructura.detalle).forEach(([tipo, item]) => {
+                categorias[tipo] = { base: item.base, variable: item.tipo === 'variable' };
+                valoresBase[tipo] = item.valor;
+            });
+
+            // Sin distribuciones explícitas se aplica la misma variación a costos y volumen
+            const definiciones = opciones.distribuciones || Object.keys(valoresBase).reduce((obj, variable) => {
+                if (variable !== 'precio' && valoresBase[variable] > 0) obj[variable] = { variacion: opciones.variacion };
+                return obj;
+            }, {});
+            if (!opciones.distribuciones && parseFloat(opciones.variacion_precio) > 0) {
+                definiciones.precio = { variacion: opciones.variacion_precio };
+            }
+
+            const distribuciones = {};
+            Object.entries(definiciones).forEach(([variable, definicion]) => {
+                if (!NOMBRES_VARIABLE[variable]) {
+                    throw new Error(`Entrada no válida para simular: ${variable}`);
+                }
+                distribuciones[variable] = this.procesarDistribucion(definicion, valoresBase[variable] || 0);
+            });
+
+            if (Object.keys(distribuciones).length === 0) {
+                throw new Error('Define al menos una entrada con rango o distribución');
+            }
+            if (!valoresBase.volumen) {
+                const d = distribuciones.volumen;
+                valoresBase.volumen = d.tipo === 'normal' ? d.media : (d.moda !== undefined ? d.moda : (d.min + d.max) / 2);
+            }
+            const volumenDeclarado = estructura.volumenMensual || valoresBase.volumen;
+
+            // Simulación
+            const aleatorio = this.crearAleatorio(semilla);
+            const utilidades = new Array(iteraciones);
+            const muestras = Object.keys(distribuciones).reduce((obj, variable) => {
+                obj[variable] = new Array(iteraciones);
+                return obj;
+            }, {});
+
+            for (let i = 0; i < iteraciones; i++) {
+                const valores = { ...valoresBase };
+                Object.entries(distribuciones).forEach(([variable, distribucion]) => {
+                    let muestra = this.muestrear(distribucion, aleatorio);
+                    if (variable === 'volumen') muestra = Math.round(muestra);
+                    valores[variable] = muestra;
+                    muestras[variable][i] = muestra;
+                });
+                utilidades[i] = this.calcularUtilidad(valores, categorias, volumenDeclarado);
+            }
+
+            const ordenadas = [...utilidades].sort((a, b) => a - b);
+            const media = utilidades.reduce((sum, u) => sum + u, 0) / iteraciones;
+            const desviacion = Math.sqrt(utilidades.reduce((sum, u) => sum + Math.pow(u - media, 2), 0) / iteraciones);
+            const perdidas = utilidades.filter(u => u < 0).length;
+
+            // Tornado: mover cada entrada entre su P10 y su P90 dejando las demás en el valor base
+            const utilidadBase = this.calcularUtilidad(valoresBase, categorias, volumenDeclarado);
+            const tornado = Object.keys(distribuciones).map(variable => {
+                const valoresOrdenados = [...muestras[variable]].sort((a, b) => a - b);
+                const bajo = this.percentil(valoresOrdenados, 10);
+                const alto = this.percentil(valoresOrdenados, 90);
+                const utilidadBaja = this.calcularUtilidad({ ...valoresBase, [variable]: bajo }, categorias, volumenDeclarado);
+                const utilidadAlta = this.calcularUtilidad({ ...valoresBase, [variable]: alto }, categorias, volumenDeclarado);
+
+                return {
+                    variable,
+                    nombre: NOMBRES_VARIABLE[variable],
+                    valorBajo: this.redondear(bajo),
+                    valorAlto: this.redondear(alto),
+                    utilidadBaja: this.redondear(utilidadBaja),
+                    utilidadAlta: this.redondear(utilidadAlta),
+                    rango: this.redondear(Math.abs(utilidadAlta - utilidadBaja))
+                };
+            }).sort((a, b) => b.rango - a.rango);
+
+            // Histograma de la utilidad mensual
+            const minimo = ordenadas[0];
+            const maximo = ordenadas[iteraciones - 1];
+            const ancho = (maximo - minimo) / p.barras_histograma || 1;
+            const histograma = Array.from({ length: p.barras_histograma }, (_, i) => ({
+                desde: this.redondear(minimo + i * ancho),
+                hasta: this.redondear(minimo + (i + 1) * ancho),
+                frecuencia: 0
+            }));
+            utilidades.forEach(u => {
+                const indice = Math.min(p.barras_histograma - 1, Math.floor((u - minimo) / ancho));
+                histograma[indice].frecuencia++;
+            });
+
+            const probabilidadPerdida = this.redondear((perdidas / iteraciones) * 100);
+            const resultados = {
+                utilidadBase: this.redondear(utilidadBase),
+                media: this.redondear(media),
+                desviacion: this.redondear(desviacion),
+                minimo: this.redondear(minimo),
+                maximo: this.redondear(maximo),
+                p10: this.redondear(this.percentil(ordenadas, 10)),
+                p50: this.redondear(this.percentil(ordenadas, 50)),
+                p90: this.redondear(this.percentil(ordenadas, 90)),
+                probabilidadPerdida
+            };
+
+            return {
+                exito: true,
+                timestamp: new Date().toISOString(),
+                parametros: {
+                    iteraciones,
+                    semilla,
+                    valoresBase: Object.fromEntries(Object.entries(valoresBase).map(([k, v]) => [k, this.redondear(v)])),
+                    distribuciones
+                },
+                resultados,
+                tornado,
+                histograma,
+                conclusion: this.generarConclusion(resultados, tornado)
+            };
+
+        } catch (error) {
+            return {
+                exito: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    generarConclusion(resultados, tornado) {
+        const f = valor => this.calculadora.formatearMoneda(valor);
+        let conclusion = `En 8 de cada 10 meses la utilidad estaría entre ${f(resultados.p10)} y ${f(resultados.p90)}; `;
+
+        if (resultados.probabilidadPerdida >= 30) {
+            conclusion += `hay un riesgo alto (${resultados.probabilidadPerdida}%) de cerrar el mes con pérdida.`;
+        } else if (resultados.probabilidadPerdida > 0) {
+            conclusion += `la probabilidad de pérdida es de ${resultados.probabilidadPerdida}%.`;
+        } else {
+            conclusion += 'ningún escenario simulado termina en pérdida.';
+        }
+
+        if (tornado.length > 0) {
+            conclusion += ` La entrada que más mueve tu utilidad es ${tornado[0].nombre.toLowerCase()}: contrólala primero.`;
+        }
+
+        return conclusion;
+    }
+}
+
+module.exports = SimuladorRiesgo;
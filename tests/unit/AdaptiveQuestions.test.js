@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdaptiveQuestions = require('../../modules/intelligent-costing/AdaptiveQuestions');
+const FlujoPreguntas = require('../../src/flujo-preguntas');
+
+const adaptive = new AdaptiveQuestions();
+const flujo = new FlujoPreguntas();
+
+test('las preguntas de costos salen del flujo guiado de settings.json', () => {
+    const campos = flujo.obtenerCampos({});
+    const preguntas = adaptive.generateQuestions().questions;
+
+    assert.ok(preguntas.length > 0);
+    preguntas.forEach(pregunta => {
+        const campo = campos.find(c => c.nombre === pregunta.id);
+        assert.ok(campo, pregunta.id);
+        assert.equal(pregunta.question, campo.pregunta);
+    });
+});
+
+test('con la industria reconocida usa los textos y omisiones del flujo para esa industria', () => {
+    const resultado = adaptive.generateQuestions({ producto: 'desarrollo de software y aplicaciones' });
+    const campos = flujo.obtenerCamposIndustria('tecnologia');
+
+    assert.equal(resultado.classification.industry, 'tecnologia');
+    assert.equal(resultado.questions.find(q => q.id === 'empaque'), undefined);
+    assert.equal(resultado.questions.find(q => q.id === 'transporte'), undefined);
+    assert.equal(
+        resultado.questions.find(q => q.id === 'mano_obra').question,
+        campos.find(c => c.nombre === 'mano_obra').pregunta
+    );
+});
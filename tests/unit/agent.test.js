@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AgenteIAtiva = require('../../src/agent');
+
+// Guardar y retomar la conversación como lo hace el servidor
+const retomar = (agente) => AgenteIAtiva.fromJSON(JSON.parse(JSON.stringify(agente)));
+const clasificacion = (agente) => agente.intelligentCosting.sessionData.get(agente.sessionId).classification;
+
+test('la clasificación del negocio sobrevive a guardar y retomar la conversación', () => {
+    const agente = new AgenteIAtiva();
+    agente.datosSimples = { tipo_negocio: agente.clasificarNegocio('Panadería artesanal') };
+    const original = clasificacion(agente);
+    assert.ok(original);
+
+    const retomado = retomar(agente);
+    assert.deepEqual(clasificacion(retomado), original);
+    assert.equal(retomado.intelligentCosting.sessionData.get(retomado.sessionId).businessData.producto, 'Panaderia artesanal');
+});
+
+test('una conversación guardada sin la clasificación se reclasifica con la descripción del negocio', () => {
+    const agente = new AgenteIAtiva();
+    agente.datosSimples = { tipo_negocio: agente.clasificarNegocio('Panadería artesanal') };
+    const estado = JSON.parse(JSON.stringify(agente));
+    delete estado.costeoInteligente;
+
+    const retomado = AgenteIAtiva.fromJSON(estado);
+    assert.equal(clasificacion(retomado).industry, clasificacion(agente).industry);
+});
+
+// Llevar una conversación hasta la primera pregunta del flujo guiado
+const iniciarFlujo = (agente) => {
+    agente.activar();
+    agente.procesarEntrada('hola');
+    agente.procesarEntrada('Ana');
+    return agente;
+};
+
+// Llevar una conversación hasta la confirmación respondiendo cada pregunta con su ejemplo
+const completarPreguntas = (agente) => {
+    iniciarFlujo(agente);
+    for (let i = 0; i < 40 && agente.estadoActual === 'recopilacion_datos'; i++) {
+        const pregunta = agente.obtenerPreguntasCosteo()[agente.indicePregunta];
+        agente.procesarEntrada(pregunta.ejemplo || '15000');
+    }
+    return agente;
+};
+
+test('corregir un dato después de volver con "atrás" regresa a la confirmación', () => {
+    const agente = completarPreguntas(new AgenteIAtiva());
+    assert.equal(agente.estadoActual, 'confirmacion_datos');
+
+    agente.procesarEntrada('atrás');
+    assert.equal(agente.estadoActual, 'recopilacion_datos');
+
+    const respuesta = agente.procesarEntrada('cambiar empaque a 3000');
+    assert.equal(agente.datosSimples.empaque, 3000);
+    assert.equal(agente.estadoActual, 'confirmacion_datos');
+    assert.match(respuesta, /¿Calculo tu análisis con estos datos\?/);
+});
+
+test('"sí" después de "atrás" conserva la respuesta y confirma el cálculo', () => {
+    const agente = completarPreguntas(new AgenteIAtiva());
+    const respuestas = { ...agente.datosSimples };
+
+    agente.procesarEntrada('atrás');
+    agente.procesarEntrada('sí');
+
+    assert.equal(agente.estadoActual, 'completado');
+    assert.deepEqual(agente.datosSimples, respuestas);
+    assert.ok(agente.ultimosResultados);
+});
+
+test('"sí" después de volver dos preguntas pasa a la siguiente sin cambiarla', () => {
+    const agente = completarPreguntas(new AgenteIAtiva());
+    const total = agente.obtenerPreguntasCosteo().length;
+
+    agente.procesarEntrada('atrás');
+    agente.procesarEntrada('atrás');
+    agente.procesarEntrada('sí');
+
+    assert.equal(agente.estadoActual, 'recopilacion_datos');
+    assert.equal(agente.indicePregunta, total - 1);
+});
+
+test('"atrás" vuelve a la pregunta anterior mostrando la respuesta actual', () => {
+    const agente = iniciarFlujo(new AgenteIAtiva());
+    agente.procesarEntrada('Panadería artesanal');
+    agente.procesarEntrada('200');
+
+    const respuesta = agente.procesarEntrada('atrás');
+    assert.equal(agente.indicePregunta, 1);
+    assert.match(respuesta, /respuesta actual: 200 unidades\/mes/);
+
+    agente.procesarEntrada('atrás');
+    assert.match(agente.procesarEntrada('atrás'), /Ya estás en la primera pregunta/);
+});
+
+test('"cambiar <dato>" sin valor vuelve a hacer la pregunta y regresa al punto en que iba', () => {
+    const agente = completarPreguntas(new AgenteIAtiva());
+
+    agente.procesarEntrada('cambiar materia prima');
+    assert.equal(agente.estadoActual, 'editando_campo');
+
+    agente.procesarEntrada('4500');
+    assert.equal(agente.datosSimples.materia_prima, 4500);
+    assert.equal(agente.estadoActual, 'confirmacion_datos');
+});
+
+test('con el análisis hecho, una corrección recalcula los resultados', () => {
+    const agente = completarPreguntas(new AgenteIAtiva());
+    agente.procesarEntrada('sí');
+    const precioAntes = agente.ultimosResultados.calculos.precioVenta;
+
+    agente.procesarEntrada('cambiar margen a 60');
+    assert.equal(agente.datosSimples.margen_ganancia, 60);
+    assert.equal(agente.resultadosEditados, true);
+    assert.ok(agente.ultimosResultados.calculos.precioVenta > precioAntes);
+});
+
+test('el resumen lista las respuestas en orden y rechaza datos que no existen', () => {
+    const agente = completarPreguntas(new AgenteIAtiva());
+    const resumen = agente.obtenerResumenRespuestas();
+
+    assert.equal(resumen.length, agente.obtenerPreguntasCosteo().length);
+    assert.deepEqual(resumen.map(fila => fila.numero), resumen.map((_, i) => i + 1));
+    assert.match(agente.procesarEntrada('cambiar color a azul'), /No reconozco el dato "color"/);
+});
+
+test('un costo negativo se rechaza y unas unidades fraccionarias se confirman redondeadas', () => {
+    const agente = iniciarFlujo(new AgenteIAtiva());
+    agente.procesarEntrada('Panadería artesanal');
+
+    const unidades = agente.procesarEntrada('1.5');
+    assert.match(unidades, /¿Lo guardo así\?/);
+    agente.procesarEntrada('sí');
+    assert.equal(agente.datosSimples.volumen_mensual, 2);
+
+    agente.procesarEntrada('unidad');
+    agente.procesarEntrada('mes');
+    assert.equal(agente.obtenerPreguntasCosteo()[agente.indicePregunta].nombre, 'materia_prima');
+    assert.match(agente.procesarEntrada('-5000'), /❌/);
+    assert.equal(agente.datosSimples.materia_prima, undefined);
+});
+
+test('los comandos globales pasan por el clasificador de intenciones', () => {
+    const agente = completarPreguntas(new AgenteIAtiva());
+    agente.procesarEntrada('sí');
+    assert.ok(agente.ultimosResultados);
+
+    assert.match(agente.procesarEntrada('nuevo calculo'), /Sesión reiniciada/);
+    assert.deepEqual(agente.datosSimples, {});
+
+    agente.procesarEntrada('hasta luego');
+    assert.equal(agente.activo, false);
+});
+
+test('durante las preguntas "otro" es una respuesta y no reinicia la sesión', () => {
+    const agente = iniciarFlujo(new AgenteIAtiva());
+    assert.equal(agente.obtenerPreguntasCosteo()[agente.indicePregunta].nombre, 'tipo_negocio');
+
+    const respuesta = agente.procesarEntrada('otro');
+    assert.doesNotMatch(respuesta, /Sesión reiniciada/);
+    assert.equal(agente.estadoActual, 'recopilacion_datos');
+    assert.equal(agente.datosSimples.tipo_negocio.descripcion, 'otro');
+    assert.equal(agente.nombre_usuario, 'Ana');
+});
+
+test('durante las preguntas el reinicio se confirma antes de borrar las respuestas', () => {
+    const agente = iniciarFlujo(new AgenteIAtiva());
+    agente.procesarEntrada('Panadería artesanal');
+
+    assert.match(agente.procesarEntrada('empezar'), /¿Seguro que quieres reiniciar\?/);
+    agente.procesarEntrada('no');
+    assert.equal(agente.datosSimples.tipo_negocio.descripcion, 'Panadería artesanal');
+
+    agente.procesarEntrada('reiniciar');
+    assert.match(agente.procesarEntrada('sí'), /Sesión reiniciada/);
+    assert.deepEqual(agente.datosSimples, {});
+});
+
+test('una respuesta al flujo no se toma como comando', () => {
+    const agente = iniciarFlujo(new AgenteIAtiva());
+
+    agente.procesarEntrada('Venta de ropa por catálogo');
+    assert.equal(agente.datosSimples.tipo_negocio.descripcion, 'Venta de ropa por catálogo');
+    assert.equal(agente.estadoActual, 'recopilacion_datos');
+});
+
+test('"volver" a mitad del flujo regresa a la pregunta anterior sin reiniciar la sesión', () => {
+    const agente = iniciarFlujo(new AgenteIAtiva());
+    agente.procesarEntrada('Panadería artesanal');
+    agente.procesarEntrada('200');
+
+    const respuesta = agente.procesarEntrada('volver');
+    assert.doesNotMatch(respuesta, /Sesión reiniciada/);
+    assert.equal(agente.indicePregunta, 1);
+    assert.equal(agente.datosSimples.volumen_mensual, 200);
+
+    agente.procesarEntrada('regresar');
+    assert.equal(agente.indicePregunta, 0);
+    assert.equal(agente.nombre_usuario, 'Ana');
+});
+
+test('"no tengo" a mitad del flujo se toma como respuesta y no como pedido de ayuda', () => {
+    const agente = iniciarFlujo(new AgenteIAtiva());
+    agente.procesarEntrada('Panadería artesanal');
+    const indice = agente.indicePregunta;
+
+    const respuesta = agente.procesarEntrada('no tengo');
+    assert.doesNotMatch(respuesta, /COMANDOS DISPONIBLES/);
+    assert.equal(agente.estadoActual, 'recopilacion_datos');
+    assert.equal(agente.indicePregunta, indice);
+    assert.equal(agente.datosSimples.tipo_negocio.descripcion, 'Panadería artesanal');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraActivos = require('../../src/calculadora-activos');
+
+test('línea recta: (costo − residual) / vida útil en meses, con los valores del tipo de activo', () => {
+    const activos = new CalculadoraActivos();
+    // Maquinaria: 10 años, residual 10% y mantenimiento 5% anual por defecto
+    activos.registrarActivo({ nombre: 'Horno industrial', tipo: 'maquinaria', costo_compra: 12000000, fecha_compra: '2025-01-15' });
+
+    const horno = activos.calcularActivo('horno_industrial', { fecha_corte: '2026-01-15' });
+    assert.equal(horno.valorResidual, 1200000);
+    assert.equal(horno.depreciacionMensual, 90000);
+    assert.equal(horno.mesesTranscurridos, 12);
+    assert.equal(horno.depreciacionAcumulada, 1080000);
+    assert.equal(horno.valorEnLibros, 10920000);
+    assert.equal(horno.vidaRestanteMeses, 108);
+    assert.equal(horno.mantenimientoMensual, 50000);
+});
+
+test('un activo totalmente depreciado deja de sumar depreciación pero no mantenimiento', () => {
+    const activos = new CalculadoraActivos();
+    activos.registrarActivo({
+        nombre: 'Portátil', tipo: 'equipo_computo', costo_compra: 3000000,
+        vida_util_anios: 1, valor_residual: 0, fecha_compra: '2022-03-01'
+    });
+
+    const portatil = activos.calcularActivo('portatil', { fecha_corte: '2025-03-01' });
+    assert.equal(portatil.totalmenteDepreciado, true);
+    assert.equal(portatil.depreciacionMensual, 0);
+    assert.equal(portatil.valorEnLibros, 0);
+    assert.equal(portatil.mantenimientoMensual, 7500);
+});
+
+test('unidades de producción: depreciación por unidad por las unidades del mes', () => {
+    const activos = new CalculadoraActivos();
+    activos.registrarActivo({
+        nombre: 'Empacadora', costo_compra: 1100000, valor_residual: 100000,
+        metodo: 'unidades de producción', unidades_totales: 10000, fecha_compra: '2025-01-01'
+    });
+
+    const empacadora = activos.calcularActivo('empacadora', { fecha_corte: '2025-05-01', volumen_mensual: 500 });
+    assert.equal(empacadora.metodo, 'unidades_produccion');
+    assert.equal(empacadora.depreciacionMensual, 50000);
+    assert.equal(empacadora.depreciacionAcumulada, 200000);
+    assert.equal(empacadora.vidaRestanteMeses, 16);
+});
+
+test('cuenta solo meses completos entre la compra y el corte', () => {
+    const activos = new CalculadoraActivos();
+    assert.equal(activos.mesesTranscurridos('2025-01-31', '2025-02-28'), 0);
+    assert.equal(activos.mesesTranscurridos('2025-01-15', '2025-03-15'), 2);
+    assert.equal(activos.mesesTranscurridos('2025-05-01', '2025-01-01'), 0);
+});
+
+test('valida los datos del activo', () => {
+    const activos = new CalculadoraActivos();
+    assert.throws(() => activos.registrarActivo({ nombre: 'Moto', costo_compra: 0 }), /costo de compra/);
+    assert.throws(() => activos.registrarActivo({ nombre: 'Moto', costo_compra: 100, valor_residual: 100 }), /valor residual/);
+    assert.throws(() => activos.registrarActivo({ nombre: 'Moto', costo_compra: 100, metodo: 'unidades' }), /unidades/);
+    assert.throws(() => activos.registrarActivo({ nombre: 'Moto', costo_compra: 100, fecha_compra: '15/01/2025' }), /Fecha/);
+});
+
+test('lleva la depreciación y el mantenimiento del registro a los costos fijos mensuales', () => {
+    const activos = new CalculadoraActivos();
+    activos.registrarActivo({ nombre: 'Horno', tipo: 'maquinaria', costo_compra: 12000000, fecha_compra: '2025-01-15' });
+
+    const registro = activos.calcularRegistro({ fecha_corte: '2025-06-15' });
+    assert.equal(registro.resumen.totalMensual, 140000);
+
+    const datos = activos.aplicarACostos({ materia_prima: 5000 }, registro);
+    assert.deepEqual(datos.costos, { materia_prima: 5000, depreciacion: 90000, mantenimiento: 50000 });
+    assert.deepEqual(datos.base_costos, { depreciacion: 'mes', mantenimiento: 'mes' });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraCosteoABC = require('../../src/calculadora-costeo-abc');
+
+const abc = new CalculadoraCosteoABC();
+
+const productos = [
+    { nombre: 'Pan', precio: 12000, volumen_mensual: 100, costos: { materia_prima: 4000 }, conductores: { horas_maquina: 30, metros_cuadrados: 20 } },
+    { nombre: 'Torta', precio: 30000, volumen_mensual: 50, costos: { materia_prima: 8000 }, conductores: { horas_maquina: 10, metros_cuadrados: 80 } }
+];
+
+test('reparte cada categoría según el consumo del conductor de cada producto', () => {
+    const resultado = abc.calcularAsignacion({
+        productos,
+        costos_indirectos: { servicios: 400000, arriendo_sueldos: 1000000 }
+    });
+
+    assert.equal(resultado.exito, true);
+    const servicios = resultado.tasas.find(t => t.categoria === 'servicios');
+    assert.equal(servicios.conductor, 'horas_maquina');
+    assert.equal(servicios.tasa, 10000);
+
+    const [pan, torta] = resultado.productos;
+    assert.deepEqual(pan.indirectosAsignados, { servicios: 300000, arriendo_sueldos: 200000 });
+    assert.deepEqual(torta.indirectosAsignados, { servicios: 100000, arriendo_sueldos: 800000 });
+    assert.equal(pan.costoUnitarioCompleto, 9000);
+    assert.equal(torta.costoUnitarioCompleto, 26000);
+    assert.equal(torta.margenContribucion, 22000);
+});
+
+test('lo asignado a los productos suma el total de costos indirectos', () => {
+    const resultado = abc.calcularAsignacion({
+        productos,
+        costos_indirectos: { servicios: 333333, marketing: 250000, arriendo_sueldos: 1000000 }
+    });
+
+    const asignado = resultado.productos.reduce((suma, p) => suma + p.indirectosMensuales, 0);
+    assert.ok(Math.abs(asignado - resultado.resumen.costosIndirectosTotales) < 0.05);
+});
+
+test('si ningún producto reporta el conductor reparte por el de por defecto y lo advierte', () => {
+    const resultado = abc.calcularAsignacion({
+        productos: productos.map(({ conductores, ...producto }) => producto),
+        costos_indirectos: { arriendo_sueldos: 1500000 }
+    });
+
+    const arriendo = resultado.tasas[0];
+    assert.equal(arriendo.conductor, 'unidades');
+    assert.equal(arriendo.tasa, 10000);
+    assert.equal(resultado.advertencias.length, 1);
+});
+
+test('marca los productos que no cubren su costo completo', () => {
+    const resultado = abc.calcularAsignacion({
+        productos,
+        costos_indirectos: { arriendo_sueldos: 3000000 }
+    });
+
+    // La torta ocupa el 80% del local: 2.400.000 / 50 = 48.000 por unidad
+    assert.deepEqual(resultado.resumen.productosConPerdida, ['Torta']);
+    assert.equal(resultado.productos[1].rentable, false);
+});
+
+test('valida conductores, productos y costos indirectos', () => {
+    assert.match(abc.calcularAsignacion({
+        productos, costos_indirectos: { servicios: 1 }, conductores_por_categoria: { servicios: 'kilos' }
+    }).error, /Conductor no válido/);
+    assert.equal(abc.calcularAsignacion({ productos: [], costos_indirectos: { servicios: 1 } }).exito, false);
+    assert.equal(abc.calcularAsignacion({ productos, costos_indirectos: {} }).exito, false);
+});
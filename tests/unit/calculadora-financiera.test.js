@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraFinanciera = require('../../src/calculadora-financiera');
+const FlujoPreguntas = require('../../src/flujo-preguntas');
+
+const calculadora = new CalculadoraFinanciera();
+
+test('convierte cada costo a unitario y mensual según su base declarada', () => {
+    const estructura = calculadora.calcularEstructuraCostos(
+        { materia_prima: 5000, arriendo_sueldos: 400000 },
+        { volumen_mensual: 200, base_costos: { materia_prima: 'unidad', arriendo_sueldos: 'mes' } }
+    );
+
+    assert.equal(estructura.costoVariableUnitario, 5000);
+    assert.equal(estructura.costosFijosMensuales, 400000);
+    assert.equal(estructura.costoUnitarioTotal, 7000);
+    assert.equal(estructura.detalle.materia_prima.mensual, 1000000);
+    assert.equal(estructura.detalle.arriendo_sueldos.unitario, 2000);
+});
+
+test('sin base declarada los variables son por unidad y los fijos por mes', () => {
+    const estructura = calculadora.calcularEstructuraCostos(
+        { materia_prima: 5000, arriendo_sueldos: 400000 },
+        { volumen_mensual: 200 }
+    );
+
+    assert.equal(estructura.detalle.materia_prima.base, 'unidad');
+    assert.equal(estructura.detalle.arriendo_sueldos.base, 'mes');
+    assert.equal(estructura.costosFijosMensuales, 400000);
+});
+
+test('una base declarada solo para los variables no multiplica los fijos por el volumen', () => {
+    const estructura = calculadora.calcularEstructuraCostos(
+        { materia_prima: 5000, arriendo_sueldos: 400000 },
+        { volumen_mensual: 200, base_costos: { materia_prima: 'unidad' } }
+    );
+
+    assert.equal(estructura.costosFijosMensuales, 400000);
+});
+
+test('sin volumen no convierte entre bases y lo advierte', () => {
+    const estructura = calculadora.calcularEstructuraCostos(
+        { materia_prima: 1000000 },
+        { base_costos: { materia_prima: 'mes' } }
+    );
+
+    assert.equal(estructura.volumenMensual, null);
+    assert.equal(estructura.costoVariableUnitario, 1000000);
+    assert.equal(estructura.advertencias.length, 1);
+});
+
+test('el flujo guiado declara la base por grupo: variables y fijos por separado', () => {
+    const flujo = new FlujoPreguntas();
+    const datos = flujo.construirDatos({
+        volumen_mensual: 200,
+        base_costos_variables: 'unidad',
+        base_costos_fijos: 'mes',
+        materia_prima: 5000,
+        arriendo_sueldos: 400000
+    });
+
+    assert.equal(datos.base_costos.materia_prima, 'unidad');
+    assert.equal(datos.base_costos.arriendo_sueldos, 'mes');
+    assert.equal(datos.base_costos_variables, undefined);
+
+    const resultado = calculadora.calcularCompleto({ ...datos, margen_ganancia: 25 });
+    assert.equal(resultado.resumen.costosFijosMensuales, 400000);
+    assert.equal(resultado.resumen.costoVariableUnitario, 5000);
+});
+
+test('el markup se aplica sobre el costo y el margen sobre el precio', () => {
+    const markup = calculadora.calcularPrecioVenta(10000, 25, { modo_precio: 'markup' });
+    assert.equal(markup.precio, 12500);
+    assert.equal(markup.margenSobrePrecio, 20);
+
+    const margen = calculadora.calcularPrecioVenta(10000, 20, { modo_precio: 'margen sobre el precio' });
+    assert.equal(margen.modo, 'margen');
+    assert.equal(margen.precio, 12500);
+    assert.equal(margen.markupSobreCosto, 25);
+});
+
+test('el margen sobre el precio se limita al máximo configurado', () => {
+    const resultado = calculadora.calcularPrecioVenta(10000, 95, { modo_precio: 'margen' });
+
+    assert.equal(resultado.margenAplicado, 90);
+    assert.equal(resultado.precio, 100000);
+});
+
+test('el markup acepta los mismos límites que la pregunta del flujo guiado', () => {
+    const pregunta = calculadora.config.flujo_costeo.campos.find(campo => campo.nombre === 'margen_ganancia');
+    assert.equal(pregunta.min, calculadora.config.precios.margen_minimo);
+    assert.equal(pregunta.max, calculadora.config.precios.markup_maximo);
+
+    assert.equal(calculadora.calcularPrecioVenta(10000, 150).precio, 25000);
+    assert.equal(calculadora.calcularPrecioVenta(10000, 2).margenAplicado, 2);
+    assert.equal(calculadora.calcularPrecioVenta(10000, 400).margenAplicado, 300);
+});
+
+test('el redondeo comercial nunca deja el precio por debajo del costo', () => {
+    assert.equal(calculadora.redondearPrecio(7410, 'terminado_900'), 7900);
+    assert.equal(calculadora.redondearPrecio(7950, 'terminado_900'), 8900);
+    assert.equal(calculadora.redondearPrecio(12300, 'multiplo_500'), 12500);
+    assert.equal(calculadora.redondearPrecio(10400, 'multiplo_1000', 10300), 11000);
+    assert.equal(calculadora.redondearPrecio(10400, 'ninguno'), 10400);
+
+    const resultado = calculadora.calcularPrecioVenta(10000, 24, { redondeo: 'terminado_900' });
+    assert.equal(resultado.precioSinRedondear, 12400);
+    assert.equal(resultado.precio, 12900);
+    assert.equal(resultado.utilidadUnitaria, 2900);
+});
+
+test('ubica el precio frente a la competencia con la tolerancia configurada', () => {
+    assert.equal(calculadora.calcularPosicionamiento(12500, 12000).posicion, 'en_mercado');
+    assert.equal(calculadora.calcularPosicionamiento(12500, 10000).posicion, 'por_encima');
+    assert.equal(calculadora.calcularPosicionamiento(9000, 10000).posicion, 'por_debajo');
+    assert.equal(calculadora.calcularPosicionamiento(9000, null), null);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraFlujoCaja = require('../../src/calculadora-flujo-caja');
+
+const flujo = new CalculadoraFlujoCaja();
+
+const base = {
+    precio_venta: 10000,
+    volumen_mensual: 100,
+    costo_variable_unitario: 6000,
+    costos_fijos_mensuales: 200000,
+    inflacion_anual: 0,
+    mes_inicio: '2026-11'
+};
+
+test('sin inflación ni estacionalidad cada mes deja la misma utilidad', () => {
+    const resultado = flujo.proyectar(base);
+
+    assert.equal(resultado.exito, true);
+    assert.equal(resultado.meses.length, 12);
+    assert.ok(resultado.meses.every(mes => mes.utilidad === 200000));
+    assert.equal(resultado.resumen.utilidadTotal, 2400000);
+    assert.equal(resultado.meses[0].nombreMes, 'Noviembre 2026');
+    assert.equal(resultado.meses[2].periodo, '2027-01');
+});
+
+test('la inflación se compone mes a mes sobre los costos', () => {
+    const resultado = flujo.proyectar({ ...base, inflacion_anual: 12 });
+
+    assert.equal(resultado.meses[0].costosFijos, 200000);
+    // Al mes 13 los costos crecieron exactamente la inflación anual
+    const conDosAnios = flujo.proyectar({ ...base, inflacion_anual: 12, meses: 24 });
+    assert.equal(conDosAnios.meses[12].costosFijos, 224000);
+    assert.equal(conDosAnios.meses[12].costoVariableUnitario, 6720);
+});
+
+test('la estacionalidad por nombre de mes ajusta las unidades del mes calendario', () => {
+    const resultado = flujo.proyectar({ ...base, estacionalidad: { diciembre: 1.5, enero: 0.5 } });
+
+    assert.equal(resultado.meses[1].unidades, 150);
+    assert.equal(resultado.meses[2].unidades, 50);
+    assert.equal(resultado.resumen.mejorMes, 'Diciembre 2026');
+    assert.equal(resultado.resumen.peorMes, 'Enero 2027');
+});
+
+test('el incremento anual de precio se aplica cada 12 meses', () => {
+    const resultado = flujo.proyectar({ ...base, meses: 24, incremento_precio_anual: 10 });
+
+    assert.equal(resultado.meses[11].precio, 10000);
+    assert.equal(resultado.meses[12].precio, 11000);
+});
+
+test('el mes de recuperación es el primero con flujo acumulado no negativo', () => {
+    const resultado = flujo.proyectar({ ...base, inversion_inicial: 500000 });
+
+    assert.equal(resultado.resumen.mesRecuperacion, 3);
+    assert.equal(resultado.meses[1].flujoAcumulado, -100000);
+});
+
+test('rechaza horizontes fuera de 12 a 36 meses y precios o volúmenes en cero', () => {
+    assert.equal(flujo.proyectar({ ...base, meses: 6 }).exito, false);
+    assert.equal(flujo.proyectar({ ...base, meses: 48 }).exito, false);
+    assert.equal(flujo.proyectar({ ...base, precio_venta: 0 }).exito, false);
+    assert.equal(flujo.proyectar({ ...base, volumen_mensual: 0 }).exito, false);
+});
+
+test('proyecta un análisis guardado y rechaza los guardados sin estructura de costos', () => {
+    const resultados = {
+        resumen: { precioVentaSugerido: 10000, costoVariableUnitario: 6000, costosFijosMensuales: 200000, volumenMensual: 100 }
+    };
+    const guardado = flujo.proyectarDesdeResultados(resultados, { inflacion_anual: 0, mes_inicio: '2026-11' });
+    assert.equal(guardado.exito, true);
+    assert.equal(guardado.resumen.utilidadTotal, flujo.proyectar(base).resumen.utilidadTotal);
+
+    // Formato anterior: solo precio, costo unitario y punto de equilibrio
+    const antiguo = {
+        exito: true, costoUnitario: 8000, precioVenta: 10000, puntoEquilibrio: 100, margenGanancia: 25,
+        costosVariables: { materia_prima: 6000 }, costosFijos: { arriendo_sueldos: 2000 }
+    };
+    const legado = flujo.proyectarDesdeResultados(antiguo, {});
+    assert.equal(legado.exito, false);
+    assert.match(legado.error, /Recalcúlalo/);
+
+    // Si la petición trae los costos, la proyección no depende de la estructura guardada
+    const conCostos = flujo.proyectarDesdeResultados(antiguo, { costo_variable_unitario: 6000, costos_fijos_mensuales: 200000 });
+    assert.equal(conCostos.exito, true);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraImpuestos = require('../../src/calculadora-impuestos');
+
+const impuestos = new CalculadoraImpuestos(2025);
+
+test('un responsable de IVA cobra 19% y paga ICA por mil sobre el precio', () => {
+    const resultado = impuestos.calcularImpuestos(10000, 6000, { regimen: 'responsable', municipio: 'Bogotá', actividad: 'comercial' });
+
+    assert.equal(resultado.iva.valor, 1900);
+    assert.equal(resultado.precioConImpuestos, 11900);
+    assert.equal(resultado.ica.valor, 110.4);
+    assert.equal(resultado.utilidadDespuesImpuestos, 3889.6);
+    assert.equal(resultado.renta.valor, 0);
+});
+
+test('una persona jurídica estima renta sobre la utilidad después de ICA', () => {
+    const resultado = impuestos.calcularImpuestos(10000, 6000, { regimen: 'responsable', municipio: 'bogota', tipo_persona: 'juridica' });
+
+    assert.equal(resultado.renta.valor, 1361.36);
+    assert.equal(resultado.utilidadDespuesImpuestos, 2528.24);
+});
+
+test('el Régimen Simple reemplaza ICA y renta por la tarifa unificada del grupo', () => {
+    const resultado = impuestos.calcularImpuestos(10000, 6000, { regimen: 'simple', grupo_simple: 4, municipio: 'bogota' });
+
+    assert.equal(resultado.regimenSimple.valor, 340);
+    assert.equal(resultado.ica.valor, 0);
+    assert.equal(resultado.utilidadDespuesImpuestos, 3660);
+});
+
+test('un no responsable no cobra IVA y se le advierte', () => {
+    const resultado = impuestos.calcularImpuestos(10000, 6000, { regimen: 'no responsable' });
+
+    assert.equal(resultado.iva.valor, 0);
+    assert.equal(resultado.precioConImpuestos, 10000);
+    assert.equal(resultado.advertencias.length, 1);
+});
+
+test('las comidas pagan impoconsumo de 8% en lugar de IVA', () => {
+    const resultado = impuestos.calcularImpuestos(10000, 6000, { regimen: 'responsable_iva', categoria: 'impoconsumo' });
+
+    assert.equal(resultado.iva.valor, 0);
+    assert.equal(resultado.impoconsumo.valor, 800);
+});
+
+test('la retención en la fuente solo aplica con clientes retenedores', () => {
+    const sinRetenedor = impuestos.calcularImpuestos(10000, 6000, { regimen: 'responsable' });
+    const conRetenedor = impuestos.calcularImpuestos(10000, 6000, { regimen: 'responsable', cliente_retenedor: true });
+
+    assert.equal(sinRetenedor.retenciones.fuente.valor, 0);
+    assert.equal(conRetenedor.retenciones.fuente.valor, 250);
+    assert.equal(conRetenedor.retenciones.fuente.baseMinima, 27 * 49799);
+});
+
+test('deduce el precio antes de impuestos desde el precio al consumidor', () => {
+    assert.equal(impuestos.precioAntesDeImpuestos(11900, { regimen: 'responsable' }), 10000);
+    assert.equal(impuestos.precioAntesDeImpuestos(10800, { regimen: 'responsable', categoria: 'impoconsumo' }), 10000);
+});
+
+test('interpreta respuestas libres del chat', () => {
+    assert.deepEqual(impuestos.interpretarRespuesta('régimen simple grupo 4'), { regimen: 'simple', categoria: 'general', grupo_simple: '4' });
+    assert.equal(impuestos.interpretarRespuesta('responsable 5%').categoria, 'reducido');
+    assert.equal(impuestos.interpretarRespuesta('no responsable').regimen, 'no_responsable');
+    assert.equal(impuestos.interpretarRespuesta('restaurante con impoconsumo, responsable').categoria, 'impoconsumo');
+    assert.equal(impuestos.interpretarRespuesta('no sé'), null);
+    assert.equal(impuestos.interpretarRespuesta('no soy responsable de IVA').regimen, 'no_responsable');
+    assert.equal(impuestos.interpretarRespuesta('no cobro el IVA').regimen, 'no_responsable');
+    assert.equal(impuestos.interpretarRespuesta('Nosotros no le cobramos IVA a nadie').regimen, 'no_responsable');
+    assert.equal(impuestos.interpretarRespuesta('no sé, creo que soy responsable de IVA').regimen, 'responsable_iva');
+});
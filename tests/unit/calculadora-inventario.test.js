@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraInventario = require('../../src/calculadora-inventario');
+
+const inventario = new CalculadoraInventario();
+
+// La venta se registra antes que las compras para comprobar el orden por fecha
+const movimientos = [
+    { tipo: 'venta', fecha: '2025-01-20', cantidad: 150, precio_unitario: 2000 },
+    { tipo: 'compra', fecha: '2025-01-01', cantidad: 100, costo_unitario: 1000 },
+    { tipo: 'compra', fecha: '2025-01-10', cantidad: 100, costo_unitario: 1200 }
+];
+
+test('PEPS saca primero las unidades de los lotes más antiguos', () => {
+    const resultado = inventario.analizar({ movimientos, metodo: 'PEPS' });
+
+    assert.equal(resultado.exito, true);
+    assert.equal(resultado.valoracion.costoVentas, 160000);
+    assert.deepEqual(resultado.valoracion.inventarioFinal, { cantidad: 50, valor: 60000, costoPromedio: 1200 });
+    assert.equal(resultado.valoracion.utilidadBruta, 140000);
+    assert.equal(resultado.diasPeriodo, 20);
+});
+
+test('promedio ponderado valora todas las existencias a su costo promedio', () => {
+    const resultado = inventario.analizar({ movimientos, metodo: 'promedio ponderado' });
+
+    assert.equal(resultado.valoracion.costoVentas, 165000);
+    assert.equal(resultado.valoracion.inventarioFinal.valor, 55000);
+    assert.deepEqual(resultado.comparacion.peps, { costoVentas: 160000, inventarioFinal: 60000, utilidadBruta: 140000 });
+});
+
+test('ciclo de conversión de efectivo: días de inventario + cobro − pago', () => {
+    const resultado = inventario.analizar({
+        costo_ventas: 300000,
+        inventario_promedio: 100000,
+        ventas: 450000,
+        cuentas_por_cobrar: 150000,
+        dias_pago: 20,
+        dias_periodo: 30
+    });
+
+    assert.equal(resultado.indicadores.rotacion, 3);
+    assert.equal(resultado.indicadores.diasInventario, 10);
+    assert.equal(resultado.indicadores.diasCobro, 10);
+    assert.equal(resultado.indicadores.cicloConversionEfectivo, 0);
+
+    const conCiclo = inventario.analizar({
+        costo_ventas: 300000, inventario_promedio: 100000, dias_cobro: 15, dias_pago: 20, dias_periodo: 30
+    });
+    assert.equal(conCiclo.indicadores.cicloConversionEfectivo, 5);
+    assert.equal(conCiclo.capitalTrabajo.requerimiento, 50000);
+});
+
+test('un ciclo negativo no exige capital de trabajo', () => {
+    const resultado = inventario.analizar({
+        costo_ventas: 300000, inventario_promedio: 50000, dias_cobro: 0, dias_pago: 30, dias_periodo: 30
+    });
+
+    assert.equal(resultado.indicadores.cicloConversionEfectivo, -25);
+    assert.equal(resultado.capitalTrabajo.requerimiento, 0);
+});
+
+test('cantidades decimales: vender todo lo comprado deja el inventario en cero', () => {
+    const decimales = [
+        { tipo: 'compra', cantidad: 0.3, costo_unitario: 10000 },
+        { tipo: 'venta', cantidad: 0.1, precio_unitario: 15000 },
+        { tipo: 'venta', cantidad: 0.2, precio_unitario: 15000 }
+    ];
+
+    ['peps', 'promedio_ponderado'].forEach(metodo => {
+        const resultado = inventario.analizar({ movimientos: decimales, metodo });
+
+        assert.equal(resultado.exito, true);
+        assert.deepEqual(resultado.valoracion.inventarioFinal, { cantidad: 0, valor: 0, costoPromedio: 0 });
+        assert.deepEqual(resultado.valoracion.lotes, []);
+        assert.equal(resultado.valoracion.costoVentas, 3000);
+    });
+});
+
+test('rechaza ventas que superan las existencias y movimientos incompletos', () => {
+    const sobreventa = inventario.analizar({
+        movimientos: [{ tipo: 'compra', cantidad: 10, costo_unitario: 100 }, { tipo: 'venta', cantidad: 11 }]
+    });
+    assert.match(sobreventa.error, /supera las existencias/);
+
+    assert.match(inventario.analizar({ movimientos: [{ tipo: 'compra', cantidad: 10 }] }).error, /costo unitario/);
+    assert.match(inventario.analizar({ movimientos: [{ tipo: 'ajuste', cantidad: 1 }] }).error, /tipo/);
+    assert.equal(inventario.analizar({}).exito, false);
+});
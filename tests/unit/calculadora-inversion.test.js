@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraInversion = require('../../src/calculadora-inversion');
+
+const inversion = new CalculadoraInversion();
+
+test('el VPN descuenta cada flujo a la tasa del periodo', () => {
+    assert.ok(Math.abs(inversion.calcularVPN([-1000, 1100], 0.1)) < 1e-9);
+    assert.ok(Math.abs(inversion.calcularVPN([-1000, 600, 600], 0.1) - 41.32) < 0.01);
+});
+
+test('la TIR es la tasa que anula el VPN', () => {
+    assert.ok(Math.abs(inversion.calcularTIR([-1000, 1100]) - 0.1) < 1e-5);
+
+    // Anualidad de 12 cuotas de 100 sobre 1.000: 2,9229% mensual
+    const tir = inversion.calcularTIR([-1000, ...Array(12).fill(100)]);
+    assert.ok(Math.abs(tir - 0.029229) < 1e-5);
+});
+
+test('sin cambio de signo en los flujos no hay TIR', () => {
+    assert.equal(inversion.calcularTIR([1000, 100, 100]), null);
+    assert.equal(inversion.calcularTIR([-1000, -100]), null);
+});
+
+test('la recuperación interpola dentro del mes en que el acumulado se vuelve positivo', () => {
+    assert.equal(inversion.calcularRecuperacion([-1000, 300, 300, 300, 300]), 3.33);
+    assert.equal(inversion.calcularRecuperacion([-1000, 100, 100]), null);
+});
+
+test('la tasa mensual es la equivalente de la efectiva anual', () => {
+    assert.ok(Math.abs(inversion.tasaMensual(12.682503) - 0.01) < 1e-8);
+});
+
+test('evalúa la inversión: recupera el capital de trabajo al final y decide la viabilidad', () => {
+    const resultado = inversion.evaluar({
+        inversiones: [{ tipo: 'maquinaria', valor: 900000 }, { tipo: 'capital_trabajo', valor: 100000 }],
+        flujos: Array(12).fill(100000),
+        tasa_descuento: 0
+    });
+
+    assert.equal(resultado.exito, true);
+    assert.equal(resultado.inversiones.total, 1000000);
+    assert.equal(resultado.parametros.valorRecuperado, 100000);
+    // 12 × 100.000 + 100.000 recuperados − 1.000.000 invertidos
+    assert.equal(resultado.indicadores.vpn, 300000);
+    assert.equal(resultado.indicadores.roi, 30);
+    assert.equal(resultado.indicadores.paybackSimpleMeses, 10);
+    assert.equal(resultado.viable, true);
+});
+
+test('rechaza evaluar sin inversión o sin flujos', () => {
+    assert.equal(inversion.evaluar({ inversiones: [], flujos: [100] }).exito, false);
+    assert.equal(inversion.evaluar({ inversiones: { maquinaria: 1000 }, flujos: [] }).exito, false);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraMezclaProductos = require('../../src/calculadora-mezcla-productos');
+
+const mezcla = new CalculadoraMezclaProductos();
+
+const catalogo = {
+    costos_fijos: 700000,
+    productos: [
+        { nombre: 'A', precio: 10000, costos: { materia_prima: 6000 }, participacion: 50 },
+        { nombre: 'B', precio: 20000, costos: { materia_prima: 10000 }, participacion: 50 }
+    ]
+};
+
+test('el equilibrio de la mezcla divide los fijos por el margen de contribución ponderado', () => {
+    const resultado = mezcla.calcularMezcla(catalogo);
+
+    assert.equal(resultado.exito, true);
+    // (4.000 × 0,5) + (10.000 × 0,5) = 7.000 por unidad de mezcla; 700.000 / 7.000 = 100 unidades
+    assert.equal(resultado.resumen.margenContribucionPonderado, 7000);
+    assert.equal(resultado.puntoEquilibrio.unidadesTotales, 100);
+    assert.deepEqual(resultado.puntoEquilibrio.porProducto.map(p => p.unidades), [50, 50]);
+    assert.equal(resultado.puntoEquilibrio.ventasEnPesos, 50 * 10000 + 50 * 20000);
+});
+
+test('el ranking ordena por aporte a la contribución de la mezcla', () => {
+    const resultado = mezcla.calcularMezcla(catalogo);
+
+    assert.equal(resultado.ranking[0].nombre, 'B');
+    assert.equal(resultado.ranking[0].aporteContribucion, 71.43);
+});
+
+test('sin participación declarada pondera por volumen y calcula la utilidad mensual', () => {
+    const resultado = mezcla.calcularMezcla({
+        costos_fijos: 700000,
+        productos: [
+            { nombre: 'A', precio: 10000, costos: { materia_prima: 6000 }, volumen_mensual: 300 },
+            { nombre: 'B', precio: 20000, costos: { materia_prima: 10000 }, volumen_mensual: 100 }
+        ]
+    });
+
+    assert.equal(resultado.resumen.origenParticipacion, 'volumen');
+    assert.equal(resultado.productos[0].participacion, 75);
+    assert.equal(resultado.resumen.utilidadMensual, 300 * 4000 + 100 * 10000 - 700000);
+});
+
+test('un margen ponderado negativo no produce punto de equilibrio', () => {
+    const resultado = mezcla.calcularMezcla({
+        costos_fijos: 100000,
+        productos: [{ nombre: 'A', precio: 5000, costos: { materia_prima: 6000 } }]
+    });
+
+    assert.equal(resultado.puntoEquilibrio.unidadesTotales, null);
+    assert.ok(resultado.puntoEquilibrio.error);
+});
+
+test('rechaza un catálogo vacío o un producto sin precio', () => {
+    assert.equal(mezcla.calcularMezcla({ productos: [] }).exito, false);
+    assert.equal(mezcla.calcularMezcla({ productos: [{ nombre: 'A', precio: 0 }] }).exito, false);
+});
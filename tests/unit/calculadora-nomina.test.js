@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraNomina = require('../../src/calculadora-nomina');
+
+const nomina = new CalculadoraNomina(2025);
+const SMMLV_2025 = 1423500;
+
+test('un salario mínimo con contrato laboral suma auxilio, aportes y prestaciones', () => {
+    const empleado = nomina.calcularEmpleado({ nombre: 'Ana', salario: SMMLV_2025, clase_riesgo: 1 });
+
+    assert.equal(empleado.auxilioTransporte, 200000);
+    // Aportes sobre el salario: 8,5% + 12% + 0,522% + 4% + 2% + 3%
+    assert.equal(empleado.totalAportes, 427363.17);
+    // Prima y cesantías incluyen el auxilio de transporte; vacaciones no
+    assert.equal(empleado.prestaciones.prima, 135237.55);
+    assert.equal(empleado.prestaciones.vacaciones, 59359.95);
+    assert.equal(empleado.costoMensual, 2396933.22);
+    assert.equal(empleado.horasMensuales, 220);
+});
+
+test('la exoneración de aportes quita salud, SENA e ICBF', () => {
+    const empleado = nomina.calcularEmpleado({ salario: SMMLV_2025 }, { exoneracion_aportes: true });
+
+    assert.equal(empleado.aportes.salud, 0);
+    assert.equal(empleado.aportes.sena, 0);
+    assert.equal(empleado.aportes.icbf, 0);
+    assert.equal(empleado.totalAportes, 235190.67);
+});
+
+test('por encima de dos SMMLV no hay auxilio de transporte', () => {
+    const empleado = nomina.calcularEmpleado({ salario: SMMLV_2025 * 2 + 1 });
+    assert.equal(empleado.auxilioTransporte, 0);
+});
+
+test('el salario integral aporta sobre el 70% y exige 13 SMMLV', () => {
+    const salario = SMMLV_2025 * 13;
+    const empleado = nomina.calcularEmpleado({ salario, tipo_contrato: 'integral' });
+
+    assert.equal(empleado.aportes.pension, Math.round(salario * 0.7 * 0.12 * 100) / 100);
+    assert.equal(empleado.prestaciones.prima, 0);
+    assert.throws(() => nomina.calcularEmpleado({ salario: salario - 1, tipo_contrato: 'integral' }), /13 SMMLV/);
+});
+
+test('la prestación de servicios no genera cargas para el contratante', () => {
+    const empleado = nomina.calcularEmpleado({ salario: 3000000, tipo_contrato: 'prestación de servicios' });
+    assert.equal(empleado.costoMensual, 3000000);
+});
+
+test('rechaza tipos de contrato que no reconoce en lugar de asumir uno laboral', () => {
+    assert.throws(() => nomina.calcularEmpleado({ salario: 3000000, tipo_contrato: 'freelance' }), /Tipo de contrato no reconocido: "freelance"/);
+    assert.equal(nomina.calcularEmpleado({ salario: 3000000 }).tipoContrato, 'laboral');
+});
+
+test('separa mano de obra directa de nómina administrativa y la lleva a los costos', () => {
+    const resultado = nomina.calcularNomina([
+        { nombre: 'Operario', salario: 3000000, tipo_contrato: 'servicios', area: 'producción' },
+        { nombre: 'Contadora', salario: 2000000, tipo_contrato: 'servicios', area: 'administrativa' }
+    ], { volumen_mensual: 100 });
+
+    assert.equal(resultado.resumen.manoObraDirecta, 3000000);
+    assert.equal(resultado.resumen.nominaAdministrativa, 2000000);
+    assert.equal(resultado.resumen.manoObraPorUnidad, 30000);
+
+    const aplicado = nomina.aplicarACostos({ arriendo_sueldos: 500000 }, resultado);
+    assert.equal(aplicado.costos.arriendo_sueldos, 500000);
+    assert.equal(aplicado.costos.nomina_administrativa, 2000000);
+    assert.deepEqual(aplicado.base_costos, { mano_obra: 'mes', nomina_administrativa: 'mes' });
+
+    // Aplicarla otra vez reemplaza la nómina en lugar de sumarla
+    assert.deepEqual(nomina.aplicarACostos(aplicado.costos, resultado).costos, aplicado.costos);
+});
+
+test('rechaza áreas que no reconoce en lugar de asumir mano de obra directa', () => {
+    assert.throws(() => nomina.calcularEmpleado({ salario: 3000000, area: 'ventas' }), /Área no reconocida: "ventas"/);
+    assert.equal(nomina.calcularEmpleado({ salario: 3000000 }).area, 'directa');
+    assert.equal(nomina.calcularNomina([{ salario: 3000000, area: 'gerencia' }]).exito, false);
+});
+
+test('usa el año configurado más reciente que no supere el pedido', () => {
+    assert.equal(new CalculadoraNomina(2030).anio, '2026');
+    assert.equal(new CalculadoraNomina(2024).anio, '2024');
+});
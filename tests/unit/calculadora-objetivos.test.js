@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraObjetivos = require('../../src/calculadora-objetivos');
+const CalculadoraFinanciera = require('../../src/calculadora-financiera');
+
+const objetivos = new CalculadoraObjetivos();
+
+// $5.000 por unidad de materia prima y $1.000.000 al mes de arriendo
+const negocio = {
+    costos: { materia_prima: 5000, arriendo_sueldos: 1000000 },
+    volumen_mensual: 200
+};
+
+test('resuelve el precio para una utilidad mensual: costo unitario más utilidad por unidad', () => {
+    const resultado = objetivos.resolver(negocio, { variable: 'precio', utilidad_mensual: 1000000, precio: 12000 });
+
+    assert.equal(resultado.exito, true);
+    assert.equal(resultado.valorRequerido, 15000);
+    assert.equal(resultado.resultado.utilidadMensual, 1000000);
+    assert.equal(resultado.variacion, 25);
+});
+
+test('resuelve el precio para un margen sobre ventas: costo unitario / (1 − margen)', () => {
+    const resultado = objetivos.resolver(negocio, { variable: 'precio', margen: 20, precio: 12000 });
+
+    assert.equal(resultado.valorRequerido, 12500);
+    assert.equal(resultado.resultado.margen, 20);
+});
+
+test('resuelve el volumen redondeando hacia arriba y respeta la capacidad máxima', () => {
+    const resultado = objetivos.resolver(negocio, { variable: 'volumen', utilidad_mensual: 1000001, precio: 15000 });
+    assert.equal(resultado.valorRequerido, 201);
+
+    const limitado = objetivos.resolver(negocio, {
+        variable: 'volumen', utilidad_mensual: 1000000, precio: 15000, capacidad_maxima: 150
+    });
+    assert.equal(limitado.factible, false);
+    assert.match(limitado.motivo, /capacidad/);
+});
+
+test('sin contribución positiva ningún volumen alcanza la meta', () => {
+    const resultado = objetivos.resolver(negocio, { variable: 'volumen', utilidad_mensual: 100000, precio: 4000 });
+
+    assert.equal(resultado.factible, false);
+    assert.equal(resultado.valorRequerido, null);
+});
+
+test('el costo máximo de una categoría respeta su base', () => {
+    const porUnidad = objetivos.resolver(negocio, {
+        variable: 'costo', categoria: 'materia_prima', utilidad_mensual: 500000, precio: 15000
+    });
+    // Ventas 3.000.000 − meta 500.000 − arriendo 1.000.000 = 1.500.000 / 200 unidades
+    assert.equal(porUnidad.valorRequerido, 7500);
+    assert.equal(porUnidad.base, 'unidad');
+
+    const porMes = objetivos.resolver(negocio, {
+        variable: 'costo', categoria: 'arriendo_sueldos', utilidad_mensual: 500000, precio: 15000
+    });
+    assert.equal(porMes.valorRequerido, 1500000);
+    assert.equal(porMes.base, 'mes');
+});
+
+test('rechaza márgenes de 100% o más y variables desconocidas', () => {
+    assert.equal(objetivos.resolver(negocio, { variable: 'precio', margen: 100 }).exito, false);
+    assert.equal(objetivos.resolver(negocio, { variable: 'ganancia', utilidad_mensual: 1 }).exito, false);
+});
+
+test('interpreta la meta escrita en el chat', () => {
+    assert.deepEqual(objetivos.interpretarPregunta('quiero ganar 3 millones, ¿qué precio necesito?'),
+        { variable: 'precio', categoria: null, utilidad_mensual: 3000000 });
+    assert.deepEqual(objetivos.interpretarPregunta('¿cuántas unidades debo vender para un margen del 25%?'),
+        { variable: 'volumen', categoria: null, margen: 25 });
+    assert.equal(objetivos.interpretarPregunta('hola'), null);
+});
+
+test('un costo variable declarado por mes crece con el volumen: el equilibrio coincide con el costeo', () => {
+    const mensual = {
+        costos: { materia_prima: 1000000, arriendo_sueldos: 500000 },
+        volumen_mensual: 200,
+        base_costos: { materia_prima: 'mes', arriendo_sueldos: 'mes' },
+        margen_ganancia: 25
+    };
+    const costeo = new CalculadoraFinanciera().calcularCompleto(mensual);
+    const resultado = objetivos.resolver(mensual, { variable: 'volumen', utilidad_mensual: 0 });
+
+    assert.equal(resultado.valorRequerido, costeo.detalles.puntoEquilibrio.unidades);
+    assert.equal(resultado.valorRequerido, 115);
+});
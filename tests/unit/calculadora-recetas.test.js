@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculadoraRecetas = require('../../src/calculadora-recetas');
+
+function crearRecetario() {
+    const recetas = new CalculadoraRecetas();
+    // 1 kg a $4.000 con 20% de merma: 800 g aprovechables, $5 por gramo
+    recetas.registrarInsumo({ nombre: 'Harina', unidad_compra: 'kg', cantidad_compra: 1, precio_compra: 4000, merma: 20 });
+    recetas.registrarInsumo({ nombre: 'Huevo', unidad_compra: 'docena', precio_compra: 12000 });
+    recetas.registrarReceta({
+        nombre: 'Masa',
+        rendimiento: 1000,
+        unidad_rendimiento: 'g',
+        ingredientes: [{ insumo: 'harina', cantidad: 500, unidad: 'g' }, { insumo: 'huevo', cantidad: 2, unidad: 'unidad' }]
+    });
+    recetas.registrarReceta({
+        nombre: 'Pan',
+        rendimiento: 10,
+        ingredientes: [{ receta: 'masa', cantidad: 1, unidad: 'kg' }]
+    });
+    return recetas;
+}
+
+test('el costo de un insumo descuenta la merma y convierte unidades', () => {
+    const recetas = crearRecetario();
+
+    assert.equal(recetas.calcularCostoInsumo('harina', 500, 'g'), 2500);
+    assert.equal(recetas.calcularCostoInsumo('huevo', 2, 'unidad'), 2000);
+});
+
+test('las sub-recetas se costean por su unidad de rendimiento', () => {
+    const recetas = crearRecetario();
+    const masa = recetas.calcularCostoReceta('masa');
+    const pan = recetas.calcularCostoReceta('pan');
+
+    assert.equal(masa.costoTotal, 4500);
+    assert.equal(masa.costoPorUnidad, 4.5);
+    // 1 kg de masa = 1.000 g a $4,5, repartido en 10 panes
+    assert.equal(pan.costoTotal, 4500);
+    assert.equal(recetas.obtenerMateriaPrima('pan'), 450);
+    assert.equal(recetas.aplicarACostos('pan', { empaque: 100 }).materia_prima, 450);
+});
+
+test('rechaza una receta que se contiene a sí misma y conserva la versión anterior', () => {
+    const recetas = crearRecetario();
+
+    assert.throws(() => recetas.registrarReceta({
+        nombre: 'Masa',
+        rendimiento: 1000,
+        unidad_rendimiento: 'g',
+        ingredientes: [{ receta: 'pan', cantidad: 1 }]
+    }), /se incluye a sí misma/);
+    assert.equal(recetas.calcularCostoReceta('masa').costoTotal, 4500);
+});
+
+test('cambiar el precio de un insumo recalcula las recetas que lo usan, también las anidadas', () => {
+    const recetas = crearRecetario();
+    const resultado = recetas.actualizarPrecioInsumo('harina', 8000);
+
+    assert.deepEqual(resultado.recetasRecalculadas.map(r => r.id).sort(), ['masa', 'pan']);
+    const pan = resultado.recetasRecalculadas.find(r => r.id === 'pan');
+    assert.equal(pan.costoAnterior, 450);
+    assert.equal(pan.costoPorUnidad, 700);
+});
+
+test('rechaza unidades de familias distintas y mermas fuera de rango', () => {
+    const recetas = crearRecetario();
+
+    assert.throws(() => recetas.convertirCantidad(1, 'kg', 'l'), /No se puede convertir/);
+    assert.throws(() => recetas.registrarInsumo({ nombre: 'Azúcar', precio_compra: 1000, merma: 100 }), /merma/);
+});
+
+test('no cambia la unidad de un insumo a otra familia mientras una receta lo usa', () => {
+    const recetas = crearRecetario();
+
+    assert.throws(
+        () => recetas.registrarInsumo({ nombre: 'Harina', unidad_compra: 'unidad', precio_compra: 4000 }),
+        /la receta "Masa" lo usa en g/
+    );
+    assert.equal(recetas.insumos.harina.unidad_compra, 'kg');
+    assert.equal(recetas.calcularCatalogo().length, 2);
+
+    // Dentro de la misma familia el cambio se acepta y las recetas se recostean
+    recetas.registrarInsumo({ nombre: 'Harina', unidad_compra: 'lb', precio_compra: 2000 });
+    assert.equal(recetas.calcularCostoReceta('masa').detalle[0].costo, Math.round(500 / 453.592 * 2000 * 100) / 100);
+});
+
+test('las sub-recetas anidadas usan el costo exacto y se redondea solo el resultado', () => {
+    const recetas = new CalculadoraRecetas();
+    recetas.registrarInsumo({ nombre: 'Azúcar', unidad_compra: 'g', cantidad_compra: 3, precio_compra: 1 });
+    recetas.registrarReceta({ nombre: 'Almíbar', rendimiento: 1, unidad_rendimiento: 'g', ingredientes: [{ insumo: 'azucar', cantidad: 1 }] });
+    recetas.registrarReceta({ nombre: 'Relleno', rendimiento: 1, unidad_rendimiento: 'g', ingredientes: [{ receta: 'almibar', cantidad: 1000 }] });
+    recetas.registrarReceta({ nombre: 'Torta', rendimiento: 1, ingredientes: [{ receta: 'relleno', cantidad: 1000 }] });
+
+    // 1.000.000 g a $1/3: con el costo por gramo redondeado a $0,33 daría $330.000
+    assert.equal(recetas.calcularCostoReceta('almibar').costoPorUnidad, 0.33);
+    assert.equal(recetas.calcularCostoReceta('torta').costoTotal, 333333.33);
+    assert.equal(recetas.calcularCostoReceta('torta').detalle[0].costo, 333333.33);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClasificadorIntenciones = require('../../src/clasificador-intenciones');
+
+const clasificador = new ClasificadorIntenciones();
+
+test('normaliza tildes, letras repetidas, cifras y abreviaturas', () => {
+    assert.equal(clasificador.normalizar('Holaaaa, ¿Qué tal?'), 'hola que tal');
+    assert.equal(clasificador.normalizar('cuesta 1.200.000'), 'cuesta 0');
+    assert.equal(clasificador.normalizar('xq'), 'porque');
+});
+
+test('reconoce las intenciones de los comandos aunque no sean frases del dataset', () => {
+    assert.equal(clasificador.clasificar('nuevo calculo').intencion, 'reiniciar');
+    assert.equal(clasificador.clasificar('reinicialo todo').intencion, 'reiniciar');
+    assert.equal(clasificador.clasificar('hasta luegoo').intencion, 'despedida');
+    assert.equal(clasificador.clasificar('quiero bajar el pdf').intencion, 'reporte');
+});
+
+test('sin confianza suficiente usa la intención por defecto', () => {
+    const resultado = clasificador.clasificar('Reparación de celulares');
+    assert.equal(resultado.intencion, clasificador.parametros.intencion_por_defecto);
+    assert.ok(resultado.confianza < clasificador.parametros.umbral_confianza);
+});
+
+test('detecta varias intenciones separadas por puntuación', () => {
+    const intenciones = clasificador.clasificar('hola, quiero calcular el precio de mi producto')
+        .intenciones.map(resultado => resultado.intencion);
+
+    assert.ok(intenciones.includes('saludo'));
+    assert.ok(intenciones.includes('iniciar_costeo'));
+});
+
+test('la validación cruzada supera la exactitud mínima configurada', () => {
+    const evaluacion = clasificador.evaluar(clasificador.cargarEjemplos(), 3);
+    assert.ok(evaluacion.exactitud >= clasificador.parametros.exactitud_minima);
+});
+
+test('el modelo entrenado no depende de la hora: la misma huella da el mismo modelo', () => {
+    const ejemplos = clasificador.cargarEjemplos();
+    const primero = new ClasificadorIntenciones().entrenar(ejemplos);
+    const segundo = new ClasificadorIntenciones().entrenar(ejemplos);
+
+    assert.deepEqual(primero, segundo);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtCapacityCalculator = require('../../src/debtCapacityCalculator');
+
+const comparador = new DebtCapacityCalculator().leasingComparator;
+
+// Maquinaria de $100.000.000: 10 años de vida útil y 10% de residual, depreciación de $750.000 al mes
+const equipo = { costo_equipo: 100000000, tipo_activo: 'maquinaria', credito: { plazo_meses: 60 } };
+
+test('sin impuestos ni descuento, el costo de contado es lo que se paga menos el valor en libros', () => {
+    const resultado = comparador.compararOpciones({ ...equipo, tarifa_renta: 0, tasa_descuento_anual: 0 });
+    const contado = resultado.opciones.find(opcion => opcion.opcion === 'contado');
+
+    assert.equal(resultado.parametros.horizonteMeses, 60);
+    assert.equal(contado.valorTerminal, 55000000);
+    assert.equal(contado.valorPresenteCosto, 45000000);
+    assert.equal(contado.escudoFiscal, 0);
+});
+
+test('los escudos fiscales reducen el costo según la tarifa de renta', () => {
+    const resultado = comparador.compararOpciones({ ...equipo, tarifa_renta: 35, tasa_descuento_anual: 0 });
+    const contado = resultado.opciones.find(opcion => opcion.opcion === 'contado');
+
+    assert.equal(resultado.parametros.tarifaRenta, 35);
+    assert.equal(contado.escudoFiscal, Math.round(45000000 * 0.35));
+});
+
+test('un crédito más barato que la tasa de descuento gana a pagar de contado', () => {
+    const resultado = comparador.compararOpciones({
+        ...equipo, tarifa_renta: 0, tasa_descuento_anual: 25,
+        credito: { tasa: 12, plazo_meses: 60 },
+        leasing: { tasa: 30 }
+    });
+
+    assert.equal(resultado.mejorOpcion.opcion, 'credito');
+    assert.equal(resultado.opciones[1].tasa, 12);
+});
+
+test('las tasas van en porcentaje: 0.9 es 0,9% y no 90%', () => {
+    const resultado = comparador.compararOpciones({ ...equipo, credito: { tasa: 0.9, plazo_meses: 60 } });
+    assert.equal(resultado.opciones[1].tasa, 0.9);
+});
+
+test('el canon paga el monto financiado y deja el saldo final pactado', () => {
+    assert.equal(Math.round(comparador.calcularCanon(1000000, 0, 0.01, 12) * 100) / 100, 88848.79);
+    assert.equal(comparador.calcularCanon(1200, 240, 0, 12), 80);
+
+    const operativo = comparador.compararOpciones({ ...equipo, leasing: { tipo: 'operativo' } });
+    const leasing = operativo.opciones[2];
+    assert.equal(leasing.opcion, 'leasing_operativo');
+    assert.equal(leasing.conservaEquipo, false);
+});
+
+test('sin caja suficiente el contado no es viable', () => {
+    const resultado = comparador.compararOpciones({ ...equipo, caja_disponible: 20000000 });
+
+    assert.equal(resultado.opciones[0].viable, false);
+    assert.notEqual(resultado.mejorOpcion.opcion, 'contado');
+    assert.equal(resultado.advertencias.length, 1);
+    assert.equal(comparador.compararOpciones({ costo_equipo: 0 }).exito, false);
+});
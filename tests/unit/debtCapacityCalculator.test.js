@@ -0,0 +1,307 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtCapacityCalculator = require('../../src/debtCapacityCalculator');
+
+const calculator = new DebtCapacityCalculator();
+
+test('convierte la tasa a mensual según su tipo y la unidad indicada', () => {
+    assert.ok(Math.abs(calculator.convertToMonthlyRate(0.12682503, 'EA') - 0.01) < 1e-8);
+    assert.equal(calculator.convertToMonthlyRate(18, 'EA', 'percent'), calculator.convertToMonthlyRate(0.18, 'EA'));
+    assert.equal(calculator.convertToMonthlyRate(12, 'M.V.', 'percent'), 0.01);
+
+    // Un 0,9% mensual no se confunde con un 90%
+    assert.ok(Math.abs(calculator.convertToMonthlyRate(0.9, 'EM', 'percent') - 0.009) < 1e-12);
+    assert.throws(() => calculator.convertToMonthlyRate(18, 'EA', 'puntos'), /Unidad de tasa/);
+    assert.throws(() => calculator.convertToMonthlyRate(18, 'EB', 'percent'), /Tipo de tasa/);
+});
+
+test('francés: cuota fija que amortiza todo el capital', () => {
+    const tabla = calculator.calculateAmortizationSchedule({
+        amount: 1000000, rate: 1, rate_type: 'EM', rate_unit: 'percent', months: 12, method: 'francés'
+    });
+
+    assert.equal(tabla.method, 'french');
+    assert.equal(tabla.first_payment, 88848.79);
+    assert.equal(tabla.schedule.length, 12);
+    assert.equal(tabla.schedule[11].balance, 0);
+    assert.ok(Math.abs(tabla.schedule.reduce((suma, fila) => suma + fila.principal, 0) - 1000000) < 0.05);
+    assert.equal(tabla.monthly_rate, 1);
+    assert.equal(tabla.effective_annual_rate, 12.6825);
+});
+
+test('alemán abona capital constante y bullet lo paga al vencimiento', () => {
+    const aleman = calculator.calculateAmortizationSchedule({ amount: 1000000, rate: 0.01, rate_type: 'EM', months: 4, method: 'alemán' });
+    assert.deepEqual(aleman.schedule.map(fila => fila.principal), [250000, 250000, 250000, 250000]);
+    assert.deepEqual(aleman.schedule.map(fila => fila.interest), [10000, 7500, 5000, 2500]);
+
+    const bullet = calculator.calculateAmortizationSchedule({ amount: 1000000, rate: 0.01, rate_type: 'EM', months: 3, method: 'bullet' });
+    assert.deepEqual(bullet.schedule.map(fila => fila.payment), [10000, 10000, 1010000]);
+});
+
+test('en la gracia se pagan solo intereses o se capitalizan', () => {
+    const intereses = calculator.calculateAmortizationSchedule({
+        amount: 1000000, rate: 0.01, rate_type: 'EM', months: 6, grace_months: 2
+    });
+    assert.deepEqual(intereses.schedule.slice(0, 2).map(fila => fila.payment), [10000, 10000]);
+    assert.equal(intereses.schedule[1].balance, 1000000);
+
+    const total = calculator.calculateAmortizationSchedule({
+        amount: 1000000, rate: 0.01, rate_type: 'EM', months: 6, grace_months: 2, grace_type: 'total'
+    });
+    assert.equal(total.schedule[1].payment, 0);
+    assert.equal(total.schedule[1].balance, 1020100);
+
+    assert.throws(() => calculator.calculateAmortizationSchedule({ amount: 1000, rate: 0.01, months: 3, grace_months: 3 }), /gracia/);
+});
+
+test('los abonos extraordinarios mantienen la cuota y acortan el plazo', () => {
+    const base = { amount: 1000000, rate: 0.01, rate_type: 'EM', months: 12 };
+    const sinAbonos = calculator.calculateAmortizationSchedule(base);
+    const conAbono = calculator.calculateAmortizationSchedule({ ...base, extra_payments: [{ month: 3, amount: 300000 }] });
+
+    assert.equal(conAbono.first_payment, sinAbonos.first_payment);
+    assert.ok(conAbono.months_paid < 12);
+    assert.ok(conAbono.totals.interest < sinAbonos.totals.interest);
+});
+
+test('las tasas de la cartera y del catálogo llegan en porcentaje salvo que se indique la fracción', () => {
+    const cartera = calculator.analyzeExistingDebts([
+        { lender: 'Banco', balance: 1000000, rate: 24, remaining_months: 12 },
+        { lender: 'Tarjeta', balance: 1000000, rate: 0.9, rate_type: 'EM', remaining_months: 12 }
+    ]);
+    assert.equal(cartera.debts[0].rate, 0.24);
+    assert.equal(cartera.debts[1].rate, 0.1135);
+
+    const producto = {
+        lender: 'Banco', product_name: 'Capital', credit_type: 'working_capital', max_term_months: 36
+    };
+    assert.equal(calculator.normalizeCreditProduct({ ...producto, rate_min: 0.9, rate_max: 2 }).rate_min, 0.9);
+    assert.equal(calculator.normalizeCreditProduct({ ...producto, rate_min: 0.15, rate_max: 0.2, rate_unit: 'fraction' }).rate_max, 20);
+});
+
+const producto = (datos) => ({
+    lender: 'Banco', product_name: 'Capital', credit_type: 'working_capital',
+    rate_min: 15, rate_max: 25, max_term_months: 36,
+    requirements: { min_risk_score: 60 },
+    ...datos
+});
+
+// Score 100: 3 años de operación, sin deudas y 5 meses de reserva
+const negocio = {
+    time_in_business: 36, existing_debt: 0, cash_reserves: 10000000,
+    current_income: 5000000, projected_income: 5000000, current_expenses: 2000000
+};
+
+test('la tasa de cada producto se ubica en su rango según el score de riesgo', () => {
+    const credito = calculator.normalizeCreditProduct(producto());
+
+    assert.equal(calculator.estimateProductRate(credito, 100), 15);
+    assert.equal(calculator.estimateProductRate(credito, 80), 20);
+    assert.equal(calculator.estimateProductRate(credito, 40), 25);
+});
+
+test('la tasa con todos los costos suma las comisiones y seguros a la del crédito', () => {
+    const sinComisiones = calculator.normalizeCreditProduct(producto());
+    assert.equal(calculator.calculateProductCost(sinComisiones, 10000000, 0.18, 36).all_in_rate, 0.18);
+
+    const conComisiones = calculator.normalizeCreditProduct(producto({
+        fees: { opening_percent: 1, monthly_fee: 8000, insurance_monthly_percent: 0.1 }
+    }));
+    const costo = calculator.calculateProductCost(conComisiones, 10000000, 0.18, 36);
+    assert.equal(costo.fees.opening, 100000);
+    assert.equal(costo.fees.monthly_fees, 288000);
+    assert.ok(costo.all_in_rate > 0.18);
+    // Cada componente se trunca a pesos por separado
+    const componentes = costo.interest + costo.fees.opening + costo.fees.monthly_fees + costo.fees.insurance + costo.fees.fng;
+    assert.ok(costo.total_cost - componentes >= 0 && costo.total_cost - componentes < 5);
+});
+
+test('ordena primero los productos a los que califica el negocio y luego por costo total', () => {
+    const comparador = new DebtCapacityCalculator({
+        creditProducts: [
+            producto({ product_name: 'Caro', rate_min: 24, rate_max: 28 }),
+            producto({ product_name: 'Barato exigente', rate_min: 10, rate_max: 12, requirements: { min_monthly_income: 50000000 } }),
+            producto({ product_name: 'Económico', rate_min: 16, rate_max: 20 })
+        ]
+    });
+
+    const opciones = comparador.compareCreditProducts(50000000, negocio);
+    assert.deepEqual(opciones.map(opcion => opcion.product_name), ['Económico', 'Caro', 'Barato exigente']);
+    assert.equal(opciones[2].qualifies, false);
+    assert.match(opciones[2].unmet_requirements[0], /Ingresos mensuales/);
+    assert.equal(opciones[0].interest_rate, 0.16);
+});
+
+// Crédito de $10.000.000 a 12 meses al 1% mensual: cuota de $888.487,89
+const credito = { amount: 10000000, effective_annual_rate: 12.682503, months: 12, method: 'french' };
+const flujo = Array.from({ length: 12 }, () => ({ income: 3000000, expenses: 1800000 }));
+const escenarios = [
+    { name: 'Base' },
+    { name: 'Ventas −10%', sales_drop: 10 }
+];
+
+test('estrés: el DSCR de cada mes es el flujo del escenario sobre el servicio de la deuda', () => {
+    const estres = calculator.calculateStressTest({ existing_debt_payment: 0 }, { loan: credito, cash_flows: flujo, scenarios: escenarios });
+    const [base, caida] = estres.scenarios;
+
+    assert.equal(base.first_payment, 888487);
+    assert.equal(base.min_dscr, 1.35);
+    assert.equal(base.passes, true);
+
+    // 3.000.000 × 0,9 − 1.800.000 = 900.000 / 888.487,89
+    assert.equal(caida.min_dscr, 1.01);
+    assert.equal(caida.months_below_minimum, 12);
+    assert.equal(caida.passes, false);
+    assert.equal(estres.passes_all, false);
+    assert.equal(estres.worst_scenario, 'Ventas −10%');
+});
+
+test('estrés: la deuda máxima deja la cobertura mínima en el peor mes', () => {
+    const estres = calculator.calculateStressTest({ existing_debt_payment: 0 }, { loan: credito, cash_flows: flujo, scenarios: escenarios });
+    const caida = estres.scenarios[1];
+    const cuotaPorPeso = 888487.89 / 10000000;
+
+    assert.ok(Math.abs(caida.max_debt * cuotaPorPeso * 1.25 - 900000) < 1);
+    assert.equal(estres.max_debt_under_stress, caida.max_debt);
+
+    // Las cuotas de la cartera actual se restan de lo que puede pagar el flujo
+    const conCartera = calculator.calculateStressTest({ existing_debt_payment: 200000 }, { loan: credito, cash_flows: flujo, scenarios: escenarios });
+    assert.ok(Math.abs(conCartera.scenarios[1].max_debt * cuotaPorPeso - (720000 - 200000)) < 1);
+});
+
+test('estrés: el alza de tasa en puntos básicos encarece la cuota', () => {
+    const estres = calculator.calculateStressTest({ existing_debt_payment: 0 }, {
+        loan: credito, cash_flows: flujo, scenarios: [{ name: 'Alza', rate_increase_bps: 300 }]
+    });
+
+    assert.equal(estres.scenarios[0].interest_rate, 0.1568);
+    assert.ok(estres.scenarios[0].first_payment > 888487);
+});
+
+test('estrés: sin crédito solo calcula la deuda máxima y advierte los meses sin proyección', () => {
+    const estres = calculator.calculateStressTest({ existing_debt_payment: 0 }, { cash_flows: flujo.slice(0, 6), scenarios: escenarios });
+
+    assert.equal(estres.loan, null);
+    assert.equal(estres.passes_all, null);
+    assert.ok(estres.max_debt_under_stress > 0);
+    assert.equal(estres.warnings.length, 2);
+    assert.match(estres.conclusion, /no debería superar/);
+});
+
+test('estrés: el nombre del escenario y el mes se escapan en el reporte', () => {
+    const estres = calculator.calculateStressTest({ existing_debt_payment: 0 }, {
+        loan: credito,
+        cash_flows: flujo.map(mes => ({ ...mes, label: '<i>Enero</i>' })),
+        scenarios: [{ name: '<script>alert(1)</script>', sales_drop: 10 }]
+    });
+    const html = calculator.generateStressTestHTML(estres);
+
+    assert.doesNotMatch(html, /<script>|<i>Enero/);
+    assert.match(html, /<td[^>]*>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/td>/);
+    assert.match(html, /<td[^>]*>&lt;i&gt;Enero&lt;\/i&gt;<\/td>/);
+    assert.match(html, /En &quot;&lt;script&gt;/);
+});
+
+const cartera = [
+    { lender: 'Tarjeta Visa', type: 'tarjeta de crédito', balance: 5000000, rate: 32, remaining_months: 24 },
+    { lender: 'Banco Norte', type: 'comercial', balance: 3000000, rate: 28, remaining_months: 24 },
+    { lender: 'Leasing Sur', type: 'leasing', balance: 10000000, rate: 14, monthly_payment: 280000, remaining_months: 48 }
+];
+
+test('cartera: la cuota sale del saldo, la tasa y el plazo cuando no se declara', () => {
+    const portafolio = calculator.analyzeExistingDebts(cartera);
+    const [tarjeta, banco, leasing] = portafolio.debts;
+    const r = Math.pow(1.32, 1 / 12) - 1;
+
+    assert.equal(tarjeta.type, 'credit_card');
+    assert.equal(tarjeta.monthly_payment, Math.round(5000000 * r / (1 - Math.pow(1 + r, -24))));
+    assert.equal(banco.type, 'commercial');
+    assert.equal(leasing.monthly_payment, 280000);
+    assert.equal(leasing.consolidable, false);
+    assert.equal(portafolio.total_balance, 18000000);
+    assert.equal(portafolio.total_monthly_payment, tarjeta.monthly_payment + banco.monthly_payment + 280000);
+    assert.equal(portafolio.weighted_rate, Math.round((0.32 * 5 + 0.28 * 3 + 0.14 * 10) / 18 * 10000) / 10000);
+});
+
+test('cartera: sin cuota ni tasa y plazo no se puede calcular la deuda', () => {
+    assert.throws(() => calculator.analyzeExistingDebts([{ lender: 'Banco', balance: 1000000, rate: 20 }]), /cuota mensual/);
+    assert.throws(() => calculator.analyzeExistingDebts([{ lender: 'Banco', balance: 0, monthly_payment: 100 }]), /saldo/);
+    assert.equal(calculator.analyzeExistingDebts([]), null);
+});
+
+test('cartera: propone unificar las deudas caras consolidables con un crédito más barato', () => {
+    const sinCatalogo = new DebtCapacityCalculator({ creditProducts: [] });
+    const portafolio = sinCatalogo.analyzeExistingDebts(cartera);
+    const [opcion] = sinCatalogo.suggestDebtConsolidation(portafolio, negocio);
+
+    assert.equal(opcion.type, 'consolidation');
+    assert.deepEqual(opcion.debts, ['Tarjeta Visa', 'Banco Norte']);
+    assert.equal(opcion.balance, 8000000);
+    assert.equal(opcion.new_rate, 0.18);
+    assert.ok(opcion.monthly_savings > 0);
+    assert.ok(opcion.interest_savings > 0);
+});
+
+test('cartera: su saldo y sus cuotas reemplazan los valores declarados en la capacidad', () => {
+    const analisis = calculator.calculateDebtCapacity({
+        monthly_income: 20000000, monthly_expenses: 12000000,
+        existing_debt: 1, existing_debt_payment: 1,
+        existing_debts: cartera
+    }, {});
+
+    assert.equal(analisis.existing_debt_portfolio.total_balance, 18000000);
+    assert.ok(analisis.consolidation_options.length > 0);
+
+    const sinDeudas = calculator.calculateDebtCapacity({ monthly_income: 20000000, monthly_expenses: 12000000 }, {});
+    const cuotas = analisis.existing_debt_portfolio.total_monthly_payment;
+    assert.ok(Math.abs(sinDeudas.max_monthly_payment - analisis.max_monthly_payment - cuotas) <= 1);
+});
+
+test('cartera: el acreedor y el tipo se escapan en el reporte', () => {
+    const sinCatalogo = new DebtCapacityCalculator({ creditProducts: [] });
+    const portafolio = sinCatalogo.analyzeExistingDebts([
+        { ...cartera[0], lender: '<img src=x onerror=alert(1)>' },
+        { ...cartera[1], type: '<b>comercial</b>' }
+    ]);
+    const html = sinCatalogo.generateDebtPortfolioHTML(portafolio, sinCatalogo.suggestDebtConsolidation(portafolio, negocio));
+
+    assert.doesNotMatch(html, /<img src=x|<b>comercial/);
+    assert.match(html, /<td[^>]*>&lt;img src=x onerror=alert\(1\)&gt;<\/td>/);
+    assert.match(html, /🔄 Unificar 2 deudas con &lt;img src=x/);
+});
+
+test('documento del reporte: HTML completo con el negocio y el análisis guardado', () => {
+    const results = calculator.calculateDebtCapacity({ monthly_income: 20000000, monthly_expenses: 12000000 }, {});
+    const html = calculator.generateDebtCapacityDocument({
+        business_name: 'Panadería El Trigal',
+        created_at: '2026-10-19T12:00:00.000Z',
+        results
+    });
+
+    assert.match(html, /^\s*<!DOCTYPE html>/);
+    assert.match(html, /<title>Capacidad de Endeudamiento - Panadería El Trigal<\/title>/);
+    assert.match(html, /Análisis de Capacidad de Endeudamiento/);
+});
+
+test('documento del reporte: el nombre del negocio se escapa', () => {
+    const results = calculator.calculateDebtCapacity({ monthly_income: 20000000, monthly_expenses: 12000000 }, {});
+    const html = calculator.generateDebtCapacityDocument({
+        business_name: '<script>fetch("http://169.254.169.254/")</script>',
+        created_at: '2026-10-19T12:00:00.000Z',
+        results
+    });
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /<h2>&lt;script&gt;fetch\(&quot;http:\/\/169\.254\.169\.254\/&quot;\)&lt;\/script&gt;<\/h2>/);
+});
+
+test('la proyección mensual se valida antes de calcular y el error nombra el mes', () => {
+    assert.doesNotThrow(() => calculator.validateCashFlowSeries(undefined));
+    assert.throws(() => calculator.validateCashFlowSeries([]), /al menos un mes/);
+    assert.throws(() => calculator.validateCashFlowSeries({ income: 100 }), /al menos un mes/);
+    assert.throws(
+        () => calculator.validateCashFlowSeries([{ income: 1000, expenses: 600 }, { income: '12abc', expenses: 600 }]),
+        /El mes 2 de la proyección/
+    );
+    assert.throws(() => calculator.validateCashFlowSeries([{ income: 1000, expenses: 600 }, null]), /El mes 2/);
+});
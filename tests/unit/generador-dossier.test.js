@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtCapacityCalculator = require('../../src/debtCapacityCalculator');
+const GeneradorDossier = require('../../src/generador-dossier');
+
+const calculadora = new DebtCapacityCalculator();
+const generador = new GeneradorDossier(calculadora);
+
+const negocio = { monthly_income: 20000000, monthly_expenses: 12000000, time_in_business: 36, sector: 'Alimentos' };
+const analisisDeuda = {
+    business_name: 'Panadería El Trigal',
+    data: { business_data: negocio, financial_projections: {} },
+    results: calculadora.calculateDebtCapacity(negocio, {})
+};
+
+test('genera el documento HTML del dossier con el nombre del negocio', () => {
+    const dossier = generador.generarDossier({ analisisDeuda });
+
+    assert.equal(dossier.exito, true);
+    assert.match(dossier.html, /^<!DOCTYPE html>/);
+    assert.match(dossier.html, /<title>Dossier de Crédito - Panadería El Trigal<\/title>/);
+    assert.equal(dossier.secciones.length, generador.parametros.secciones.length);
+});
+
+test('completitud: sin costeo ni documentos quedan pendientes y el puntaje sube al entregarlos', () => {
+    const vacio = generador.generarDossier({ analisisDeuda });
+    assert.ok(vacio.completitud.pendientes.includes('Análisis de costeo: Asociar un análisis de costeo'));
+    assert.ok(vacio.completitud.obligatoriosPendientes.includes('RUT actualizado'));
+
+    const todos = generador.parametros.requisitos.map(requisito => requisito.id);
+    const completo = generador.generarDossier({ analisisDeuda, documentos: todos });
+    assert.deepEqual(completo.completitud.obligatoriosPendientes, []);
+    assert.ok(completo.completitud.puntaje > vacio.completitud.puntaje);
+});
+
+test('sin análisis de endeudamiento devuelve el error', () => {
+    const resultado = generador.generarDossier({});
+    assert.equal(resultado.exito, false);
+    assert.match(resultado.error, /capacidad de endeudamiento/);
+});
+
+test('los datos del negocio se escapan en el HTML del dossier', () => {
+    const dossier = generador.generarDossier({
+        analisisDeuda: {
+            ...analisisDeuda,
+            business_name: '<img src=x onerror=alert(1)>',
+            data: { business_data: { ...negocio, sector: '<script>alert(1)</script>' }, financial_projections: {} }
+        }
+    });
+
+    assert.doesNotMatch(dossier.html, /<img src=x|<script>alert/);
+    assert.match(dossier.html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.match(dossier.html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
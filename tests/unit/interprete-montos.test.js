@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InterpreteMontos = require('../../src/interprete-montos');
+
+const interprete = new InterpreteMontos();
+const valor = (texto, tipo) => interprete.interpretar(texto, tipo).valor;
+
+test('cifras coloquiales, separadores de miles y palabras', () => {
+    assert.equal(valor('50 mil'), 50000);
+    assert.equal(valor('1.200.000'), 1200000);
+    assert.equal(valor('2 millones y medio'), 2500000);
+    assert.equal(valor('dos palos'), 2000000);
+    assert.equal(valor('$1,5M'), 1500000);
+    assert.equal(interprete.interpretar('hola'), null);
+});
+
+test('rangos: el punto medio con el multiplicador compartido y menos confianza', () => {
+    const rango = interprete.interpretar('entre 40 y 50 mil');
+    assert.equal(rango.valor, 45000);
+    assert.deepEqual(rango.rango, { minimo: 40000, maximo: 50000 });
+    assert.ok(rango.confianza < 1);
+
+    assert.equal(valor('40-50 mil'), 45000);
+});
+
+test('conserva el signo negativo de la cifra', () => {
+    assert.equal(valor('-5000'), -5000);
+    assert.equal(valor('-50 mil'), -50000);
+    assert.equal(valor('$-1.200.000'), -1200000);
+    assert.equal(valor('-20%', 'porcentaje'), -20);
+});
+
+test('las cantidades se redondean a unidades enteras y piden confirmación', () => {
+    const cantidad = interprete.interpretar('1.5', 'cantidad');
+    assert.equal(cantidad.valor, 2);
+    assert.ok(cantidad.confianza < interprete.parametros.confianza_minima);
+    assert.match(cantidad.nota, /unidades enteras/);
+
+    const entera = interprete.interpretar('200', 'cantidad');
+    assert.equal(entera.valor, 200);
+    assert.equal(entera.confianza, 1);
+    assert.equal(valor('12.5', 'porcentaje'), 12.5);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RecopiladorDatos = require('../../src/recopilador-datos');
+
+const recopilador = new RecopiladorDatos();
+
+test('el progreso se mide contra las preguntas vigentes del flujo guiado', () => {
+    const total = recopilador.obtenerCampos({}).length;
+    const stats = recopilador.obtenerEstadisticasSesion({ volumen_mensual: 200, materia_prima: 3000 });
+
+    assert.equal(stats.totalDatos, total);
+    assert.equal(stats.datosRecopilados, 2);
+    assert.equal(stats.porcentajeCompletado, Math.round(2 / total * 100));
+    assert.equal(stats.completado, false);
+});
+
+test('la industria cambia las preguntas pendientes y la recopilación se completa al responderlas todas', () => {
+    const respuestas = { tipo_negocio: { descripcion: 'Desarrollo de software', industria: 'tecnologia' } };
+    const campos = recopilador.obtenerCampos(respuestas);
+    assert.equal(campos.find(campo => campo.nombre === 'empaque'), undefined);
+
+    campos.forEach(campo => {
+        if (respuestas[campo.nombre] === undefined) respuestas[campo.nombre] = 0;
+    });
+    assert.equal(recopilador.estaCompleto(respuestas), true);
+});
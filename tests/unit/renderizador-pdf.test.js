@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RenderizadorPdf = require('../../src/renderizador-pdf');
+
+// Navegador falso que registra lo que recibe
+const crearNavegador = (opciones = {}) => {
+    const registro = { contenido: null, cerrado: false };
+    const navegador = {
+        newPage: async () => ({
+            setContent: async (html) => { registro.contenido = html; },
+            pdf: async () => {
+                if (opciones.fallarRender) throw new Error('página caída');
+                return Buffer.from('%PDF-1.4');
+            }
+        }),
+        close: async () => { registro.cerrado = true; }
+    };
+    return { registro, lanzador: { launch: async () => navegador } };
+};
+
+test('convierte el HTML a PDF y cierra el navegador', async () => {
+    const { registro, lanzador } = crearNavegador();
+    const pdf = await new RenderizadorPdf({ lanzador }).renderizar('<h1>Reporte</h1>');
+
+    assert.equal(pdf.toString(), '%PDF-1.4');
+    assert.equal(registro.contenido, '<h1>Reporte</h1>');
+    assert.equal(registro.cerrado, true);
+});
+
+test('sin navegador instalado: error sin_navegador con la causa original', async () => {
+    const causa = new Error('Could not find Chrome');
+    const renderizador = new RenderizadorPdf({ lanzador: { launch: async () => { throw causa; } } });
+
+    await assert.rejects(renderizador.renderizar('<h1>Reporte</h1>'), (error) => {
+        assert.equal(error.codigo, 'sin_navegador');
+        assert.equal(error.cause, causa);
+        assert.match(error.message, /navegador/);
+        // Cómo instalar Chrome es para el log del servidor, no para el usuario
+        assert.doesNotMatch(error.message, /npx|PUPPETEER/);
+        assert.match(error.instrucciones, /npx puppeteer browsers install chrome/);
+        return true;
+    });
+});
+
+test('falla al renderizar: error render y el navegador se cierra igual', async () => {
+    const { registro, lanzador } = crearNavegador({ fallarRender: true });
+
+    await assert.rejects(new RenderizadorPdf({ lanzador }).renderizar('<h1>Reporte</h1>'), (error) => {
+        assert.equal(error.codigo, 'render');
+        assert.match(error.message, /página caída/);
+        return true;
+    });
+    assert.equal(registro.cerrado, true);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SimuladorRiesgo = require('../../src/simulador-riesgo');
+
+const simulador = new SimuladorRiesgo();
+
+// $5.000 por unidad y $1.000.000 al mes: con 200 unidades el equilibrio está en $10.000
+const negocio = {
+    costos: { materia_prima: 5000, arriendo_sueldos: 1000000 },
+    volumen_mensual: 200,
+    margen_ganancia: 30
+};
+
+test('la misma semilla reproduce la misma simulación', () => {
+    const opciones = { semilla: 42, iteraciones: 500, variacion: 20 };
+    const a = simulador.simular(negocio, opciones);
+    const b = simulador.simular(negocio, opciones);
+
+    assert.equal(a.exito, true);
+    assert.deepEqual(a.resultados, b.resultados);
+    assert.deepEqual(a.histograma, b.histograma);
+});
+
+test('la probabilidad de pérdida se acerca a la teórica', () => {
+    // Precio uniforme entre $0 y $20.000: la mitad de los meses cae bajo el equilibrio
+    const resultado = simulador.simular(negocio, {
+        semilla: 7,
+        iteraciones: 20000,
+        distribuciones: { precio: { min: 0, max: 20000 } }
+    });
+
+    assert.ok(Math.abs(resultado.resultados.probabilidadPerdida - 50) < 2);
+    assert.ok(Math.abs(resultado.resultados.p50) < 50000);
+    assert.equal(resultado.histograma.reduce((suma, barra) => suma + barra.frecuencia, 0), 20000);
+});
+
+test('sin incertidumbre todos los meses dan la utilidad base', () => {
+    const resultado = simulador.simular(negocio, {
+        semilla: 1,
+        iteraciones: 100,
+        precio: 15000,
+        distribuciones: { precio: { min: 15000, max: 15000 } }
+    });
+
+    assert.equal(resultado.resultados.utilidadBase, 1000000);
+    assert.equal(resultado.resultados.p10, 1000000);
+    assert.equal(resultado.resultados.p90, 1000000);
+    assert.equal(resultado.resultados.probabilidadPerdida, 0);
+});
+
+test('el tornado ordena las entradas por el rango de utilidad que mueven', () => {
+    const resultado = simulador.simular(negocio, {
+        semilla: 3,
+        iteraciones: 2000,
+        precio: 15000,
+        distribuciones: {
+            precio: { min: 12000, max: 18000 },
+            arriendo_sueldos: { min: 950000, max: 1050000 }
+        }
+    });
+
+    assert.deepEqual(resultado.tornado.map(t => t.variable), ['precio', 'arriendo_sueldos']);
+    assert.ok(resultado.tornado[0].rango > resultado.tornado[1].rango);
+});
+
+test('la variación porcentual se convierte en una triangular alrededor del valor base', () => {
+    assert.deepEqual(simulador.procesarDistribucion(10, 1000), { tipo: 'triangular', min: 900, moda: 1000, max: 1100 });
+    assert.deepEqual(simulador.procesarDistribucion({ min: 1, max: 3 }, 2), { tipo: 'uniforme', min: 1, max: 3 });
+    assert.throws(() => simulador.procesarDistribucion({ min: 5, max: 1 }, 2), /mínimo/);
+
+    const aleatorio = simulador.crearAleatorio(9);
+    for (let i = 0; i < 1000; i++) {
+        const muestra = simulador.muestrear({ tipo: 'triangular', min: 900, moda: 1000, max: 1100 }, aleatorio);
+        assert.ok(muestra >= 900 && muestra <= 1100);
+    }
+});
+
+test('rechaza entradas que no existen en el costeo', () => {
+    const resultado = simulador.simular(negocio, { distribuciones: { dolar: 10 } });
+
+    assert.equal(resultado.exito, false);
+    assert.match(resultado.error, /dolar/);
+});
+
+test('un costo variable declarado por mes baja con el volumen simulado', () => {
+    // $1.000.000 de materia prima al mes para 200 unidades = $5.000 por unidad
+    const mensual = {
+        costos: { materia_prima: 1000000, arriendo_sueldos: 500000 },
+        volumen_mensual: 200,
+        base_costos: { materia_prima: 'mes', arriendo_sueldos: 'mes' },
+        margen_ganancia: 25
+    };
+    const resultado = simulador.simular(mensual, {
+        semilla: 3,
+        iteraciones: 100,
+        precio: 10000,
+        distribuciones: { volumen: { min: 100, max: 100 } }
+    });
+
+    // 100 unidades: $1.000.000 de ventas − $500.000 de materia prima − $500.000 fijos
+    assert.equal(resultado.resultados.media, 0);
+    assert.equal(resultado.resultados.utilidadBase, 500000);
+});